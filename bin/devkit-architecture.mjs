@@ -5,25 +5,33 @@
  *
  * Analyzes monorepo architecture and generates:
  * 1. AI-first JSON output (complete structured data for LLM consumption)
- * 2. Human-first visual graph (interactive HTML with Cytoscape.js)
+ * 2. Human-first visual graph (self-contained interactive HTML, works offline)
  * 3. Human-first markdown report (executive summary with recommendations)
  *
  * Features:
- * - Automated anomaly detection (10 types):
+ * - Automated anomaly detection (10 types, default thresholds):
  *   • Circular dependencies (score: 100)
- *   • Layer violations (score: 90) - infrastructure depends on plugin/feature
+ *   • Layer violations (score: 90) - dependency not allowed by the layer model
  *   • God packages (score: 80) - >15 dependents
- *   • Unstable core (score: 75) - core/infra with instability >0.7
+ *   • Unstable core (score: 75) - stable layer (core/infra) with instability >0.7
  *   • Bidirectional dependencies (score: 70) - A→B && B→A (not circular)
  *   • Code smell: Large packages (score: 60) - >10K LOC
- *   • Orphan packages (score: 60) - 0 dependents
+ *   • Orphan packages (score: 60) - 0 dependents, not an expected orphan
  *   • Code smell: Many dependencies (score: 50) - >10 deps
  *   • Deep chains (score: 50) - depth >7
  *   • Code smell: No docs (score: 40) - missing README
  * - Heuristic scoring (prioritize top 10 issues by impact)
  * - Metrics calculation (coupling, instability, centrality, depth)
- * - Layer inference (Infrastructure → Core → Plugin → Feature → UI)
+ * - Layer model from devkit.architecture in kb-labs.config.json: layers, allowed
+ *   layer edges, expected orphans and thresholds (see lib/architecture-model.mjs;
+ *   defaults: Infrastructure → Core → Plugin → Feature → UI)
+ * - Rules as code (architecture.rules.json, see lib/architecture-rules.mjs): forbidden
+ *   dependency edges checked against package.json and src/ imports, reported
+ *   with the offending import site; error-severity violations exit 1
  * - Trend analysis (compare with previous runs, track improvements)
+ * - History: every run that writes reports appends a compact snapshot to
+ *   .kb/architecture/history.jsonl (see lib/architecture-history.mjs); `diff`
+ *   and --since compare snapshots (packages, edges, anomalies, metrics, health)
  * - Dual output (AI-readable JSON + Human-readable graph/report)
  *
  * Usage:
@@ -32,21 +40,47 @@
  *   kb-devkit-architecture --human            # Generate only graph + report
  *   kb-devkit-architecture --format=json      # JSON to stdout
  *   kb-devkit-architecture --format=md        # Markdown report
- *   kb-devkit-architecture --format=html      # HTML graph (TODO)
- *   kb-devkit-architecture --open             # Open graph in browser (TODO)
+ *   kb-devkit-architecture --format=html      # Interactive HTML graph only
+ *   kb-devkit-architecture --open             # Also open the graph in a browser
  *   kb-devkit-architecture --layer=core       # Filter by layer
  *   kb-devkit-architecture --threshold=70     # Show anomalies >= 70 score
+ *   kb-devkit-architecture --rules=ci/arch.json  # Rules file (default: architecture.rules.json)
+ *   kb-devkit-architecture --since=main       # Also report changes since a date, git ref or run
+ *   kb-devkit-architecture diff latest~5      # 5 runs ago vs. the workspace now
+ *   kb-devkit-architecture diff 2026-01-01 latest --json  # Two recorded runs, as JSON
  */
 
+import { spawn } from 'node:child_process';
 import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 
-// Shared package discovery — supports both flat and categorized layouts
-import { findPackages } from './lib/find-packages.mjs';
+// Shared workspace model — package discovery plus devkit.scope/repos from kb-labs.config.json
+import { loadWorkspace } from './lib/workspace.mjs';
+import { loadIgnoreRules } from './lib/devkit-ignore.mjs';
+import { UNKNOWN_LAYER, loadArchitectureModel } from './lib/architecture-model.mjs';
+import { renderArchitectureHtml } from './lib/architecture-html.mjs';
+import {
+  appendSnapshot,
+  currentCommit,
+  diffSnapshots,
+  readHistory,
+  resolveSnapshot,
+  toSnapshot,
+} from './lib/architecture-history.mjs';
+import {
+  RULES_FILE,
+  collectDependencyEdges,
+  evaluateArchitectureRules,
+  formatSite,
+  loadArchitectureRules,
+} from './lib/architecture-rules.mjs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+const workspace = loadWorkspace(process.cwd());
+const model = loadArchitectureModel(workspace.root, workspace.config);
+
 // ANSI colors
 const colors = {
   reset: '\x1b[0m',
@@ -76,22 +110,18 @@ const options = {
   threshold: parseInt(args.find((arg) => arg.startsWith('--threshold='))?.split('=')[1] || '0'),
   format: args.find((arg) => arg.startsWith('--format='))?.split('=')[1] || 'all',
   json: args.includes('--json'),
+  rules: args.find((arg) => arg.startsWith('--rules='))?.split('=')[1],
+  since: args.find((arg) => arg.startsWith('--since='))?.split('=')[1],
 };
 
+// `diff <a> [b]`
+const positional = args.filter((arg) => !arg.startsWith('--'));
+const command = positional[0] ?? null;
+
 // ============================
 // Phase 1: Data Collection
 // ============================
 
-/**
- * Extract repo name from a package.json path.
- * Handles both flat (kb-labs-core/packages/...) and categorized (platform/kb-labs-core/packages/...) layouts.
- */
-function extractRepoFromPath(pkgPath) {
-  const parts = pkgPath.split(path.sep);
-  const repo = parts.find((p) => p.startsWith('kb-labs-'));
-  return repo || 'unknown';
-}
-
 /**
  * Calculate package size (LOC, file count)
  */
@@ -126,43 +156,6 @@ function calculatePackageSize(packageDir) {
   return { fileCount, linesOfCode };
 }
 
-/**
- * Infer layer from package name
- */
-function inferLayer(packageName) {
-  if (!packageName) {return 'unknown';}
-
-  // Extract meaningful part after @kb-labs/
-  const name = packageName.replace('@kb-labs/', '');
-
-  // Infrastructure layer
-  if (name.startsWith('core-') || name.startsWith('shared-')) {
-    return 'infrastructure';
-  }
-
-  // Core/Platform layer
-  if (name.startsWith('plugin-') || name.startsWith('cli-') || name.startsWith('workflow-')) {
-    return 'core';
-  }
-
-  // AI/Intelligence layer (plugins)
-  if (name.startsWith('mind-') || name.startsWith('knowledge-') || name.startsWith('analytics-')) {
-    return 'plugin';
-  }
-
-  // Feature layer
-  if (name.startsWith('ai-') || name.startsWith('audit-') || name.startsWith('devlink-')) {
-    return 'feature';
-  }
-
-  // UI layer
-  if (name.startsWith('studio-') || name.startsWith('rest-api-')) {
-    return 'ui';
-  }
-
-  return 'unknown';
-}
-
 /**
  * Build dependency graph
  */
@@ -175,10 +168,10 @@ function buildDependencyGraph(packages) {
     const packageJson = JSON.parse(fs.readFileSync(pkg.path, 'utf-8'));
     const packageName = packageJson.name;
 
-    if (!packageName || !packageName.startsWith('@kb-labs/')) {continue;}
+    if (!packageName || !workspace.inScope(packageName)) {continue;}
 
     const size = calculatePackageSize(pkg.dir);
-    const layer = inferLayer(packageName);
+    const layer = model.layerOf(packageName);
 
     const metadata = {
       name: packageName,
@@ -207,7 +200,7 @@ function buildDependencyGraph(packages) {
     };
 
     for (const dep of Object.keys(allDeps)) {
-      if (dep.startsWith('@kb-labs/') && graph.has(dep)) {
+      if (graph.has(dep)) {
         graph.get(packageName).dependencies.push(dep);
         graph.get(dep).dependents.push(packageName);
       }
@@ -354,10 +347,12 @@ function detectAnomalies(graph, metrics) {
     });
   }
 
+  const { thresholds } = model;
+
   // 2. God packages (score: 80, threshold: >15 dependents)
   for (const [packageName, data] of graph.entries()) {
     const Ca = metrics.get(packageName).afferentCoupling;
-    if (Ca > 15) {
+    if (Ca > thresholds.godPackage) {
       anomalies.push({
         id: `god-${++anomalyId}`,
         type: 'god-package',
@@ -372,21 +367,11 @@ function detectAnomalies(graph, metrics) {
     }
   }
 
-  // 3. Orphan packages (score: 60, threshold: 0 dependents, not CLI/plugin)
+  // 3. Orphan packages (score: 60, threshold: 0 dependents, not an expected orphan like CLI/plugin)
   for (const [packageName, data] of graph.entries()) {
     const Ca = metrics.get(packageName).afferentCoupling;
-    const name = packageName.replace('@kb-labs/', '');
-
-    // Skip expected orphans (CLI entry points, plugins)
-    const isExpectedOrphan =
-      name.endsWith('-cli') ||
-      name.endsWith('-plugin') ||
-      name.endsWith('-bin') ||
-      name.startsWith('rest-api-') ||
-      name.startsWith('studio-') ||
-      name.startsWith('playbooks-');
-
-    if (Ca === 0 && !isExpectedOrphan) {
+
+    if (Ca === 0 && !model.isExpectedOrphan(packageName)) {
       anomalies.push({
         id: `orphan-${++anomalyId}`,
         type: 'orphan-package',
@@ -400,12 +385,12 @@ function detectAnomalies(graph, metrics) {
     }
   }
 
-  // 4. Unstable core packages (score: 75, threshold: layer=infrastructure && I>0.7)
+  // 4. Unstable core packages (score: 75, threshold: stable layer && I>0.7)
   for (const [packageName, data] of graph.entries()) {
     const layer = data.metadata.layer;
     const I = metrics.get(packageName).instability;
 
-    if ((layer === 'infrastructure' || layer === 'core') && I > 0.7) {
+    if (model.stableLayers.includes(layer) && I > thresholds.instability) {
       anomalies.push({
         id: `unstable-${++anomalyId}`,
         type: 'unstable-core',
@@ -424,7 +409,7 @@ function detectAnomalies(graph, metrics) {
   for (const [packageName, data] of graph.entries()) {
     const depth = metrics.get(packageName).depth;
 
-    if (depth > 7) {
+    if (depth > thresholds.deepChain) {
       anomalies.push({
         id: `deep-${++anomalyId}`,
         type: 'deep-chain',
@@ -439,20 +424,16 @@ function detectAnomalies(graph, metrics) {
     }
   }
 
-  // 6. Layer violations (score: 90, threshold: lower layer depends on higher layer)
-  const layerHierarchy = { infrastructure: 0, core: 1, plugin: 2, feature: 3, ui: 4, unknown: 5 };
+  // 6. Layer violations (score: 90, threshold: edge not allowed by the layer model)
   for (const [packageName, data] of graph.entries()) {
     const packageLayer = data.metadata.layer;
-    const packageLayerLevel = layerHierarchy[packageLayer];
 
     for (const dep of data.dependencies) {
       const depLayer = graph.get(dep)?.metadata.layer;
       if (!depLayer) {continue;}
 
-      const depLayerLevel = layerHierarchy[depLayer];
-
-      // Violation: lower layer depends on higher layer (e.g., infrastructure → plugin)
-      if (packageLayerLevel < depLayerLevel) {
+      // Violation: e.g. infrastructure → plugin, or a layer outside its `allow` list
+      if (!model.isAllowed(packageLayer, depLayer)) {
         anomalies.push({
           id: `layer-violation-${++anomalyId}`,
           type: 'layer-violation',
@@ -462,7 +443,7 @@ function detectAnomalies(graph, metrics) {
           dependency: dep,
           fromLayer: packageLayer,
           toLayer: depLayer,
-          impact: `${packageLayer} layer depends on ${depLayer} layer (inverted hierarchy)`,
+          impact: `${packageLayer} layer depends on ${depLayer} layer (not allowed by the layer model)`,
           recommendation: `Move ${dep} to ${packageLayer} layer or refactor dependency`,
           estimatedEffort: '3-6 hours',
         });
@@ -507,7 +488,7 @@ function detectAnomalies(graph, metrics) {
   for (const [packageName, data] of graph.entries()) {
     const loc = data.metadata.size.linesOfCode;
 
-    if (loc > 10000) {
+    if (loc > thresholds.largePackage) {
       anomalies.push({
         id: `large-package-${++anomalyId}`,
         type: 'code-smell-large-package',
@@ -526,7 +507,7 @@ function detectAnomalies(graph, metrics) {
   for (const [packageName, data] of graph.entries()) {
     const depsCount = data.dependencies.length;
 
-    if (depsCount > 10) {
+    if (depsCount > thresholds.manyDependencies) {
       anomalies.push({
         id: `many-deps-${++anomalyId}`,
         type: 'code-smell-many-dependencies',
@@ -568,42 +549,34 @@ function detectAnomalies(graph, metrics) {
 
 /**
  * Load historical architecture data for trend analysis
+ *
+ * Trends need the previous run and the oldest run of the last 30 days; the
+ * other history lines stay unparsed.
  */
-function loadHistoricalData(archDir) {
-  if (!fs.existsSync(archDir)) {
-    return [];
-  }
-
-  const files = fs.readdirSync(archDir).filter((f) => f.startsWith('architecture-') && f.endsWith('.json'));
-
-  const history = [];
-
-  for (const file of files.slice(-5)) {
-    // Load last 5 runs
-    try {
-      const data = JSON.parse(fs.readFileSync(path.join(archDir, file), 'utf-8'));
-      history.push({
-        date: data.metadata.generatedAt,
-        healthScore: data.metadata.healthScore,
-        totalPackages: data.metadata.totalPackages,
-        anomaliesCount: data.anomalies.length,
-        anomaliesBySeverity: {
-          critical: data.anomalies.filter((a) => a.severity === 'critical').length,
-          high: data.anomalies.filter((a) => a.severity === 'high').length,
-          medium: data.anomalies.filter((a) => a.severity === 'medium').length,
-          low: data.anomalies.filter((a) => a.severity === 'low').length,
-        },
-        anomaliesByType: data.anomalies.reduce((acc, a) => {
-          acc[a.type] = (acc[a.type] || 0) + 1;
-          return acc;
-        }, {}),
-      });
-    } catch (err) {
-      // Skip corrupted files
-    }
-  }
-
-  return history.sort((a, b) => new Date(a.date) - new Date(b.date));
+function loadHistoricalData(history) {
+  const monthAgo = Date.now() - 30 * 24 * 60 * 60 * 1000;
+  const oldest = history.find((entry) => new Date(entry.generatedAt).getTime() >= monthAgo);
+  const entries = [...new Set([oldest, history.at(-1)].filter(Boolean))];
+
+  return entries
+    .map((entry) => entry.load())
+    .filter(Boolean)
+    .map((snapshot) => ({
+      date: snapshot.generatedAt,
+      healthScore: snapshot.healthScore,
+      totalPackages: Object.keys(snapshot.packages).length,
+      anomaliesCount: snapshot.anomalies.length,
+      anomaliesBySeverity: {
+        critical: snapshot.anomalies.filter((a) => a.severity === 'critical').length,
+        high: snapshot.anomalies.filter((a) => a.severity === 'high').length,
+        medium: snapshot.anomalies.filter((a) => a.severity === 'medium').length,
+        low: snapshot.anomalies.filter((a) => a.severity === 'low').length,
+      },
+      anomaliesByType: snapshot.anomalies.reduce((acc, a) => {
+        acc[a.type] = (acc[a.type] || 0) + 1;
+        return acc;
+      }, {}),
+    }));
 }
 
 /**
@@ -859,6 +832,14 @@ function generateJSON(graph, metrics, anomalies, options) {
     },
     packages,
     layers,
+    model: {
+      source: model.source ? path.relative(workspace.root, model.source) : null,
+      layers: model.layers,
+      stableLayers: model.stableLayers,
+      expectedOrphans: model.expectedOrphans,
+      thresholds: model.thresholds,
+      unclassified: packages.filter((p) => p.layer === UNKNOWN_LAYER).map((p) => p.name),
+    },
     anomalies,
     graph: {
       nodes,
@@ -964,6 +945,40 @@ function generateMarkdownReport(jsonData) {
     }
   }
 
+  // Changes since --since
+  if (jsonData.diff) {
+    const { diff } = jsonData;
+    report += `## 🔀 Changes Since ${diff.since}\n\n`;
+    report += `- **Health score:** ${diff.healthScore.from} → ${diff.healthScore.to} (${diff.healthScore.delta >= 0 ? '+' : ''}${diff.healthScore.delta})\n`;
+    report += `- **Packages:** ${diff.packages.added.length} added, ${diff.packages.removed.length} removed\n`;
+    report += `- **Dependency edges:** ${diff.edges.added.length} added, ${diff.edges.removed.length} removed\n`;
+    report += `- **Anomalies:** ${diff.anomalies.introduced.length} introduced, ${diff.anomalies.resolved.length} resolved\n\n`;
+
+    for (const anomaly of diff.anomalies.introduced) {
+      report += `- 🆕 ${anomaly.type.replace(/-/g, ' ')}: ${anomaly.packages.join(' ↔ ')} (Score: ${anomaly.score})\n`;
+    }
+    for (const anomaly of diff.anomalies.resolved) {
+      report += `- ✅ ${anomaly.type.replace(/-/g, ' ')}: ${anomaly.packages.join(' ↔ ')} (resolved)\n`;
+    }
+    report += `\n`;
+  }
+
+  // Rule Violations
+  if (jsonData.rules?.violations.length > 0) {
+    report += `## 📏 Rule Violations (${jsonData.rules.source})\n\n`;
+
+    for (const violation of jsonData.rules.violations) {
+      report += `### ${violation.severity === 'error' ? '❌' : '⚠️'} ${violation.rule}: ${violation.from} → ${violation.to}\n`;
+      if (violation.comment) {
+        report += `${violation.comment}\n\n`;
+      }
+      for (const site of violation.sites) {
+        report += `- \`${formatSite(site)}\`\n`;
+      }
+      report += `\n`;
+    }
+  }
+
   // Trend Analysis
   if (jsonData.trends) {
     const { trends } = jsonData;
@@ -1039,12 +1054,29 @@ function generateMarkdownReport(jsonData) {
 // ============================
 
 /**
- * Main entry point
+ * Phases 1-4: collect, measure, detect, check rules
+ *
+ * @returns {{ jsonData: object, ignore: object }} Unfiltered results
  */
-async function main() {
-  const rootDir = process.cwd();
+function runAudit(rootDir, startTime) {
+  // An invalid layer model would report wrong violations
+  if (model.errors.length > 0) {
+    console.error(`❌ Invalid devkit.architecture in ${path.relative(rootDir, model.source) || model.source}:`);
+    for (const error of model.errors) {
+      console.error(`   - ${error}`);
+    }
+    process.exit(1);
+  }
 
-  const startTime = Date.now();
+  // Same for the rules: a rule that silently matches nothing would pass CI
+  const ruleSet = loadArchitectureRules(workspace.root, model, workspace.config, options.rules);
+  if (ruleSet.errors.length > 0) {
+    console.error(`❌ Invalid architecture rules in ${path.relative(rootDir, ruleSet.source) || ruleSet.source}:`);
+    for (const error of ruleSet.errors) {
+      console.error(`   - ${error}`);
+    }
+    process.exit(1);
+  }
 
   if (options.format !== 'json') {
     log('\n🏗️  KB Labs Architecture Audit\n', 'blue');
@@ -1052,10 +1084,10 @@ async function main() {
   }
 
   // Phase 1: Data Collection
-  const packages = findPackages(rootDir).map((pkgPath) => ({
-    path: pkgPath,
-    dir: path.dirname(pkgPath),
-    repository: extractRepoFromPath(pkgPath),
+  const packages = workspace.packages.map((pkg) => ({
+    path: pkg.packageJsonPath,
+    dir: pkg.dir,
+    repository: pkg.repo ?? 'unknown',
   }));
 
   if (packages.length === 0) {
@@ -1068,6 +1100,14 @@ async function main() {
 
   if (options.format !== 'json') {
     log(`✅ Found ${graph.size} package(s) (${((Date.now() - startTime) / 1000).toFixed(1)}s)\n`, 'green');
+
+    const unclassified = [...graph.values()].filter((data) => data.metadata.layer === UNKNOWN_LAYER).length;
+    const modelSource = model.source ? path.relative(rootDir, model.source) || model.source : 'built-in defaults';
+    log(`🧱 Layer model: ${model.layers.map((layer) => layer.name).join(' → ')} (${modelSource})`, 'cyan');
+    if (unclassified > 0) {
+      log(`   ${unclassified} package(s) match no layer — add them to devkit.architecture.layers in kb-labs.config.json`, 'gray');
+    }
+    log('');
     log(`🔍 Running analysis...\n`, 'gray');
   }
 
@@ -1078,20 +1118,79 @@ async function main() {
     log(`✅ Calculated metrics for ${metrics.size} packages (${((Date.now() - startTime) / 1000).toFixed(1)}s)\n`, 'green');
   }
 
-  // Phase 3: Anomaly Detection
-  const anomalies = detectAnomalies(graph, metrics);
+  // Phase 3: Anomaly Detection (`architecture: <package> -> <anomaly type>` in .devkitignore suppresses)
+  const ignore = loadIgnoreRules(workspace.root, 'architecture');
+  const anomalies = detectAnomalies(graph, metrics).filter(
+    (anomaly) => !ignore.match('architecture', anomaly.packages ?? [anomaly.package], anomaly.type)
+  );
 
   if (options.format !== 'json') {
     log(`✅ Detected ${anomalies.length} anomalies (${((Date.now() - startTime) / 1000).toFixed(1)}s)\n`, 'green');
   }
 
+  // Phase 3b: Rules (`architecture: <from package> -> <rule name>` in .devkitignore suppresses)
+  let violations = [];
+  if (ruleSet.rules.length > 0) {
+    const edges = collectDependencyEdges(
+      [...packageData.entries()].map(([name, data]) => ({
+        name,
+        dir: data.metadata.path,
+        layer: data.metadata.layer,
+        packageJson: data.packageJson,
+      })),
+      workspace.root
+    );
+    violations = evaluateArchitectureRules(ruleSet.rules, edges).filter(
+      (violation) => !ignore.match('architecture', violation.from, violation.rule)
+    );
+
+    if (options.format !== 'json') {
+      const failed = violations.some((violation) => violation.severity === 'error');
+      log(
+        `${failed ? '❌' : '✅'} Checked ${ruleSet.rules.length} rule(s) against ${edges.length} dependency edge(s): ${violations.length} violation(s) (${((Date.now() - startTime) / 1000).toFixed(1)}s)\n`,
+        failed ? 'red' : 'green'
+      );
+    }
+  }
+  ignore.recordUsage();
+
   // Phase 4: Output Generation
   const jsonData = generateJSON(graph, metrics, anomalies, options);
 
+  if (ruleSet.source) {
+    jsonData.rules = {
+      source: path.relative(workspace.root, ruleSet.source),
+      checked: ruleSet.rules.length,
+      errors: violations.filter((violation) => violation.severity === 'error').length,
+      warnings: violations.filter((violation) => violation.severity === 'warn').length,
+      violations,
+    };
+  }
+
+  return { jsonData, ignore };
+}
+
+/**
+ * Main entry point
+ */
+async function main() {
+  const rootDir = process.cwd();
+
+  if (command === 'diff') {
+    runDiff(rootDir);
+    return;
+  }
+
+  const startTime = Date.now();
+  const { jsonData, ignore } = runAudit(rootDir, startTime);
+
+  // Recorded before --layer/--threshold filtering, appended once the reports are written
+  const snapshot = toSnapshot(jsonData, currentCommit(workspace.root));
+
   // Phase 5: Trend Analysis (load historical data and compare)
   const archDir = path.join(rootDir, '.kb', 'architecture');
-  const history = loadHistoricalData(archDir);
-  const trends = generateTrendAnalysis(jsonData, history);
+  const history = readHistory(archDir);
+  const trends = generateTrendAnalysis(jsonData, loadHistoricalData(history));
 
   if (trends) {
     jsonData.trends = trends;
@@ -1118,6 +1217,12 @@ async function main() {
     }
   }
 
+  // Changes since an earlier run
+  if (options.since) {
+    const baseline = resolveSnapshot(options.since, { history, root: workspace.root });
+    jsonData.diff = { since: baseline.label, ...diffSnapshots(baseline.snapshot, snapshot) };
+  }
+
   // Filter by layer if specified
   if (options.layer) {
     jsonData.packages = jsonData.packages.filter((p) => p.layer === options.layer);
@@ -1126,8 +1231,15 @@ async function main() {
       if (a.packages) {return a.packages.some((pkg) => jsonData.packages.some((p) => p.name === pkg));}
       return false;
     });
+    if (jsonData.rules) {
+      const names = new Set(jsonData.packages.map((p) => p.name));
+      jsonData.rules.violations = jsonData.rules.violations.filter((v) => names.has(v.from) || names.has(v.to));
+    }
   }
 
+  // Error-severity rule violations fail the run, whatever the output format
+  const exitCode = jsonData.rules?.violations.some((v) => v.severity === 'error') ? 1 : 0;
+
   // Filter by threshold if specified
   if (options.threshold > 0) {
     jsonData.anomalies = jsonData.anomalies.filter((a) => a.score >= options.threshold);
@@ -1136,37 +1248,66 @@ async function main() {
   // Output based on format
   if (options.format === 'json' || options.ai) {
     console.log(JSON.stringify(jsonData, null, 2));
-    process.exit(0);
+    process.exit(exitCode);
   }
 
-  if (options.format === 'md' || options.format === 'all') {
-    const markdownReport = generateMarkdownReport(jsonData);
+  if (options.format === 'md') {
+    console.log(generateMarkdownReport(jsonData));
+    process.exit(exitCode);
+  }
 
-    if (options.format === 'md') {
-      console.log(markdownReport);
-      process.exit(0);
-    }
+  // Save to files: --human skips the JSON, --format=html / --open write only the graph
+  const writeReport = options.format === 'all';
+  const writeJson = options.format === 'all' && !options.human;
+  const writeGraph = options.format === 'all' || options.format === 'html' || options.open;
 
-    // Save to file
+  if (writeReport || writeJson || writeGraph) {
     const outputDir = path.join(rootDir, '.kb', 'architecture');
     if (!fs.existsSync(outputDir)) {
       fs.mkdirSync(outputDir, { recursive: true });
     }
 
     const timestamp = new Date().toISOString().split('T')[0];
-    const reportPath = path.join(outputDir, `report-${timestamp}.md`);
-    const jsonPath = path.join(outputDir, `architecture-${timestamp}.json`);
+    const generated = [];
 
-    fs.writeFileSync(reportPath, markdownReport, 'utf-8');
-    fs.writeFileSync(jsonPath, JSON.stringify(jsonData, null, 2), 'utf-8');
+    if (writeReport) {
+      const reportPath = path.join(outputDir, `report-${timestamp}.md`);
+      fs.writeFileSync(reportPath, generateMarkdownReport(jsonData), 'utf-8');
+      generated.push(reportPath);
+    }
+    if (writeJson) {
+      const jsonPath = path.join(outputDir, `architecture-${timestamp}.json`);
+      fs.writeFileSync(jsonPath, JSON.stringify(jsonData, null, 2), 'utf-8');
+      generated.push(jsonPath);
+    }
+    let graphPath = null;
+    if (writeGraph) {
+      graphPath = path.join(outputDir, `graph-${timestamp}.html`);
+      fs.writeFileSync(graphPath, renderArchitectureHtml(jsonData), 'utf-8');
+      generated.push(graphPath);
+    }
+
+    generated.push(appendSnapshot(outputDir, snapshot));
 
     log(`\n📁 Generated files:`, 'blue');
-    log(`   - ${reportPath}`, 'cyan');
-    log(`   - ${jsonPath}`, 'cyan');
+    for (const file of generated) {
+      log(`   - ${file}`, 'cyan');
+    }
     log('');
+
+    if (options.open && graphPath) {
+      openInBrowser(graphPath);
+    }
+    if (options.format === 'html') {
+      process.exit(exitCode);
+    }
   }
 
   // Terminal output
+  if (jsonData.diff) {
+    printDiff(jsonData.diff, jsonData.diff.since, 'current');
+  }
+
   log(`\n📈 Health Score: ${jsonData.metadata.healthScore}/100 (Grade ${jsonData.metadata.healthGrade})\n`, 'blue');
 
   // Top 10 Issues
@@ -1187,17 +1328,136 @@ async function main() {
     log(`✅ No critical anomalies detected!\n`, 'green');
   }
 
+  // Rule violations
+  if (jsonData.rules) {
+    const { rules } = jsonData;
+    if (rules.violations.length > 0) {
+      log(`📏 Rule violations (${rules.errors} error(s), ${rules.warnings} warning(s), ${rules.source}):\n`, rules.errors > 0 ? 'red' : 'yellow');
+      for (const violation of rules.violations) {
+        const emoji = violation.severity === 'error' ? '❌' : '⚠️ ';
+        log(`  ${emoji} ${violation.rule}: ${violation.from} → ${violation.to}`, violation.severity === 'error' ? 'red' : 'yellow');
+        if (violation.comment) {
+          log(`     ${violation.comment}`, 'gray');
+        }
+        for (const site of violation.sites) {
+          log(`     ${formatSite(site)}`, 'gray');
+        }
+        log('');
+      }
+    } else {
+      log(`✅ All ${rules.checked} architecture rule(s) pass (${rules.source})\n`, 'green');
+    }
+  }
+
+  ignore.printSummary(log);
+
   log(`💡 Tips:`, 'blue');
   log(`   • Use --format=json to get machine-readable output`, 'gray');
   log(`   • Use --format=md to get markdown report`, 'gray');
+  log(`   • Use --open to explore the interactive graph in a browser`, 'gray');
   log(`   • Use --ai to pipe output to AI agent`, 'gray');
   log(`   • Use --layer=core to filter by specific layer`, 'gray');
   log(`   • Use --threshold=70 to show only high-impact issues`, 'gray');
+  if (!jsonData.rules) {
+    log(`   • Add ${RULES_FILE} to fail CI on forbidden dependency edges`, 'gray');
+  }
+  log('');
+
+  process.exit(exitCode);
+}
+
+/**
+ * Print a snapshot diff
+ */
+function printDiff(diff, fromLabel, toLabel) {
+  const signed = (value) => `${value >= 0 ? '+' : ''}${value}`;
+
+  log(`🔀 Changes: ${fromLabel} → ${toLabel}\n`, 'blue');
+  log(
+    `   Health Score: ${diff.healthScore.from} → ${diff.healthScore.to} (${signed(diff.healthScore.delta)})`,
+    diff.healthScore.delta > 0 ? 'green' : diff.healthScore.delta < 0 ? 'red' : 'gray'
+  );
+
+  const sections = [
+    ['Packages', diff.packages.added, diff.packages.removed, (name) => name],
+    ['Dependency edges', diff.edges.added, diff.edges.removed, ([from, to]) => `${from} → ${to}`],
+  ];
+  for (const [title, added, removed, format] of sections) {
+    log(`   ${title}: +${added.length} −${removed.length}`, added.length + removed.length > 0 ? 'cyan' : 'gray');
+    for (const item of added) {log(`     + ${format(item)}`, 'green');}
+    for (const item of removed) {log(`     − ${format(item)}`, 'red');}
+  }
+
+  const { introduced, resolved } = diff.anomalies;
+  log(`   Anomalies: ${introduced.length} introduced, ${resolved.length} resolved`, introduced.length > 0 ? 'yellow' : 'gray');
+  for (const anomaly of introduced) {
+    log(`     + ${anomaly.type.replace(/-/g, ' ')}: ${anomaly.packages.join(' ↔ ')} (${anomaly.severity}, Score: ${anomaly.score})`, 'red');
+  }
+  for (const anomaly of resolved) {
+    log(`     ✓ ${anomaly.type.replace(/-/g, ' ')}: ${anomaly.packages.join(' ↔ ')}`, 'green');
+  }
+
+  log(`   Metric changes: ${diff.metrics.length} package(s)`, diff.metrics.length > 0 ? 'cyan' : 'gray');
+  const labels = { linesOfCode: 'LOC', fileCount: 'files', afferentCoupling: 'Ca', efferentCoupling: 'Ce', instability: 'I', depth: 'depth' };
+  for (const change of diff.metrics) {
+    const parts = Object.entries(change.changes).map(
+      ([metric, { from, to, delta }]) => `${labels[metric]} ${from} → ${to} (${signed(delta)})`
+    );
+    if (change.layer) {parts.unshift(`layer ${change.layer.from} → ${change.layer.to}`);}
+    log(`     ${change.name}: ${parts.join(', ')}`, 'gray');
+  }
   log('');
+}
+
+/**
+ * `diff <a> [b]`: compare two recorded runs (b defaults to the workspace as it is now)
+ */
+function runDiff(rootDir) {
+  const [, fromRef, toRef = 'current'] = positional;
+  if (!fromRef) {
+    console.error('Usage: kb-devkit-architecture diff <from> [to]   (latest, latest~N, a date, a git ref, a report file or current)');
+    process.exit(1);
+  }
+
+  const history = readHistory(path.join(rootDir, '.kb', 'architecture'));
+  const resolve = (ref) => {
+    if (ref !== 'current') {return resolveSnapshot(ref, { history, root: workspace.root });}
+    const { jsonData } = runAudit(rootDir, Date.now());
+    return { snapshot: toSnapshot(jsonData, currentCommit(workspace.root)), label: 'current' };
+  };
+
+  const from = resolve(fromRef);
+  const to = resolve(toRef);
+  const diff = diffSnapshots(from.snapshot, to.snapshot);
 
+  if (options.json || options.format === 'json') {
+    console.log(JSON.stringify({ fromRef: from.label, toRef: to.label, ...diff }, null, 2));
+  } else {
+    log('');
+    printDiff(diff, from.label, to.label);
+  }
   process.exit(0);
 }
 
+/**
+ * Open a file with the platform's default handler, without waiting for it
+ */
+function openInBrowser(filePath) {
+  const [command, ...commandArgs] =
+    process.platform === 'darwin' ? ['open', filePath]
+      : process.platform === 'win32' ? ['cmd', '/c', 'start', '""', filePath]
+        : ['xdg-open', filePath];
+
+  log(`🌐 Opening ${filePath}`, 'blue');
+  try {
+    const child = spawn(command, commandArgs, { detached: true, stdio: 'ignore' });
+    child.on('error', () => log(`   Could not start ${command} — open the file manually`, 'gray'));
+    child.unref();
+  } catch {
+    log(`   Could not start ${command} — open the file manually`, 'gray');
+  }
+}
+
 main().catch((error) => {
   console.error('❌ Error:', error.message);
   if (process.env.DEBUG) {
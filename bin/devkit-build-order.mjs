@@ -12,6 +12,9 @@
  *   kb-devkit-build-order --package=cli   # Build order for specific package
  *   kb-devkit-build-order --json          # Output JSON
  *   kb-devkit-build-order --script        # Generate build script
+ *
+ * The graph/layering itself lives in ../graph/index.mjs and is importable as
+ * `@kb-labs/devkit/graph` — prefer that over parsing this tool's output.
  */
 
 import fs from 'node:fs';
@@ -49,213 +52,10 @@ const options = {
   package: args.find((arg) => arg.startsWith('--package='))?.split('=')[1],
 };
 
-// Shared package discovery — supports both flat and categorized layouts
-import { findPackages } from './lib/find-packages.mjs';
-
-/**
- * Build dependency graph
- */
-function buildDependencyGraph(packages) {
-  const graph = new Map(); // packageName -> { deps: Set, path: string }
-  const nameToPath = new Map();
-
-  // First pass: collect all package names
-  for (const packagePath of packages) {
-    const packageJson = JSON.parse(fs.readFileSync(packagePath, 'utf-8'));
-    const packageName = packageJson.name;
-
-    if (!packageName || !packageName.startsWith('@kb-labs/')) {continue;}
-
-    graph.set(packageName, {
-      deps: new Set(),
-      path: packagePath,
-      dir: path.dirname(packagePath),
-    });
-
-    nameToPath.set(packageName, packagePath);
-  }
-
-  // Second pass: build dependency edges
-  for (const packagePath of packages) {
-    const packageJson = JSON.parse(fs.readFileSync(packagePath, 'utf-8'));
-    const packageName = packageJson.name;
-
-    if (!packageName || !packageName.startsWith('@kb-labs/')) {continue;}
-
-    const allDeps = {
-      ...packageJson.dependencies,
-      ...packageJson.devDependencies,
-    };
-
-    for (const [dep, version] of Object.entries(allDeps)) {
-      // Skip external dependencies
-      if (!dep.startsWith('@kb-labs/')) {continue;}
-
-      // Track ALL workspace dependencies regardless of protocol
-      // Supports: workspace:*, workspace:^1.0.0, link:../path, *
-      const isWorkspaceDep =
-        version.startsWith('workspace:') ||
-        version.startsWith('link:') ||
-        version === '*';
-
-      if (isWorkspaceDep && graph.has(dep)) {
-        graph.get(packageName).deps.add(dep);
-      }
-    }
-  }
-
-  return graph;
-}
-
-/**
- * Topological sort using Kahn's algorithm
- * Returns layers of packages that can be built in parallel
- */
-function topologicalSort(graph) {
-  // Calculate in-degree (number of dependencies) for each package
-  const inDegree = new Map();
-  const reverseDeps = new Map(); // who depends on me
-
-  for (const [pkg, { deps }] of graph.entries()) {
-    if (!inDegree.has(pkg)) {
-      inDegree.set(pkg, 0);
-    }
-    if (!reverseDeps.has(pkg)) {
-      reverseDeps.set(pkg, new Set());
-    }
-
-    for (const dep of deps) {
-      inDegree.set(pkg, (inDegree.get(pkg) || 0) + 1);
-
-      if (!reverseDeps.has(dep)) {
-        reverseDeps.set(dep, new Set());
-      }
-      reverseDeps.get(dep).add(pkg);
-    }
-  }
-
-  // Find packages with no dependencies (can be built first)
-  const queue = [];
-  for (const [pkg, degree] of inDegree.entries()) {
-    if (degree === 0) {
-      queue.push(pkg);
-    }
-  }
-
-  const layers = [];
-  const sorted = [];
-
-  while (queue.length > 0) {
-    // All packages in queue can be built in parallel (same layer)
-    const layer = [...queue];
-    layers.push(layer);
-    sorted.push(...layer);
-
-    queue.length = 0;
-
-    // Process all packages in current layer
-    for (const pkg of layer) {
-      // For each package that depends on this one
-      for (const dependent of reverseDeps.get(pkg) || []) {
-        inDegree.set(dependent, inDegree.get(dependent) - 1);
-
-        // If all dependencies are satisfied, add to queue
-        if (inDegree.get(dependent) === 0) {
-          queue.push(dependent);
-        }
-      }
-    }
-  }
-
-  // Check for circular dependencies
-  if (sorted.length !== graph.size) {
-    const missing = Array.from(graph.keys()).filter((pkg) => !sorted.includes(pkg));
-    return { layers, sorted, circular: missing };
-  }
-
-  return { layers, sorted, circular: [] };
-}
-
-/**
- * Find circular dependency cycles using DFS
- */
-function findCircularDependencies(graph, circularPackages) {
-  const cycles = [];
-  const visited = new Set();
-  const recursionStack = new Set();
-  const path = [];
-
-  function dfs(pkg) {
-    if (recursionStack.has(pkg)) {
-      // Found a cycle - extract it from path
-      const cycleStart = path.indexOf(pkg);
-      const cycle = [...path.slice(cycleStart), pkg];
-
-      // Check if this cycle is new (not a rotation of existing cycle)
-      const cycleKey = cycle.slice(0, -1).sort().join('→');
-      if (!cycles.some(c => c.key === cycleKey)) {
-        cycles.push({ cycle, key: cycleKey });
-      }
-      return;
-    }
-
-    if (visited.has(pkg)) {
-      return;
-    }
-
-    visited.add(pkg);
-    recursionStack.add(pkg);
-    path.push(pkg);
-
-    const node = graph.get(pkg);
-    if (node) {
-      for (const dep of node.deps) {
-        // Only follow dependencies that are in circular packages
-        if (circularPackages.includes(dep)) {
-          dfs(dep);
-        }
-      }
-    }
-
-    path.pop();
-    recursionStack.delete(pkg);
-  }
-
-  // Start DFS from each circular package
-  for (const pkg of circularPackages) {
-    if (!visited.has(pkg)) {
-      dfs(pkg);
-    }
-  }
-
-  return cycles;
-}
-
-/**
- * Get build order for specific package and its dependencies
- */
-function getBuildOrderForPackage(graph, packageName) {
-  const visited = new Set();
-  const order = [];
-
-  function visit(pkg) {
-    if (visited.has(pkg)) {return;}
-    visited.add(pkg);
-
-    const node = graph.get(pkg);
-    if (!node) {return;}
-
-    // Visit dependencies first
-    for (const dep of node.deps) {
-      visit(dep);
-    }
-
-    order.push(pkg);
-  }
-
-  visit(packageName);
-  return order;
-}
+// Shared workspace model — package discovery plus devkit.scope from kb-labs.config.json
+import { loadWorkspace, withScope } from './lib/workspace.mjs';
+// Shared graph API — also importable as @kb-labs/devkit/graph
+import { loadBuildGraph, getBuildOrderForPackage } from '../graph/index.mjs';
 
 /**
  * Print build order
@@ -267,13 +67,13 @@ function printBuildOrder(result, graph) {
     log('❌ Circular dependencies detected!\n', 'red');
 
     // Find actual cycles
-    const cycles = findCircularDependencies(graph, result.circular);
+    const cycles = result.cycles;
 
     if (cycles.length > 0) {
       log(`Found ${cycles.length} circular dependency cycle(s):\n`, 'yellow');
 
       for (let i = 0; i < cycles.length; i++) {
-        const { cycle } = cycles[i];
+        const cycle = cycles[i];
         log(`${i + 1}. ${cycle.join(' → ')}`, 'red');
         log('', 'reset');
       }
@@ -402,20 +202,20 @@ function main() {
     log('\n🚀 KB Labs Build Order Calculator\n', 'bold');
   }
 
-  const packages = findPackages(rootDir);
+  const workspace = loadWorkspace(rootDir);
+  const packages = workspace.packageJsonPaths;
 
   if (packages.length === 0) {
     log('⚠️  No KB Labs packages found', 'yellow');
     process.exit(0);
   }
 
-  const graph = buildDependencyGraph(packages);
+  const buildGraph = loadBuildGraph(rootDir, { packageJsonPaths: packages });
+  const { graph } = buildGraph;
 
   if (options.package) {
     // Build order for specific package
-    const fullPackageName = options.package.startsWith('@kb-labs/')
-      ? options.package
-      : `@kb-labs/${options.package}`;
+    const fullPackageName = withScope(options.package, workspace.config);
 
     if (!graph.has(fullPackageName)) {
       log(`⚠️  Package not found: ${fullPackageName}`, 'yellow');
@@ -441,7 +241,7 @@ function main() {
     }
   } else {
     // Full build order
-    const result = topologicalSort(graph);
+    const result = buildGraph;
 
     if (options.json) {
       const output = {
@@ -453,10 +253,12 @@ function main() {
 
       // Add cycle details if circular dependencies exist
       if (result.circular.length > 0) {
-        const cycles = findCircularDependencies(graph, result.circular);
-        output.cycles = cycles.map(c => c.cycle);
+        output.cycles = result.cycles;
       }
 
+      // Per-package layer and dependency info
+      output.packages = result.packages;
+
       console.log(JSON.stringify(output, null, 2));
     } else if (options.script) {
       const script = generateBuildScript(result, graph);
@@ -17,16 +17,12 @@
  *   npx kb-devkit-check-build-readiness --fix (auto-fix what's possible)
  */
 
-import { execSync } from 'child_process';
-import { readFileSync, existsSync, readdirSync } from 'fs';
-import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
+// Shared workspace model — package discovery plus devkit.scope from kb-labs.config.json
+import { loadWorkspace } from './lib/workspace.mjs';
+// TypeScript-based import scanner shared with kb-devkit-check-imports
+import { findSourceFiles, getPackageName, isLocalImport, resolveLocalImport, scanFileImports } from './lib/imports.mjs';
 
-// Shared package discovery — supports both flat and categorized layouts
-import { findPackages } from './lib/find-packages.mjs';
-
-const __dirname = dirname(fileURLToPath(import.meta.url));
-const rootDir = join(__dirname, '../..');
+const workspace = loadWorkspace(process.cwd());
 
 // Parse args
 const args = process.argv.slice(2);
@@ -37,86 +33,66 @@ console.log('🔍 KB Labs Build Readiness Checker\n');
 
 // Step 1: Find all workspace packages
 function findWorkspacePackages() {
-  return findPackages(rootDir).map((pkgJsonPath) => {
-    try {
-      const pkgJson = JSON.parse(readFileSync(pkgJsonPath, 'utf8'));
-      return {
-        name: pkgJson.name,
-        path: dirname(pkgJsonPath),
-        pkgJson,
-      };
-    } catch (e) {
-      return null;
-    }
-  }).filter(Boolean);
+  return workspace.packages.map((pkg) => ({
+    name: pkg.name,
+    path: pkg.dir,
+    pkgJson: pkg.manifest,
+  }));
 }
 
-// Step 2: Get import checker results
-function getImportIssues() {
-  try {
-    return execSync('npx kb-devkit-check-imports 2>&1', {
-      cwd: rootDir,
-      encoding: 'utf8',
-      maxBuffer: 10 * 1024 * 1024, // 10MB buffer
-    });
-  } catch (e) {
-    return e.stdout || e.message;
-  }
-}
-
-// Step 3: Parse issues from output
-function parseIssues(output) {
+// Step 2: Scan imports of every package
+function collectIssues(allPackages) {
   const issues = {
     missingPackages: new Set(),
-    brokenImports: new Map(), // pkg -> [files]
+    brokenImports: new Map(), // pkg -> [specifiers]
     packagesWithIssues: new Set(),
   };
 
-  const lines = output.split('\n');
-  let currentPkg = null;
-
-  for (const line of lines) {
-    // Detect package name
-    const pkgMatch = line.match(/@kb-labs\/[\w-]+/);
-    if (pkgMatch && line.includes('❌')) {
-      currentPkg = pkgMatch[0];
-      issues.packagesWithIssues.add(currentPkg);
-    }
-
-    // Detect missing packages
-    if (line.includes('Missing workspace dependencies') && currentPkg) {
-      issues.brokenImports.set(currentPkg, []);
-    }
-
-    // Detect broken imports
-    if (line.includes('Cannot resolve:') && currentPkg) {
-      const pathMatch = line.match(/Cannot resolve: (.+)/);
-      if (pathMatch) {
-        const arr = issues.brokenImports.get(currentPkg) || [];
-        arr.push(pathMatch[1].trim());
-        issues.brokenImports.set(currentPkg, arr);
+  for (const pkg of allPackages) {
+    const declared = {
+      ...pkg.pkgJson.dependencies,
+      ...pkg.pkgJson.devDependencies,
+      ...pkg.pkgJson.peerDependencies,
+    };
+
+    // Declared dependencies of the scope that don't exist in the workspace
+    for (const dep of Object.keys(declared)) {
+      if (workspace.inScope(dep) && !workspace.getPackage(dep)) {
+        issues.missingPackages.add(dep);
+        issues.packagesWithIssues.add(pkg.name);
       }
     }
 
-    // Collect missing package names
-    if (line.includes('@kb-labs/plugin-manifest')) {
-      issues.missingPackages.add('@kb-labs/plugin-manifest');
-    }
-    if (line.includes('@kb-labs/plugin-adapter-rest')) {
-      issues.missingPackages.add('@kb-labs/plugin-adapter-rest');
-    }
-    if (line.includes('@kb-labs/plugin-adapter-cli')) {
-      issues.missingPackages.add('@kb-labs/plugin-adapter-cli');
-    }
-    if (line.includes('@kb-labs/plugin-adapter-studio')) {
-      issues.missingPackages.add('@kb-labs/plugin-adapter-studio');
+    for (const sourceFile of findSourceFiles(pkg.path)) {
+      for (const { specifier } of scanFileImports(sourceFile)) {
+        if (isLocalImport(specifier)) {
+          if (!resolveLocalImport(specifier, sourceFile)) {
+            const arr = issues.brokenImports.get(pkg.name) || [];
+            arr.push(specifier);
+            issues.brokenImports.set(pkg.name, arr);
+            issues.packagesWithIssues.add(pkg.name);
+          }
+          continue;
+        }
+
+        const depName = getPackageName(specifier);
+        if (!depName || depName === pkg.name || !workspace.isInternal(depName)) {continue;}
+
+        // Referenced package that doesn't exist, or exists but isn't declared
+        if (!workspace.getPackage(depName)) {
+          issues.missingPackages.add(depName);
+          issues.packagesWithIssues.add(pkg.name);
+        } else if (!declared[depName]) {
+          issues.packagesWithIssues.add(pkg.name);
+        }
+      }
     }
   }
 
   return issues;
 }
 
-// Step 4: Check if package can be bundled
+// Step 3: Check if package can be bundled
 function checkBundleability(pkgName, issues, allPackages) {
   const problems = [];
 
@@ -142,14 +118,14 @@ function checkBundleability(pkgName, issues, allPackages) {
 
   // Check if any dependency is missing
   for (const dep of deps) {
-    if (dep.startsWith('@kb-labs/') && issues.missingPackages.has(dep)) {
+    if (workspace.inScope(dep) && issues.missingPackages.has(dep)) {
       problems.push(`🔴 Missing dependency: ${dep}`);
     }
   }
 
   // Recursively check dependencies
   for (const dep of deps) {
-    if (dep.startsWith('@kb-labs/') && issues.packagesWithIssues.has(dep)) {
+    if (workspace.inScope(dep) && issues.packagesWithIssues.has(dep)) {
       problems.push(`🟡 Dependency has issues: ${dep}`);
     }
   }
@@ -162,9 +138,8 @@ function checkBundleability(pkgName, issues, allPackages) {
 const packages = findWorkspacePackages();
 console.log(`📦 Found ${packages.length} workspace packages\n`);
 
-console.log('🔍 Running import checker...\n');
-const importOutput = getImportIssues();
-const issues = parseIssues(importOutput);
+console.log('🔍 Scanning imports...\n');
+const issues = collectIssues(packages);
 
 console.log('📊 Analysis Results:\n');
 console.log(`🔴 Missing packages: ${issues.missingPackages.size}`);
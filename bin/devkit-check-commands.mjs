@@ -69,7 +69,7 @@ function getAllCommands() {
 
   if (manifests.length === 0) {
     log('⚠️  No plugin manifests found', 'yellow');
-    log('   Looking for kb-labs-*/packages/*/manifest.json files', 'gray');
+    log('   Looking for manifest.json next to each workspace package.json', 'gray');
     return [];
   }
 
@@ -24,9 +24,10 @@ import { promises as fs } from 'node:fs';
 import { join, dirname, resolve } from 'node:path';
 import { fileURLToPath } from 'node:url';
 import process from 'node:process';
-import { glob } from 'glob';
 import { createHash } from 'node:crypto';
 
+import { loadWorkspace } from './lib/workspace.mjs';
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const DEVKIT_ROOT = resolve(__dirname, '..');
@@ -61,37 +62,12 @@ async function sha256(content) {
   return createHash('sha256').update(content).digest('hex');
 }
 
-async function readJson(path) {
-  return JSON.parse(await fs.readFile(path, 'utf8'));
-}
-
-async function findWorkspacePackages(root) {
-  const wsFile = join(root, 'pnpm-workspace.yaml');
-  if (!(await exists(wsFile))) {
-    return [];
-  }
-
-  const pkgJsonPaths = await glob('**/package.json', {
-    cwd: root,
-    ignore: ['**/node_modules/**', '**/dist/**', '**/coverage/**'],
-    absolute: true,
-  });
-
-  const packages = [];
-  for (const pkgPath of pkgJsonPaths) {
-    try {
-      const pkg = await readJson(pkgPath);
-      if (pkg.name && pkg.name.startsWith('@kb-labs/')) {
-        packages.push({
-          name: pkg.name,
-          path: dirname(pkgPath),
-          pkg,
-        });
-      }
-    } catch {}
-  }
-
-  return packages;
+async function findWorkspacePackages(workspace) {
+  return workspace.scopedPackages.map((pkg) => ({
+    name: pkg.name,
+    path: pkg.dir,
+    pkg: pkg.manifest,
+  }));
 }
 
 const CONFIG_FILES = {
@@ -127,7 +103,7 @@ async function checkPackageConfig(pkg, opts) {
 
     // For tsup.config.ts and eslint.config.js, do structural checks
     if (filename === 'tsup.config.ts') {
-      await checkTsupConfig(content, filePath, issues, warnings);
+      await checkTsupConfig(content, filePath, issues, warnings, opts);
     } else if (filename === 'eslint.config.js') {
       await checkEslintConfig(content, filePath, issues, warnings);
     } else {
@@ -149,7 +125,7 @@ async function checkPackageConfig(pkg, opts) {
   return { issues, warnings };
 }
 
-async function checkTsupConfig(content, filePath, issues, warnings) {
+async function checkTsupConfig(content, filePath, issues, warnings, opts) {
   // Check for any DevKit preset usage
   const hasDevKitPreset =
     content.includes('nodePreset') ||
@@ -194,13 +170,13 @@ async function checkTsupConfig(content, filePath, issues, warnings) {
   const externalMatch = content.match(/external:\s*\[([^\]]+)\]/s);
   if (externalMatch) {
     const externalContent = externalMatch[1];
-    // Check if declaring @kb-labs packages (already in preset)
-    if (externalContent.includes('@kb-labs/')) {
+    // Check if declaring workspace-scope packages (already in preset)
+    if (opts.scopePrefix && externalContent.includes(opts.scopePrefix)) {
       warnings.push({
         type: 'redundant-external',
         file: 'tsup.config.ts',
         severity: 'warning',
-        message: 'Declares @kb-labs/* packages in external (already in nodePreset)',
+        message: `Declares ${opts.scopePrefix}* packages in external (already in nodePreset)`,
       });
     }
   }
@@ -367,8 +343,9 @@ async function main() {
 
   console.log(color('bright', '\n🔍 KB Labs Configuration Drift Checker\n'));
 
-  const cwd = process.cwd();
-  let packages = await findWorkspacePackages(cwd);
+  const workspace = loadWorkspace(process.cwd());
+  opts.scopePrefix = workspace.config.scopePrefix;
+  let packages = await findWorkspacePackages(workspace);
 
   if (opts.package) {
     packages = packages.filter(p => p.name === opts.package);
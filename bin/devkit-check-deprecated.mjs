@@ -27,8 +27,8 @@ import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 
-// Shared package discovery — supports both flat and categorized layouts
-import { findPackages as _findPackagePaths } from './lib/find-packages.mjs';
+// Shared workspace model — supports pnpm/npm/yarn workspaces and the kb-labs layouts
+import { loadWorkspace } from './lib/workspace.mjs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -88,28 +88,21 @@ Options:
 }
 
 /**
- * Find all kb-labs-* packages with src directories
+ * Find all workspace packages with src directories
  */
 function findPackages(rootDir, filterPackage) {
-  return _findPackagePaths(rootDir, filterPackage)
-    .map((pkgPath) => {
-      const dir = path.dirname(pkgPath);
-      const srcDir = path.join(dir, 'src');
+  return loadWorkspace(rootDir).packages
+    .filter((pkg) => !filterPackage || path.basename(pkg.dir) === filterPackage)
+    .map((pkg) => {
+      const srcDir = path.join(pkg.dir, 'src');
       if (!fs.existsSync(srcDir)) return null;
-      try {
-        const packageJson = JSON.parse(fs.readFileSync(pkgPath, 'utf-8'));
-        const parts = pkgPath.split(path.sep);
-        const repo = parts.find((p) => p.startsWith('kb-labs-')) || 'unknown';
-        return {
-          name: packageJson.name,
-          shortName: path.basename(dir),
-          repo,
-          path: dir,
-          srcPath: srcDir,
-        };
-      } catch {
-        return null;
-      }
+      return {
+        name: pkg.name,
+        shortName: path.basename(pkg.dir),
+        repo: pkg.repo ?? 'unknown',
+        path: pkg.dir,
+        srcPath: srcDir,
+      };
     })
     .filter(Boolean);
 }
@@ -474,7 +467,7 @@ async function main() {
     const packages = findPackages(rootDir, options.package);
 
     if (packages.length === 0) {
-      log('❌ No packages found. Make sure you run this from kb-labs root directory.', 'red');
+      log('❌ No packages found. Make sure you run this from the workspace root.', 'red');
       process.exit(2);
     }
 
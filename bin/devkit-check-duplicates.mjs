@@ -13,17 +13,26 @@
  *   kb-devkit-check-duplicates                    # Check all packages
  *   kb-devkit-check-duplicates --package cli-core # Check specific package
  *   kb-devkit-check-duplicates --code             # Include code duplication check
+ *   kb-devkit-check-duplicates --since=origin/main # Only issues involving packages changed since a ref (or their dependents)
+ *   kb-devkit-check-duplicates --affected         # Same, against the default branch
+ *   kb-devkit-check-duplicates --findings=<file>  # Also write normalized findings (used by kb-devkit-ci)
  */
 
 import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 
-// Shared package discovery — supports both flat and categorized layouts
+// Shared workspace model — package discovery plus devkit.scope from kb-labs.config.json
 import { findPackages } from './lib/find-packages.mjs';
+import { loadWorkspace } from './lib/workspace.mjs';
+import { loadIgnoreRules } from './lib/devkit-ignore.mjs';
+import { createFindings, findJsonKeyLine } from './lib/findings.mjs';
+import { loadAffected, printAffected } from './lib/affected.mjs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+const workspace = loadWorkspace(process.cwd());
+
 // ANSI colors
 const colors = {
   reset: '\x1b[0m',
@@ -46,8 +55,12 @@ const options = {
   package: args.find((arg) => arg.startsWith('--package='))?.split('=')[1],
   code: args.includes('--code'),
   verbose: args.includes('--verbose') || args.includes('-v'),
+  findings: args.find((arg) => arg.startsWith('--findings='))?.split('=')[1],
 };
 
+// --since=<ref> / --affected: changed packages plus their dependents
+const affected = loadAffected(workspace, args);
+
 /**
  * Collect all dependencies from all packages
  */
@@ -58,7 +71,7 @@ function collectDependencies(packages) {
     const packageJson = JSON.parse(fs.readFileSync(packagePath, 'utf-8'));
     const packageName = packageJson.name;
 
-    if (!packageName || !packageName.startsWith('@kb-labs/')) {continue;}
+    if (!packageName || !workspace.inScope(packageName)) {continue;}
 
     const allDeps = {
       ...packageJson.dependencies,
@@ -87,6 +100,19 @@ function collectDependencies(packages) {
   return dependencyMap;
 }
 
+/**
+ * Drop usages suppressed by .devkitignore (`<type>: <package> -> <dependency>`)
+ */
+function withoutIgnored(dependencyMap, ignore, ruleType) {
+  const filtered = new Map();
+
+  for (const [dep, usages] of dependencyMap.entries()) {
+    filtered.set(dep, usages.filter((usage) => !ignore.match(ruleType, usage.package, dep)));
+  }
+
+  return filtered;
+}
+
 /**
  * Find duplicate versions of dependencies
  */
@@ -181,7 +207,7 @@ function findSimilarFiles(packages) {
     const packageJson = JSON.parse(fs.readFileSync(packagePath, 'utf-8'));
     const packageName = packageJson.name;
 
-    if (!packageName || !packageName.startsWith('@kb-labs/')) {continue;}
+    if (!packageName || !workspace.inScope(packageName)) {continue;}
 
     const srcDir = path.join(packageDir, 'src');
     if (!fs.existsSync(srcDir)) {continue;}
@@ -213,6 +239,7 @@ function findSimilarFiles(packages) {
           fileMap.get(entry.name).push({
             package: packageName,
             path: path.relative(packageDir, fullPath),
+            fullPath,
           });
         }
       }
@@ -240,6 +267,68 @@ function findSimilarFiles(packages) {
   return duplicates;
 }
 
+/**
+ * Record reported (non-ignored) issues as normalized findings, one per
+ * package.json (or source file) involved
+ */
+function recordFindings(dependencyMap, duplicates, outdated, similarFiles) {
+  const findings = createFindings(workspace.root, 'duplicates', options.findings);
+
+  const manifestPaths = new Map();
+  for (const usages of dependencyMap.values()) {
+    for (const usage of usages) {
+      manifestPaths.set(usage.package, usage.path);
+    }
+  }
+
+  for (const dup of duplicates) {
+    for (const ver of dup.versions) {
+      const others = dup.versions
+        .filter((other) => other !== ver)
+        .map((other) => `${other.version} (${other.count})`)
+        .join(', ');
+      for (const pkg of ver.packages) {
+        const manifestPath = manifestPaths.get(pkg);
+        findings.add({
+          rule: 'duplicate-dep',
+          file: manifestPath,
+          line: findJsonKeyLine(manifestPath, dup.dependency),
+          message: `${dup.dependency}@${ver.version} differs from other packages: ${others}`,
+          package: pkg,
+        });
+      }
+    }
+  }
+
+  if (options.verbose) {
+    for (const dep of outdated) {
+      for (const usage of dep.outdatedUsages) {
+        const manifestPath = manifestPaths.get(usage.package);
+        findings.add({
+          rule: 'outdated-dep',
+          severity: 'note',
+          file: manifestPath,
+          line: findJsonKeyLine(manifestPath, dep.dependency),
+          message: `${dep.dependency}@${usage.version} is older than ${dep.newestVersion} used elsewhere`,
+          package: usage.package,
+        });
+      }
+    }
+  }
+
+  for (const file of similarFiles) {
+    for (const loc of file.locations) {
+      findings.add({
+        rule: 'similar-file',
+        severity: 'warning',
+        file: loc.fullPath,
+        message: `${file.filename} also exists in ${file.count - 1} other package(s)`,
+        package: loc.package,
+      });
+    }
+  }
+}
+
 /**
  * Main function
  */
@@ -268,23 +357,45 @@ function main() {
 
   log(`Found ${packages.length} package(s) to check\n`, 'gray');
 
+  if (affected) {
+    printAffected(affected, packages.length, log);
+    log('   Versions are compared across all packages; only issues involving an affected package are reported\n', 'gray');
+  }
+
   // Collect dependencies
   const dependencyMap = collectDependencies(packages);
   log(`Analyzing ${dependencyMap.size} unique dependencies...\n`, 'gray');
 
+  const ignore = loadIgnoreRules(workspace.root, 'check-duplicates');
+
   // Find duplicate versions
-  const duplicates = findDuplicateVersions(dependencyMap);
+  let duplicates = findDuplicateVersions(withoutIgnored(dependencyMap, ignore, 'duplicate-dep'));
 
   // Find outdated common deps
-  const outdated = findOutdatedCommon(dependencyMap);
+  let outdated = findOutdatedCommon(withoutIgnored(dependencyMap, ignore, 'outdated-dep'));
 
-  // Find similar files (if enabled)
+  // Find similar files (if enabled); ignored locations don't count towards a match
   let similarFiles = [];
   if (options.code) {
     log('Scanning for code duplication patterns...\n', 'gray');
-    similarFiles = findSimilarFiles(packages);
+    similarFiles = findSimilarFiles(packages)
+      .map((file) => {
+        const locations = file.locations.filter((loc) => !ignore.match('similar-file', loc.package, file.filename));
+        return { ...file, locations, count: locations.length };
+      })
+      .filter((file) => file.count > 1);
   }
 
+  if (affected) {
+    const involvesAffected = (names) => names.some((name) => affected.has(name));
+    duplicates = duplicates.filter((dup) => involvesAffected(dup.versions.flatMap((ver) => ver.packages)));
+    outdated = outdated.filter((dep) => involvesAffected(dep.outdatedUsages.map((usage) => usage.package)));
+    similarFiles = similarFiles.filter((file) => involvesAffected(file.locations.map((loc) => loc.package)));
+  }
+
+  ignore.recordUsage({ partial: Boolean(options.package || affected) });
+  recordFindings(dependencyMap, duplicates, outdated, similarFiles);
+
   // Print results
   let hasIssues = false;
 
@@ -372,6 +483,7 @@ function main() {
 
   if (!hasIssues) {
     log('✅ No duplicate dependencies found!\n', 'green');
+    ignore.printSummary(log);
     process.exit(0);
   }
 
@@ -387,6 +499,8 @@ function main() {
     log(`   🟠 ${similarFiles.length} potential code duplication patterns`, 'yellow');
   }
 
+  ignore.printSummary(log);
+
   log('\n💡 Tips:', 'blue');
   log('   • Use --verbose to see full package lists and outdated deps', 'gray');
   log('   • Use --code to check for code duplication patterns', 'gray');
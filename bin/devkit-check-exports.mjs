@@ -4,26 +4,41 @@
  * @kb-labs/devkit - Export Checker
  *
  * Checks for:
- * 1. Unused exports (exported but never imported by other packages)
+ * 1. Unused exports (public API that no other package, test or bin reaches)
  * 2. Dead code in public APIs (exports without consumers)
- * 3. Missing barrel exports (files not exported from index.ts)
+ * 3. Missing barrel exports (files whose exports reach no entry point)
  * 4. Inconsistent exports (package.json exports vs actual files)
  *
+ * Exports and their uses come from a cross-package symbol graph built with the
+ * TypeScript language service (see lib/export-graph.mjs): re-export chains,
+ * `export *`, default and namespace imports and type-only usage are followed
+ * to the entry points declared in package.json `exports`.
+ *
  * Usage:
  *   kb-devkit-check-exports                    # Check all packages
  *   kb-devkit-check-exports --package cli-core # Check specific package
  *   kb-devkit-check-exports --strict           # Include internal-only exports
+ *   kb-devkit-check-exports --since=origin/main # Only packages whose exports a change since the ref can affect
+ *   kb-devkit-check-exports --affected         # Same, against the default branch
+ *   kb-devkit-check-exports --findings=<file>  # Also write normalized findings (used by kb-devkit-ci)
  */
 
 import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 
-// Shared package discovery — supports both flat and categorized layouts
+// Shared workspace model — package discovery plus devkit.scope from kb-labs.config.json
 import { findPackages } from './lib/find-packages.mjs';
+import { buildExportGraph } from './lib/export-graph.mjs';
+import { loadWorkspace } from './lib/workspace.mjs';
+import { loadIgnoreRules } from './lib/devkit-ignore.mjs';
+import { createFindings, findJsonKeyLine } from './lib/findings.mjs';
+import { loadAffected, printAffected } from './lib/affected.mjs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+const workspace = loadWorkspace(process.cwd());
+
 // ANSI colors
 const colors = {
   reset: '\x1b[0m',
@@ -46,167 +61,22 @@ const options = {
   package: args.find((arg) => arg.startsWith('--package='))?.split('=')[1],
   strict: args.includes('--strict'),
   verbose: args.includes('--verbose') || args.includes('-v'),
+  findings: args.find((arg) => arg.startsWith('--findings='))?.split('=')[1],
 };
 
-/**
- * Extract exports from TypeScript/JavaScript file
- */
-function extractExports(filePath, content) {
-  const exports = [];
-
-  // Match: export const/let/var/function/class/interface/type/enum name
-  // Match: export { name1, name2 }
-  // Match: export * from 'module'
-  const patterns = [
-    // export const foo = ...
-    /export\s+(?:const|let|var)\s+(\w+)/g,
-    // export function foo() {}
-    /export\s+function\s+(\w+)/g,
-    // export class Foo {}
-    /export\s+class\s+(\w+)/g,
-    // export interface Foo {}
-    /export\s+interface\s+(\w+)/g,
-    // export type Foo = ...
-    /export\s+type\s+(\w+)/g,
-    // export enum Foo {}
-    /export\s+enum\s+(\w+)/g,
-    // export { foo, bar }
-    /export\s*{([^}]+)}/g,
-  ];
-
-  for (const pattern of patterns) {
-    let match;
-    while ((match = pattern.exec(content)) !== null) {
-      const exportName = match[1];
-      const line = content.substring(0, match.index).split('\n').length;
-
-      // Handle export { foo, bar } - multiple exports
-      if (exportName.includes(',')) {
-        const names = exportName
-          .split(',')
-          .map((n) => n.trim())
-          .filter((n) => n && !n.includes('as')); // Skip "as" renames for now
-
-        for (const name of names) {
-          exports.push({ name, line, type: 'named' });
-        }
-      } else {
-        exports.push({ name: exportName, line, type: 'named' });
-      }
-    }
-  }
-
-  // Check for default export
-  if (/export\s+default/.test(content)) {
-    const line = content.substring(0, content.indexOf('export default')).split('\n').length;
-    exports.push({ name: 'default', line, type: 'default' });
-  }
-
-  // Check for re-exports (export * from 'module')
-  const reExportPattern = /export\s+\*\s+from\s+['"]([^'"]+)['"]/g;
-  let reExportMatch;
-  while ((reExportMatch = reExportPattern.exec(content)) !== null) {
-    const line = content.substring(0, reExportMatch.index).split('\n').length;
-    exports.push({
-      name: `* from "${reExportMatch[1]}"`,
-      line,
-      type: 're-export',
-    });
-  }
-
-  return exports;
-}
-
-/**
- * Extract imports from TypeScript/JavaScript file
- */
-function extractImports(filePath, content) {
-  const imports = [];
-
-  // Match: import { name1, name2 } from 'module'
-  // Match: import name from 'module'
-  const namedImportPattern = /import\s+{([^}]+)}\s+from\s+['"]([^'"]+)['"]/g;
-  const defaultImportPattern = /import\s+(\w+)\s+from\s+['"]([^'"]+)['"]/g;
-
-  let match;
-
-  // Named imports
-  while ((match = namedImportPattern.exec(content)) !== null) {
-    const names = match[1]
-      .split(',')
-      .map((n) => n.trim())
-      .filter((n) => n && !n.includes('as')); // Skip "as" renames
-
-    const module = match[2];
-
-    for (const name of names) {
-      imports.push({ name, module, type: 'named' });
-    }
-  }
-
-  // Default imports
-  while ((match = defaultImportPattern.exec(content)) !== null) {
-    const name = match[1];
-    const module = match[2];
-
-    // Skip if this is actually a named import (has { after import)
-    if (!content.substring(match.index, match.index + 50).includes('{')) {
-      imports.push({ name, module, type: 'default' });
-    }
-  }
-
-  return imports;
-}
-
-/**
- * Find all source files in package
- */
-function findSourceFiles(packageDir) {
-  const files = [];
-  const srcDir = path.join(packageDir, 'src');
-
-  if (!fs.existsSync(srcDir)) {
-    return files;
-  }
-
-  function walk(dir) {
-    const entries = fs.readdirSync(dir, { withFileTypes: true });
-
-    for (const entry of entries) {
-      const fullPath = path.join(dir, entry.name);
-
-      if (entry.isDirectory()) {
-        walk(fullPath);
-      } else if (entry.isFile() && /\.(ts|tsx|js|jsx|mjs|cjs)$/.test(entry.name)) {
-        files.push(fullPath);
-      }
-    }
-  }
-
-  walk(srcDir);
-  return files;
-}
-
-/**
- * Check if export is used in package.json exports field
- */
-function isUsedInPackageExports(exportName, packageJson) {
-  if (!packageJson.exports) {return false;}
-
-  const exportsStr = JSON.stringify(packageJson.exports);
-  return exportsStr.includes(exportName);
-}
+// --since=<ref> / --affected: changed packages, their dependents and the packages they import
+const affected = loadAffected(workspace, args);
 
 /**
  * Check package for export issues
  */
-function checkPackage(packageJsonPath, allPackages) {
+function checkPackage(packageJsonPath, exportGraph) {
   const packageDir = path.dirname(packageJsonPath);
   const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf-8'));
   const packageName = packageJson.name;
 
-  if (!packageName || !packageName.startsWith('@kb-labs/')) {
-    return null; // Skip non-KB Labs packages
+  if (!packageName || !workspace.inScope(packageName)) {
+    return null; // Skip packages outside the configured scope
   }
 
   const issues = {
@@ -215,144 +85,57 @@ function checkPackage(packageJsonPath, allPackages) {
     inconsistentExports: [],
   };
 
-  const sourceFiles = findSourceFiles(packageDir);
+  const node = exportGraph.get(packageName);
 
-  if (sourceFiles.length === 0) {
-    return null; // No source files
+  if (!node || node.exports.length === 0) {
+    return null; // No source files with exports
   }
 
-  // Step 1: Collect all exports from all files
-  const allExports = new Map(); // file -> exports[]
-
-  for (const sourceFile of sourceFiles) {
-    const content = fs.readFileSync(sourceFile, 'utf-8');
-    const exports = extractExports(sourceFile, content);
-
-    if (exports.length > 0) {
-      allExports.set(sourceFile, exports);
+  // Step 1: Unused exports — public ones (reachable from package.json exports) that no other
+  // package, test or bin reaches; in strict mode also internal ones nothing imports at all
+  for (const exp of node.exports) {
+    const unused = exp.isPublic
+      ? !exp.usedExternally
+      : options.strict && !exp.usedExternally && !exp.usedInternally;
+
+    if (unused) {
+      issues.unusedExports.push({
+        file: path.relative(packageDir, exp.file),
+        line: exp.line,
+        name: exp.name,
+        type: exp.type,
+        isPublic: exp.isPublic,
+      });
     }
   }
 
-  // Step 2: Collect all imports from other packages
-  const externalImports = new Map(); // packageName -> imports[]
-
-  for (const otherPackagePath of allPackages) {
-    if (otherPackagePath === packageJsonPath) {continue;} // Skip self
-
-    const otherPackageDir = path.dirname(otherPackagePath);
-    const otherSourceFiles = findSourceFiles(otherPackageDir);
-
-    for (const otherSourceFile of otherSourceFiles) {
-      const content = fs.readFileSync(otherSourceFile, 'utf-8');
-      const imports = extractImports(otherSourceFile, content);
-
-      for (const imp of imports) {
-        // Check if importing from our package
-        if (imp.module === packageName || imp.module.startsWith(`${packageName}/`)) {
-          if (!externalImports.has(imp.module)) {
-            externalImports.set(imp.module, []);
-          }
-          externalImports.get(imp.module).push(imp.name);
-        }
-      }
-    }
-  }
-
-  // Step 3: Check for unused exports
-  const indexFile = sourceFiles.find((f) => /\/index\.(ts|tsx|js|jsx|mjs|cjs)$/.test(f));
-  const indexExports = indexFile ? allExports.get(indexFile) || [] : [];
-  const importedNames = new Set();
-
-  for (const imports of externalImports.values()) {
-    for (const name of imports) {
-      importedNames.add(name);
-    }
-  }
-
-  for (const [file, exports] of allExports.entries()) {
-    const relativeFile = path.relative(packageDir, file);
-
-    // Skip test files
-    if (relativeFile.includes('.test.') || relativeFile.includes('.spec.')) {
-      continue;
-    }
-
-    for (const exp of exports) {
-      // Skip re-exports and default exports (harder to track)
-      if (exp.type === 're-export' || exp.type === 'default') {
-        continue;
-      }
-
-      // Skip if used in package.json exports
-      if (isUsedInPackageExports(exp.name, packageJson)) {
-        continue;
-      }
-
-      // Check if exported from index (public API)
-      const isInIndex = indexExports.some((e) => e.name === exp.name);
-
-      // If not exported from index and not imported externally
-      if (!isInIndex && !importedNames.has(exp.name)) {
-        // In strict mode, report all unused exports
-        // In normal mode, only report exports from index.ts
-        if (options.strict || file === indexFile) {
-          issues.unusedExports.push({
-            file: relativeFile,
-            line: exp.line,
-            name: exp.name,
-            type: exp.type,
-            isPublic: file === indexFile,
-          });
-        }
+  // Step 2: Missing barrel exports — files whose exports don't reach any entry point
+  if (options.strict) {
+    const byFile = new Map();
+    for (const exp of node.exports) {
+      if (!byFile.has(exp.file)) {
+        byFile.set(exp.file, []);
       }
+      byFile.get(exp.file).push(exp);
     }
-  }
-
-  // Step 4: Check for missing barrel exports (files not exported from index.ts)
-  if (indexFile && sourceFiles.length > 1) {
-    const indexContent = fs.readFileSync(indexFile, 'utf-8');
-
-    for (const file of sourceFiles) {
-      if (file === indexFile) {continue;}
-
-      // Skip test files, internal files
-      const relativeFile = path.relative(path.dirname(indexFile), file);
-      if (
-        relativeFile.includes('.test.') ||
-        relativeFile.includes('.spec.') ||
-        relativeFile.includes('internal/') ||
-        relativeFile.includes('__tests__/') ||
-        relativeFile.includes('__mocks__/')
-      ) {
-        continue;
-      }
-
-      // Check if file is re-exported from index
-      const fileExports = allExports.get(file) || [];
-      if (fileExports.length === 0) {continue;}
-
-      const fileBasename = path.basename(file).replace(/\.(ts|tsx|js|jsx|mjs|cjs)$/, '');
-      const isReExported =
-        indexContent.includes(`from './${relativeFile.replace(/\.(ts|tsx|js|jsx|mjs|cjs)$/, '')}`) ||
-        indexContent.includes(`from "./${relativeFile.replace(/\.(ts|tsx|js|jsx|mjs|cjs)$/, '')}`) ||
-        indexContent.includes(`from './${fileBasename}'`) ||
-        indexContent.includes(`from "./${fileBasename}"`);
 
-      if (!isReExported && !options.strict) {
-        // Only report in strict mode for now (too noisy otherwise)
+    for (const [file, exports] of byFile.entries()) {
+      const relativeFile = path.relative(packageDir, file);
+      if (node.entryPoints.includes(file) || relativeFile.includes('internal/') || relativeFile.includes('__mocks__/')) {
         continue;
       }
 
-      if (!isReExported) {
+      if (!exports.some((exp) => exp.isPublic)) {
         issues.missingBarrelExports.push({
           file: relativeFile,
-          exportsCount: fileExports.length,
+          sourceFile: file,
+          exportsCount: exports.length,
         });
       }
     }
   }
 
-  // Step 5: Check package.json exports consistency
+  // Step 3: Check package.json exports consistency
   if (packageJson.exports && typeof packageJson.exports === 'object') {
     for (const [exportPath, exportConfig] of Object.entries(packageJson.exports)) {
       if (exportPath === '.') {continue;} // Main export
@@ -385,6 +168,50 @@ function checkPackage(packageJsonPath, allPackages) {
   };
 }
 
+/**
+ * Record reported (non-ignored) issues as normalized findings
+ */
+function recordFindings(results) {
+  const findings = createFindings(workspace.root, 'exports', options.findings);
+
+  for (const result of results) {
+    for (const exp of result.unusedExports) {
+      findings.add({
+        rule: 'unused-export',
+        severity: 'warning',
+        file: path.join(result.packageDir, exp.file),
+        line: exp.line,
+        message: exp.isPublic
+          ? `Public export "${exp.name}" is not used by any other package, test or bin`
+          : `Internal export "${exp.name}" is never imported`,
+        package: result.packageName,
+      });
+    }
+
+    if (options.strict) {
+      for (const file of result.missingBarrelExports) {
+        findings.add({
+          rule: 'missing-barrel',
+          severity: 'warning',
+          file: file.sourceFile,
+          message: `${file.exportsCount} export(s) not reachable from a package.json entry point`,
+          package: result.packageName,
+        });
+      }
+    }
+
+    for (const exp of result.inconsistentExports) {
+      findings.add({
+        rule: 'inconsistent-export',
+        file: result.packageJsonPath,
+        line: findJsonKeyLine(result.packageJsonPath, exp.exportPath),
+        message: `exports["${exp.exportPath}"] → ${exp.actualPath}: ${exp.issue}`,
+        package: result.packageName,
+      });
+    }
+  }
+}
+
 /**
  * Main function
  */
@@ -403,26 +230,51 @@ function main() {
     log('⚠️  Strict mode enabled (includes internal exports)\n', 'yellow');
   }
 
-  const packages = findPackages(rootDir, options.package);
+  // Every package is a consumer; --package only narrows what gets checked
+  const packages = findPackages(rootDir);
+  const selectedPackages = options.package ? findPackages(rootDir, options.package) : packages;
 
-  if (packages.length === 0) {
+  if (selectedPackages.length === 0) {
     log('⚠️  No KB Labs packages found', 'yellow');
     log('   Run this command from the monorepo root\n', 'gray');
     process.exit(0);
   }
 
-  log(`Found ${packages.length} package(s) to check\n`, 'gray');
+  // Every package stays a consumer; only the affected ones are checked. A change
+  // can also leave exports of a package it imports unused, so those count too.
+  let packagesToCheck = selectedPackages;
+  if (affected) {
+    printAffected(affected, packages.length, log);
+    packagesToCheck = affected.filter(selectedPackages, { withDependencies: true });
+    if (packagesToCheck.length === 0) {
+      log('\n✅ No affected packages — nothing to check\n', 'green');
+      process.exit(0);
+    }
+    log('');
+  }
+
+  log(`Found ${packagesToCheck.length} package(s) to check\n`, 'gray');
 
+  const ignore = loadIgnoreRules(workspace.root, 'check-exports');
   const results = [];
 
-  // Check each package
-  for (const packagePath of packages) {
-    const result = checkPackage(packagePath, packages);
+  log('Building export graph...\n', 'gray');
+  const exportGraph = buildExportGraph(workspace.root, packages);
+
+  // Check each package, dropping issues suppressed by .devkitignore
+  for (const packagePath of packagesToCheck) {
+    const result = checkPackage(packagePath, exportGraph);
     if (result) {
+      result.unusedExports = ignore.filter('unused-export', result.packageName, result.unusedExports, (exp) => exp.name);
+      result.missingBarrelExports = ignore.filter('missing-barrel', result.packageName, result.missingBarrelExports, (file) => file.file);
+      result.inconsistentExports = ignore.filter('inconsistent-export', result.packageName, result.inconsistentExports, (exp) => exp.exportPath);
       results.push(result);
     }
   }
 
+  ignore.recordUsage({ partial: Boolean(options.package || affected) });
+  recordFindings(results);
+
   // Print results
   let hasIssues = false;
 
@@ -434,7 +286,7 @@ function main() {
 
     if (issueCount === 0 && !options.verbose) {continue;}
 
-    hasIssues = issueCount > 0;
+    hasIssues = hasIssues || issueCount > 0;
 
     if (issueCount > 0) {
       log(`\n❌ ${result.packageName}`, 'red');
@@ -464,20 +316,20 @@ function main() {
         }
       }
 
-      log(`\n      💡 These exports are never imported by other packages`, 'blue');
+      log(`\n      💡 No other package, test or bin uses these exports`, 'blue');
       log(`      💡 Consider removing them to reduce API surface`, 'blue');
     }
 
     // Missing barrel exports
     if (result.missingBarrelExports.length > 0 && options.strict) {
-      log(`\n   🟡 Files not exported from index.ts (${result.missingBarrelExports.length}):`, 'yellow');
+      log(`\n   🟡 Files not reachable from package entry points (${result.missingBarrelExports.length}):`, 'yellow');
 
       for (const file of result.missingBarrelExports) {
         log(`      ${file.file}`, 'gray');
         log(`      └─ ${file.exportsCount} export(s)`, 'gray');
       }
 
-      log(`\n      💡 These files have exports but aren't re-exported from index.ts`, 'blue');
+      log(`\n      💡 These files have exports but none is re-exported by a package.json entry point`, 'blue');
       log(`      💡 Consider adding them to the barrel export or marking as internal`, 'blue');
     }
 
@@ -499,6 +351,7 @@ function main() {
 
   if (!hasIssues) {
     log('✅ No export issues found!\n', 'green');
+    ignore.printSummary(log);
     process.exit(0);
   }
 
@@ -518,6 +371,8 @@ function main() {
     log(`   🔴 ${inconsistentCount} inconsistent package.json export(s)`, 'red');
   }
 
+  ignore.printSummary(log);
+
   log('\n💡 Tips:', 'blue');
   log('   • Use --verbose to see all packages (including clean ones)', 'gray');
   log('   • Use --package=<name> to check a specific package', 'gray');
@@ -8,93 +8,53 @@
  * 2. Unused dependencies in package.json
  * 3. Imports from node_modules that should be workspace imports
  * 4. Circular dependencies between packages
+ * 5. Runtime dependencies only used for types (suggested for devDependencies)
+ *
+ * Imports are read with the TypeScript parser (see lib/imports.mjs), so
+ * specifiers in comments and strings are ignored and `export ... from`,
+ * `import type` and `import()` are classified correctly.
  *
  * Usage:
  *   kb-devkit-check-imports                    # Check all packages
  *   kb-devkit-check-imports --package cli-core # Check specific package
- *   kb-devkit-check-imports --fix              # Auto-fix unused deps
+ *   kb-devkit-check-imports --since=origin/main # Only packages changed since a ref, plus their dependents
+ *   kb-devkit-check-imports --affected         # Same, against the default branch
+ *   kb-devkit-check-imports --fix              # Fix every fixable issue (backup in .kb/devkit/backups)
+ *   kb-devkit-check-imports --fix --dry-run    # Preview fixes as a unified diff
+ *   kb-devkit-check-imports --revert[=<id>]    # Undo the last (or given) --fix run
+ *   kb-devkit-check-imports --findings=<file>  # Also write normalized findings (used by kb-devkit-ci)
  */
 
 import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 
-// Shared package discovery — supports both flat and categorized layouts
+// Shared workspace model — package discovery plus devkit.scope from kb-labs.config.json
 import { findPackages } from './lib/find-packages.mjs';
+import { loadWorkspace } from './lib/workspace.mjs';
+// TypeScript-based import scanner (runtime / type-only / dynamic / side-effect)
+import {
+  findSourceFiles,
+  getPackageName,
+  isLocalImport,
+  isNodeBuiltin,
+  isTypeOnlyUsage,
+  requiresExplicitExtensions,
+  resolveLocalImport,
+  scanFileImports,
+  toImportSpecifier,
+} from './lib/imports.mjs';
+// Fix support: package-wide usage scan, diff preview and revertable backups
+import { findRemovableDependencies } from './lib/dependency-usage.mjs';
+import { unifiedDiff } from './lib/diff.mjs';
+import { createBackup, restoreBackup } from './lib/backup.mjs';
+import { loadIgnoreRules } from './lib/devkit-ignore.mjs';
+import { createFindings, findJsonKeyLine } from './lib/findings.mjs';
+import { loadAffected, printAffected } from './lib/affected.mjs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-/**
- * Parse .devkitignore file
- * Returns rules grouped by type
- */
-function parseDevkitIgnore(rootDir) {
-  const ignorePath = path.join(rootDir, '.devkitignore');
-  const rules = {
-    'missing-dep': [],
-    'unused-dep': [],
-    'broken-import': [],
-    'circular-dep': [],
-  };
-
-  if (!fs.existsSync(ignorePath)) {
-    return rules;
-  }
-
-  const content = fs.readFileSync(ignorePath, 'utf-8');
-  const lines = content.split('\n');
-
-  for (const line of lines) {
-    const trimmed = line.trim();
-
-    // Skip empty lines and comments
-    if (!trimmed || trimmed.startsWith('#')) {continue;}
-
-    // Parse rule: "rule-type: pattern # reason"
-    const match = trimmed.match(/^(missing-dep|unused-dep|broken-import|circular-dep):\s*(.+?)(?:\s*#\s*(.*))?$/);
-    if (!match) {continue;}
-
-    const [, ruleType, pattern, reason] = match;
-
-    // Parse pattern: "package -> target"
-    // Simpler regex: match @scope/package or package, then ->, then target
-    const patternMatch = pattern.trim().match(/^(@[\w-]+\/[\w-]+|[\w-]+)\s*->\s*(.+)$/);
-    if (!patternMatch) {continue;}
-
-    const [, packageName, target] = patternMatch;
-
-    rules[ruleType].push({
-      package: packageName.trim(),
-      target: target.trim(),
-      reason: reason?.trim() || 'No reason provided',
-    });
-  }
-
-  return rules;
-}
-
-/**
- * Check if an issue should be ignored based on rules
- */
-function shouldIgnore(rules, ruleType, packageName, target) {
-  const typeRules = rules[ruleType] || [];
-
-  for (const rule of typeRules) {
-    if (rule.package !== packageName) {continue;}
-
-    // Handle wildcard patterns
-    if (rule.target.includes('*')) {
-      const regex = new RegExp('^' + rule.target.replace(/\./g, '\\.').replace(/\*/g, '.*') + '$');
-      if (regex.test(target)) {
-        return rule;
-      }
-    } else if (rule.target === target) {
-      return rule;
-    }
-  }
-
-  return null;
-}
+const workspace = loadWorkspace(process.cwd());
 
 // ANSI colors
 const colors = {
@@ -116,132 +76,15 @@ function log(message, color = 'reset') {
 const args = process.argv.slice(2);
 const options = {
   package: args.find((arg) => arg.startsWith('--package='))?.split('=')[1],
-  fix: args.includes('--fix'),
+  fix: args.includes('--fix') || args.includes('--dry-run'),
+  dryRun: args.includes('--dry-run'),
+  revert: args.find((arg) => arg === '--revert' || arg.startsWith('--revert=')),
   verbose: args.includes('--verbose') || args.includes('-v'),
+  findings: args.find((arg) => arg.startsWith('--findings='))?.split('=')[1],
 };
 
-/**
- * Extract imports from TypeScript/JavaScript file
- */
-function extractImports(filePath, content) {
-  const imports = [];
-
-  // Match: import ... from 'module'
-  // Match: import('module')
-  // Match: require('module')
-  const patterns = [
-    /import\s+(?:[\w*{}\n\r\t, ]+\s+from\s+)?['"]([^'"]+)['"]/g,
-    /import\s*\(\s*['"]([^'"]+)['"]\s*\)/g,
-    /require\s*\(\s*['"]([^'"]+)['"]\s*\)/g,
-  ];
-
-  for (const pattern of patterns) {
-    let match;
-    while ((match = pattern.exec(content)) !== null) {
-      const importPath = match[1];
-      imports.push({
-        path: importPath,
-        line: content.substring(0, match.index).split('\n').length,
-      });
-    }
-  }
-
-  return imports;
-}
-
-/**
- * Check if import path is a local file import
- */
-function isLocalImport(importPath) {
-  return importPath.startsWith('.') || importPath.startsWith('/');
-}
-
-/**
- * Check if import path is a node built-in
- */
-function isNodeBuiltin(importPath) {
-  // If it starts with node:, it's definitely a builtin
-  if (importPath.startsWith('node:')) {
-    return true;
-  }
-
-  const builtins = [
-    'assert', 'buffer', 'child_process', 'cluster', 'crypto', 'dgram',
-    'dns', 'domain', 'events', 'fs', 'http', 'https', 'net', 'os',
-    'path', 'punycode', 'querystring', 'readline', 'repl', 'stream',
-    'string_decoder', 'timers', 'tls', 'tty', 'url', 'util', 'v8',
-    'vm', 'zlib', 'module', 'inspector', 'perf_hooks', 'worker_threads',
-    'async_hooks', 'trace_events', 'diagnostics_channel',
-  ];
-
-  // Also check for subpaths like fs/promises
-  const baseModule = importPath.split('/')[0];
-  return builtins.includes(baseModule);
-}
-
-/**
- * Resolve import path to actual file
- */
-function resolveImport(importPath, sourceFile, packageRoot) {
-  if (!isLocalImport(importPath)) {
-    return null; // External dependency
-  }
-
-  const sourceDir = path.dirname(sourceFile);
-  const extensions = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs', '.json'];
-
-  // Try exact path
-  const resolved = path.resolve(sourceDir, importPath);
-
-  // Try with extensions
-  for (const ext of extensions) {
-    const withExt = resolved + ext;
-    if (fs.existsSync(withExt) && fs.statSync(withExt).isFile()) {
-      return withExt;
-    }
-  }
-
-  // Try as directory with index file
-  if (fs.existsSync(resolved) && fs.statSync(resolved).isDirectory()) {
-    for (const ext of extensions) {
-      const indexFile = path.join(resolved, `index${ext}`);
-      if (fs.existsSync(indexFile)) {
-        return indexFile;
-      }
-    }
-  }
-
-  return null; // Could not resolve
-}
-
-/**
- * Find all source files in package
- */
-function findSourceFiles(packageDir) {
-  const files = [];
-  const srcDir = path.join(packageDir, 'src');
-
-  if (!fs.existsSync(srcDir)) {
-    return files;
-  }
-
-  function walk(dir) {
-    const entries = fs.readdirSync(dir, { withFileTypes: true });
-
-    for (const entry of entries) {
-      const fullPath = path.join(dir, entry.name);
-
-      if (entry.isDirectory()) {
-        walk(fullPath);
-      } else if (entry.isFile() && /\.(ts|tsx|js|jsx|mjs|cjs)$/.test(entry.name)) {
-        files.push(fullPath);
-      }
-    }
-  }
-
-  walk(srcDir);
-  return files;
-}
+// --since=<ref> / --affected: changed packages plus their dependents
+const affected = loadAffected(workspace, args);
 
 /**
  * Check package for import issues
@@ -251,8 +94,8 @@ function checkPackage(packageJsonPath) {
   const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf-8'));
   const packageName = packageJson.name;
 
-  if (!packageName || !packageName.startsWith('@kb-labs/')) {
-    return null; // Skip non-KB Labs packages
+  if (!packageName || !workspace.inScope(packageName)) {
+    return null; // Skip packages outside the configured scope
   }
 
   const issues = {
@@ -260,6 +103,7 @@ function checkPackage(packageJsonPath) {
     unusedDeps: [],
     missingWorkspaceDeps: [],
     missingNpmDeps: [],
+    typeOnlyDeps: [],
     usedDeps: new Set(),
   };
 
@@ -274,58 +118,60 @@ function checkPackage(packageJsonPath) {
     return null; // No source files
   }
 
+  // node16/nodenext packages need `./file.js`, not `./file`
+  const requireExtension = requiresExplicitExtensions(packageDir);
+
+  // How each external package is used, to spot deps that are only needed for types
+  const usageKinds = new Map();
+
   // Check each source file
   for (const sourceFile of sourceFiles) {
-    const content = fs.readFileSync(sourceFile, 'utf-8');
-    const imports = extractImports(sourceFile, content);
-
-    for (const imp of imports) {
-      const { path: importPath, line } = imp;
+    const imports = scanFileImports(sourceFile);
+    const file = path.relative(packageDir, sourceFile);
 
+    for (const { specifier: importPath, kind, line, column, start, end } of imports) {
       // Check local imports
       if (isLocalImport(importPath)) {
-        const resolved = resolveImport(importPath, sourceFile, packageDir);
-
-        if (!resolved) {
-          issues.brokenImports.push({
-            file: path.relative(packageDir, sourceFile),
-            line,
-            import: importPath,
-          });
+        if (!resolveLocalImport(importPath, sourceFile, { requireExtension })) {
+          // Resolvable without the extension rule → only the extension is missing
+          const reason = resolveLocalImport(importPath, sourceFile) ? 'missing-extension' : 'not-found';
+          issues.brokenImports.push({ file, line, column, import: importPath, kind, reason, start, end });
         }
       }
       // Check external dependencies
       else if (!isNodeBuiltin(importPath)) {
-        // Extract package name (handle scoped packages and subpaths)
-        const match = importPath.match(/^(@[^/]+\/[^/]+|[^/]+)/);
-        const depName = match ? match[1] : importPath;
+        const depName = getPackageName(importPath);
+
+        // A package importing itself (self-reference through "exports") needs no dependency
+        if (depName === packageName) {continue;}
 
         issues.usedDeps.add(depName);
+        if (!usageKinds.has(depName)) {usageKinds.set(depName, []);}
+        usageKinds.get(depName).push({ kind });
+
+        if (dependencies[depName]) {continue;}
+
+        const usage = { file, line, column, package: depName, kind };
 
         // Check if it's a workspace package that should be in dependencies
-        if (depName.startsWith('@kb-labs/')) {
-          if (!dependencies[depName]) {
-            issues.missingWorkspaceDeps.push({
-              file: path.relative(packageDir, sourceFile),
-              line,
-              package: depName,
-            });
-          }
+        if (workspace.isInternal(depName)) {
+          issues.missingWorkspaceDeps.push(usage);
         }
         // Check if it's a regular npm package that should be in dependencies
         else {
-          if (!dependencies[depName]) {
-            issues.missingNpmDeps.push({
-              file: path.relative(packageDir, sourceFile),
-              line,
-              package: depName,
-            });
-          }
+          issues.missingNpmDeps.push(usage);
         }
       }
     }
   }
 
+  // Runtime dependencies that are only ever imported for their types
+  for (const dep of Object.keys(packageJson.dependencies || {})) {
+    if (usageKinds.has(dep) && isTypeOnlyUsage(usageKinds.get(dep))) {
+      issues.typeOnlyDeps.push(dep);
+    }
+  }
+
   // Find unused dependencies
   const allDeps = Object.keys(dependencies);
   for (const dep of allDeps) {
@@ -355,6 +201,7 @@ function checkPackage(packageJsonPath) {
     packageName,
     packageDir,
     packageJsonPath,
+    requireExtension,
     ...issues,
   };
 }
@@ -378,7 +225,7 @@ function detectCircularDeps(allResults) {
     };
 
     for (const dep of Object.keys(allDeps)) {
-      if (dep.startsWith('@kb-labs/')) {
+      if (workspace.isInternal(dep)) {
         deps.push(dep);
       }
     }
@@ -436,6 +283,293 @@ function detectCircularDeps(allResults) {
   return uniqueCycles;
 }
 
+/**
+ * New specifier for a broken relative import, or null if there is no single
+ * obvious target: either the file exists and only the extension is missing,
+ * or a file with the same name exists elsewhere in the package (it moved).
+ */
+function suggestImportFix(issue, sourceFile, packageFiles, requireExtension) {
+  if (issue.reason === 'missing-extension') {
+    const target = resolveLocalImport(issue.import, sourceFile);
+    return target ? toImportSpecifier(sourceFile, target) : null;
+  }
+
+  const hadExtension = path.extname(issue.import) !== '';
+  const stem = path.basename(issue.import, path.extname(issue.import));
+  const candidates = packageFiles.filter((file) => {
+    if (file === sourceFile) {return false;}
+    const fileStem = path.basename(file, path.extname(file));
+    return fileStem === stem || (fileStem === 'index' && path.basename(path.dirname(file)) === stem);
+  });
+
+  if (candidates.length !== 1) {return null;}
+  return toImportSpecifier(sourceFile, candidates[0], { withExtension: hadExtension || requireExtension });
+}
+
+/**
+ * Most common version spec of a dependency across workspace packages.
+ */
+function findWorkspaceVersion(depName) {
+  const counts = new Map();
+  for (const pkg of workspace.packages) {
+    const spec = pkg.manifest.dependencies?.[depName] ?? pkg.manifest.devDependencies?.[depName];
+    if (spec) {counts.set(spec, (counts.get(spec) || 0) + 1);}
+  }
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] ?? null;
+}
+
+function sortedObject(object) {
+  return Object.fromEntries(Object.entries(object).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * Plan fixes for every reported (non-ignored) issue.
+ * Returns the file edits plus what was fixed and what was left alone.
+ */
+function planFixes(results) {
+  const edits = new Map(); // absolute path -> { original, content }
+  const fixed = [];
+  const skipped = [];
+
+  for (const result of results) {
+    const reported = result.reported;
+    if (!reported) {continue;}
+
+    const original = fs.readFileSync(result.packageJsonPath, 'utf-8');
+    const packageJson = JSON.parse(original);
+    let manifestChanged = false;
+
+    // 1. Unused dependencies — only when nothing outside src/ uses them either
+    if (reported.unusedDeps.length > 0) {
+      const { removable, kept } = findRemovableDependencies(result.packageDir, packageJson, { keepWorkspaceDeps: false });
+      for (const dep of reported.unusedDeps) {
+        if (removable.includes(dep)) {
+          delete packageJson.dependencies?.[dep];
+          delete packageJson.devDependencies?.[dep];
+          manifestChanged = true;
+          fixed.push({ packageName: result.packageName, message: `removed unused dependency ${dep}` });
+        } else {
+          const reason = kept.find((entry) => entry.dep === dep)?.reason ?? 'kept';
+          skipped.push({ packageName: result.packageName, message: `kept ${dep} (${reason === 'used in code' ? 'used outside src/' : reason})` });
+        }
+      }
+    }
+
+    // 2. Missing workspace dependencies — workspace:*, devDependencies when only used for types
+    for (const dep of reported.missingWorkspaceDeps) {
+      const usages = result.missingWorkspaceDeps.filter((d) => d.package === dep);
+      const section = isTypeOnlyUsage(usages) ? 'devDependencies' : 'dependencies';
+      packageJson[section] = sortedObject({ ...packageJson[section], [dep]: 'workspace:*' });
+      manifestChanged = true;
+      fixed.push({ packageName: result.packageName, message: `added ${dep}@workspace:* to ${section}` });
+    }
+
+    // 3. Missing npm dependencies — reuse the version the workspace already uses
+    for (const dep of reported.missingNpmDeps) {
+      const version = findWorkspaceVersion(dep);
+      if (!version) {
+        skipped.push({ packageName: result.packageName, message: `${dep} is not used elsewhere in the workspace — add it with your package manager` });
+        continue;
+      }
+      const usages = result.missingNpmDeps.filter((d) => d.package === dep);
+      const section = isTypeOnlyUsage(usages) ? 'devDependencies' : 'dependencies';
+      packageJson[section] = sortedObject({ ...packageJson[section], [dep]: version });
+      manifestChanged = true;
+      fixed.push({ packageName: result.packageName, message: `added ${dep}@${version} to ${section}` });
+    }
+
+    if (manifestChanged) {
+      for (const section of ['dependencies', 'devDependencies']) {
+        if (packageJson[section] && Object.keys(packageJson[section]).length === 0) {delete packageJson[section];}
+      }
+      edits.set(result.packageJsonPath, { original, content: JSON.stringify(packageJson, null, 2) + '\n' });
+    }
+
+    // 4. Broken relative imports — rewrite the specifier in place
+    const packageFiles = reported.brokenImports.length > 0 ? findSourceFiles(result.packageDir) : [];
+    const rewrites = new Map(); // source file -> [{ start, end, replacement }]
+    for (const issue of reported.brokenImports) {
+      const sourceFile = path.join(result.packageDir, issue.file);
+      const specifier = suggestImportFix(issue, sourceFile, packageFiles, result.requireExtension);
+      const location = `${issue.file}:${issue.line}:${issue.column}`;
+
+      if (!specifier) {
+        skipped.push({ packageName: result.packageName, message: `${location} ${issue.import} (no unique target found)` });
+        continue;
+      }
+      if (!rewrites.has(sourceFile)) {rewrites.set(sourceFile, []);}
+      rewrites.get(sourceFile).push({ start: issue.start, end: issue.end, replacement: specifier });
+      fixed.push({ packageName: result.packageName, message: `${location} ${issue.import} → ${specifier}` });
+    }
+
+    for (const [sourceFile, replacements] of rewrites) {
+      const content = fs.readFileSync(sourceFile, 'utf-8');
+      let updated = content;
+      // Apply back to front so earlier offsets stay valid; keep the original quote style
+      for (const { start, end, replacement } of replacements.sort((a, b) => b.start - a.start)) {
+        const quote = updated[start];
+        updated = updated.slice(0, start) + quote + replacement + quote + updated.slice(end);
+      }
+      edits.set(sourceFile, { original: content, content: updated });
+    }
+  }
+
+  return { edits, fixed, skipped };
+}
+
+/**
+ * Apply (or with --dry-run, preview) fixes. Returns the number of reported
+ * issues that are still open afterwards.
+ */
+function runFixes(results, cycles) {
+  const { edits, fixed, skipped } = planFixes(results);
+
+  log(`\n🔧 ${options.dryRun ? 'Fix preview (dry run)' : 'Fixes'}:\n`, 'blue');
+
+  const byPackage = new Map();
+  for (const entry of [...fixed.map((e) => ({ ...e, ok: true })), ...skipped]) {
+    if (!byPackage.has(entry.packageName)) {byPackage.set(entry.packageName, []);}
+    byPackage.get(entry.packageName).push(entry);
+  }
+  for (const [packageName, entries] of byPackage) {
+    log(`   ${packageName}`, 'cyan');
+    for (const entry of entries) {
+      log(`      ${entry.ok ? '✓' : '⚠'} ${entry.message}`, entry.ok ? 'green' : 'yellow');
+    }
+  }
+  if (cycles.length > 0) {
+    log(`   ⚠ ${cycles.length} circular dependency cycle(s) need manual refactoring`, 'yellow');
+  }
+
+  if (edits.size === 0) {
+    log('\n   Nothing to change', 'gray');
+    return skipped.length + cycles.length;
+  }
+
+  if (options.dryRun) {
+    for (const [file, { original, content }] of edits) {
+      const relativePath = path.relative(workspace.root, file);
+      const diff = unifiedDiff(original, content, { fromFile: `a/${relativePath}`, toFile: `b/${relativePath}` });
+      log('');
+      for (const line of diff.trimEnd().split('\n')) {
+        const color = line.startsWith('@@') ? 'cyan'
+          : line.startsWith('+') ? 'green'
+            : line.startsWith('-') ? 'red'
+              : 'gray';
+        log(line, color);
+      }
+    }
+    log(`\n   ${fixed.length} fix(es) in ${edits.size} file(s) — dry run, nothing written`, 'gray');
+    return skipped.length + cycles.length;
+  }
+
+  const backup = createBackup(workspace.root, 'check-imports', [...edits.keys()]);
+  for (const [file, { content }] of edits) {
+    fs.writeFileSync(file, content);
+  }
+
+  log(`\n✅ Applied ${fixed.length} fix(es) in ${edits.size} file(s)`, 'green');
+  log(`   Backup: ${path.relative(workspace.root, backup.manifestPath)}`, 'gray');
+  log(`   Undo:   kb-devkit-check-imports --revert=${backup.id}`, 'gray');
+  if (fixed.some((entry) => entry.message.startsWith('added') || entry.message.startsWith('removed'))) {
+    log(`   Run ${workspace.packageManager} install to update the lockfile`, 'gray');
+  }
+
+  return skipped.length + cycles.length;
+}
+
+/**
+ * Restore the files changed by a previous --fix run.
+ */
+function revertFixes(id) {
+  const restored = restoreBackup(workspace.root, { id, tool: 'check-imports' });
+
+  if (!restored) {
+    log(id ? `❌ No check-imports backup with id ${id}` : '❌ No check-imports backup to revert', 'red');
+    process.exit(1);
+  }
+
+  log(`↩️  Reverted ${restored.id}`, 'green');
+  for (const file of restored.restored) {
+    log(`   restored ${file}`, 'gray');
+  }
+  for (const file of restored.removed) {
+    log(`   removed  ${file}`, 'gray');
+  }
+  log('');
+}
+
+/**
+ * Record reported (non-ignored) issues as normalized findings
+ */
+function recordFindings(results, cycles) {
+  const findings = createFindings(workspace.root, 'imports', options.findings);
+
+  for (const result of results) {
+    const { reported, packageName, packageDir, packageJsonPath } = result;
+
+    for (const issue of reported.brokenImports) {
+      const hint = issue.reason === 'missing-extension' ? ' (relative imports need an explicit extension)' : '';
+      findings.add({
+        rule: 'broken-import',
+        file: path.join(packageDir, issue.file),
+        line: issue.line,
+        column: issue.column,
+        message: `Cannot resolve "${issue.import}"${hint}`,
+        package: packageName,
+      });
+    }
+
+    for (const [dep, usages] of [
+      ...reported.missingWorkspaceDeps.map((dep) => [dep, result.missingWorkspaceDeps.filter((d) => d.package === dep)]),
+      ...reported.missingNpmDeps.map((dep) => [dep, result.missingNpmDeps.filter((d) => d.package === dep)]),
+    ]) {
+      const [first] = usages;
+      const section = isTypeOnlyUsage(usages) ? 'devDependencies' : 'dependencies';
+      findings.add({
+        rule: 'missing-dep',
+        file: path.join(packageDir, first.file),
+        line: first.line,
+        column: first.column,
+        message: `"${dep}" is imported but not declared in ${packageName} (add it to ${section})`,
+        package: packageName,
+      });
+    }
+
+    for (const dep of reported.unusedDeps) {
+      findings.add({
+        rule: 'unused-dep',
+        file: packageJsonPath,
+        line: findJsonKeyLine(packageJsonPath, dep),
+        message: `"${dep}" is declared but never imported`,
+        package: packageName,
+      });
+    }
+
+    for (const dep of result.typeOnlyDeps) {
+      findings.add({
+        rule: 'type-only-dep',
+        severity: 'note',
+        file: packageJsonPath,
+        line: findJsonKeyLine(packageJsonPath, dep),
+        message: `"${dep}" is only imported for types and could be a devDependency`,
+        package: packageName,
+      });
+    }
+  }
+
+  for (const cycle of cycles) {
+    const owner = results.find((result) => result.packageName === cycle[0]);
+    findings.add({
+      rule: 'circular-dep',
+      file: owner.packageJsonPath,
+      line: findJsonKeyLine(owner.packageJsonPath, cycle[1]),
+      message: `Circular dependency: ${cycle.join(' → ')}`,
+      package: cycle[0],
+    });
+  }
+}
+
 /**
  * Main function
  */
@@ -444,13 +578,16 @@ function main() {
 
   log('\n🔍 KB Labs Import Checker\n', 'blue');
 
+  if (options.revert) {
+    revertFixes(options.revert.split('=')[1]);
+    return;
+  }
+
   // Load ignore rules
-  const ignoreRules = parseDevkitIgnore(rootDir);
-  const hasIgnoreFile = fs.existsSync(path.join(rootDir, '.devkitignore'));
-  const totalIgnoreRules = Object.values(ignoreRules).reduce((sum, arr) => sum + arr.length, 0);
+  const ignore = loadIgnoreRules(workspace.root, 'check-imports');
 
-  if (hasIgnoreFile && totalIgnoreRules > 0) {
-    log(`Loaded ${totalIgnoreRules} ignore rule(s) from .devkitignore\n`, 'gray');
+  if (ignore.rules.length > 0) {
+    log(`Loaded ${ignore.rules.length} ignore rule(s) from .devkitignore\n`, 'gray');
   }
 
   if (options.package) {
@@ -459,7 +596,17 @@ function main() {
     log('Checking all packages...\n', 'gray');
   }
 
-  const packages = findPackages(rootDir, options.package);
+  let packages = findPackages(rootDir, options.package);
+
+  if (affected) {
+    printAffected(affected, packages.length, log);
+    packages = affected.filter(packages);
+    if (packages.length === 0) {
+      log('\n✅ No affected packages — nothing to check\n', 'green');
+      process.exit(0);
+    }
+    log('');
+  }
 
   if (packages.length === 0) {
     log('⚠️  No KB Labs packages found', 'yellow');
@@ -489,44 +636,25 @@ function main() {
     }
   }
 
-  // Detect circular dependencies
-  const cycles = detectCircularDeps(results);
-
-  // Track ignored items for summary
-  let ignoredBroken = 0;
-  let ignoredMissing = 0;
-  let ignoredUnused = 0;
+  // Detect circular dependencies; a rule on any edge of a cycle suppresses it
+  const cycles = detectCircularDeps(results).filter(
+    (cycle) => !cycle.slice(0, -1).some((from, i) => ignore.match('circular-dep', from, cycle[i + 1]))
+  );
 
   // Print results
   let hasIssues = false;
 
   for (const result of results) {
     // Filter issues based on ignore rules
-    const filteredBroken = result.brokenImports.filter((issue) => {
-      const ignored = shouldIgnore(ignoreRules, 'broken-import', result.packageName, issue.import);
-      if (ignored) {ignoredBroken++;}
-      return !ignored;
-    });
+    const filteredBroken = ignore.filter('broken-import', result.packageName, result.brokenImports, (issue) => issue.import);
 
     const uniqueMissingDeps = [...new Set(result.missingWorkspaceDeps.map((d) => d.package))];
-    const filteredMissingDeps = uniqueMissingDeps.filter((dep) => {
-      const ignored = shouldIgnore(ignoreRules, 'missing-dep', result.packageName, dep);
-      if (ignored) {ignoredMissing++;}
-      return !ignored;
-    });
+    const filteredMissingDeps = ignore.filter('missing-dep', result.packageName, uniqueMissingDeps);
 
     const uniqueMissingNpmDeps = [...new Set(result.missingNpmDeps.map((d) => d.package))];
-    const filteredMissingNpmDeps = uniqueMissingNpmDeps.filter((dep) => {
-      const ignored = shouldIgnore(ignoreRules, 'missing-dep', result.packageName, dep);
-      if (ignored) {ignoredMissing++;}
-      return !ignored;
-    });
+    const filteredMissingNpmDeps = ignore.filter('missing-dep', result.packageName, uniqueMissingNpmDeps);
 
-    const filteredUnused = result.unusedDeps.filter((dep) => {
-      const ignored = shouldIgnore(ignoreRules, 'unused-dep', result.packageName, dep);
-      if (ignored) {ignoredUnused++;}
-      return !ignored;
-    });
+    const filteredUnused = ignore.filter('unused-dep', result.packageName, result.unusedDeps);
 
     const issueCount =
       filteredBroken.length +
@@ -534,6 +662,14 @@ function main() {
       filteredMissingNpmDeps.length +
       filteredUnused.length;
 
+    // What --fix acts on: everything reported, nothing suppressed by .devkitignore
+    result.reported = {
+      brokenImports: filteredBroken,
+      missingWorkspaceDeps: filteredMissingDeps,
+      missingNpmDeps: filteredMissingNpmDeps,
+      unusedDeps: filteredUnused,
+    };
+
     if (issueCount === 0 && !options.verbose) {continue;}
 
     hasIssues = hasIssues || issueCount > 0;
@@ -549,8 +685,9 @@ function main() {
     if (filteredBroken.length > 0) {
       log(`\n   🔴 Broken imports (${filteredBroken.length}):`, 'red');
       for (const issue of filteredBroken) {
-        log(`      ${issue.file}:${issue.line}`, 'yellow');
-        log(`      └─ Cannot resolve: ${issue.import}`, 'gray');
+        log(`      ${issue.file}:${issue.line}:${issue.column}`, 'yellow');
+        const hint = issue.reason === 'missing-extension' ? ' (relative imports need an explicit extension)' : '';
+        log(`      └─ Cannot resolve: ${issue.import}${hint}`, 'gray');
       }
     }
 
@@ -559,11 +696,12 @@ function main() {
       log(`\n   🟡 Missing workspace dependencies (${filteredMissingDeps.length}):`, 'yellow');
       for (const dep of filteredMissingDeps) {
         const usages = result.missingWorkspaceDeps.filter((d) => d.package === dep);
+        const target = isTypeOnlyUsage(usages) ? ' (type-only → devDependencies)' : '';
         log(`      ${dep}`, 'cyan');
-        log(`      └─ Used in ${usages.length} file(s)`, 'gray');
+        log(`      └─ Used in ${usages.length} file(s)${target}`, 'gray');
         if (options.verbose) {
           for (const usage of usages.slice(0, 3)) {
-            log(`         - ${usage.file}:${usage.line}`, 'gray');
+            log(`         - ${usage.file}:${usage.line}:${usage.column} (${usage.kind})`, 'gray');
           }
           if (usages.length > 3) {
             log(`         ... and ${usages.length - 3} more`, 'gray');
@@ -577,11 +715,12 @@ function main() {
       log(`\n   🟡 Missing npm dependencies (${filteredMissingNpmDeps.length}):`, 'yellow');
       for (const dep of filteredMissingNpmDeps) {
         const usages = result.missingNpmDeps.filter((d) => d.package === dep);
+        const target = isTypeOnlyUsage(usages) ? ' (type-only → devDependencies)' : '';
         log(`      ${dep}`, 'cyan');
-        log(`      └─ Used in ${usages.length} file(s)`, 'gray');
+        log(`      └─ Used in ${usages.length} file(s)${target}`, 'gray');
         if (options.verbose) {
           for (const usage of usages.slice(0, 3)) {
-            log(`         - ${usage.file}:${usage.line}`, 'gray');
+            log(`         - ${usage.file}:${usage.line}:${usage.column} (${usage.kind})`, 'gray');
           }
           if (usages.length > 3) {
             log(`         ... and ${usages.length - 3} more`, 'gray');
@@ -596,12 +735,24 @@ function main() {
       for (const dep of filteredUnused) {
         log(`      ${dep}`, 'gray');
       }
-      if (options.fix) {
+      if (!options.fix) {
         log(`      💡 Run with --fix to remove unused dependencies`, 'blue');
       }
     }
   }
 
+  // Suggest moving type-only runtime dependencies (informational, never fails the run)
+  const typeOnlySuggestions = results.filter((result) => result.typeOnlyDeps.length > 0);
+  if (typeOnlySuggestions.length > 0) {
+    log('\n\n💡 Dependencies only imported for types (could be devDependencies):\n', 'blue');
+    for (const result of typeOnlySuggestions) {
+      log(`   ${result.packageName}`, 'cyan');
+      for (const dep of result.typeOnlyDeps) {
+        log(`      ${dep}`, 'gray');
+      }
+    }
+  }
+
   // Print circular dependencies
   if (cycles.length > 0) {
     hasIssues = true;
@@ -619,11 +770,12 @@ function main() {
   // Summary
   log('\n' + '─'.repeat(60) + '\n', 'gray');
 
+  ignore.recordUsage({ partial: Boolean(options.package || affected) });
+  recordFindings(results, cycles);
+
   if (!hasIssues && cycles.length === 0) {
     log('✅ No import issues found!\n', 'green');
-    if (ignoredBroken + ignoredMissing + ignoredUnused > 0) {
-      log(`   ℹ️  ${ignoredBroken + ignoredMissing + ignoredUnused} issue(s) ignored via .devkitignore\n`, 'gray');
-    }
+    ignore.printSummary(log);
     process.exit(0);
   }
 
@@ -635,18 +787,9 @@ function main() {
   let unusedCount = 0;
 
   for (const result of results) {
-    brokenCount += result.brokenImports.filter(
-      (issue) => !shouldIgnore(ignoreRules, 'broken-import', result.packageName, issue.import)
-    ).length;
-
-    const uniqueDeps = [...new Set(result.missingWorkspaceDeps.map((d) => d.package))];
-    missingCount += uniqueDeps.filter(
-      (dep) => !shouldIgnore(ignoreRules, 'missing-dep', result.packageName, dep)
-    ).length;
-
-    unusedCount += result.unusedDeps.filter(
-      (dep) => !shouldIgnore(ignoreRules, 'unused-dep', result.packageName, dep)
-    ).length;
+    brokenCount += result.reported.brokenImports.length;
+    missingCount += result.reported.missingWorkspaceDeps.length;
+    unusedCount += result.reported.unusedDeps.length;
   }
 
   if (brokenCount > 0) {
@@ -662,16 +805,19 @@ function main() {
     log(`   🔄 ${cycles.length} circular dependency cycle(s)`, 'magenta');
   }
 
-  // Show ignored count
-  const totalIgnored = ignoredBroken + ignoredMissing + ignoredUnused;
-  if (totalIgnored > 0) {
-    log(`\n   ℹ️  ${totalIgnored} issue(s) ignored via .devkitignore`, 'gray');
+  // Show ignored count and expired suppressions
+  ignore.printSummary(log);
+
+  if (options.fix) {
+    const unfixed = runFixes(results, cycles);
+    log('');
+    process.exit(unfixed > 0 ? 1 : 0);
   }
 
   log('\n💡 Tips:', 'blue');
   log('   • Use --verbose to see all packages (including clean ones)', 'gray');
   log('   • Use --package=<name> to check a specific package', 'gray');
-  log('   • Use --fix to auto-remove unused dependencies (coming soon)', 'gray');
+  log('   • Use --fix to apply fixes (--dry-run to preview, --revert to undo)', 'gray');
   log('   • Add rules to .devkitignore to suppress known issues', 'gray');
   log('');
 
@@ -15,17 +15,26 @@
  *   kb-devkit-check-paths --package=cli-core # Check specific package
  *   kb-devkit-check-paths --fix              # Auto-fix what's possible
  *   kb-devkit-check-paths --json             # JSON output
+ *   kb-devkit-check-paths --since=origin/main # Only packages changed since a ref, plus their dependents
+ *   kb-devkit-check-paths --affected         # Same, against the default branch
+ *   kb-devkit-check-paths --findings=<file>  # Also write normalized findings (used by kb-devkit-ci)
  */
 
 import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 
-// Shared package discovery — supports both flat and categorized layouts
+// Shared workspace model — package discovery plus devkit.scope from kb-labs.config.json
 import { findPackages as _findPackagePaths } from './lib/find-packages.mjs';
+import { loadWorkspace } from './lib/workspace.mjs';
+import { loadIgnoreRules } from './lib/devkit-ignore.mjs';
+import { createFindings, findJsonKeyLine } from './lib/findings.mjs';
+import { loadAffected, printAffected } from './lib/affected.mjs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+const workspace = loadWorkspace(process.cwd());
+
 // ANSI colors
 const colors = {
   reset: '\x1b[0m',
@@ -52,15 +61,18 @@ const options = {
   json: args.includes('--json'),
   verbose: args.includes('--verbose') || args.includes('-v'),
   package: args.find((arg) => arg.startsWith('--package='))?.split('=')[1],
+  findings: args.find((arg) => arg.startsWith('--findings='))?.split('=')[1],
 };
 
+// --since=<ref> / --affected: changed packages plus their dependents
+const affected = loadAffected(workspace, args);
+
 /**
  * Find all packages in monorepo (returns objects with path, dir, repo)
  */
 function findPackages(rootDir, filterPackage) {
   return _findPackagePaths(rootDir, filterPackage).map((pkgPath) => {
-    const parts = pkgPath.split(path.sep);
-    const repo = parts.find((p) => p.startsWith('kb-labs-')) || 'unknown';
+    const repo = workspace.getRepo(pkgPath)?.name || 'unknown';
     return { path: pkgPath, dir: path.dirname(pkgPath), repo };
   });
 }
@@ -132,7 +144,7 @@ function checkDependencies(packageJson, packageDir, workspaceNames) {
   for (const [dep, version] of Object.entries(allDeps)) {
     // Check workspace: protocol references
     if (version.startsWith('workspace:')) {
-      if (dep.startsWith('@kb-labs/') && !workspaceNames.has(dep)) {
+      if (workspace.isInternal(dep) && !workspaceNames.has(dep)) {
         issues.push({
           type: 'missing_workspace_package',
           severity: 'error',
@@ -582,6 +594,42 @@ function printResults(results) {
   }
 }
 
+/**
+ * File and line an issue path points at
+ * (`dependencies.x` → package.json, `tsconfig.json:references[0]` → tsconfig.json)
+ */
+function issueLocation(packageDir, issuePath) {
+  const inTsconfig = issuePath.startsWith('tsconfig.json');
+  const filePath = path.join(packageDir, inTsconfig ? 'tsconfig.json' : 'package.json');
+  const property = inTsconfig ? issuePath.slice('tsconfig.json'.length).replace(/^:/, '') : issuePath;
+
+  const bracketKeys = [...property.matchAll(/\["([^"]+)"\]/g)].map((match) => match[1]);
+  const key = bracketKeys.length > 0
+    ? bracketKeys[bracketKeys.length - 1]
+    : property.includes('.') ? property.slice(property.indexOf('.') + 1) : property.replace(/\[\d+\]$/, '');
+
+  return { file: filePath, line: findJsonKeyLine(filePath, key) };
+}
+
+/**
+ * Record reported (non-ignored) issues as normalized findings
+ */
+function recordFindings(results) {
+  const findings = createFindings(workspace.root, 'paths', options.findings);
+
+  for (const result of results) {
+    for (const issue of result.issues) {
+      findings.add({
+        rule: issue.type,
+        severity: issue.severity,
+        ...issueLocation(result.dir, issue.path),
+        message: issue.message,
+        package: result.name,
+      });
+    }
+  }
+}
+
 /**
  * Main function
  */
@@ -602,15 +650,30 @@ function main() {
     process.exit(0);
   }
 
-  if (!options.json) {
-    log(`Found ${packages.length} package(s) to check\n`, 'gray');
-  }
-
   // Get all workspace package names for reference validation
   const workspaceNames = getWorkspacePackageNames(packages);
 
-  // Check all packages
-  const results = packages.map(pkg => checkPackage(pkg, workspaceNames));
+  let packagesToCheck = packages;
+  if (affected) {
+    packagesToCheck = affected.filter(packages, { packageJsonPath: (pkg) => pkg.path });
+    if (!options.json) {
+      printAffected(affected, packages.length, log);
+      log('');
+    }
+  }
+
+  if (!options.json) {
+    log(`Found ${packagesToCheck.length} package(s) to check\n`, 'gray');
+  }
+
+  // Check all packages, dropping issues suppressed by .devkitignore (`path: <package> -> <path>`)
+  const ignore = loadIgnoreRules(workspace.root, 'check-paths');
+  const results = packagesToCheck.map(pkg => checkPackage(pkg, workspaceNames));
+  for (const result of results) {
+    result.issues = ignore.filter('path', result.name, result.issues, (issue) => issue.path);
+  }
+  ignore.recordUsage({ partial: Boolean(options.package || affected) });
+  recordFindings(results);
 
   if (options.json) {
     const errorCount = results.reduce((sum, r) =>
@@ -623,6 +686,7 @@ function main() {
       packagesWithIssues: results.filter(r => r.issues.length > 0).length,
       errorCount,
       warningCount,
+      ignoredCount: ignore.ignoredCount(),
       issues: results
         .filter(r => r.issues.length > 0)
         .map(r => ({
@@ -636,6 +700,7 @@ function main() {
   }
 
   printResults(results);
+  ignore.printSummary(log);
 
   // Exit with error if there are errors
   const errorCount = results.reduce((sum, r) =>
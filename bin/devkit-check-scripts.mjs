@@ -10,7 +10,8 @@
 import { writeFile } from 'node:fs/promises';
 import { join, dirname, relative } from 'node:path';
 import { fileURLToPath } from 'node:url';
-import { existsSync, readdirSync } from 'node:fs';
+
+import { findWorkspaceRoot, loadWorkspace } from './lib/workspace.mjs';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -45,56 +46,16 @@ const REQUIRED_FIELDS = {
   },
 };
 
-// Find workspace root
-function findWorkspaceRoot(cwd = process.cwd()) {
-  let current = cwd;
-  while (current !== '/') {
-    if (existsSync(join(current, 'pnpm-workspace.yaml'))) {
-      return current;
-    }
-    current = dirname(current);
-  }
-  return cwd;
-}
-
 // Get all workspace packages
 async function getWorkspacePackages(root) {
-  const packages = [];
-
-  // Find all package.json files
-  const findPackages = (dir) => {
-    if (dir.includes('node_modules') || dir.includes('dist')) {return;}
-
-    const entries = readdirSync(dir, { withFileTypes: true });
-    for (const entry of entries) {
-      if (entry.isDirectory()) {
-        const fullPath = join(dir, entry.name);
-        const pkgJsonPath = join(fullPath, 'package.json');
-
-        if (existsSync(pkgJsonPath)) {
-          try {
-            const pkg = JSON.parse(readFileSync(pkgJsonPath, 'utf-8'));
-            if (pkg.name && pkg.name.startsWith('@kb-labs/')) {
-              packages.push({
-                name: pkg.name,
-                path: fullPath,
-                pkgJson: pkg,
-                pkgJsonPath,
-              });
-            }
-          } catch {}
-        }
-
-        // Recurse into subdirectories
-        if (!entry.name.startsWith('.') && entry.name !== 'node_modules') {
-          findPackages(fullPath);
-        }
-      }
-    }
-  };
-
-  findPackages(root);
-  return packages;
+  return loadWorkspace(root).scopedPackages
+    .map((pkg) => ({
+      name: pkg.name,
+      path: pkg.dir,
+      // --fix mutates this object; keep the shared manifest cache untouched
+      pkgJson: structuredClone(pkg.manifest),
+      pkgJsonPath: pkg.packageJsonPath,
+    }));
 }
 
 // Check package scripts and deps
@@ -208,9 +169,6 @@ async function fixPackageScripts(pkg, issues) {
   return modified;
 }
 
-// Import readFileSync
-import { readFileSync } from 'node:fs';
-
 // Main CLI
 async function main() {
   const args = process.argv.slice(2);
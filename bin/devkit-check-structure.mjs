@@ -14,17 +14,26 @@
  *   kb-devkit-check-structure                    # Check all packages
  *   kb-devkit-check-structure --package cli-core # Check specific package
  *   kb-devkit-check-structure --strict           # Include warnings
+ *   kb-devkit-check-structure --since=origin/main # Only packages changed since a ref, plus their dependents
+ *   kb-devkit-check-structure --affected         # Same, against the default branch
+ *   kb-devkit-check-structure --findings=<file>  # Also write normalized findings (used by kb-devkit-ci)
  */
 
 import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 
-// Shared package discovery — supports both flat and categorized layouts
+// Shared workspace model — package discovery plus devkit.scope from kb-labs.config.json
 import { findPackages } from './lib/find-packages.mjs';
+import { loadWorkspace } from './lib/workspace.mjs';
+import { loadIgnoreRules } from './lib/devkit-ignore.mjs';
+import { createFindings } from './lib/findings.mjs';
+import { loadAffected, printAffected } from './lib/affected.mjs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+const workspace = loadWorkspace(process.cwd());
+
 // ANSI colors
 const colors = {
   reset: '\x1b[0m',
@@ -47,8 +56,12 @@ const options = {
   package: args.find((arg) => arg.startsWith('--package='))?.split('=')[1],
   strict: args.includes('--strict'),
   verbose: args.includes('--verbose') || args.includes('-v'),
+  findings: args.find((arg) => arg.startsWith('--findings='))?.split('=')[1],
 };
 
+// --since=<ref> / --affected: changed packages plus their dependents
+const affected = loadAffected(workspace, args);
+
 /**
  * Required package.json fields
  */
@@ -75,8 +88,8 @@ function checkPackage(packageJsonPath) {
   const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf-8'));
   const packageName = packageJson.name;
 
-  if (!packageName || !packageName.startsWith('@kb-labs/')) {
-    return null; // Skip non-KB Labs packages
+  if (!packageName || !workspace.inScope(packageName)) {
+    return null; // Skip packages outside the configured scope
   }
 
   const issues = {
@@ -275,6 +288,33 @@ function checkPackage(packageJsonPath) {
   };
 }
 
+/**
+ * Record reported (non-ignored) issues as normalized findings on each package.json
+ */
+function recordFindings(results) {
+  const findings = createFindings(workspace.root, 'structure', options.findings);
+
+  for (const result of results) {
+    const base = { file: result.packageJsonPath, package: result.packageName };
+
+    for (const file of result.missingFiles) {
+      findings.add({ ...base, rule: 'missing-file', severity: file.severity, message: `Missing ${file.level} file: ${file.file}` });
+    }
+    for (const field of result.missingFields) {
+      findings.add({ ...base, rule: 'missing-field', severity: field.severity, message: `Missing ${field.level} package.json field: ${field.field}` });
+    }
+    for (const issue of result.structureIssues) {
+      findings.add({ ...base, rule: issue.type, severity: issue.severity, message: `${issue.message} — ${issue.suggestion}` });
+    }
+    if (options.strict) {
+      for (const warning of result.warnings) {
+        const suggestion = warning.suggestion ? ` — ${warning.suggestion}` : '';
+        findings.add({ ...base, rule: warning.type, severity: 'note', message: `${warning.message}${suggestion}` });
+      }
+    }
+  }
+}
+
 /**
  * Main function
  */
@@ -293,7 +333,17 @@ function main() {
     log('⚠️  Strict mode enabled (includes recommendations)\n', 'yellow');
   }
 
-  const packages = findPackages(rootDir, options.package);
+  let packages = findPackages(rootDir, options.package);
+
+  if (affected) {
+    printAffected(affected, packages.length, log);
+    packages = affected.filter(packages);
+    if (packages.length === 0) {
+      log('\n✅ No affected packages — nothing to check\n', 'green');
+      process.exit(0);
+    }
+    log('');
+  }
 
   if (packages.length === 0) {
     log('⚠️  No KB Labs packages found', 'yellow');
@@ -303,16 +353,24 @@ function main() {
 
   log(`Found ${packages.length} package(s) to check\n`, 'gray');
 
+  const ignore = loadIgnoreRules(workspace.root, 'check-structure');
   const results = [];
 
-  // Check each package
+  // Check each package, dropping issues suppressed by .devkitignore
   for (const packagePath of packages) {
     const result = checkPackage(packagePath);
     if (result) {
+      result.missingFiles = ignore.filter('missing-file', result.packageName, result.missingFiles, (f) => f.file);
+      result.missingFields = ignore.filter('missing-field', result.packageName, result.missingFields, (f) => f.field);
+      result.structureIssues = ignore.filter('structure', result.packageName, result.structureIssues, (i) => i.type);
+      result.warnings = ignore.filter('structure', result.packageName, result.warnings, (w) => w.type);
       results.push(result);
     }
   }
 
+  ignore.recordUsage({ partial: Boolean(options.package || affected) });
+  recordFindings(results);
+
   // Print results
   let hasIssues = false;
   let hasErrors = false;
@@ -335,7 +393,7 @@ function main() {
 
     if (issueCount === 0 && !options.verbose) {continue;}
 
-    hasIssues = issueCount > 0;
+    hasIssues = hasIssues || issueCount > 0;
     hasErrors = hasErrors || errorCount > 0;
 
     if (errorCount > 0) {
@@ -421,6 +479,7 @@ function main() {
 
   if (!hasIssues) {
     log('✅ All packages have proper structure!\n', 'green');
+    ignore.printSummary(log);
     process.exit(0);
   }
 
@@ -452,6 +511,8 @@ function main() {
     log(`   🟡 ${totalWarnings} warning(s)`, 'yellow');
   }
 
+  ignore.printSummary(log);
+
   log('\n💡 Tips:', 'blue');
   log('   • Use --verbose to see all packages (including clean ones)', 'gray');
   log('   • Use --package=<name> to check a specific package', 'gray');
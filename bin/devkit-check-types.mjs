@@ -12,17 +12,26 @@
  *   kb-devkit-check-types --fix           # Auto-fix dts: false
  *   kb-devkit-check-types --json          # JSON output
  *   kb-devkit-check-types --graph         # Show types dependency graph
+ *   kb-devkit-check-types --since=origin/main # Only packages changed since a ref, plus their dependents
+ *   kb-devkit-check-types --affected      # Same, against the default branch
+ *   kb-devkit-check-types --findings=<file> # Also write normalized findings (used by kb-devkit-ci)
  */
 
 import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 
-// Shared package discovery — supports both flat and categorized layouts
+// Shared workspace model — package discovery plus devkit.scope from kb-labs.config.json
 import { findPackages as _findPackagePaths } from './lib/find-packages.mjs';
+import { loadWorkspace } from './lib/workspace.mjs';
+import { loadIgnoreRules } from './lib/devkit-ignore.mjs';
+import { createFindings, findJsonKeyLine } from './lib/findings.mjs';
+import { loadAffected, printAffected } from './lib/affected.mjs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+const workspace = loadWorkspace(process.cwd());
+
 // ANSI colors
 const colors = {
   reset: '\x1b[0m',
@@ -50,8 +59,12 @@ const options = {
   graph: args.includes('--graph'),
   verbose: args.includes('--verbose') || args.includes('-v'),
   package: args.find((arg) => arg.startsWith('--package='))?.split('=')[1],
+  findings: args.find((arg) => arg.startsWith('--findings='))?.split('=')[1],
 };
 
+// --since=<ref> / --affected: changed packages plus their dependents
+const affected = loadAffected(workspace, args);
+
 /**
  * Find all packages (returns objects with path, dir)
  */
@@ -192,7 +205,7 @@ function checkPackage(packageInfo) {
   const packageJson = checkPackageJsonTypes(packagePath);
   const packageName = packageJson.name;
 
-  if (!packageName || !packageName.startsWith('@kb-labs/')) {
+  if (!packageName || !workspace.inScope(packageName)) {
     return null;
   }
 
@@ -373,6 +386,35 @@ function buildTypesDependencyGraph(results) {
   return graph;
 }
 
+/**
+ * Record reported (non-ignored) issues as normalized findings: tsup issues on
+ * the `dts` line of tsup.config.ts, the rest on package.json
+ */
+function recordFindings(results) {
+  const findings = createFindings(workspace.root, 'types', options.findings);
+
+  for (const result of results) {
+    if (!result) {continue;}
+    const packageJsonPath = path.join(result.dir, 'package.json');
+
+    for (const issue of result.issues) {
+      let location = { file: packageJsonPath, line: findJsonKeyLine(packageJsonPath, 'types') };
+      if ((issue.type === 'dts_false' || issue.type === 'no_dts_config') && result.tsupConfig.exists) {
+        const dtsLine = result.tsupConfig.content.split('\n').findIndex((line) => /dts\s*:/.test(line));
+        location = { file: result.tsupConfig.path, line: dtsLine + 1 || 1 };
+      }
+
+      findings.add({
+        rule: issue.type,
+        severity: issue.severity,
+        ...location,
+        message: issue.message,
+        package: result.name,
+      });
+    }
+  }
+}
+
 /**
  * Main function
  */
@@ -383,15 +425,31 @@ function main() {
     log('\n🚀 KB Labs TypeScript Types Checker\n', 'bold');
   }
 
-  const packages = findPackages(rootDir, options.package);
+  let packages = findPackages(rootDir, options.package);
 
   if (packages.length === 0) {
     log('⚠️  No KB Labs packages found', 'yellow');
     process.exit(0);
   }
 
-  // Check all packages
+  if (affected) {
+    if (!options.json) {
+      printAffected(affected, packages.length, log);
+      log('');
+    }
+    packages = affected.filter(packages, { packageJsonPath: (pkg) => pkg.path });
+  }
+
+  // Check all packages, dropping issues suppressed by .devkitignore (`types: <package> -> <issue type>`)
+  const ignore = loadIgnoreRules(workspace.root, 'check-types');
   const results = packages.map(checkPackage);
+  for (const result of results) {
+    if (!result) {continue;}
+    result.issues = ignore.filter('types', result.name, result.issues, (issue) => issue.type);
+    result.isClean = result.issues.length === 0;
+  }
+  ignore.recordUsage({ partial: Boolean(options.package || affected) });
+  recordFindings(results);
 
   if (options.json) {
     const output = {
@@ -417,6 +475,7 @@ function main() {
     log('', 'reset');
   } else {
     printResults(results);
+    ignore.printSummary(log);
   }
 
   // Exit with error if issues found
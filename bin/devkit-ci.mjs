@@ -15,19 +15,40 @@
  * 6. Path validation (workspace deps, exports, bin)
  * 7. TypeScript types (dts generation, types field)
  *
+ * Checks run in parallel. Each one writes normalized findings (rule id,
+ * severity, file, line, message; see lib/findings.mjs), which are merged into
+ * a combined JSON report, a SARIF 2.1.0 log for GitHub code scanning and
+ * `::error file=...,line=...::` workflow annotations shown inline on PR diffs.
+ *
  * Usage:
  *   kb-devkit-ci                    # Run all checks
- *   kb-devkit-ci --skip naming      # Skip naming check
- *   kb-devkit-ci --only imports     # Run only imports check
- *   kb-devkit-ci --json             # Output JSON for parsing
+ *   kb-devkit-ci --skip=naming      # Skip naming check
+ *   kb-devkit-ci --only=imports     # Run only imports check
+ *   kb-devkit-ci --json             # Combined JSON report (summary + findings)
+ *   kb-devkit-ci --sarif=devkit.sarif  # Write SARIF 2.1.0 for code scanning
+ *   kb-devkit-ci --annotations      # Print GitHub workflow annotations (default on GitHub Actions)
+ *   kb-devkit-ci --concurrency=2    # Run at most 2 checks at a time (default: all)
+ *   kb-devkit-ci --since=origin/main  # Limit every check to packages changed since a ref, plus their dependents
+ *   kb-devkit-ci --affected         # Same, against the default branch
+ *
+ * With --since/--affected the affected set is computed once (lib/affected.mjs)
+ * and every check is started with --since=<resolved ref>.
  */
 
-import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 
+import { runPool, runCommand, parseConcurrency } from './lib/task-pool.mjs';
+import { SEVERITIES, readFindings, toAnnotation, toSarif } from './lib/findings.mjs';
+import { loadWorkspace } from './lib/workspace.mjs';
+import { loadAffected, printAffected } from './lib/affected.mjs';
+
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+const devkitVersion = JSON.parse(fs.readFileSync(path.join(__dirname, '../package.json'), 'utf-8')).version;
+
 // ANSI colors
 const colors = {
   reset: '\x1b[0m',
@@ -52,6 +73,15 @@ const options = {
   only: args.find((arg) => arg.startsWith('--only='))?.split('=')[1]?.split(',') || [],
   json: args.includes('--json'),
   verbose: args.includes('--verbose') || args.includes('-v'),
+  sarif: args.includes('--sarif')
+    ? 'devkit.sarif'
+    : args.find((arg) => arg.startsWith('--sarif='))?.split('=')[1],
+  annotations: args.includes('--no-annotations')
+    ? false
+    : args.includes('--annotations') || process.env.GITHUB_ACTIONS === 'true',
+  concurrency: args.some((arg) => arg.startsWith('--concurrency='))
+    ? parseConcurrency(args.find((arg) => arg.startsWith('--concurrency='))?.split('=')[1])
+    : undefined,
 };
 
 /**
@@ -95,62 +125,49 @@ const CHECKS = {
   },
 };
 
+
 /**
- * Run a single check
+ * Run a single check, collecting its output and normalized findings
  */
-function runCheck(checkId, check) {
-  return new Promise((resolve) => {
-    const startTime = Date.now();
-    const scriptPath = path.join(__dirname, check.command);
-
-    if (!options.json) {
-      log(`\n${check.emoji} Running ${check.name}...`, 'blue');
-    }
-
-    const child = spawn('node', [scriptPath], {
-      stdio: options.json ? 'pipe' : 'inherit',
-      cwd: process.cwd(),
+async function runCheck(checkId, check, findingsDir, sinceRef) {
+  const scriptPath = path.join(__dirname, check.command);
+  const findingsPath = path.join(findingsDir, `${checkId}.json`);
+  const sinceArg = sinceRef ? ` "--since=${sinceRef}"` : '';
+
+  const { code, stdout, stderr, durationMs } = await runCommand(
+    `"${process.execPath}" "${scriptPath}" "--findings=${findingsPath}"${sinceArg}`,
+    { cwd: process.cwd() }
+  );
+
+  const findings = readFindings(findingsPath).map((finding) => ({ check: checkId, ...finding }));
+
+  // A failing check that reported nothing (crash, bad config) still needs to show up
+  if (code !== 0 && !findings.some((finding) => finding.severity === 'error')) {
+    findings.push({
+      check: checkId,
+      ruleId: `${checkId}/check-failed`,
+      severity: 'error',
+      file: 'package.json',
+      line: 1,
+      message: `${check.name} failed (exit code ${code}) without reporting findings: ${(stderr || stdout).trim().split('\n').pop() ?? ''}`,
     });
+  }
 
-    let stdout = '';
-    let stderr = '';
-
-    if (options.json) {
-      child.stdout.on('data', (data) => {
-        stdout += data.toString();
-      });
-      child.stderr.on('data', (data) => {
-        stderr += data.toString();
-      });
-    }
-
-    child.on('close', (code) => {
-      const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-
-      resolve({
-        checkId,
-        name: check.name,
-        emoji: check.emoji,
-        passed: code === 0,
-        exitCode: code,
-        duration: parseFloat(duration),
-        stdout,
-        stderr,
-      });
-    });
+  return {
+    checkId,
+    name: check.name,
+    emoji: check.emoji,
+    passed: code === 0,
+    exitCode: code,
+    duration: parseFloat((durationMs / 1000).toFixed(2)),
+    stdout,
+    stderr,
+    findings,
+  };
+}
 
-    child.on('error', (err) => {
-      resolve({
-        checkId,
-        name: check.name,
-        emoji: check.emoji,
-        passed: false,
-        exitCode: 1,
-        duration: 0,
-        error: err.message,
-      });
-    });
-  });
+function countBySeverity(findings) {
+  return Object.fromEntries(SEVERITIES.map((severity) => [severity, findings.filter((f) => f.severity === severity).length]));
 }
 
 /**
@@ -159,11 +176,6 @@ function runCheck(checkId, check) {
 async function main() {
   const startTime = Date.now();
 
-  if (!options.json) {
-    log('\n🚀 KB Labs CI Checker\n', 'bold');
-    log('Running all devkit checks...\n', 'gray');
-  }
-
   // Determine which checks to run
   let checksToRun = Object.keys(CHECKS);
 
@@ -180,30 +192,63 @@ async function main() {
     process.exit(0);
   }
 
-  // Run all checks
-  const results = [];
-
-  for (const checkId of checksToRun) {
-    const check = CHECKS[checkId];
-    const result = await runCheck(checkId, check);
-    results.push(result);
-
-    if (!options.json) {
-      if (result.passed) {
-        log(`   ✅ ${result.name} passed (${result.duration}s)`, 'green');
-      } else {
-        log(`   ❌ ${result.name} failed (${result.duration}s)`, 'red');
-      }
+  const concurrency = options.concurrency ?? checksToRun.length;
+
+  // Resolve the affected set once; without a base ref every check runs on all packages
+  const workspace = loadWorkspace(process.cwd());
+  const affected = loadAffected(workspace, args);
+
+  if (!options.json) {
+    log('\n🚀 KB Labs CI Checker\n', 'bold');
+    if (affected) {
+      printAffected(affected, workspace.scopedPackages.length, log);
+      log('');
     }
+    log(`Running ${checksToRun.length} devkit checks (concurrency: ${Math.min(concurrency, checksToRun.length)})...\n`, 'gray');
+  }
+
+  // Run all checks
+  const findingsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kb-devkit-ci-'));
+  let results;
+  try {
+    results = await runPool(checksToRun, concurrency, (checkId) => runCheck(checkId, CHECKS[checkId], findingsDir, affected?.ref), {
+      onDone: (checkId, result) => {
+        if (options.json) {return;}
+        const counts = countBySeverity(result.findings ?? []);
+        const detail = `${result.duration}s, ${counts.error} error(s), ${counts.warning} warning(s)`;
+        if (result.passed) {
+          log(`   ✅ ${CHECKS[checkId].emoji} ${CHECKS[checkId].name} passed (${detail})`, 'green');
+        } else {
+          log(`   ❌ ${CHECKS[checkId].emoji} ${CHECKS[checkId].name} failed (${detail})`, 'red');
+        }
+      },
+    });
+  } finally {
+    fs.rmSync(findingsDir, { recursive: true, force: true });
   }
 
   const totalDuration = ((Date.now() - startTime) / 1000).toFixed(2);
+  const findings = results.flatMap((r) => r.findings);
 
   // Print summary
   const passed = results.filter((r) => r.passed).length;
   const failed = results.filter((r) => !r.passed).length;
   const total = results.length;
 
+  if (options.sarif) {
+    const sarif = toSarif(findings, { name: 'kb-devkit', version: devkitVersion });
+    fs.mkdirSync(path.dirname(path.resolve(options.sarif)), { recursive: true });
+    fs.writeFileSync(options.sarif, JSON.stringify(sarif, null, 2) + '\n');
+  }
+
+  if (options.annotations) {
+    // Workflow commands are read from both streams; keep stdout clean for --json
+    const write = options.json ? (line) => console.error(line) : (line) => console.log(line);
+    for (const finding of findings) {
+      write(toAnnotation(finding));
+    }
+  }
+
   if (options.json) {
     // JSON output for CI parsing
     const output = {
@@ -213,6 +258,14 @@ async function main() {
         failed,
         duration: parseFloat(totalDuration),
         success: failed === 0,
+        findings: countBySeverity(findings),
+        ...(affected ? {
+          affected: {
+            since: affected.ref,
+            changed: [...affected.changed].sort(),
+            packages: [...affected.affected].sort(),
+          },
+        } : {}),
       },
       checks: results.map((r) => ({
         id: r.checkId,
@@ -220,12 +273,24 @@ async function main() {
         passed: r.passed,
         exitCode: r.exitCode,
         duration: r.duration,
+        findings: countBySeverity(r.findings),
         error: r.error,
       })),
+      findings,
     };
 
     console.log(JSON.stringify(output, null, 2));
   } else {
+    // Full output of failed checks (all checks with --verbose), in check order
+    for (const result of results) {
+      if (result.passed && !options.verbose) {continue;}
+      log(`\n${'─'.repeat(60)}\n${result.emoji} ${result.name}`, result.passed ? 'green' : 'red');
+      process.stdout.write(result.stdout);
+      if (result.stderr) {process.stderr.write(result.stderr);}
+    }
+
+    const counts = countBySeverity(findings);
+
     log('\n' + '─'.repeat(60) + '\n', 'gray');
     log('📊 Summary:\n', 'blue');
 
@@ -234,7 +299,11 @@ async function main() {
     if (failed > 0) {
       log(`   ❌ Failed:     ${failed}`, 'red');
     }
+    log(`   🔎 Findings:   ${counts.error} error(s), ${counts.warning} warning(s), ${counts.note} note(s)`, 'gray');
     log(`   ⏱️  Duration:   ${totalDuration}s`, 'gray');
+    if (options.sarif) {
+      log(`   📄 SARIF:      ${options.sarif}`, 'gray');
+    }
 
     log('', 'reset');
 
@@ -247,10 +316,10 @@ async function main() {
     }
 
     log('💡 Tips:', 'blue');
-    log('   • Run individual checks to see detailed output', 'gray');
+    log('   • Use --verbose to print the output of passing checks too', 'gray');
     log('   • Use --skip=<check> to skip specific checks', 'gray');
     log('   • Use --only=<check> to run only specific checks', 'gray');
-    log('   • Use --json for machine-readable output', 'gray');
+    log('   • Use --json for machine-readable output, --sarif=<file> for code scanning', 'gray');
     log('', 'reset');
   }
 
@@ -9,6 +9,7 @@
  * Core monorepos (from stabilization.md):
  *   kb-labs-cli, kb-labs-core, kb-labs-shared,
  *   kb-labs-sdk, kb-labs-rest-api, kb-labs-plugin
+ * Override via kb-labs.config.json → { "devkit": { "coreRepos": [...] } }
  *
  * Requirements for core:
  *   build  → zero failures
@@ -29,6 +30,8 @@ import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 
+import { loadWorkspace } from './lib/workspace.mjs';
+
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 const colors = {
@@ -46,42 +49,18 @@ const args = process.argv.slice(2);
 const jsonOutput = args.includes('--json');
 const verbose = args.includes('--verbose');
 
-// Core monorepos — matches stabilization.md
-const CORE_REPOS = [
-  'kb-labs-cli',
-  'kb-labs-core',
-  'kb-labs-shared',
-  'kb-labs-sdk',
-  'kb-labs-rest-api',
-  'kb-labs-plugin',
-];
-
-function findMonorepoRoot() {
-  let dir = process.cwd();
-  while (dir !== '/') {
-    if (fs.existsSync(path.join(dir, 'pnpm-workspace.yaml'))) return dir;
-    dir = path.dirname(dir);
-  }
-  throw new Error('Not in a pnpm workspace');
-}
+const workspace = loadWorkspace(process.cwd());
+
+// Core monorepos — matches stabilization.md (devkit.coreRepos in kb-labs.config.json)
+const CORE_REPOS = workspace.config.coreRepos;
 
 /**
  * Build map: package name → repo name, for core repos only.
  */
-function buildCorePackageMap(rootDir) {
+function buildCorePackageMap() {
   const map = new Map();
-  for (const repo of CORE_REPOS) {
-    const repoDir = path.join(rootDir, repo, 'packages');
-    if (!fs.existsSync(repoDir)) continue;
-    for (const entry of fs.readdirSync(repoDir, { withFileTypes: true })) {
-      if (!entry.isDirectory()) continue;
-      const pkgJsonPath = path.join(repoDir, entry.name, 'package.json');
-      if (!fs.existsSync(pkgJsonPath)) continue;
-      try {
-        const pkg = JSON.parse(fs.readFileSync(pkgJsonPath, 'utf-8'));
-        if (pkg.name) map.set(pkg.name, repo);
-      } catch { /* skip */ }
-    }
+  for (const pkg of workspace.packages) {
+    if (pkg.repo && CORE_REPOS.includes(pkg.repo)) map.set(pkg.name, pkg.repo);
   }
   return map;
 }
@@ -99,8 +78,8 @@ function readLastQaRun(rootDir) {
 }
 
 function runGate() {
-  const rootDir = findMonorepoRoot();
-  const corePackageMap = buildCorePackageMap(rootDir);
+  const rootDir = workspace.root;
+  const corePackageMap = buildCorePackageMap();
 
   if (corePackageMap.size === 0) {
     console.error(`${colors.red}Could not find any core packages. Run from monorepo root.${colors.reset}`);
@@ -24,11 +24,16 @@ import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { execSync } from 'node:child_process';
 
-// Shared package discovery — supports both flat and categorized layouts
+// Shared workspace model — package discovery plus devkit.scope from kb-labs.config.json
 import { findPackages } from './lib/find-packages.mjs';
+import { loadWorkspace, stripScope } from './lib/workspace.mjs';
+// Dependency usage across src, tests, scripts, bin and tool configs (shared with check-imports --fix)
+import { findRemovableDependencies, findUsedDependencies } from './lib/dependency-usage.mjs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+const workspace = loadWorkspace(process.cwd());
+
 // ANSI colors
 const colors = {
   reset: '\x1b[0m',
@@ -69,270 +74,20 @@ if (options.all) {
   options.alignVersions = true;
 }
 
-/**
- * Extract imports from source files
- */
-function extractImportsFromFile(filePath) {
-  const content = fs.readFileSync(filePath, 'utf-8');
-  const imports = new Set();
-
-  const patterns = [
-    // Static imports: import X from 'pkg'
-    /import\s+(?:[\w*{}\n\r\t, ]+\s+from\s+)?['"]([^'"]+)['"]/g,
-    // Dynamic imports: import('pkg')
-    /import\s*\(\s*['"]([^'"]+)['"]\s*\)/g,
-    // Require: require('pkg')
-    /require\s*\(\s*['"]([^'"]+)['"]\s*\)/g,
-    // Template literal dynamic imports: import(`pkg`)
-    /import\s*\(\s*`([^`]+)`\s*\)/g,
-    // Template literal require: require(`pkg`)
-    /require\s*\(\s*`([^`]+)`\s*\)/g,
-  ];
-
-  for (const pattern of patterns) {
-    let match;
-    while ((match = pattern.exec(content)) !== null) {
-      const importPath = match[1];
-
-      // Skip template variables like ${var} - we can't analyze these statically
-      if (importPath.includes('${')) {
-        continue;
-      }
-
-      // Extract package name (handle scoped packages)
-      if (!importPath.startsWith('.') && !importPath.startsWith('/')) {
-        const pkgMatch = importPath.match(/^(@[^/]+\/[^/]+|[^/]+)/);
-        if (pkgMatch) {
-          imports.add(pkgMatch[1]);
-        }
-      }
-    }
-  }
-
-  return imports;
-}
-
-/**
- * Find all imports in package
- */
-function findUsedDependencies(packageDir) {
-  const used = new Set();
-
-  // Directories to scan
-  const dirsToScan = ['src', 'test', 'tests', '__tests__', 'scripts', 'bin'];
-
-  for (const dir of dirsToScan) {
-    const dirPath = path.join(packageDir, dir);
-    if (fs.existsSync(dirPath)) {
-      walkDir(dirPath, used);
-    }
-  }
-
-  // Also scan config files in root
-  const configPatterns = [
-    'tsup.config.ts',
-    'tsup.config.js',
-    'vitest.config.ts',
-    'vitest.config.js',
-    'vite.config.ts',
-    'vite.config.js',
-    'eslint.config.js',
-    'eslint.config.mjs',
-    'jest.config.ts',
-    'jest.config.js',
-    'rollup.config.ts',
-    'rollup.config.js',
-  ];
-
-  for (const configFile of configPatterns) {
-    const configPath = path.join(packageDir, configFile);
-    if (fs.existsSync(configPath)) {
-      const imports = extractImportsFromFile(configPath);
-      imports.forEach((imp) => used.add(imp));
-    }
-  }
-
-  // Scan package.json scripts for CLI tool usage
-  const packageJsonPath = path.join(packageDir, 'package.json');
-  if (fs.existsSync(packageJsonPath)) {
-    const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf-8'));
-    if (packageJson.scripts) {
-      for (const script of Object.values(packageJson.scripts)) {
-        // Extract command names from scripts (first word before space or flags)
-        const commands = script.match(/\b([a-z0-9@\-_/.]+)/gi) || [];
-        for (const cmd of commands) {
-          // Extract package name from command (e.g., "tsx" from "tsx src/index.ts")
-          // Handle scoped packages (e.g., "@vitest/ui")
-          if (cmd.startsWith('@')) {
-            const scopedMatch = cmd.match(/^(@[^/]+\/[^/\s]+)/);
-            if (scopedMatch) {
-              used.add(scopedMatch[1]);
-            }
-          } else {
-            const pkgMatch = cmd.match(/^([a-z0-9\-_]+)/);
-            if (pkgMatch) {
-              used.add(pkgMatch[1]);
-            }
-          }
-        }
-      }
-    }
-  }
-
-  return used;
-}
-
-/**
- * Walk directory and collect imports
- */
-function walkDir(dir, used) {
-  const entries = fs.readdirSync(dir, { withFileTypes: true });
-
-  for (const entry of entries) {
-    const fullPath = path.join(dir, entry.name);
-
-    if (entry.isDirectory() && entry.name !== 'node_modules' && entry.name !== 'dist') {
-      walkDir(fullPath, used);
-    } else if (entry.isFile() && /\.(ts|tsx|js|jsx|mjs|cjs)$/.test(entry.name)) {
-      const imports = extractImportsFromFile(fullPath);
-      imports.forEach((imp) => used.add(imp));
-    }
-  }
-}
-
 /**
  * Remove unused dependencies
  */
-function removeUnusedDependencies(packageJsonPath, dryRun, verbose = false) {
+function removeUnusedDependencies(packageJsonPath, dryRun) {
   const packageDir = path.dirname(packageJsonPath);
   const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf-8'));
   const packageName = packageJson.name;
 
-  if (!packageName || !packageName.startsWith('@kb-labs/')) {
+  if (!packageName || !workspace.inScope(packageName)) {
     return { removed: 0, deps: [], kept: [] };
   }
 
-  const used = findUsedDependencies(packageDir);
-  const kept = []; // For verbose output
   const allDeps = { ...packageJson.dependencies, ...packageJson.devDependencies };
-  const peerDeps = packageJson.peerDependencies || {};
-  const toRemove = [];
-
-  // Also mark dependencies used in bin scripts as used
-  if (packageJson.bin) {
-    const binScripts = typeof packageJson.bin === 'string'
-      ? [packageJson.bin]
-      : Object.values(packageJson.bin);
-
-    for (const binPath of binScripts) {
-      const fullBinPath = path.join(packageDir, binPath);
-      if (fs.existsSync(fullBinPath)) {
-        const imports = extractImportsFromFile(fullBinPath);
-        imports.forEach((imp) => used.add(imp));
-      }
-    }
-  }
-
-  // Build tools that should not be removed (used via bin/cli, not imports)
-  const keepDeps = new Set([
-    // TypeScript & build
-    'typescript',
-    'tsup',
-    'esbuild',
-    'rollup',
-    'vite',
-    'rimraf',
-    'concurrently',
-    'cross-env',
-    'tsx',
-    'ts-node',
-    'npm-run-all',
-    'npm-run-all2',
-    'wait-on',
-    'nodemon',
-    'chokidar-cli',
-
-    // Linting & formatting
-    'eslint',
-    'prettier',
-    'oxlint',
-
-    // Testing
-    'vitest',
-    'jest',
-    'mocha',
-    'nyc',
-    'c8',
-    '@vitest/coverage-v8',
-    '@vitest/ui',
-    'playwright',
-    '@playwright/test',
-    'happy-dom',
-    'jsdom',
-
-    // KB Labs devkit
-    '@kb-labs/devkit',
-
-    // Node types (used implicitly)
-    '@types/node',
-
-    // Package managers & publish tools
-    'changesets',
-    '@changesets/cli',
-    'turbo',
-    'lerna',
-  ]);
-
-  // Patterns for packages that shouldn't be removed
-  const keepPatterns = [
-    /^@types\//,           // Type definitions
-    /^eslint-/,            // ESLint plugins/configs
-    /^@eslint\//,          // ESLint scoped packages
-    /^@vitest\//,          // Vitest plugins
-    /^@testing-library\//, // Testing library
-    /^@typescript-eslint/, // TS ESLint
-    /^@vitejs\//,          // Vite plugins
-    /^vite-plugin-/,       // Vite plugins
-    /^rollup-plugin-/,     // Rollup plugins
-    /^@rollup\//,          // Rollup scoped
-    /^prettier-plugin-/,   // Prettier plugins
-  ];
-
-  for (const dep of Object.keys(allDeps)) {
-    // Always keep workspace dependencies (they define the architecture)
-    const depValue = allDeps[dep];
-    if (typeof depValue === 'string' && (depValue.startsWith('workspace:') || depValue.startsWith('link:'))) {
-      if (verbose) {kept.push({ dep, reason: 'workspace/link dependency' });}
-      continue;
-    }
-
-    // Skip if it's used in code
-    if (used.has(dep)) {
-      if (verbose) {kept.push({ dep, reason: 'used in code' });}
-      continue;
-    }
-
-    // Skip if it's a peer dependency (consumers might need it)
-    if (peerDeps[dep]) {
-      if (verbose) {kept.push({ dep, reason: 'peer dependency' });}
-      continue;
-    }
-
-    // Skip if it's in keepDeps
-    if (keepDeps.has(dep)) {
-      if (verbose) {kept.push({ dep, reason: 'build tool' });}
-      continue;
-    }
-
-    // Skip if matches any keep pattern
-    const matchedPattern = keepPatterns.find((pattern) => pattern.test(dep));
-    if (matchedPattern) {
-      if (verbose) {kept.push({ dep, reason: `pattern: ${matchedPattern.source}` });}
-      continue;
-    }
-
-    toRemove.push(dep);
-  }
+  const { removable: toRemove, kept } = findRemovableDependencies(packageDir, packageJson);
 
   if (toRemove.length > 0) {
     if (!dryRun) {
@@ -359,7 +114,7 @@ function addMissingDependencies(packageJsonPath, dryRun, allPackages) {
   const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf-8'));
   const packageName = packageJson.name;
 
-  if (!packageName || !packageName.startsWith('@kb-labs/')) {
+  if (!packageName || !workspace.inScope(packageName)) {
     return { added: 0, deps: [] };
   }
 
@@ -369,7 +124,7 @@ function addMissingDependencies(packageJsonPath, dryRun, allPackages) {
 
   // Find missing workspace packages
   for (const dep of used) {
-    if (dep.startsWith('@kb-labs/') && !existing[dep]) {
+    if (workspace.isInternal(dep) && !existing[dep]) {
       // Check if this package exists in workspace
       const exists = allPackages.some((p) => {
         const json = JSON.parse(fs.readFileSync(p, 'utf-8'));
@@ -415,12 +170,13 @@ function addMissingNpmDependencies(packageJsonPath, dryRun) {
   const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf-8'));
   const packageName = packageJson.name;
 
-  if (!packageName || !packageName.startsWith('@kb-labs/')) {
+  if (!packageName || !workspace.inScope(packageName)) {
     return { added: 0, deps: [], packageName };
   }
 
   // Run devkit-check-imports for this package to get missing npm deps
-  const shortName = packageName.replace('@kb-labs/', '');
+  // (its --package filter matches the package directory name)
+  const shortName = path.basename(packageDir);
   const missingNpmDeps = [];
 
   try {
@@ -443,7 +199,7 @@ function addMissingNpmDependencies(packageJsonPath, dryRun) {
       }
 
       // Exit section when we hit a separator, new section, or empty line after deps
-      if (inMissingNpmSection && (line.includes('────') || line.includes('📊') || line.includes('🔴') || line.includes('🟠') || line.includes('🔄') || line.includes('Summary'))) {
+      if (inMissingNpmSection && (line.includes('────') || line.includes('📊') || line.includes('🔴') || line.includes('🟠') || line.includes('🔄') || line.includes('💡') || line.includes('Summary'))) {
         inMissingNpmSection = false;
         break;
       }
@@ -469,7 +225,7 @@ function addMissingNpmDependencies(packageJsonPath, dryRun) {
           continue;
         }
 
-        if (inMissingNpmSection && (line.includes('────') || line.includes('📊') || line.includes('🔴') || line.includes('🟠') || line.includes('🔄'))) {
+        if (inMissingNpmSection && (line.includes('────') || line.includes('📊') || line.includes('🔴') || line.includes('🟠') || line.includes('🔄') || line.includes('💡'))) {
           inMissingNpmSection = false;
           break;
         }
@@ -708,11 +464,13 @@ function findOrphanPackages(packages) {
   const packageMap = new Map();
   for (const packagePath of packages) {
     const packageJson = JSON.parse(fs.readFileSync(packagePath, 'utf-8'));
-    if (packageJson.name?.startsWith('@kb-labs/')) {
+    if (workspace.inScope(packageJson.name)) {
+      const repo = workspace.getRepo(packagePath);
       packageMap.set(packageJson.name, {
         path: packagePath,
         dir: path.dirname(packagePath),
-        repo: path.basename(path.dirname(path.dirname(path.dirname(packagePath)))),
+        repo: repo?.name ?? null,
+        repoShortName: repo?.shortName ?? null,
       });
     }
   }
@@ -730,7 +488,7 @@ function findOrphanPackages(packages) {
     ];
 
     for (const dep of allDeps) {
-      if (dep.startsWith('@kb-labs/')) {
+      if (workspace.inScope(dep)) {
         dependedOn.add(dep);
       }
     }
@@ -761,14 +519,14 @@ function categorizeOrphans(orphans) {
   };
 
   for (const pkg of orphans) {
-    const name = pkg.name.replace('@kb-labs/', '');
+    const name = stripScope(pkg.name, workspace.config);
 
     // CLI entry points (expected orphans)
     if (name.endsWith('-cli') || name === 'cli-core' || name === 'cli-bin') {
       categories.cliEntryPoints.push(pkg);
     }
     // Plugin packages (often standalone) - check both name pattern and repo
-    else if (name.endsWith('-plugin') || name.includes('plugin-') || pkg.repo === 'kb-labs-plugin') {
+    else if (name.endsWith('-plugin') || name.includes('plugin-') || pkg.repoShortName === 'plugin') {
       categories.plugins.push(pkg);
     }
     // App entry points
@@ -785,7 +543,7 @@ function categorizeOrphans(orphans) {
       name === 'ui-core' ||              // UI library
       name === 'ui-react' ||             // React components
       name === 'data-client' ||          // Client library
-      pkg.repo === 'kb-labs-studio' ||   // Studio packages are user-facing
+      pkg.repoShortName === 'studio' ||  // Studio packages are user-facing
       // Core infrastructure packages (meant for external consumption)
       name === 'core-framework' ||
       name === 'core-state-daemon' ||
@@ -813,7 +571,7 @@ function showOrphanPackages(packages) {
   const { orphans, totalPackages, dependedOn } = findOrphanPackages(packages);
   const categories = categorizeOrphans(orphans);
 
-  log(`📦 Total @kb-labs/* packages:    ${totalPackages}`, 'cyan');
+  log(`📦 ${`Total ${workspace.config.scopePrefix || ''}* packages:`.padEnd(30)}${totalPackages}`, 'cyan');
   log(`🔗 Packages with dependents:     ${dependedOn}`, 'cyan');
   log(`👻 Orphan packages:              ${orphans.length}`, orphans.length > 0 ? 'yellow' : 'green');
   log('', 'reset');
@@ -977,7 +735,7 @@ function main() {
     const removals = [];
 
     for (const packagePath of packages) {
-      const result = removeUnusedDependencies(packagePath, options.dryRun, options.verbose);
+      const result = removeUnusedDependencies(packagePath, options.dryRun);
       totalScanned += result.totalDeps || 0;
 
       if (result.removed > 0) {
@@ -17,12 +17,23 @@
  *   npx kb-devkit-freshness --age-days=30        # Packages not built in 30+ days
  *   npx kb-devkit-freshness --high-impact=5      # Packages affecting 5+ others
  *   npx kb-devkit-freshness --suggest-rebuild    # Show rebuild order
+ *   npx kb-devkit-freshness --stamp              # Write build stamps after building
+ *   npx kb-devkit-freshness --rebuild            # Rebuild stale packages and their dependents
+ *   npx kb-devkit-freshness --rebuild --dry-run  # Show the rebuild plan only
+ *   npx kb-devkit-freshness --rebuild --concurrency=4
+ *   npx kb-devkit-freshness --watch              # Rebuild on every src/ change (daemon)
+ *
+ * Packages are compared by content hash once they carry a build stamp
+ * (dist/.kb-build-stamp.json); unstamped packages fall back to mtimes.
  */
 
 import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 
+import { parseConcurrency } from './lib/task-pool.mjs';
+import { loadWorkspace } from './lib/workspace.mjs';
+
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 // ANSI colors
@@ -53,6 +64,13 @@ const options = {
   tree: args.includes('--tree'),
   onlyStale: args.includes('--only-stale'),
   suggestRebuild: args.includes('--suggest-rebuild'),
+  stamp: args.includes('--stamp'),
+  force: args.includes('--force'),
+  rebuild: args.includes('--rebuild'),
+  dryRun: args.includes('--dry-run'),
+  watch: args.includes('--watch'),
+  debounce: parseInt(args.find((arg) => arg.startsWith('--debounce='))?.split('=')[1]) || 300,
+  concurrency: parseConcurrency(args.find((arg) => arg.startsWith('--concurrency='))?.split('=')[1], 4),
   ageDays: parseInt(args.find((arg) => arg.startsWith('--age-days='))?.split('=')[1]) || null,
   highImpact: parseInt(args.find((arg) => arg.startsWith('--high-impact='))?.split('=')[1]) || null,
   help: args.includes('--help') || args.includes('-h'),
@@ -79,6 +97,13 @@ OPTIONS:
   --age-days=<N>          Show packages not built in N+ days
   --high-impact=<N>       Show packages affecting N+ others
   --suggest-rebuild       Show suggested rebuild order
+  --stamp                 Write a build stamp into each dist/ (run right after building)
+  --force                 With --stamp: also stamp dists that look older than their sources
+  --rebuild               Rebuild stale packages and their dependents, then re-check
+  --dry-run               With --rebuild: print the rebuild plan without building
+  --concurrency=<N>       With --rebuild/--watch: maximum parallel builds (default: 4)
+  --watch                 Watch src/ of every package and keep the workspace built
+  --debounce=<ms>         With --watch: quiet period before rebuilding (default: 300)
   -h, --help              Show this help
 
 EXAMPLES:
@@ -97,15 +122,289 @@ EXAMPLES:
   # Packages not built in 30+ days
   npx kb-devkit-freshness --age-days=30 --suggest-rebuild
 
+  # Stamp a package as part of its build script
+  tsup && npx kb-devkit-freshness --stamp --package=cli-core
+
+  # Rebuild everything stale, two builds at a time
+  npx kb-devkit-freshness --rebuild --concurrency=2
+
+  # Keep everything built while you edit
+  npx kb-devkit-freshness --watch
+
 STALENESS CRITERIA:
   1. Version Mismatch - Built version != current version
-  2. Time-based - Source files newer than dist files
-  3. Dependency Staleness - Dependency rebuilt after this package (CRITICAL!)
+  2. Source Changed - src/ or tsup config hash differs from the build stamp
+  3. Dependency Staleness - Dependency dist differs from the one this package was built against (CRITICAL!)
+     - public-api-changed: the dependency's .d.ts surface changed
+     - packages that only import a dependency's types stay fresh while its API is unchanged
+
+BUILD STAMPS:
+  --stamp writes dist/.kb-build-stamp.json with the source hash, the tsup config hash
+  and the dist hash and public API (.d.ts) fingerprint of every workspace dependency.
+  Stamped packages are judged by content hashes, so git checkouts, touch, CI caches
+  and clock skew don't matter.
+  Packages without a stamp fall back to comparing modification times.
+  --stamp refuses packages whose src/ is newer than dist/ (stamping them would
+  record a stale build as fresh) and exits 1; --force stamps them anyway.
 
 For more info: https://github.com/kb-labs/kb-labs
 `);
 }
 
+// A dist/ older than its sources wasn't built from them; stamping it would
+// record a stale build as fresh
+function isDistOlderThanSource(meta) {
+  return meta.distExists && meta.srcMtime > 0 && meta.distMtime > 0 && meta.srcMtime > meta.distMtime;
+}
+
+/**
+ * Write build stamps for the given packages (those with a dist/)
+ */
+async function stampPackages(packages, metadata, graph) {
+  const { writeBuildStamp } = await import('../src/freshness/stamp.js');
+  const stamped = [];
+  const skipped = [];
+  const refused = [];
+
+  for (const packagePath of packages) {
+    const packageName = JSON.parse(fs.readFileSync(packagePath, 'utf-8')).name;
+    const meta = metadata.get(packageName);
+    if (!meta) {continue;}
+
+    if (!options.force && isDistOlderThanSource(meta)) {
+      refused.push(packageName);
+      log(`   ❌ ${packageName} (src/ is newer than dist/; rebuild first or pass --force)`, 'red');
+      continue;
+    }
+
+    const dependencies = [...(graph.get(packageName)?.dependencies.values() ?? [])];
+    if (writeBuildStamp(meta, dependencies)) {
+      stamped.push(packageName);
+      log(`   🏷️  ${packageName}`, 'green');
+    } else {
+      skipped.push(packageName);
+      log(`   ⏭️  ${packageName} (no dist/)`, 'gray');
+    }
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify({ stamped, skipped, refused }, null, 2));
+  } else {
+    log(`\n${refused.length > 0 ? '⚠️ ' : '✅'} Stamped ${stamped.length} package(s)${skipped.length > 0 ? `, ${skipped.length} without dist/ skipped` : ''}${refused.length > 0 ? `, ${refused.length} refused (stale dist/)` : ''}\n`, refused.length > 0 ? 'yellow' : 'green');
+  }
+  return refused.length > 0 ? 1 : 0;
+}
+
+/**
+ * Collect metadata, build the graph and analyze staleness (phases 2-5)
+ */
+async function analyze(packages, allPackages, config) {
+  const { collectAllMetadata } = await import('../src/freshness/metadata.js');
+  const { buildDependencyGraph } = await import('../src/freshness/graph.js');
+  const { analyzeStaleness } = await import('../src/freshness/analyzer.js');
+  const { propagateStaleness } = await import('../src/freshness/propagate.js');
+
+  // Metadata of every package: dependencies need theirs too
+  const metadata = await collectAllMetadata(allPackages, config);
+  const graph = buildDependencyGraph(allPackages, metadata);
+
+  const freshnessResults = new Map();
+  for (const pkg of packages) {
+    const packageJson = JSON.parse(fs.readFileSync(pkg, 'utf-8'));
+    const packageName = packageJson.name;
+    const meta = metadata.get(packageName);
+
+    if (meta) {
+      const result = analyzeStaleness(packageName, meta, graph, metadata, options);
+      freshnessResults.set(packageName, result);
+    }
+  }
+
+  propagateStaleness(freshnessResults, graph);
+
+  return { metadata, graph, freshnessResults };
+}
+
+/**
+ * --rebuild: build the stale set and its dependents in dependency order, then
+ * analyze again and report what is still stale
+ */
+async function rebuildStale(rootDir, packages, allPackages, config, { freshnessResults, graph }) {
+  const { planRebuild, runRebuild } = await import('../src/freshness/rebuild.js');
+  const { formatDuration, getPrimaryIssue } = await import('../src/freshness/formatters.js');
+  const plan = planRebuild(freshnessResults, graph);
+
+  if (plan.length === 0) {
+    if (options.json) {
+      console.log(JSON.stringify({ plan, results: [], stillStale: [] }, null, 2));
+    } else {
+      log('✅ Nothing to rebuild — all packages are fresh\n', 'green');
+    }
+    return 0;
+  }
+
+  log(`🔨 Rebuild plan (${plan.length} package(s)):\n`, 'blue');
+  plan.forEach((entry, i) => {
+    log(`   ${String(i + 1).padStart(2)}. ${entry.name}`, 'cyan');
+    log(`       └─ ${entry.reason}`, 'gray');
+  });
+  log('');
+
+  if (options.dryRun) {
+    if (options.json) {
+      console.log(JSON.stringify({ plan, results: [], stillStale: [] }, null, 2));
+    } else {
+      log(`💡 Dry run — run without --dry-run to build (concurrency ${options.concurrency})\n`, 'blue');
+    }
+    return 0;
+  }
+
+  const results = await runRebuild(plan, graph, {
+    cwd: rootDir,
+    concurrency: options.concurrency,
+    onStart: (name) => log(`   🔨 ${name}...`, 'gray'),
+    onDone: (name, result) => {
+      if (result.status === 'built') {
+        log(`   ✅ ${name} (${formatDuration(result.durationMs)})`, 'green');
+      } else if (result.status === 'failed') {
+        log(`   ❌ ${name} (${formatDuration(result.durationMs)})`, 'red');
+        for (const line of result.output.split('\n').slice(-10)) {
+          log(`      ${line}`, 'gray');
+        }
+      } else {
+        log(`   ⏭️  ${name} skipped: ${result.reason}`, 'yellow');
+      }
+    },
+  });
+
+  // Re-verify: builds that succeeded but left a package stale point at a broken build script
+  const verified = await analyze(packages, allPackages, config);
+  const stillStale = [...verified.freshnessResults.values()]
+    .filter((r) => r.status === 'stale' || r.status === 'never-built')
+    .map((r) => ({ name: r.pkgName, status: r.status, reason: getPrimaryIssue(r) }));
+
+  const built = results.filter((r) => r.status === 'built').length;
+  const failed = results.filter((r) => r.status === 'failed').length;
+  const skipped = results.filter((r) => r.status === 'skipped').length;
+
+  if (options.json) {
+    console.log(JSON.stringify({ plan, results, stillStale }, null, 2));
+  } else {
+    log('');
+    log('─'.repeat(60) + '\n', 'gray');
+    log(`📊 Rebuilt ${built}/${plan.length}${failed > 0 ? `, ${failed} failed` : ''}${skipped > 0 ? `, ${skipped} skipped` : ''}\n`, failed > 0 ? 'red' : 'green');
+
+    if (stillStale.length === 0) {
+      log('✅ All packages are fresh\n', 'green');
+    } else {
+      log(`⚠️  Still stale after rebuild (${stillStale.length}):`, 'yellow');
+      for (const entry of stillStale) {
+        log(`   ${entry.name}: ${entry.reason}`, 'yellow');
+      }
+      log('');
+    }
+  }
+
+  return failed > 0 || stillStale.length > 0 ? 1 : 0;
+}
+
+/**
+ * --watch: rebuild on every change until interrupted. Shows a live status
+ * table on a terminal, one line per event otherwise, NDJSON with --json.
+ */
+async function watchMode(rootDir, packages, allPackages, config) {
+  const { watchWorkspace } = await import('../src/freshness/watch.js');
+  const { formatDuration, formatWatchStatus } = await import('../src/freshness/formatters.js');
+
+  const watched = packages.map((packagePath) => ({
+    name: JSON.parse(fs.readFileSync(packagePath, 'utf-8')).name,
+    dir: path.dirname(packagePath),
+  }));
+  const interactive = Boolean(process.stdout.isTTY) && !options.json;
+
+  let renderTimer = null;
+  const render = (state) => {
+    process.stdout.write(`\x1b[2J\x1b[H${formatWatchStatus(state)}\n`);
+  };
+  const scheduleRender = (state) => {
+    if (renderTimer) {return;}
+    renderTimer = setTimeout(() => {
+      renderTimer = null;
+      render(state);
+    }, 100);
+  };
+
+  function onEvent(event, state) {
+    if (options.json) {
+      const { plan, result, rows, error, ...rest } = event;
+      console.log(JSON.stringify({
+        ...rest,
+        ...(plan ? { plan: plan.map((entry) => entry.name) } : {}),
+        ...(result ? { status: result.status, durationMs: result.durationMs } : {}),
+        ...(rows ? { fresh: state.fresh, failed: rows.filter((row) => row.status === 'failed').map((row) => row.name) } : {}),
+        ...(error ? { error: error.message } : {}),
+        at: new Date().toISOString(),
+      }));
+      return;
+    }
+
+    if (interactive) {
+      scheduleRender(state);
+      return;
+    }
+
+    switch (event.type) {
+      case 'watching':
+        log(`👀 Watching src/ of ${event.watched} package(s)\n`, 'blue');
+        break;
+      case 'change':
+        log(`✏️  ${event.name}: ${event.file}`, 'gray');
+        break;
+      case 'cycle-start':
+        if (event.plan.length > 0) {
+          log(`🔨 Cycle ${state.cycle}: rebuilding ${event.plan.length} package(s)`, 'blue');
+        }
+        break;
+      case 'build-done': {
+        const { status, durationMs, reason } = event.result;
+        const color = { built: 'green', failed: 'red', skipped: 'yellow', cancelled: 'gray' }[status];
+        log(`   ${status.padEnd(9)} ${event.name}${durationMs ? ` (${formatDuration(durationMs)})` : ''}${reason ? ` — ${reason}` : ''}`, color);
+        break;
+      }
+      case 'idle':
+        log(`✅ Idle · ${state.fresh} of ${state.total} fresh\n`, 'green');
+        break;
+      case 'error':
+        log(`❌ ${event.error.message}`, 'red');
+        break;
+    }
+  }
+
+  const watcher = watchWorkspace({
+    packages: watched,
+    analyze: () => analyze(packages, allPackages, config),
+    cwd: rootDir,
+    concurrency: options.concurrency,
+    debounceMs: options.debounce,
+    onEvent,
+  });
+
+  // Keep elapsed build times moving
+  const ticker = interactive
+    ? setInterval(() => watcher.state.phase === 'building' && render(watcher.state), 1000)
+    : null;
+
+  const shutdown = async () => {
+    clearInterval(ticker);
+    clearTimeout(renderTimer);
+    await watcher.stop();
+    log('\n👋 Stopped watching\n', 'gray');
+    process.exit(0);
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+}
+
 /**
  * Main function
  */
@@ -141,32 +440,28 @@ async function main() {
       log(`Found ${packages.length} package(s) to analyze\n`, 'gray');
     }
 
-    // Phase 2: Collect metadata
-    const { collectAllMetadata } = await import('../src/freshness/metadata.js');
-    const metadata = await collectAllMetadata(packages);
-
-    // Phase 3: Build dependency graph
-    const { buildDependencyGraph } = await import('../src/freshness/graph.js');
-    const graph = buildDependencyGraph(packages, metadata);
+    // Phases 2-5: Collect metadata, build dependency graph, analyze and propagate staleness
+    const allPackages = options.package ? findPackages(rootDir) : packages;
+    // Scope etc. come from the workspace root's kb-labs.config.json, not each package's repo
+    const { config } = loadWorkspace(rootDir);
+    const analysis = await analyze(packages, allPackages, config);
+    const { metadata, graph, freshnessResults } = analysis;
 
-    // Phase 4: Analyze staleness
-    const { analyzeStaleness } = await import('../src/freshness/analyzer.js');
-    const freshnessResults = new Map();
-
-    for (const pkg of packages) {
-      const packageJson = JSON.parse(fs.readFileSync(pkg, 'utf-8'));
-      const packageName = packageJson.name;
-      const meta = metadata.get(packageName);
+    // --stamp: record what the current dists were built from, then stop
+    if (options.stamp) {
+      process.exit(await stampPackages(packages, metadata, graph));
+    }
 
-      if (meta) {
-        const result = analyzeStaleness(packageName, meta, graph, metadata, options);
-        freshnessResults.set(packageName, result);
-      }
+    // --watch: keep rebuilding until interrupted
+    if (options.watch) {
+      await watchMode(rootDir, packages, allPackages, config);
+      return;
     }
 
-    // Phase 5: Propagate staleness and calculate impact
-    const { propagateStaleness } = await import('../src/freshness/propagate.js');
-    propagateStaleness(freshnessResults, graph);
+    // --rebuild: build the stale set, re-check, then stop
+    if (options.rebuild) {
+      process.exit(await rebuildStale(rootDir, packages, allPackages, config, analysis));
+    }
 
     // Phase 6: Format output
     const formatters = await import('../src/freshness/formatters.js');
@@ -28,8 +28,10 @@ import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { execSync } from 'node:child_process';
 
-// Shared package discovery — supports both flat and categorized layouts
-import { findPackages as _findPackagePaths } from './lib/find-packages.mjs';
+// Shared workspace model — pnpm-workspace globs, flat and categorized layouts
+import { loadWorkspace } from './lib/workspace.mjs';
+// Shared dependency graph / layering (@kb-labs/devkit/graph)
+import { loadBuildGraph } from '../graph/index.mjs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -69,17 +71,9 @@ const rootDir = findMonorepoRoot();
  * Find all packages in monorepo
  */
 function findAllPackages() {
-  return _findPackagePaths(rootDir)
-    .map((pkgJsonPath) => {
-      try {
-        const pkg = JSON.parse(fs.readFileSync(pkgJsonPath, 'utf-8'));
-        if (packageFilter && !pkg.name.includes(packageFilter)) return null;
-        return { name: pkg.name, path: path.dirname(pkgJsonPath), pkg };
-      } catch (err) {
-        return null;
-      }
-    })
-    .filter(Boolean);
+  return loadWorkspace(rootDir).packages
+    .filter((pkg) => !packageFilter || pkg.name.includes(packageFilter))
+    .map((pkg) => ({ name: pkg.name, path: pkg.dir, repo: pkg.repo, pkg: pkg.manifest }));
 }
 
 /**
@@ -188,16 +182,14 @@ function checkWorkspaceLinkIssues(packages) {
 
   // Build map of package locations by repo
   const packagesByRepo = new Map();
-  for (const { name, path: pkgPath } of packages) {
-    const repo = pkgPath.split('/').find((p) => p.startsWith('kb-labs-'));
+  for (const { name, repo } of packages) {
     if (!packagesByRepo.has(repo)) {
       packagesByRepo.set(repo, []);
     }
     packagesByRepo.get(repo).push(name);
   }
 
-  for (const { name, path: pkgPath, pkg } of packages) {
-    const myRepo = pkgPath.split('/').find((p) => p.startsWith('kb-labs-'));
+  for (const { name, repo: myRepo, pkg } of packages) {
     const deps = { ...pkg.dependencies, ...pkg.devDependencies };
 
     for (const [depName, depVersion] of Object.entries(deps)) {
@@ -229,12 +221,14 @@ function checkWorkspaceLinkIssues(packages) {
 
 /**
  * Check 3: Build failures
- * Try to build each package and collect errors
+ * Try to build each package (in dependency layer order) and collect errors
  */
-function checkBuilds(packages) {
+function checkBuilds(packages, buildGraph) {
   const issues = [];
+  const layerOf = (name) => buildGraph.packages[name]?.layer ?? Number.MAX_SAFE_INTEGER;
+  const ordered = [...packages].sort((a, b) => layerOf(a.name) - layerOf(b.name));
 
-  for (const { name, path: pkgPath } of packages) {
+  for (const { name, path: pkgPath } of ordered) {
     try {
       execSync('pnpm run build', {
         cwd: pkgPath,
@@ -258,7 +252,7 @@ function checkBuilds(packages) {
  */
 function checkTypeScriptErrors() {
   try {
-    const output = execSync('node kb-labs-devkit/bin/devkit-types-audit.mjs --errors-only --json', {
+    const output = execSync(`node ${path.join(__dirname, 'devkit-types-audit.mjs')} --errors-only --json`, {
       cwd: rootDir,
       encoding: 'utf-8',
       stdio: 'pipe',
@@ -270,6 +264,16 @@ function checkTypeScriptErrors() {
   }
 }
 
+/**
+ * Check 5: Circular dependencies between workspace packages
+ */
+function checkCircularDependencies(buildGraph) {
+  const inScope = (name) => !packageFilter || name.includes(packageFilter);
+  return buildGraph.cycles
+    .filter((cycle) => cycle.some(inScope))
+    .map((cycle) => ({ packages: cycle.slice(0, -1), cycle }));
+}
+
 /**
  * Run all checks and compute health score
  */
@@ -282,12 +286,14 @@ async function runHealthCheck() {
     console.log(`${colors.gray}Analyzing ${packages.length} package(s)...${colors.reset}\n`);
   }
 
+  const buildGraph = loadBuildGraph(rootDir);
   const depsCheck = checkMissingRuntimeDeps(packages);
   const results = {
     missingRuntimeDeps: depsCheck.issues,
     stalePackages: depsCheck.stalePackages,
     workspaceLinkIssues: checkWorkspaceLinkIssues(packages),
-    buildFailures: quick ? [] : checkBuilds(packages),
+    circularDependencies: checkCircularDependencies(buildGraph),
+    buildFailures: quick ? [] : checkBuilds(packages, buildGraph),
     typeScriptErrors: quick ? [] : checkTypeScriptErrors(),
   };
 
@@ -334,6 +340,19 @@ async function runHealthCheck() {
     });
   }
 
+  // Circular dependencies: -10 per cycle
+  if (results.circularDependencies.length > 0) {
+    const penalty = Math.min(results.circularDependencies.length * 10, 30);
+    score -= penalty;
+    criticalIssues.push({
+      type: 'circular-dependencies',
+      severity: 'critical',
+      count: results.circularDependencies.length,
+      message: `${results.circularDependencies.length} circular dependency cycle(s) between packages`,
+      details: results.circularDependencies,
+    });
+  }
+
   // Build failures: -15 per package
   if (results.buildFailures.length > 0) {
     const penalty = Math.min(results.buildFailures.length * 15, 60);
@@ -401,6 +420,8 @@ function printResults(score, grade, criticalIssues, warnings, duration) {
           console.log(`     ${colors.gray}${detail.package}: ${detail.missing.join(', ')}${colors.reset}`);
         } else if (issue.type === 'workspace-link-issues') {
           console.log(`     ${colors.gray}${detail.package} → ${detail.dependency} (${detail.myRepo} → ${detail.depRepo})${colors.reset}`);
+        } else if (issue.type === 'circular-dependencies') {
+          console.log(`     ${colors.gray}${detail.cycle.join(' → ')}${colors.reset}`);
         } else if (issue.type === 'build-failures') {
           console.log(`     ${colors.gray}${detail.package}${colors.reset}`);
         }
@@ -453,8 +474,13 @@ function printResults(score, grade, criticalIssues, warnings, duration) {
       console.log(`      Change ${colors.gray}workspace:*${colors.reset} → ${colors.cyan}link:../../../kb-labs-xxx/packages/xxx${colors.reset}\n`);
     }
 
+    if (criticalIssues.some((i) => i.type === 'circular-dependencies')) {
+      console.log(`   3. Break dependency cycles (extract shared code into a separate package):`);
+      console.log(`      ${colors.cyan}kb-devkit-build-order${colors.reset}\n`);
+    }
+
     if (criticalIssues.some((i) => i.type === 'build-failures')) {
-      console.log(`   3. Fix build failures:`);
+      console.log(`   4. Fix build failures:`);
       console.log(`      ${colors.cyan}pnpm --filter <package> run build${colors.reset}\n`);
     }
   }
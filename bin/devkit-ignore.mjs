@@ -0,0 +1,262 @@
+#!/usr/bin/env node
+
+/**
+ * @kb-labs/devkit - .devkitignore Manager
+ *
+ * Reports and cleans up suppressions in .devkitignore:
+ * 1. Expired rules (past their `expires:` date — the checkers report the findings again)
+ * 2. Unused rules (the checker's last full run matched nothing)
+ * 3. Rules expiring within 14 days
+ * 4. Lines the checkers cannot parse
+ *
+ * Usage is read from .kb/devkit/ignore-usage.json, which every checker updates
+ * when it runs; a rule counts as "unchecked" until its checker ran on all packages
+ * (no --package, --since or --affected).
+ *
+ * Usage:
+ *   kb-devkit-ignore list              # Show all rules with status
+ *   kb-devkit-ignore list --json       # JSON output
+ *   kb-devkit-ignore list --check      # Exit 1 on expired/unused/invalid rules (CI)
+ *   kb-devkit-ignore prune             # Remove expired and unused rules
+ *   kb-devkit-ignore prune --expired   # Remove expired rules only
+ *   kb-devkit-ignore prune --unused    # Remove unused rules only
+ *   kb-devkit-ignore prune --dry-run   # Preview as a unified diff
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { loadWorkspace } from './lib/workspace.mjs';
+import { IGNORE_FILE, RULE_TYPES, isExpired, parseIgnoreFile, readIgnoreUsage } from './lib/devkit-ignore.mjs';
+import { unifiedDiff } from './lib/diff.mjs';
+
+const EXPIRING_SOON_DAYS = 14;
+
+// ANSI colors
+const colors = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  magenta: '\x1b[35m',
+  cyan: '\x1b[36m',
+  gray: '\x1b[90m',
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+// Parse CLI arguments
+const args = process.argv.slice(2);
+const command = args.find((arg) => !arg.startsWith('-')) ?? 'list';
+const options = {
+  json: args.includes('--json'),
+  check: args.includes('--check'),
+  dryRun: args.includes('--dry-run'),
+  expired: args.includes('--expired'),
+  unused: args.includes('--unused'),
+};
+
+const STATUS_COLORS = {
+  expired: 'red',
+  unused: 'yellow',
+  expiring: 'yellow',
+  unchecked: 'gray',
+  active: 'green',
+};
+
+/**
+ * Status of a rule: expired, unused, expiring, unchecked or active
+ */
+function ruleStatus(rule, usage, today) {
+  if (isExpired(rule, today)) {return 'expired';}
+
+  const toolUsage = usage.tools[RULE_TYPES[rule.type].tool];
+  if (!toolUsage?.lastFullRun) {return 'unchecked';}
+
+  const lastMatched = toolUsage.matched[rule.key];
+  if (!lastMatched || lastMatched < toolUsage.lastFullRun) {return 'unused';}
+
+  if (rule.expires) {
+    const daysLeft = (Date.parse(rule.expires) - Date.parse(today)) / 86_400_000;
+    if (daysLeft <= EXPIRING_SOON_DAYS) {return 'expiring';}
+  }
+
+  return 'active';
+}
+
+/**
+ * Load .devkitignore and annotate every rule with its checker and status
+ */
+function loadRules(rootDir) {
+  const filePath = path.join(rootDir, IGNORE_FILE);
+  if (!fs.existsSync(filePath)) {
+    return { filePath, content: null, rules: [], errors: [] };
+  }
+
+  const content = fs.readFileSync(filePath, 'utf-8');
+  const { rules, errors } = parseIgnoreFile(content);
+  const usage = readIgnoreUsage(rootDir);
+  const today = new Date().toISOString().slice(0, 10);
+
+  return {
+    filePath,
+    content,
+    rules: rules.map((rule) => ({
+      ...rule,
+      tool: RULE_TYPES[rule.type].tool,
+      status: ruleStatus(rule, usage, today),
+      lastMatched: usage.tools[RULE_TYPES[rule.type].tool]?.matched[rule.key] ?? null,
+    })),
+    errors,
+  };
+}
+
+/**
+ * List rules grouped by checker
+ */
+function listRules(rootDir) {
+  const { rules, errors, content } = loadRules(rootDir);
+
+  if (options.json) {
+    console.log(JSON.stringify({ file: IGNORE_FILE, rules, errors }, null, 2));
+  } else {
+    log('\n🙈 KB Labs .devkitignore\n', 'blue');
+
+    if (content === null) {
+      log(`No ${IGNORE_FILE} in ${rootDir}\n`, 'gray');
+      return;
+    }
+
+    const byTool = new Map();
+    for (const rule of rules) {
+      if (!byTool.has(rule.tool)) {byTool.set(rule.tool, []);}
+      byTool.get(rule.tool).push(rule);
+    }
+
+    for (const [tool, toolRules] of byTool.entries()) {
+      log(`${tool} (${toolRules.length}):`, 'cyan');
+      for (const rule of toolRules) {
+        log(`   [${rule.status}] ${IGNORE_FILE}:${rule.line}  ${rule.key}`, STATUS_COLORS[rule.status]);
+        const details = [
+          rule.owner && `owner ${rule.owner}`,
+          rule.expires && `expires ${rule.expires}`,
+          rule.reason,
+        ].filter(Boolean);
+        if (details.length > 0) {
+          log(`      └─ ${details.join(' · ')}`, 'gray');
+        }
+      }
+      log('');
+    }
+
+    if (errors.length > 0) {
+      log(`⚠️  Invalid lines (${errors.length}):`, 'yellow');
+      for (const error of errors) {
+        log(`   ${IGNORE_FILE}:${error.line}: ${error.message}`, 'gray');
+      }
+      log('');
+    }
+
+    log('─'.repeat(60) + '\n', 'gray');
+    log('📊 Summary:\n', 'blue');
+    for (const status of Object.keys(STATUS_COLORS)) {
+      const count = rules.filter((rule) => rule.status === status).length;
+      if (count > 0) {
+        log(`   ${String(count).padStart(3)} ${status}`, STATUS_COLORS[status]);
+      }
+    }
+
+    log('');
+    if (rules.some((rule) => rule.status === 'unchecked')) {
+      log('   💡 Run the checkers without --package/--since to find out whether unchecked rules still match', 'blue');
+    }
+    if (rules.some((rule) => rule.status === 'expired' || rule.status === 'unused')) {
+      log('   💡 Run kb-devkit-ignore prune --dry-run to preview removing expired/unused rules', 'blue');
+    }
+    log('');
+  }
+
+  if (options.check) {
+    const stale = rules.filter((rule) => rule.status === 'expired' || rule.status === 'unused');
+    process.exit(stale.length > 0 || errors.length > 0 ? 1 : 0);
+  }
+}
+
+/**
+ * Remove expired and/or unused rules (with their owner/expires/reason lines)
+ */
+function pruneRules(rootDir) {
+  const { filePath, content, rules } = loadRules(rootDir);
+
+  log('\n🙈 KB Labs .devkitignore prune\n', 'blue');
+
+  if (content === null) {
+    log(`No ${IGNORE_FILE} in ${rootDir}\n`, 'gray');
+    return;
+  }
+
+  // Neither flag means both
+  const statuses = new Set();
+  if (options.expired || !options.unused) {statuses.add('expired');}
+  if (options.unused || !options.expired) {statuses.add('unused');}
+
+  const toRemove = rules.filter((rule) => statuses.has(rule.status));
+  if (toRemove.length === 0) {
+    log(`✅ Nothing to prune (${[...statuses].join('/')} rules)\n`, 'green');
+    return;
+  }
+
+  const removedLines = new Set();
+  for (const rule of toRemove) {
+    for (let line = rule.line; line <= rule.endLine; line++) {
+      removedLines.add(line);
+    }
+  }
+  const updated = content
+    .split('\n')
+    .filter((_, index) => !removedLines.has(index + 1))
+    .join('\n');
+
+  for (const rule of toRemove) {
+    log(`   ${rule.status === 'expired' ? '⏰' : '🗑️ '} ${IGNORE_FILE}:${rule.line}  ${rule.key} (${rule.status})`, STATUS_COLORS[rule.status]);
+  }
+  log('');
+
+  if (options.dryRun) {
+    const diff = unifiedDiff(content, updated, { fromFile: `a/${IGNORE_FILE}`, toFile: `b/${IGNORE_FILE}` });
+    for (const line of diff.trimEnd().split('\n')) {
+      const color = line.startsWith('@@') ? 'cyan' : line.startsWith('-') ? 'red' : line.startsWith('+') ? 'green' : 'gray';
+      log(line, color);
+    }
+    log(`\n💡 Dry run — ${toRemove.length} rule(s) would be removed\n`, 'blue');
+    return;
+  }
+
+  fs.writeFileSync(filePath, updated);
+  log(`✅ Removed ${toRemove.length} rule(s) from ${IGNORE_FILE}\n`, 'green');
+}
+
+/**
+ * Main function
+ */
+function main() {
+  const { root } = loadWorkspace(process.cwd());
+
+  switch (command) {
+    case 'list':
+      listRules(root);
+      break;
+    case 'prune':
+      pruneRules(root);
+      break;
+    default:
+      log(`Unknown command: ${command}`, 'red');
+      log('Usage: kb-devkit-ignore [list|prune] [--json] [--check] [--dry-run] [--expired] [--unused]\n', 'gray');
+      process.exit(1);
+  }
+}
+
+main();
@@ -22,9 +22,10 @@ import { promises as fs } from 'node:fs';
 import { join, dirname, resolve } from 'node:path';
 import { fileURLToPath } from 'node:url';
 import process from 'node:process';
-import { glob } from 'glob';
 import { createInterface } from 'node:readline';
 
+import { loadWorkspace } from './lib/workspace.mjs';
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const DEVKIT_ROOT = resolve(__dirname, '..');
@@ -55,37 +56,12 @@ async function exists(path) {
   }
 }
 
-async function readJson(path) {
-  return JSON.parse(await fs.readFile(path, 'utf8'));
-}
-
 async function findWorkspacePackages(root) {
-  const wsFile = join(root, 'pnpm-workspace.yaml');
-  if (!(await exists(wsFile))) {
-    return [];
-  }
-
-  const pkgJsonPaths = await glob('**/package.json', {
-    cwd: root,
-    ignore: ['**/node_modules/**', '**/dist/**', '**/coverage/**'],
-    absolute: true,
-  });
-
-  const packages = [];
-  for (const pkgPath of pkgJsonPaths) {
-    try {
-      const pkg = await readJson(pkgPath);
-      if (pkg.name && pkg.name.startsWith('@kb-labs/')) {
-        packages.push({
-          name: pkg.name,
-          path: dirname(pkgPath),
-          pkg,
-        });
-      }
-    } catch {}
-  }
-
-  return packages;
+  return loadWorkspace(root).scopedPackages.map((pkg) => ({
+    name: pkg.name,
+    path: pkg.dir,
+    pkg: pkg.manifest,
+  }));
 }
 
 const CONFIG_FILES = {
@@ -1,10 +1,11 @@
 #!/usr/bin/env node
 
-import { dirname, resolve, relative, join } from 'node:path';
+import { resolve, relative, join } from 'node:path';
 import { promises as fs } from 'node:fs';
 import process from 'node:process';
 import { glob } from 'glob';
-import { parse as parseYaml } from 'yaml';
+
+import { loadWorkspace } from './lib/workspace.mjs';
 
 async function exists(path) {
   try {
@@ -19,58 +20,12 @@ async function readJson(path) {
   return JSON.parse(await fs.readFile(path, 'utf8'));
 }
 
-async function findWorkspaceConfigs(startDir) {
-  const roots = [];
-  let current = resolve(startDir);
-  let prev = null;
-  while (current !== prev) {
-    const wsFile = join(current, 'pnpm-workspace.yaml');
-    if (await exists(wsFile)) {
-      try {
-        const yaml = await fs.readFile(wsFile, 'utf8');
-        const data = parseYaml(yaml);
-        const patterns = Array.isArray(data?.packages) ? data.packages.filter(Boolean) : [];
-        roots.push({ dir: current, patterns });
-      } catch (error) {
-        console.warn('[devkit-paths] failed to read workspace config', wsFile, error);
-      }
-    }
-    prev = current;
-    current = dirname(current);
-  }
-  return roots;
-}
-
-async function collectWorkspacePackages(workspaceRoots, cwd) {
+// Scoped packages (devkit.scope) of the workspace and every enclosing workspace: name -> dir
+function collectWorkspacePackages(workspace) {
   const packages = new Map();
-
-  for (const { dir, patterns } of workspaceRoots) {
-    for (const pattern of patterns) {
-      if (!pattern || typeof pattern !== 'string') {continue;}
-      const searchPattern = pattern.endsWith('/') ? `${pattern}package.json` : join(pattern, 'package.json');
-      const matches = await glob(searchPattern, {
-        cwd: dir,
-        dot: false,
-        nodir: true,
-        ignore: ['**/node_modules/**', '**/dist/**'],
-      });
-      for (const match of matches) {
-        try {
-          const pkgPath = resolve(dir, match);
-          const pkgDir = dirname(pkgPath);
-          const pkg = await readJson(pkgPath);
-          if (!pkg?.name || typeof pkg.name !== 'string') {continue;}
-          if (!pkg.name.startsWith('@kb-labs/')) {continue;}
-          if (!packages.has(pkg.name)) {
-            packages.set(pkg.name, pkgDir);
-          }
-        } catch (error) {
-          console.warn('[devkit-paths] failed to read package', match, error);
-        }
-      }
-    }
+  for (const pkg of workspace.scopedPackages) {
+    packages.set(pkg.name, pkg.dir);
   }
-
   return packages;
 }
 
@@ -94,7 +49,7 @@ async function resolveSourceEntries(pkgDir) {
   return { entries, wildcardBase };
 }
 
-async function collectProjectDependencies(rootDir) {
+async function collectProjectDependencies(rootDir, workspace) {
   const dependencies = new Set();
 
   // Find all package.json files in the project (exclude node_modules)
@@ -110,7 +65,7 @@ async function collectProjectDependencies(rootDir) {
       const pkgPath = resolve(rootDir, pkgFile);
       const pkg = await readJson(pkgPath);
 
-      // Collect all @kb-labs/* dependencies from dependencies, devDependencies, and peerDependencies
+      // Collect all scoped dependencies from dependencies, devDependencies, and peerDependencies
       const allDeps = [
         ...Object.keys(pkg.dependencies ?? {}),
         ...Object.keys(pkg.devDependencies ?? {}),
@@ -118,7 +73,7 @@ async function collectProjectDependencies(rootDir) {
       ];
 
       for (const dep of allDeps) {
-        if (dep.startsWith('@kb-labs/')) {
+        if (workspace.inScope(dep)) {
           dependencies.add(dep);
         }
       }
@@ -131,19 +86,19 @@ async function collectProjectDependencies(rootDir) {
 }
 
 async function generatePathsFile(rootDir) {
-  const workspaceRoots = await findWorkspaceConfigs(rootDir);
-  if (!workspaceRoots.length) {
-    console.error('[devkit-paths] no pnpm-workspace.yaml found up the tree');
+  const workspace = loadWorkspace(rootDir, { ancestors: true });
+  if (!workspace.configs.length) {
+    console.error('[devkit-paths] no workspace (pnpm-workspace.yaml or package.json workspaces) found up the tree');
     process.exit(1);
   }
 
-  const packages = await collectWorkspacePackages(workspaceRoots, rootDir);
+  const packages = collectWorkspacePackages(workspace);
   if (!packages.size) {
     console.warn('[devkit-paths] no packages discovered');
   }
 
   // Collect dependencies from project's package.json files
-  const projectDependencies = await collectProjectDependencies(rootDir);
+  const projectDependencies = await collectProjectDependencies(rootDir, workspace);
 
   const paths = {};
   for (const [name, pkgDir] of packages) {
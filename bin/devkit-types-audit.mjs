@@ -18,6 +18,8 @@
  *   kb-devkit-types-audit --errors-only      # Only show errors
  *   kb-devkit-types-audit --coverage         # Type coverage report
  *   kb-devkit-types-audit --json             # JSON output
+ *   kb-devkit-types-audit --since=origin/main # Only packages changed since a ref, plus their dependents
+ *   kb-devkit-types-audit --affected         # Same, against the default branch
  */
 
 import ts from 'typescript';
@@ -25,11 +27,14 @@ import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 
-// Shared package discovery — supports both flat and categorized layouts
-import { findPackages as _findPackagePaths } from './lib/find-packages.mjs';
+// Shared workspace model — package discovery plus devkit.scope from kb-labs.config.json
+import { loadWorkspace, withScope } from './lib/workspace.mjs';
+import { loadAffected, printAffected } from './lib/affected.mjs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+const workspace = loadWorkspace(process.cwd());
+
 // ANSI colors
 const colors = {
   reset: '\x1b[0m',
@@ -59,17 +64,18 @@ const options = {
   package: args.find((arg) => arg.startsWith('--package='))?.split('=')[1],
 };
 
+// --since=<ref> / --affected: changed packages plus their dependents
+const affected = loadAffected(workspace, args);
+
 /**
  * Find all packages with TypeScript configs
  */
-function findPackages(rootDir) {
-  return _findPackagePaths(rootDir)
-    .map((pkgPath) => {
-      const dir = path.dirname(pkgPath);
-      const tsconfigPath = path.join(dir, 'tsconfig.json');
+function findPackages() {
+  return workspace.packages
+    .map((pkg) => {
+      const tsconfigPath = path.join(pkg.dir, 'tsconfig.json');
       if (!fs.existsSync(tsconfigPath)) return null;
-      const packageJson = JSON.parse(fs.readFileSync(pkgPath, 'utf-8'));
-      return { name: packageJson.name, path: pkgPath, dir, tsconfigPath };
+      return { name: pkg.name, path: pkg.packageJsonPath, dir: pkg.dir, tsconfigPath };
     })
     .filter(Boolean);
 }
@@ -244,7 +250,7 @@ function findTypeDependencies(program, packageName) {
         const moduleSpecifier = node.moduleSpecifier;
         if (ts.isStringLiteral(moduleSpecifier)) {
           const moduleName = moduleSpecifier.text;
-          if (moduleName.startsWith('@kb-labs/')) {
+          if (workspace.inScope(moduleName)) {
             imports.add(moduleName);
           }
         }
@@ -509,18 +515,14 @@ function printAuditReport(results, impactGraph) {
  * Main function
  */
 async function main() {
-  const rootDir = process.cwd();
-
   if (!options.json) {
     log('\n🚀 KB Labs TypeScript Type Safety Audit\n', 'bold');
   }
 
-  let packages = findPackages(rootDir);
+  let packages = findPackages();
 
   if (options.package) {
-    const fullPackageName = options.package.startsWith('@kb-labs/')
-      ? options.package
-      : `@kb-labs/${options.package}`;
+    const fullPackageName = withScope(options.package, workspace.config);
 
     packages = packages.filter((p) => p.name === fullPackageName);
 
@@ -535,6 +537,20 @@ async function main() {
     process.exit(0);
   }
 
+  if (affected) {
+    printAffected(affected, packages.length, log);
+    packages = affected.filter(packages, { packageJsonPath: (p) => p.path });
+    if (packages.length === 0) {
+      log('\n✅ No affected packages — nothing to audit\n', 'green');
+      if (options.json) {
+        const summary = { total: 0, successful: 0, failed: 0, totalErrors: 0, totalWarnings: 0, avgCoverage: 0 };
+        console.log(JSON.stringify({ summary, packages: [], issues: [] }, null, 2));
+      }
+      process.exit(0);
+    }
+    log('', 'reset');
+  }
+
   log(`Found ${packages.length} package(s) to audit\n`, 'gray');
 
   // Audit all packages
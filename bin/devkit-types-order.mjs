@@ -24,8 +24,12 @@ import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 
-// Shared package discovery — supports both flat and categorized layouts
-import { findPackages as _findPackagePaths } from './lib/find-packages.mjs';
+// Shared workspace model — package discovery plus devkit.scope from kb-labs.config.json
+import { loadWorkspace, withScope } from './lib/workspace.mjs';
+// Shared graph algorithms (@kb-labs/devkit/graph), run over type edges
+import { computeLayers, findCycles, getBuildOrderForPackage } from '../graph/index.mjs';
+
+const typeEdges = { getDeps: (node) => node.typeDeps };
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -59,12 +63,12 @@ const options = {
 };
 
 /**
- * Find all packages (returns objects with path, dir)
+ * Find all packages in the configured scope (returns objects with path, dir)
  */
-function findPackages(rootDir) {
-  return _findPackagePaths(rootDir).map((pkgPath) => ({
-    path: pkgPath,
-    dir: path.dirname(pkgPath),
+function findPackages(workspace) {
+  return workspace.scopedPackages.map((pkg) => ({
+    path: pkg.packageJsonPath,
+    dir: pkg.dir,
   }));
 }
 
@@ -140,17 +144,17 @@ function extractTypeImports(packageDir) {
     const content = fs.readFileSync(filePath, 'utf-8');
 
     // Match import statements
-    const importRegex = /import\s+(?:type\s+)?{([^}]+)}\s+from\s+['"](@kb-labs\/[^'"]+)['"]/g;
-    const importTypeRegex = /import\s+type\s+(?:{[^}]+}|\*\s+as\s+\w+)\s+from\s+['"](@kb-labs\/[^'"]+)['"]/g;
+    const importRegex = /import\s+(?:type\s+)?{([^}]+)}\s+from\s+['"]([^'"]+)['"]/g;
+    const importTypeRegex = /import\s+type\s+(?:{[^}]+}|\*\s+as\s+\w+)\s+from\s+['"]([^'"]+)['"]/g;
 
     let match;
 
-    // Extract from 'import type { ... } from @kb-labs/...'
+    // Extract from 'import type { ... } from ...'
     while ((match = importTypeRegex.exec(content)) !== null) {
       typeImports.add(match[1]);
     }
 
-    // Extract from 'import { ... } from @kb-labs/...'
+    // Extract from 'import { ... } from ...'
     // These might be types or values, but we track them as potential type dependencies
     while ((match = importRegex.exec(content)) !== null) {
       typeImports.add(match[2]);
@@ -186,7 +190,7 @@ function buildTypesDependencyGraph(packages) {
     const packageJson = JSON.parse(fs.readFileSync(packagePath, 'utf-8'));
     const packageName = packageJson.name;
 
-    if (!packageName || !packageName.startsWith('@kb-labs/')) {continue;}
+    if (!packageName) {continue;}
 
     const typesStatus = checkTypesGeneration(packageDir);
 
@@ -203,13 +207,13 @@ function buildTypesDependencyGraph(packages) {
     const packageJson = JSON.parse(fs.readFileSync(packagePath, 'utf-8'));
     const packageName = packageJson.name;
 
-    if (!packageName || !packageName.startsWith('@kb-labs/')) {continue;}
+    if (!graph.has(packageName)) {continue;}
 
     const typeImports = extractTypeImports(packageDir);
 
     for (const dep of typeImports) {
       // Only track workspace type dependencies
-      if (dep.startsWith('@kb-labs/') && graph.has(dep)) {
+      if (graph.has(dep)) {
         graph.get(packageName).typeDeps.add(dep);
       }
     }
@@ -218,67 +222,6 @@ function buildTypesDependencyGraph(packages) {
   return graph;
 }
 
-/**
- * Topological sort for types
- */
-function topologicalSort(graph) {
-  const inDegree = new Map();
-  const reverseDeps = new Map();
-
-  for (const [pkg, { typeDeps }] of graph.entries()) {
-    if (!inDegree.has(pkg)) {
-      inDegree.set(pkg, 0);
-    }
-    if (!reverseDeps.has(pkg)) {
-      reverseDeps.set(pkg, new Set());
-    }
-
-    for (const dep of typeDeps) {
-      inDegree.set(pkg, (inDegree.get(pkg) || 0) + 1);
-
-      if (!reverseDeps.has(dep)) {
-        reverseDeps.set(dep, new Set());
-      }
-      reverseDeps.get(dep).add(pkg);
-    }
-  }
-
-  const queue = [];
-  for (const [pkg, degree] of inDegree.entries()) {
-    if (degree === 0) {
-      queue.push(pkg);
-    }
-  }
-
-  const layers = [];
-  const sorted = [];
-
-  while (queue.length > 0) {
-    const layer = [...queue];
-    layers.push(layer);
-    sorted.push(...layer);
-
-    queue.length = 0;
-
-    for (const pkg of layer) {
-      for (const dependent of reverseDeps.get(pkg) || []) {
-        inDegree.set(dependent, inDegree.get(dependent) - 1);
-
-        if (inDegree.get(dependent) === 0) {
-          queue.push(dependent);
-        }
-      }
-    }
-  }
-
-  if (sorted.length !== graph.size) {
-    const missing = Array.from(graph.keys()).filter((pkg) => !sorted.includes(pkg));
-    return { layers, sorted, circular: missing };
-  }
-
-  return { layers, sorted, circular: [] };
-}
-
 /**
  * Find broken type chains
  * A chain is broken if:
@@ -305,82 +248,6 @@ function findBrokenChains(graph) {
   return broken;
 }
 
-/**
- * Find circular type dependencies
- */
-function findCircularTypeDependencies(graph, circularPackages) {
-  const cycles = [];
-  const visited = new Set();
-  const recursionStack = new Set();
-  const path = [];
-
-  function dfs(pkg) {
-    if (recursionStack.has(pkg)) {
-      const cycleStart = path.indexOf(pkg);
-      const cycle = [...path.slice(cycleStart), pkg];
-
-      const cycleKey = cycle.slice(0, -1).sort().join('→');
-      if (!cycles.some((c) => c.key === cycleKey)) {
-        cycles.push({ cycle, key: cycleKey });
-      }
-      return;
-    }
-
-    if (visited.has(pkg)) {
-      return;
-    }
-
-    visited.add(pkg);
-    recursionStack.add(pkg);
-    path.push(pkg);
-
-    const node = graph.get(pkg);
-    if (node) {
-      for (const dep of node.typeDeps) {
-        if (circularPackages.includes(dep)) {
-          dfs(dep);
-        }
-      }
-    }
-
-    path.pop();
-    recursionStack.delete(pkg);
-  }
-
-  for (const pkg of circularPackages) {
-    if (!visited.has(pkg)) {
-      dfs(pkg);
-    }
-  }
-
-  return cycles;
-}
-
-/**
- * Get types order for specific package
- */
-function getTypesOrderForPackage(graph, packageName) {
-  const visited = new Set();
-  const order = [];
-
-  function visit(pkg) {
-    if (visited.has(pkg)) {return;}
-    visited.add(pkg);
-
-    const node = graph.get(pkg);
-    if (!node) {return;}
-
-    for (const dep of node.typeDeps) {
-      visit(dep);
-    }
-
-    order.push(pkg);
-  }
-
-  visit(packageName);
-  return order;
-}
-
 /**
  * Print types order
  */
@@ -406,13 +273,13 @@ function printTypesOrder(result, graph) {
   if (result.circular.length > 0) {
     log('🔄 Circular Type Dependencies\n', 'yellow');
 
-    const cycles = findCircularTypeDependencies(graph, result.circular);
+    const cycles = findCycles(graph, result.circular, typeEdges);
 
     if (cycles.length > 0) {
       log(`Found ${cycles.length} circular type dependency cycle(s):\n`, 'yellow');
 
       for (let i = 0; i < cycles.length; i++) {
-        const { cycle } = cycles[i];
+        const cycle = cycles[i];
         log(`${i + 1}. ${cycle.join(' → ')}`, 'red');
         log('', 'reset');
       }
@@ -504,7 +371,8 @@ function main() {
     log('\n🚀 KB Labs TypeScript Types Order Calculator\n', 'bold');
   }
 
-  const packages = findPackages(rootDir);
+  const workspace = loadWorkspace(rootDir);
+  const packages = findPackages(workspace);
 
   if (packages.length === 0) {
     log('⚠️  No KB Labs packages found', 'yellow');
@@ -542,9 +410,7 @@ function main() {
 
   if (options.package) {
     // Types order for specific package
-    const fullPackageName = options.package.startsWith('@kb-labs/')
-      ? options.package
-      : `@kb-labs/${options.package}`;
+    const fullPackageName = withScope(options.package, workspace.config);
 
     if (!graph.has(fullPackageName)) {
       log(`⚠️  Package not found: ${fullPackageName}`, 'yellow');
@@ -555,7 +421,7 @@ function main() {
       process.exit(1);
     }
 
-    const order = getTypesOrderForPackage(graph, fullPackageName);
+    const order = getBuildOrderForPackage(graph, fullPackageName, typeEdges);
 
     if (options.json) {
       console.log(JSON.stringify({ package: fullPackageName, order }, null, 2));
@@ -578,7 +444,7 @@ function main() {
   }
 
   // Full types order
-  const result = topologicalSort(graph);
+  const result = computeLayers(graph, typeEdges);
   const brokenChains = findBrokenChains(graph);
 
   if (!options.package && !options.broken) {
@@ -597,8 +463,7 @@ function main() {
       };
 
       if (result.circular.length > 0) {
-        const cycles = findCircularTypeDependencies(graph, result.circular);
-        output.cycles = cycles.map((c) => c.cycle);
+        output.cycles = findCycles(graph, result.circular, typeEdges);
       }
 
       console.log(JSON.stringify(output, null, 2));
@@ -7,17 +7,34 @@
  * @kb-labs/{repo}-{package}
  *
  * Folder name MUST match {repo}-{package}
+ *
+ * Scope and pattern come from kb-labs.config.json → devkit.scope / devkit.naming
+ * (placeholders: {scope}, {repo}, {name}); "naming": null disables the check.
+ * With --findings=<file>, violations are also written as normalized findings
+ * for kb-devkit-ci. --since=<ref> / --affected validate only the packages
+ * changed since the ref (or the default branch) and their dependents.
  */
 
-import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 
-// Shared package discovery — supports both flat and categorized layouts
-import { findPackages as _findPackagePaths } from './lib/find-packages.mjs';
+// Shared workspace model — package discovery plus devkit.* settings from kb-labs.config.json
+import { loadWorkspace } from './lib/workspace.mjs';
+import { loadIgnoreRules } from './lib/devkit-ignore.mjs';
+import { createFindings, findJsonKeyLine } from './lib/findings.mjs';
+import { loadAffected, printAffected } from './lib/affected.mjs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+const workspace = loadWorkspace(process.cwd());
+const { config } = workspace;
+
+// Write normalized findings for kb-devkit-ci (--findings=<file>)
+const findingsPath = process.argv.slice(2).find((arg) => arg.startsWith('--findings='))?.split('=')[1];
+
+// --since=<ref> / --affected: changed packages plus their dependents
+const affected = loadAffected(workspace, process.argv.slice(2));
+
 // ANSI colors
 const colors = {
   reset: '\x1b[0m',
@@ -25,6 +42,7 @@ const colors = {
   green: '\x1b[32m',
   yellow: '\x1b[33m',
   blue: '\x1b[34m',
+  cyan: '\x1b[36m',
   gray: '\x1b[90m',
 };
 
@@ -32,39 +50,50 @@ function log(message, color = 'reset') {
   console.log(`${colors[color]}${message}${colors.reset}`);
 }
 
-function extractRepoName(repoPath) {
-  // kb-labs-core → core
-  // kb-labs-cli → cli
-  const match = repoPath.match(/kb-labs-([^/]+)/);
-  return match ? match[1] : null;
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
-function validatePackage(packageJsonPath, repoName) {
-  const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf-8'));
-  const packageName = packageJson.name;
+// Naming pattern with {scope} filled in (an empty scope drops the "{scope}/" part)
+function scopedPattern() {
+  return config.scope
+    ? config.naming.replaceAll('{scope}', config.scope)
+    : config.naming.replaceAll('{scope}/', '').replaceAll('{scope}', '');
+}
 
-  if (!packageName || !packageName.startsWith('@kb-labs/')) {
-    return { valid: true, skip: true, reason: 'Not a @kb-labs package' };
-  }
+function expectedName(repoName, name) {
+  return scopedPattern().replaceAll('{repo}', repoName ?? '').replaceAll('{name}', name);
+}
 
-  const folderPath = path.dirname(packageJsonPath);
-  const folderName = path.basename(folderPath);
+function matchesNaming(packageName, repoName) {
+  const source = escapeRegExp(scopedPattern())
+    .replaceAll(escapeRegExp('{repo}'), escapeRegExp(repoName ?? ''))
+    .replaceAll(escapeRegExp('{name}'), '.+');
+  return new RegExp(`^${source}$`).test(packageName);
+}
 
-  // Extract package name without @kb-labs/ prefix
-  const shortName = packageName.replace('@kb-labs/', '');
+function validatePackage(pkg, repoName) {
+  const packageName = pkg.name;
 
-  // Expected pattern: {repo}-{package}
-  const expectedPrefix = `${repoName}-`;
+  if (!pkg.inScope) {
+    return { valid: true, skip: true, reason: 'Not in the configured scope' };
+  }
+
+  const folderName = path.basename(pkg.dir);
 
-  // Check 1: Package name should start with repo prefix
-  if (!shortName.startsWith(expectedPrefix)) {
+  // Package name without the scope
+  const shortName = pkg.shortName;
+
+  // Check 1: Package name should follow the naming pattern
+  if (!matchesNaming(packageName, repoName)) {
+    const expected = expectedName(repoName, folderName.replace(new RegExp(`^${escapeRegExp(repoName ?? '')}-`), ''));
     return {
       valid: false,
       packageName,
       folderName,
-      expectedPackageName: `@kb-labs/${expectedPrefix}${folderName.replace(new RegExp(`^${repoName}-`), '')}`,
-      issue: `Package name missing repo prefix`,
-      suggestion: `Rename to @kb-labs/${expectedPrefix}${folderName.replace(new RegExp(`^${repoName}-`), '')}`,
+      expectedPackageName: expected,
+      issue: `Package name does not match ${config.naming}`,
+      suggestion: `Rename to ${expected}`,
     };
   }
 
@@ -80,61 +109,77 @@ function validatePackage(packageJsonPath, repoName) {
     };
   }
 
-  // Check 3: Folder name should have repo prefix
-  if (!folderName.startsWith(expectedPrefix)) {
-    return {
-      valid: false,
-      packageName,
-      folderName,
-      expectedFolderName: `${expectedPrefix}${folderName}`,
-      issue: 'Folder name missing repo prefix',
-      suggestion: `Rename folder to ${expectedPrefix}${folderName}`,
-    };
-  }
-
   return { valid: true, packageName, folderName };
 }
 
-function findPackages(rootDir) {
-  return _findPackagePaths(rootDir).map((pkgPath) => {
-    const parts = pkgPath.split(path.sep);
-    const repoDir = parts.find((p) => p.startsWith('kb-labs-')) || 'unknown';
-    const repoName = extractRepoName(repoDir);
-    return { path: pkgPath, repoName, repoPath: repoDir };
-  }).filter((p) => p.repoName);
+function findPackages() {
+  const needsRepo = config.naming.includes('{repo}');
+  return workspace.packages
+    .map((pkg) => ({ pkg, repoName: pkg.repoShortName, repoPath: pkg.repo ?? 'unknown' }))
+    .filter((p) => !needsRepo || p.repoName);
 }
 
 function main() {
-  const rootDir = process.cwd();
-
   log('\n📦 KB Labs Naming Convention Validator\n', 'blue');
-  log('Checking Pyramid Rule: @kb-labs/{repo}-{package}\n', 'gray');
 
-  const packages = findPackages(rootDir);
+  if (!config.naming) {
+    log('Naming validation disabled (devkit.naming is null in kb-labs.config.json)\n', 'gray');
+    process.exit(0);
+  }
+
+  log(`Checking Pyramid Rule: ${config.naming}\n`, 'gray');
+
+  let packages = findPackages();
 
   if (packages.length === 0) {
-    log('⚠️  No KB Labs packages found in current directory', 'yellow');
-    log('   Run this command from the monorepo root containing kb-labs-* folders\n', 'gray');
+    log('⚠️  No packages found in current directory', 'yellow');
+    log(`   Run this command from the workspace root (repos: ${config.repos.join(', ')})\n`, 'gray');
     process.exit(0);
   }
 
+  if (affected) {
+    printAffected(affected, packages.length, log);
+    packages = affected.filter(packages, { packageJsonPath: (p) => p.pkg.packageJsonPath });
+    if (packages.length === 0) {
+      log('\n✅ No affected packages — nothing to validate\n', 'green');
+      process.exit(0);
+    }
+    log('');
+  }
+
   log(`Found ${packages.length} packages to validate\n`, 'gray');
 
+  const ignore = loadIgnoreRules(workspace.root, 'validate-naming');
   const violations = [];
   const valid = [];
 
   for (const pkg of packages) {
-    const result = validatePackage(pkg.path, pkg.repoName);
+    const result = validatePackage(pkg.pkg, pkg.repoName);
 
     if (result.skip) {continue;}
 
     if (result.valid) {
       valid.push({ ...result, repo: pkg.repoPath });
+    } else if (ignore.match('naming', result.packageName, result.expectedPackageName ? 'package-name' : 'folder-name')) {
+      continue;
     } else {
-      violations.push({ ...result, repo: pkg.repoPath, path: pkg.path });
+      violations.push({ ...result, repo: pkg.repoPath, path: pkg.pkg.packageJsonPath, relativeDir: pkg.pkg.relativeDir });
     }
   }
 
+  ignore.recordUsage({ partial: Boolean(affected) });
+
+  const findings = createFindings(workspace.root, 'naming', findingsPath);
+  for (const v of violations) {
+    findings.add({
+      rule: v.expectedPackageName ? 'package-name' : 'folder-name',
+      file: v.path,
+      line: findJsonKeyLine(v.path, 'name'),
+      message: `${v.issue}: ${v.suggestion}`,
+      package: v.packageName,
+    });
+  }
+
   // Print valid packages
   if (valid.length > 0) {
     log('✅ Valid packages:', 'green');
@@ -150,7 +195,7 @@ function main() {
 
     for (let i = 0; i < violations.length; i++) {
       const v = violations[i];
-      log(`${i + 1}. ${v.repo}/packages/${v.folderName}/`, 'yellow');
+      log(`${i + 1}. ${v.relativeDir}/`, 'yellow');
       log(`   Issue: ${v.issue}`, 'red');
       log(`   Current package name: ${v.packageName}`, 'gray');
       log(`   Current folder name:  ${v.folderName}`, 'gray');
@@ -166,11 +211,13 @@ function main() {
       log('');
     }
 
+    ignore.printSummary(log);
     log('📖 See docs/naming-convention.md for the full guide\n', 'gray');
     process.exit(1);
   }
 
   log(`✅ All ${valid.length} packages follow the Pyramid Rule!\n`, 'green');
+  ignore.printSummary(log);
   process.exit(0);
 }
 
@@ -20,11 +20,14 @@ import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 
-// Shared package discovery — supports both flat and categorized layouts
+// Shared workspace model — package discovery plus devkit.scope from kb-labs.config.json
 import { findPackages } from './lib/find-packages.mjs';
+import { loadWorkspace } from './lib/workspace.mjs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+const workspace = loadWorkspace(process.cwd());
+
 // ANSI colors
 const colors = {
   reset: '\x1b[0m',
@@ -64,7 +67,7 @@ function buildDependencyGraph(packages) {
     const packageJson = JSON.parse(fs.readFileSync(packagePath, 'utf-8'));
     const packageName = packageJson.name;
 
-    if (!packageName || !packageName.startsWith('@kb-labs/')) {continue;}
+    if (!packageName || !workspace.inScope(packageName)) {continue;}
 
     const packageDir = path.dirname(packagePath);
     const size = calculatePackageSize(packageDir);
@@ -89,7 +92,7 @@ function buildDependencyGraph(packages) {
     };
 
     for (const dep of Object.keys(allDeps)) {
-      if (dep.startsWith('@kb-labs/') && graph.has(dep)) {
+      if (graph.has(dep)) {
         graph.get(packageName).dependencies.push(dep);
         graph.get(dep).dependents.push(packageName);
       }
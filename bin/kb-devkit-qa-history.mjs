@@ -10,14 +10,32 @@
  *   npx kb-devkit-qa-history show           # Show history
  *   npx kb-devkit-qa-history trends         # Show trends
  *   npx kb-devkit-qa-history regressions    # Detect regressions
+ *   npx kb-devkit-qa-history flaky          # Tests that flip between passing and failing
+ *   npx kb-devkit-qa-history report --html  # Offline HTML dashboard (.qa-history/report.html)
+ *     [--output=<file>] [--open]
+ *
+ * Besides per-category counts and failing packages, each entry keeps the
+ * structured results of the last kb-devkit-qa run (.qa-cache/last-run.json):
+ * failures per test id, lint rule and TS error code, plus the packages that
+ * actually ran. `regressions` and `trends` compare those, so they name the
+ * test or rule that broke; tests whose outcome flips while their package is
+ * re-run are reported as flaky.
  */
 
-import { execSync } from 'child_process'
+import { execSync, spawn } from 'child_process'
 import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs'
-import { join } from 'path'
+import { dirname, join, resolve } from 'path'
+
+import { renderQaDashboardHtml } from './lib/qa-dashboard-html.mjs'
+import { loadWorkspace } from './lib/workspace.mjs'
 
 const HISTORY_DIR = '.qa-history'
 const HISTORY_FILE = join(HISTORY_DIR, 'history.json')
+const LAST_RUN_FILE = join('.qa-cache', 'last-run.json')
+const REPORT_FILE = join(HISTORY_DIR, 'report.html')
+
+// How many regressed / fixed items to list per check
+const DETAIL_LIMIT = 10
 
 // ANSI colors
 const colors = {
@@ -89,6 +107,162 @@ function getCurrentQA() {
   }
 }
 
+// Structured results of the last kb-devkit-qa run: { details, ran } or null
+function getLastRunDetails() {
+  if (!existsSync(LAST_RUN_FILE)) {
+    return null
+  }
+  try {
+    const lastRun = JSON.parse(readFileSync(LAST_RUN_FILE, 'utf-8'))
+    return lastRun.details ? { details: lastRun.details, ran: lastRun.ran ?? {} } : null
+  } catch (err) {
+    return null
+  }
+}
+
+// Compare the details of two entries: which tests, lint rules and TS codes got worse or were fixed.
+// Packages without details on either side are left out — no data isn't a fix.
+function diffDetails(previous, last) {
+  const diff = {
+    lint: { regressed: [], fixed: [] },
+    typeCheck: { regressed: [], fixed: [] },
+    test: { regressed: [], fixed: [] },
+  }
+  if (!last?.details) {return diff}
+
+  for (const [pkg, current] of Object.entries(last.details.lint ?? {})) {
+    const before = previous?.details?.lint?.[pkg]?.rules ?? {}
+    for (const [rule, counts] of Object.entries(current.rules)) {
+      const old = before[rule] ?? { errors: 0, warnings: 0 }
+      if (counts.errors > old.errors || counts.warnings > old.warnings) {
+        diff.lint.regressed.push({ pkg, key: rule, from: old, to: counts, at: counts.at })
+      }
+    }
+    for (const rule of Object.keys(before)) {
+      if (!current.rules[rule]) {diff.lint.fixed.push({ pkg, key: rule })}
+    }
+  }
+
+  for (const [pkg, current] of Object.entries(last.details.typeCheck ?? {})) {
+    const before = previous?.details?.typeCheck?.[pkg]?.codes ?? {}
+    for (const [code, entry] of Object.entries(current.codes)) {
+      const old = before[code]?.count ?? 0
+      if (entry.count > old) {
+        diff.typeCheck.regressed.push({ pkg, key: code, from: old, to: entry.count, at: entry.at, message: entry.message })
+      }
+    }
+    for (const code of Object.keys(before)) {
+      if (!current.codes[code]) {diff.typeCheck.fixed.push({ pkg, key: code })}
+    }
+  }
+
+  for (const [pkg, current] of Object.entries(last.details.test ?? {})) {
+    const before = previous?.details?.test?.[pkg]?.failed ?? {}
+    for (const [id, failure] of Object.entries(current.failed)) {
+      if (!before[id]) {diff.test.regressed.push({ pkg, key: id, message: failure.message })}
+    }
+    // Only a re-run package can have fixed a test
+    if (!previous?.details?.test?.[pkg] || !(last.ran?.test ?? []).includes(pkg)) {continue}
+    for (const id of Object.keys(before)) {
+      if (!current.failed[id]) {diff.test.fixed.push({ pkg, key: id })}
+    }
+  }
+
+  return diff
+}
+
+// Tests whose outcome flips between runs of their package.
+// A test counts as passing in a run where its package ran without it failing,
+// once it has been seen failing; flaky means it flipped at least twice, or
+// flipped between two runs of the same commit.
+function findFlakyTests(history) {
+  const tests = new Map() // id -> { pkg, outcomes: [{ failed, commit, timestamp, message }] }
+
+  for (const entry of history) {
+    if (!entry.details?.test || !entry.ran?.test) {continue}
+
+    for (const pkg of entry.ran.test) {
+      const failed = entry.details.test[pkg]?.failed ?? {}
+      for (const [id, failure] of Object.entries(failed)) {
+        if (!tests.has(id)) {tests.set(id, { pkg, outcomes: [] })}
+        tests.get(id).outcomes.push({ failed: true, commit: entry.git?.commit, timestamp: entry.timestamp, message: failure.message })
+      }
+      for (const [id, test] of tests) {
+        if (test.pkg === pkg && !failed[id]) {
+          test.outcomes.push({ failed: false, commit: entry.git?.commit, timestamp: entry.timestamp })
+        }
+      }
+    }
+  }
+
+  const flaky = []
+  for (const [id, { pkg, outcomes }] of tests) {
+    let flips = 0
+    let sameCommit = false
+    for (let i = 1; i < outcomes.length; i++) {
+      if (outcomes[i].failed === outcomes[i - 1].failed) {continue}
+      flips++
+      if (outcomes[i].commit && outcomes[i].commit !== 'unknown' && outcomes[i].commit === outcomes[i - 1].commit) {sameCommit = true}
+    }
+    if (flips >= 2 || sameCommit) {
+      const lastFailure = outcomes.filter(o => o.failed).at(-1)
+      flaky.push({
+        id,
+        pkg,
+        flips,
+        runs: outcomes.length,
+        failures: outcomes.filter(o => o.failed).length,
+        sameCommit,
+        lastStatus: outcomes.at(-1).failed ? 'failed' : 'passed',
+        lastMessage: lastFailure?.message ?? '',
+      })
+    }
+  }
+
+  return flaky.sort((a, b) => b.flips - a.flips || b.failures - a.failures)
+}
+
+// Print regressed / fixed tests, rules and codes; returns the number of regressions
+function printDetailDiff(diff, flakyIds = new Set()) {
+  const sections = [
+    { key: 'test', icon: '🧪', label: 'Tests', noun: 'test(s)' },
+    { key: 'lint', icon: '🔍', label: 'Lint rules', noun: 'rule(s)' },
+    { key: 'typeCheck', icon: '📘', label: 'TS error codes', noun: 'code(s)' },
+  ]
+  let regressions = 0
+
+  for (const { key, icon, label, noun } of sections) {
+    const { regressed, fixed } = diff[key]
+    if (regressed.length === 0 && fixed.length === 0) {continue}
+
+    log(`${icon}  ${label}: ${regressed.length} regressed, ${fixed.length} fixed`, regressed.length > 0 ? 'red' : 'green')
+    for (const item of regressed.slice(0, DETAIL_LIMIT)) {
+      if (key === 'test') {
+        const flaky = flakyIds.has(item.key) ? ` ${colors.yellow}(flaky)${colors.red}` : ''
+        log(`   ❌ ${item.pkg}: ${item.key}${flaky}`, 'red')
+        if (item.message) {log(`      ${item.message}`, 'gray')}
+      } else if (key === 'lint') {
+        log(`   ❌ ${item.pkg}: ${item.key}  errors ${item.from.errors} → ${item.to.errors}, warnings ${item.from.warnings} → ${item.to.warnings}  (${item.at})`, 'red')
+      } else {
+        log(`   ❌ ${item.pkg}: ${item.key}  ${item.from} → ${item.to}${item.at ? `  (${item.at})` : ''}`, 'red')
+        log(`      ${item.message}`, 'gray')
+      }
+    }
+    if (regressed.length > DETAIL_LIMIT) {
+      log(`   ... and ${regressed.length - DETAIL_LIMIT} more ${noun}`, 'gray')
+    }
+    for (const item of fixed.slice(0, 3)) {
+      log(`   ✅ ${item.pkg}: ${item.key}`, 'green')
+    }
+    if (fixed.length > 3) {
+      log(`   ... and ${fixed.length - 3} more fixed`, 'gray')
+    }
+    regressions += regressed.length
+  }
+
+  return regressions
+}
+
 // Get git info
 function getGitInfo() {
   try {
@@ -132,6 +306,13 @@ function saveCurrentQA() {
     byRepo: qa.byRepo, // NEW: Save per-repo aggregation if available
   }
 
+  // Failures per test / lint rule / TS code from the last kb-devkit-qa run
+  const lastRun = getLastRunDetails()
+  if (lastRun) {
+    entry.details = lastRun.details
+    entry.ran = lastRun.ran
+  }
+
   history.push(entry)
 
   // Keep last 50 entries
@@ -307,10 +488,53 @@ function showTrends() {
     }
   }
   
+  // Tests, lint rules and TS codes that changed over the period
+  const firstWithDetails = recent.find(entry => entry.details)
+  if (last.details && firstWithDetails && firstWithDetails !== last) {
+    log('')
+    log('🔬 Changes by test / rule / error code:', 'cyan')
+    const diff = diffDetails(firstWithDetails, last)
+    if (printDetailDiff(diff) === 0 && Object.values(diff).every(d => d.fixed.length === 0)) {
+      log('   → no change', 'yellow')
+    }
+  }
+
+  const flaky = findFlakyTests(history)
+  if (flaky.length > 0) {
+    log('')
+    log(`🎲 Flaky tests: ${flaky.length} (see "kb-devkit-qa-history flaky")`, 'yellow')
+    for (const test of flaky.slice(0, 5)) {
+      log(`   ${test.pkg}: ${test.id}  (${test.flips} flips in ${test.runs} runs)`, 'yellow')
+    }
+  }
+
   log('')
   log(`Period: ${new Date(first.timestamp).toLocaleDateString()} → ${new Date(last.timestamp).toLocaleDateString()}`, 'gray')
 }
 
+// List flaky tests
+function showFlaky() {
+  const history = loadHistory()
+  const flaky = findFlakyTests(history)
+  const runs = history.filter(entry => entry.details?.test && entry.ran?.test).length
+
+  log(`\n🎲 Flaky Tests (${runs} run(s) with test details)\n`, 'cyan')
+
+  if (flaky.length === 0) {
+    log(runs < 2 ? 'Not enough runs with test details yet.' : '✅ No flaky tests detected', runs < 2 ? 'yellow' : 'green')
+    return
+  }
+
+  for (const test of flaky) {
+    const status = test.lastStatus === 'failed' ? `${colors.red}failing${colors.reset}` : `${colors.green}passing${colors.reset}`
+    log(`${test.pkg}: ${test.id}`, 'bright')
+    log(`   ${test.flips} flips, ${test.failures}/${test.runs} runs failed${test.sameCommit ? ', flipped on the same commit' : ''}, now ${status}`, 'gray')
+    if (test.lastMessage) {
+      log(`   Last failure: ${test.lastMessage}`, 'gray')
+    }
+  }
+}
+
 // Detect regressions
 function detectRegressions() {
   const history = loadHistory()
@@ -406,6 +630,15 @@ function detectRegressions() {
     }
   }
 
+  // Which tests, lint rules and TS codes regressed
+  if (last.details) {
+    log('')
+    const flakyIds = new Set(findFlakyTests(history).map(test => test.id))
+    if (printDetailDiff(diffDetails(previous, last), flakyIds) > 0) {
+      hasRegression = true
+    }
+  }
+
   log('')
 
   if (hasRegression) {
@@ -422,6 +655,102 @@ function detectRegressions() {
   }
 }
 
+// Package → repo, from the workspace and the per-repo data older runs saved
+function getRepoMap(history) {
+  const repoOf = {}
+  for (const entry of history) {
+    for (const [repo, data] of Object.entries(entry.byRepo ?? {})) {
+      for (const pkg of data.packages ?? []) {repoOf[pkg.name] = repo}
+    }
+  }
+  try {
+    for (const pkg of loadWorkspace(process.cwd()).scopedPackages) {
+      if (pkg.repo) {repoOf[pkg.name] = pkg.repo}
+    }
+  } catch (err) {
+    // Not in a workspace — keep what the history knows
+  }
+  return repoOf
+}
+
+// Runs for the dashboard, each with the packages / tests / rules / codes it started failing
+function buildDashboardRuns(history, flakyIds) {
+  const checks = ['build', 'lint', 'typeCheck', 'test']
+  return history.map((entry, index) => {
+    const previous = history[index - 1]
+    const failedPackages = Object.fromEntries(checks.map(check => [check, entry.failedPackages?.[check] ?? []]))
+    const regressions = { packages: {}, details: {} }
+
+    for (const check of checks) {
+      const before = new Set(previous?.failedPackages?.[check] ?? [])
+      regressions.packages[check] = previous ? failedPackages[check].filter(pkg => !before.has(pkg)) : []
+    }
+    if (previous) {
+      const diff = diffDetails(previous, entry)
+      regressions.details = {
+        lint: diff.lint.regressed,
+        typeCheck: diff.typeCheck.regressed,
+        test: diff.test.regressed.map(item => ({ ...item, flaky: flakyIds.has(item.key) })),
+      }
+    }
+
+    return {
+      index,
+      timestamp: entry.timestamp,
+      git: entry.git ?? { commit: 'unknown', branch: 'unknown', message: '' },
+      status: entry.status,
+      filter: entry.filter,
+      failures: Object.fromEntries(checks.map(check => [check, entry.failures?.[check] ?? failedPackages[check].length])),
+      failedPackages,
+      regressions,
+    }
+  })
+}
+
+// Write the HTML dashboard
+function writeReport(args) {
+  const history = loadHistory()
+
+  if (history.length === 0) {
+    log('No QA history found. Run "npx kb-devkit-qa-history save" first.', 'yellow')
+    return
+  }
+
+  const output = resolve(args.find(arg => arg.startsWith('--output='))?.split('=')[1] || REPORT_FILE)
+  const flaky = findFlakyTests(history)
+  const html = renderQaDashboardHtml({
+    generatedAt: new Date().toISOString(),
+    runs: buildDashboardRuns(history, new Set(flaky.map(test => test.id))),
+    repoOf: getRepoMap(history),
+    flaky,
+  })
+
+  mkdirSync(dirname(output), { recursive: true })
+  writeFileSync(output, html)
+  log(`\n📊 QA dashboard (${history.length} runs) written to ${output}`, 'green')
+
+  if (args.includes('--open')) {
+    openInBrowser(output)
+  }
+}
+
+// Open a file with the platform's default handler, without waiting for it
+function openInBrowser(filePath) {
+  const [command, ...commandArgs] =
+    process.platform === 'darwin' ? ['open', filePath]
+      : process.platform === 'win32' ? ['cmd', '/c', 'start', '""', filePath]
+        : ['xdg-open', filePath]
+
+  log(`🌐 Opening ${filePath}`, 'blue')
+  try {
+    const child = spawn(command, commandArgs, { detached: true, stdio: 'ignore' })
+    child.on('error', () => log(`   Could not start ${command} — open the file manually`, 'gray'))
+    child.unref()
+  } catch (err) {
+    log(`   Could not start ${command} — open the file manually`, 'gray')
+  }
+}
+
 // Main
 function main() {
   const args = process.argv.slice(2)
@@ -440,12 +769,21 @@ function main() {
     case 'regressions':
       detectRegressions()
       break
+    case 'flaky':
+      showFlaky()
+      break
+    case 'report':
+      // HTML is the only report format
+      writeReport(args.slice(1))
+      break
     default:
       log('Usage:', 'yellow')
       log('  npx kb-devkit-qa-history save [--from-file qa-results.json]  # Save QA results', 'gray')
       log('  npx kb-devkit-qa-history show                                # Show history', 'gray')
       log('  npx kb-devkit-qa-history trends                              # Show trends', 'gray')
       log('  npx kb-devkit-qa-history regressions                         # Detect regressions', 'gray')
+      log('  npx kb-devkit-qa-history flaky                               # Show flaky tests', 'gray')
+      log('  npx kb-devkit-qa-history report --html [--output=file] [--open]  # HTML dashboard', 'gray')
       break
   }
 }
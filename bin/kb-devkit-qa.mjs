@@ -10,10 +10,16 @@
  * 4. Run tests on all packages (with smart caching)
  *
  * Features:
- * - Incremental builds (skips packages where src/ hasn't changed)
- * - Smart caching (skips lint/type-check/test for unchanged packages)
- * - Per-package and per-repo filtering
+ * - Incremental builds (skips packages where src/ hasn't changed); each build
+ *   writes a content-hash stamp into dist/ for kb-devkit-freshness
+ * - Smart caching (skips lint/type-check/test for unchanged packages).
+ *   Cache keys cover the package's sources, its tsconfig/eslint/vitest configs,
+ *   the devkit version and — transitively — the keys of its workspace deps.
+ * - Per-package and per-repo filtering, or only the packages affected by a git diff
  * - Baseline regression detection for all 4 check types
+ * - Structured results: ESLint / vitest JSON reports (for plain `eslint ...` /
+ *   `vitest ...` scripts) and tsc diagnostics, reduced to failures per lint
+ *   rule, test and TS error code for kb-devkit-qa-history
  * - JSON output for CI/CD and agents
  *
  * Usage:
@@ -22,17 +28,35 @@
  *   npx kb-devkit-qa --package=@kb-labs/cli-core  # Run on specific package
  *   npx kb-devkit-qa --repo=kb-labs-core          # Run on entire repo
  *   npx kb-devkit-qa --scope=workflow             # Run on packages matching scope
+ *   npx kb-devkit-qa --since=origin/main          # Run on packages changed since a ref, plus their dependents
+ *   npx kb-devkit-qa --affected                   # Same, against the default branch
  *   npx kb-devkit-qa --no-cache                   # Disable smart caching
+ *   npx kb-devkit-qa --explain-cache              # Show why each package was run or skipped
  *   npx kb-devkit-qa --skip-build                 # Skip build phase
  *   npx kb-devkit-qa --skip-lint                  # Skip lint phase
  *   npx kb-devkit-qa --skip-types                 # Skip type-check phase
  *   npx kb-devkit-qa --skip-tests                 # Skip test phase
+ *   npx kb-devkit-qa --concurrency=8              # Build each layer / run checks 8 packages at a time
  */
 
 import { execSync } from 'child_process'
-import { readFileSync, existsSync, statSync, readdirSync, writeFileSync, mkdirSync } from 'fs'
-import { join } from 'path'
+import { readFileSync, existsSync, statSync, readdirSync, writeFileSync, mkdirSync, rmSync } from 'fs'
+import { join, resolve, relative, dirname } from 'path'
 import { createHash } from 'crypto'
+import { buildDependencyGraph, loadBuildGraph } from '../graph/index.mjs'
+import { loadWorkspace } from './lib/workspace.mjs'
+import { loadAffected, printAffected } from './lib/affected.mjs'
+import { runPool, runCommand, parseConcurrency } from './lib/task-pool.mjs'
+import { writeBuildStamp } from '../src/freshness/stamp.js'
+import {
+  RESULTS_DIR,
+  structuredArgs,
+  readReport,
+  parseTscOutput,
+  describeFailures,
+  loadDetails,
+  saveDetails,
+} from './lib/qa-results.mjs'
 
 // Parse args
 const args = process.argv.slice(2)
@@ -42,12 +66,19 @@ const skipLint = args.includes('--skip-lint')
 const skipTypes = args.includes('--skip-types')
 const skipTests = args.includes('--skip-tests')
 const noCache = args.includes('--no-cache') // NEW: Disable caching
+const explainCache = args.includes('--explain-cache') // Print why each package was run or skipped
 
 // NEW: Parse filter options
 const packageFilter = args.find(arg => arg.startsWith('--package='))?.split('=')[1]
 const repoFilter = args.find(arg => arg.startsWith('--repo='))?.split('=')[1]
 const scopeFilter = args.find(arg => arg.startsWith('--scope='))?.split('=')[1]
 
+// --since=<ref> / --affected: changed packages plus their dependents; limits every phase
+const affected = loadAffected(loadWorkspace(process.cwd()), args)
+
+// Number of packages processed at once within a build layer / check phase
+const concurrency = parseConcurrency(args.find(arg => arg.startsWith('--concurrency='))?.split('=')[1])
+
 // Cache directory
 const CACHE_DIR = '.qa-cache'
 const CACHE_FILE = join(CACHE_DIR, 'package-hashes.json')
@@ -78,6 +109,81 @@ function header(msg) {
   }
 }
 
+// Live progress for one phase. With --concurrency on a TTY a single status
+// line is redrawn; otherwise the classic `.` / `F` / `-` stream is printed.
+function createProgress(total) {
+  const live = !jsonMode && concurrency > 1 && process.stdout.isTTY
+  const running = new Set()
+  const counts = { passed: 0, failed: 0, skipped: 0 }
+  const symbols = {
+    passed: `${colors.green}.${colors.reset}`,
+    failed: `${colors.red}F${colors.reset}`,
+    skipped: `${colors.gray}-${colors.reset}`,
+  }
+
+  function render() {
+    const done = counts.passed + counts.failed + counts.skipped
+    const names = [...running]
+    const active = names.slice(0, 3).join(', ') + (names.length > 3 ? `, +${names.length - 3} more` : '')
+    let line = `  [${done}/${total}] ${colors.green}✓ ${counts.passed}${colors.reset}  ${colors.red}✗ ${counts.failed}${colors.reset}  ${colors.gray}- ${counts.skipped}${colors.reset}`
+    if (names.length > 0) {
+      line += `  ${colors.gray}running: ${active}${colors.reset}`
+    }
+    process.stdout.write(`\r\x1b[2K${line}`)
+  }
+
+  return {
+    start(pkg) {
+      running.add(pkg)
+      if (live) {render()}
+    },
+    done(pkg, status) {
+      running.delete(pkg)
+      counts[status]++
+      if (live) {render()}
+      else if (!jsonMode) {process.stdout.write(symbols[status])}
+    },
+    finish() {
+      if (!jsonMode) {console.log('')}
+    },
+  }
+}
+
+// Print buffered output of failed packages as one block per package, in
+// deterministic order. Only used with --concurrency, where streaming the
+// output of parallel commands would interleave it.
+function printFailureOutput(label, pkgNames, errors) {
+  if (jsonMode || concurrency <= 1) {return}
+
+  for (const pkg of pkgNames) {
+    const output = String(errors[pkg] ?? '').trim().split('\n')
+    log(`\n── ${pkg} (${label}) ${'─'.repeat(Math.max(0, 50 - pkg.length - label.length))}`, 'red')
+    if (output.length > 20) {
+      log(`   ... ${output.length - 20} earlier lines omitted`, 'gray')
+    }
+    for (const line of output.slice(-20)) {
+      log(`   ${line}`, 'gray')
+    }
+  }
+}
+
+// `<command>` scoped to one workspace package, per package manager.
+// `scriptArgs` are passed through to the script (npm needs `--` for that)
+function packageCommand(pkg, command, scriptArgs = []) {
+  const passThrough = scriptArgs.map(arg => JSON.stringify(arg)).join(' ')
+  switch (loadWorkspace(process.cwd()).packageManager) {
+    case 'npm': return `npm --workspace ${pkg} ${command}${passThrough ? ` -- ${passThrough}` : ''}`
+    case 'yarn': return `yarn workspace ${pkg} ${command}${passThrough ? ` ${passThrough}` : ''}`
+    default: return `pnpm --filter ${pkg} ${command}${passThrough ? ` ${passThrough}` : ''}`
+  }
+}
+
+// Run `pnpm --filter <pkg> <command>` (or the npm/yarn equivalent) without blocking the event loop
+async function runPnpmFilter(pkg, command, scriptArgs = []) {
+  const { code, stdout, stderr } = await runCommand(packageCommand(pkg, command, scriptArgs))
+  return { ok: code === 0, stdout, stderr, output: stderr || stdout || `exit code ${code}` }
+}
+
 const results = {
   build: { passed: [], failed: [], skipped: [], errors: {} },
   lint: { passed: [], failed: [], skipped: [], errors: {} },
@@ -85,22 +191,75 @@ const results = {
   test: { passed: [], failed: [], skipped: [], errors: {} },
 }
 
-// Get repo name from package path
+// Failures per test / lint rule / tsc code (see lib/qa-results.mjs). Kept
+// across runs in .qa-cache/details.json: packages skipped as unchanged keep
+// the details of their last run. `ran` lists the packages that produced
+// details in this run.
+const details = loadDetails()
+const ran = { lint: [], typeCheck: [], test: [] }
+
+// Run a check script, with a JSON report when the script allows it
+async function runCheck(pkg, command, resultKey) {
+  const scriptName = command.replace(/^run /, '')
+  let script
+  try {
+    script = JSON.parse(readFileSync(join(pkg.path, 'package.json'), 'utf-8')).scripts?.[scriptName]
+  } catch {
+    script = undefined
+  }
+
+  const reportFile = resolve(RESULTS_DIR, resultKey, `${pkg.name.replace(/[@/]/g, '_')}.json`)
+  const scriptArgs = structuredArgs(resultKey, script, reportFile)
+  if (scriptArgs) {
+    mkdirSync(dirname(reportFile), { recursive: true })
+    // A run that dies before writing its report must not pick up the last one
+    rmSync(reportFile, { force: true })
+  }
+
+  const run = await runPnpmFilter(pkg.name, command, scriptArgs ?? [])
+
+  let runDetails = null
+  if (scriptArgs) {
+    runDetails = readReport(resultKey, reportFile, pkg.path)
+  } else if (resultKey === 'typeCheck' && script) {
+    runDetails = parseTscOutput(`${run.stdout}\n${run.stderr}`)
+  }
+
+  // ESLint writes nothing to the terminal with --output-file
+  if (!run.ok && runDetails && resultKey === 'lint') {
+    run.output = describeFailures(resultKey, runDetails).join('\n') || run.output
+  }
+  return { run, details: runDetails }
+}
+
+// Get repo name of a package (kb-labs-* dir it lives in, per the workspace model)
 function getRepoFromPackage(pkg) {
-  // Extract repo from path: /path/to/kb-labs-REPO/packages/...
-  const match = pkg.path.match(/\/(kb-labs-[^/]+)/)
-  return match ? match[1] : null
+  return pkg.repo ?? null
 }
 
+// Cache format version. Bump when the shape of cache records changes.
+const CACHE_VERSION = 2
+
+// Config files that influence lint/type-check/test results. Looked up in the
+// package dir and every parent dir up to the workspace root.
+const CONFIG_FILE_PATTERN = /^(tsconfig(\..+)?\.json|eslint\.config\.[cm]?[jt]s|vitest\.config\.[cm]?[jt]s)$/
+
 // Load package hash cache
+//
+// Shape: { version, checks: { lint: { [pkg]: record }, typeCheck: {...}, test: {...} } }
+// Each check keeps its own records so a passing lint never marks type-check
+// or tests as "unchanged".
 function loadCache() {
+  const empty = { version: CACHE_VERSION, checks: {} }
   if (!existsSync(CACHE_FILE)) {
-    return {}
+    return empty
   }
   try {
-    return JSON.parse(readFileSync(CACHE_FILE, 'utf-8'))
+    const cache = JSON.parse(readFileSync(CACHE_FILE, 'utf-8'))
+    // Older caches stored one flat hash per package — start over
+    return cache?.version === CACHE_VERSION ? cache : empty
   } catch (err) {
-    return {}
+    return empty
   }
 }
 
@@ -112,69 +271,286 @@ function saveCache(cache) {
   writeFileSync(CACHE_FILE, JSON.stringify(cache, null, 2))
 }
 
-// Calculate hash for package sources
+// Version of the devkit running this QA pass — presets change with it
+function getDevkitVersion() {
+  try {
+    return JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf-8')).version ?? 'unknown'
+  } catch {
+    return 'unknown'
+  }
+}
+
+const sha256 = (value) => createHash('sha256').update(value).digest('hex')
+
+// Calculate hash for package sources (src/ + package.json)
 function calculatePackageHash(pkgPath) {
   const srcDir = join(pkgPath, 'src')
   const pkgJson = join(pkgPath, 'package.json')
 
+  // Return null only if neither src nor package.json exist
+  if (!existsSync(srcDir) && !existsSync(pkgJson)) {
+    return null
+  }
+
   const hash = createHash('sha256')
 
-  // Hash all files in src/ if it exists
-  if (existsSync(srcDir)) {
-    function hashDirectory(dir) {
-      try {
-        const files = readdirSync(dir, { withFileTypes: true })
-        for (const file of files) {
-          const fullPath = join(dir, file.name)
-          if (file.isDirectory()) {
-            hashDirectory(fullPath)
-          } else {
-            const content = readFileSync(fullPath, 'utf-8')
-            hash.update(content)
-          }
+  // Hash all files in src/ if it exists. Relative paths are hashed too so
+  // renames invalidate the cache; entries are sorted for stable results.
+  function hashDirectory(dir, rel) {
+    try {
+      const files = readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))
+      for (const file of files) {
+        const fullPath = join(dir, file.name)
+        const relPath = `${rel}/${file.name}`
+        if (file.isDirectory()) {
+          hashDirectory(fullPath, relPath)
+        } else {
+          hash.update(relPath)
+          hash.update(readFileSync(fullPath))
         }
-      } catch (err) {
-        // Ignore permission errors
       }
+    } catch (err) {
+      // Ignore permission errors
     }
-    hashDirectory(srcDir)
+  }
+  if (existsSync(srcDir)) {
+    hashDirectory(srcDir, 'src')
   }
 
   // Hash package.json (dependencies/scripts)
   if (existsSync(pkgJson)) {
-    const content = readFileSync(pkgJson, 'utf-8')
-    hash.update(content)
+    hash.update('package.json')
+    hash.update(readFileSync(pkgJson))
   }
 
-  // Return null only if neither src nor package.json exist
-  if (!existsSync(srcDir) && !existsSync(pkgJson)) {
-    return null
+  return hash.digest('hex')
+}
+
+// Hash tsconfig/eslint/vitest configs from the package dir up to the workspace root
+function calculateConfigHash(pkgPath) {
+  const root = resolve(process.cwd())
+  const hash = createHash('sha256')
+  let dir = resolve(pkgPath)
+
+  while (true) {
+    let entries = []
+    try {
+      entries = readdirSync(dir, { withFileTypes: true })
+        .filter(e => e.isFile() && CONFIG_FILE_PATTERN.test(e.name))
+        .map(e => e.name)
+        .sort()
+    } catch (err) {
+      // Unreadable dir, nothing to hash
+    }
+    for (const name of entries) {
+      hash.update(relative(root, join(dir, name)))
+      hash.update(readFileSync(join(dir, name)))
+    }
+
+    const parent = dirname(dir)
+    if (dir === root || parent === dir || relative(root, dir).startsWith('..')) {break}
+    dir = parent
   }
 
   return hash.digest('hex')
 }
 
-// Check if package sources have changed since last QA run
-function hasPackageChanged(pkgName, pkgPath, cache) {
-  if (noCache) {return true} // Skip cache if --no-cache flag
+// Content-addressed cache keys. A package's key covers its own sources, its
+// config files, the devkit version and the keys of its workspace
+// dependencies — so a change anywhere upstream invalidates it transitively.
+function createCacheKeys(graph) {
+  const devkit = getDevkitVersion()
+  const records = new Map()
+  let componentOf = null
+
+  // Strongly connected components (Tarjan): packages in a dependency cycle are
+  // hashed as one unit, so a change to any member changes every member's key
+  function getComponents() {
+    if (componentOf) {return componentOf}
+    componentOf = new Map()
+    const index = new Map()
+    const low = new Map()
+    const stack = []
+    const onStack = new Set()
+
+    const visit = (name) => {
+      index.set(name, index.size)
+      low.set(name, index.get(name))
+      stack.push(name)
+      onStack.add(name)
+      for (const dep of graph.get(name).deps) {
+        if (!graph.has(dep)) {continue}
+        if (!index.has(dep)) {
+          visit(dep)
+          low.set(name, Math.min(low.get(name), low.get(dep)))
+        } else if (onStack.has(dep)) {
+          low.set(name, Math.min(low.get(name), index.get(dep)))
+        }
+      }
+      if (low.get(name) !== index.get(name)) {return}
+      const members = []
+      let member
+      do {
+        member = stack.pop()
+        onStack.delete(member)
+        members.push(member)
+      } while (member !== name)
+      members.sort()
+      for (const m of members) {componentOf.set(m, members)}
+    }
+
+    for (const name of graph.keys()) {
+      if (!index.has(name)) {visit(name)}
+    }
+    return componentOf
+  }
+
+  // Keys of dependencies outside the component
+  function externalDeps(node, members) {
+    const deps = {}
+    for (const depName of [...(node?.deps ?? [])].sort()) {
+      if (members.includes(depName)) {continue}
+      const depRecord = compute(depName)
+      if (depRecord) {deps[depName] = depRecord.key}
+    }
+    return deps
+  }
+
+  function compute(pkgName, pkgPath) {
+    if (records.has(pkgName)) {return records.get(pkgName)}
+
+    const node = graph.get(pkgName)
+    const dir = pkgPath ?? node?.dir
+    if (!dir) {return null}
+
+    const members = node ? getComponents().get(pkgName) : [pkgName]
+    const parts = members.map((name) => {
+      const memberDir = name === pkgName ? dir : graph.get(name).dir
+      const own = calculatePackageHash(memberDir)
+      return { name, own, config: calculateConfigHash(memberDir), deps: externalDeps(graph.get(name), members) }
+    })
+    // Every member's own inputs, so the whole cycle invalidates together
+    const cycle = members.length > 1
+      ? sha256(JSON.stringify(parts.map(({ name, own, config, deps }) => ({ name, own, config, deps }))))
+      : null
+
+    for (const part of parts) {
+      part.key = part.own
+        ? sha256(JSON.stringify({ own: part.own, config: part.config, devkit, deps: part.deps, ...(cycle ? { cycle } : {}) }))
+        : null
+    }
+    for (const { name, own, config, deps, key } of parts) {
+      // Cycle members are listed as dependencies too, so cache-miss reasons can follow them
+      const cycleDeps = Object.fromEntries(parts
+        .filter((other) => other.name !== name && graph.get(name)?.deps.has(other.name))
+        .map((other) => [other.name, other.key]))
+      records.set(name, { key, own, config, devkit, deps: { ...deps, ...cycleDeps } })
+    }
+    return records.get(pkgName)
+  }
+
+  return { get: compute }
+}
+
+// Explain why a cached record no longer matches. Changed dependencies are
+// followed down to the package(s) that actually changed, so the reason reads
+// "dependency A changed ← C: sources or package.json changed".
+function explainCacheMiss(pkgName, checkCache, cacheKeys) {
+  const previous = checkCache[pkgName]
+  const current = cacheKeys.get(pkgName)
+
+  if (!previous) {return ['no cache entry']}
+  if (!current?.key) {return ['nothing to hash']}
+  if (previous.key === current.key) {return []}
+
+  const reasons = [...describeOwnChanges(previous, current)]
+
+  for (const change of diffDependencyKeys(previous, current)) {
+    if (change.type !== 'changed') {
+      reasons.push(`dependency ${change.name} ${change.type}`)
+      continue
+    }
+    const roots = findRootChanges(change.name, checkCache, cacheKeys, new Set([pkgName]))
+    reasons.push(roots.length > 0
+      ? `dependency ${change.name} changed ← ${roots.join(', ')}`
+      : `dependency ${change.name} changed`)
+  }
+
+  return reasons.length > 0 ? reasons : ['cache key changed']
+}
+
+// Changes in a package's own inputs (sources, configs, devkit version)
+function describeOwnChanges(previous, current) {
+  const reasons = []
+  if (previous.devkit !== current.devkit) {
+    reasons.push(`devkit version changed (${previous.devkit} → ${current.devkit})`)
+  }
+  if (previous.own !== current.own) {reasons.push('sources or package.json changed')}
+  if (previous.config !== current.config) {reasons.push('tsconfig/eslint/vitest config changed')}
+  return reasons
+}
+
+// Dependencies whose cache keys were added, removed or changed
+function diffDependencyKeys(previous, current) {
+  const changes = []
+  const depNames = new Set([...Object.keys(previous.deps ?? {}), ...Object.keys(current.deps)])
+  for (const name of [...depNames].sort()) {
+    const before = previous.deps?.[name]
+    const after = current.deps[name]
+    if (before === after) {continue}
+    changes.push({ name, type: !before ? 'added' : !after ? 'removed' : 'changed' })
+  }
+  return changes
+}
+
+// Walk a changed dependency down to the packages whose own inputs changed
+function findRootChanges(pkgName, checkCache, cacheKeys, visited) {
+  if (visited.has(pkgName)) {return []}
+  visited.add(pkgName)
+
+  const previous = checkCache[pkgName]
+  const current = cacheKeys.get(pkgName)
+  // Not checked before (e.g. outside an earlier --package filter): can't dig deeper
+  if (!previous || !current?.key) {return []}
 
-  const currentHash = calculatePackageHash(pkgPath)
-  if (!currentHash) {return true} // Nothing to hash, always run
+  const roots = []
+  const own = describeOwnChanges(previous, current)
+  if (own.length > 0) {roots.push(`${pkgName}: ${own.join(', ')}`)}
 
-  const cachedHash = cache[pkgName]
-  return currentHash !== cachedHash
+  for (const change of diffDependencyKeys(previous, current)) {
+    if (change.type === 'changed') {
+      roots.push(...findRootChanges(change.name, checkCache, cacheKeys, visited))
+    } else {
+      roots.push(`${pkgName}: dependency ${change.name} ${change.type}`)
+    }
+  }
+  return roots
+}
+
+// Decide whether a package must be re-checked, and why
+function getCacheDecision(pkg, checkCache, cacheKeys) {
+  if (noCache) {return { changed: true, reason: 'cache disabled (--no-cache)' }} // Skip cache if --no-cache flag
+
+  const current = cacheKeys.get(pkg.name, pkg.path)
+  if (!current?.key) {return { changed: true, reason: 'nothing to hash' }} // Nothing to hash, always run
+
+  const previous = checkCache[pkg.name]
+  if (previous?.key === current.key) {
+    return { changed: false, reason: 'unchanged' }
+  }
+  return { changed: true, reason: explainCacheMiss(pkg.name, checkCache, cacheKeys).join('; ') }
+}
+
+// All workspace packages in the configured scope, unfiltered (from the shared workspace model)
+function listWorkspacePackages() {
+  return loadWorkspace(process.cwd()).scopedPackages
+    .map(pkg => ({ name: pkg.name, path: pkg.dir, repo: pkg.repo }))
 }
 
 // Get all workspace packages (with optional filtering)
 function getWorkspacePackages() {
   try {
-    const output = execSync('pnpm list -r --depth -1 --json', {
-      encoding: 'utf-8',
-      stdio: ['pipe', 'pipe', 'ignore'],
-    })
-    let packages = JSON.parse(output)
-      .filter(pkg => pkg.name?.startsWith('@kb-labs/'))
-      .map(pkg => ({ name: pkg.name, path: pkg.path }))
+    let packages = listWorkspacePackages()
 
     // Apply filters
     if (packageFilter) {
@@ -201,6 +577,11 @@ function getWorkspacePackages() {
       }
     }
 
+    // May leave nothing to run; main() exits early in that case
+    if (affected) {
+      packages = affected.filter(packages, { packageJsonPath: p => join(p.path, 'package.json') })
+    }
+
     return packages
   } catch (err) {
     log('Failed to get workspace packages', 'red')
@@ -208,6 +589,16 @@ function getWorkspacePackages() {
   }
 }
 
+function listWorkspacePackageJsonPaths() {
+  return listWorkspacePackages().map(p => join(p.path, 'package.json'))
+}
+
+// Workspace dependency graph (all packages, not just the filtered ones —
+// a filtered package's cache key still depends on its upstream packages)
+function loadDependencyGraph() {
+  return buildDependencyGraph(listWorkspacePackageJsonPaths())
+}
+
 // Get latest modification time in directory recursively
 function getLatestMtime(dir) {
   if (!existsSync(dir)) {return 0}
@@ -250,6 +641,18 @@ function needsRebuild(pkgPath) {
   return srcMtime > distMtime
 }
 
+// Record what a fresh build was made from (see kb-devkit-freshness --stamp)
+function stampBuild(pkg, graph) {
+  const node = graph.get(pkg)
+  if (!node) {return}
+  try {
+    const dependencies = [...node.deps].map(dep => graph.get(dep)).filter(Boolean)
+    writeBuildStamp({ name: node.name, version: node.version, dir: node.dir }, dependencies)
+  } catch {
+    // Non-critical: freshness falls back to mtimes for unstamped packages
+  }
+}
+
 // Build all packages in layer order
 async function buildAllLayers() {
   header('🔨 Building all packages in correct dependency order...')
@@ -257,28 +660,17 @@ async function buildAllLayers() {
   try {
     // Generate build order
     log('📊 Calculating build order...', 'gray')
-    let buildOrder = execSync('npx kb-devkit-build-order --layers', {
-      encoding: 'utf-8',
-      stdio: ['pipe', 'pipe', 'ignore'],
-    })
-
-    // Strip ANSI codes
-    buildOrder = buildOrder.replace(/\x1b\[[0-9;]*m/g, '')
+    const buildGraph = loadBuildGraph(process.cwd(), { packageJsonPaths: listWorkspacePackageJsonPaths() })
+    const layers = buildGraph.layers.map((packages, i) => ({ num: i + 1, packages }))
 
-    // Parse layers
-    const layerMatches = buildOrder.matchAll(/Layer (\d+).*?:\s+((?:@kb-labs\/[\w-]+\s*)+)/gs)
-    const layers = []
-    
-    for (const match of layerMatches) {
-      const layerNum = parseInt(match[1])
-      const packages = match[2]
-        .trim()
-        .split(/\s+/)
-        .filter(pkg => pkg.startsWith('@kb-labs/'))
-      layers.push({ num: layerNum, packages })
+    if (buildGraph.cycles.length > 0) {
+      log(`⚠️  ${buildGraph.circular.length} package(s) in dependency cycles will not be built:`, 'yellow')
+      for (const cycle of buildGraph.cycles) {
+        log(`   ${cycle.join(' → ')}`, 'yellow')
+      }
     }
-    
-    log(`Found ${layers.length} layers to build\n`, 'gray')
+
+    log(`Found ${layers.length} layers to build${concurrency > 1 ? ` (concurrency: ${concurrency})` : ''}\n`, 'gray')
     
     // Get package paths for timestamp checking
     const allPackages = getWorkspacePackages()
@@ -296,30 +688,40 @@ async function buildAllLayers() {
 
       log(`🔨 Building Layer ${layer.num}/${layers.length} (${layerPackagesToBuild.length} packages)...`, 'cyan')
 
-      for (const pkg of layerPackagesToBuild) {
+      const progress = createProgress(layerPackagesToBuild.length)
+
+      // Packages of one layer don't depend on each other, so they can build concurrently
+      const outcomes = await runPool(layerPackagesToBuild, concurrency, async (pkg) => {
         const pkgPath = pkgPathMap.get(pkg)
 
         // Check if rebuild is needed
         if (pkgPath && !needsRebuild(pkgPath)) {
-          results.build.skipped.push(pkg)
-          if (!jsonMode) {process.stdout.write(`${colors.gray}-${colors.reset}`)}
-          continue
+          return { status: 'skipped' }
         }
 
-        try {
-          execSync(`pnpm --filter ${pkg} run build`, {
-            encoding: 'utf-8',
-            stdio: 'pipe',
-          })
-          results.build.passed.push(pkg)
-          if (!jsonMode) {process.stdout.write(`${colors.green}.${colors.reset}`)}
-        } catch (err) {
-          results.build.failed.push(pkg)
-          results.build.errors[pkg] = err.stderr || err.stdout || err.message
-          if (!jsonMode) {process.stdout.write(`${colors.red}F${colors.reset}`)}
+        const run = await runPnpmFilter(pkg, 'run build')
+        if (!run.ok) {return { status: 'failed', error: run.output }}
+        stampBuild(pkg, buildGraph.graph)
+        return { status: 'passed' }
+      }, {
+        onStart: pkg => progress.start(pkg),
+        onDone: (pkg, outcome) => progress.done(pkg, outcome.status ?? 'failed'),
+      })
+      progress.finish()
+
+      // Record results in layer order so reports stay deterministic
+      const layerFailures = []
+      layerPackagesToBuild.forEach((pkg, i) => {
+        const outcome = outcomes[i]
+        if (outcome.status === 'passed' || outcome.status === 'skipped') {
+          results.build[outcome.status].push(pkg)
+          return
         }
-      }
-      if (!jsonMode) {console.log('')}
+        results.build.failed.push(pkg)
+        results.build.errors[pkg] = typeof outcome.error === 'string' ? outcome.error : outcome.error?.message
+        layerFailures.push(pkg)
+      })
+      printFailureOutput('build', layerFailures, results.build.errors)
     }
     
     log(`\n✅ Build complete: ${results.build.passed.length} passed, ${results.build.failed.length} failed, ${results.build.skipped.length} skipped (up-to-date)\n`, 'green')
@@ -331,59 +733,80 @@ async function buildAllLayers() {
 }
 
 // Run command on all packages
-async function runOnAllPackages(command, label, resultKey, cache) {
+async function runOnAllPackages(command, label, resultKey, cache, cacheKeys) {
   header(`${label}...`)
 
   const packages = getWorkspacePackages()
-  log(`Running on ${packages.length} packages\n`, 'gray')
+  log(`Running on ${packages.length} packages${concurrency > 1 ? ` (concurrency: ${concurrency})` : ''}\n`, 'gray')
 
   let cacheHits = 0
+  const checkCache = (cache.checks[resultKey] ??= {})
+  const progress = createProgress(packages.length)
 
-  for (const pkg of packages) {
+  // Decide up front, against the cache as it was before this phase
+  const decisions = new Map(packages.map(pkg => [pkg.name, getCacheDecision(pkg, checkCache, cacheKeys)]))
+  explainCacheDecisions(resultKey, decisions)
+
+  const outcomes = await runPool(packages, concurrency, async (pkg) => {
     // NEW: Check if package has changed
-    const changed = hasPackageChanged(pkg.name, pkg.path, cache)
+    const { changed } = decisions.get(pkg.name)
 
-    if (!changed && !noCache) {
+    if (!changed) {
       // Skip unchanged package
+      return { status: 'skipped', cacheHit: true }
+    }
+
+    const { run, details: runDetails } = await runCheck(pkg, command, resultKey)
+    if (run.ok) {
+      return { status: 'passed', details: runDetails }
+    }
+    // Check if script doesn't exist
+    if (`${run.stdout}${run.stderr}`.includes('missing script')) {
+      return { status: 'skipped' }
+    }
+    return { status: 'failed', error: run.output, details: runDetails }
+  }, {
+    onStart: pkg => progress.start(pkg.name),
+    onDone: (pkg, outcome) => progress.done(pkg.name, outcome.status ?? 'failed'),
+  })
+  progress.finish()
+
+  // Record results and cache entries in package order so reports and the
+  // cache file stay deterministic whatever order the commands finished in
+  const failures = []
+  packages.forEach((pkg, i) => {
+    const outcome = outcomes[i]
+
+    if (outcome.status === 'skipped') {
       results[resultKey].skipped.push(pkg.name)
-      cacheHits++
-      if (!jsonMode) {process.stdout.write(`${colors.gray}-${colors.reset}`)}
-      continue
+      if (outcome.cacheHit) {cacheHits++}
+      return
     }
 
-    try {
-      execSync(`pnpm --filter ${pkg.name} ${command}`, {
-        encoding: 'utf-8',
-        stdio: 'pipe',
-      })
-      results[resultKey].passed.push(pkg.name)
-      if (!jsonMode) {process.stdout.write(`${colors.green}.${colors.reset}`)}
+    // Replace the details of the last run; none when the script isn't eslint/vitest/tsc
+    if (outcome.details) {
+      details[resultKey][pkg.name] = outcome.details
+      ran[resultKey].push(pkg.name)
+    } else {
+      delete details[resultKey][pkg.name]
+    }
 
-      // NEW: Update cache with current hash
-      const currentHash = calculatePackageHash(pkg.path)
-      if (currentHash) {
-        cache[pkg.name] = currentHash
-      }
-    } catch (err) {
-      // Check if script doesn't exist
-      if (err.message.includes('missing script')) {
-        results[resultKey].skipped.push(pkg.name)
-        if (!jsonMode) {process.stdout.write(`${colors.gray}-${colors.reset}`)}
-      } else {
-        results[resultKey].failed.push(pkg.name)
-        results[resultKey].errors[pkg.name] = err.stderr || err.stdout || err.message
-        if (!jsonMode) {process.stdout.write(`${colors.red}F${colors.reset}`)}
-
-        // Cache hash even for failed packages — if code hasn't changed, no point re-running
-        const currentHash = calculatePackageHash(pkg.path)
-        if (currentHash) {
-          cache[pkg.name] = currentHash
-        }
-      }
+    if (outcome.status === 'passed') {
+      results[resultKey].passed.push(pkg.name)
+    } else {
+      results[resultKey].failed.push(pkg.name)
+      results[resultKey].errors[pkg.name] = typeof outcome.error === 'string' ? outcome.error : outcome.error?.message
+      failures.push(pkg.name)
     }
-  }
 
-  if (!jsonMode) {console.log('')}
+    // NEW: Update cache with current key.
+    // Cache key even for failed packages — if nothing it depends on changed, no point re-running
+    const record = cacheKeys.get(pkg.name, pkg.path)
+    if (record?.key) {
+      checkCache[pkg.name] = record
+    }
+  })
+  printFailureOutput(resultKey, failures, results[resultKey].errors)
 
   const skippedByCache = cacheHits
   const totalSkipped = results[resultKey].skipped.length
@@ -395,6 +818,20 @@ async function runOnAllPackages(command, label, resultKey, cache) {
   }
 }
 
+// --explain-cache: print (or record for JSON) why each package runs or is skipped
+function explainCacheDecisions(resultKey, decisions) {
+  if (!explainCache) {return}
+
+  results[resultKey].cache = Object.fromEntries(
+    [...decisions].map(([pkgName, { changed, reason }]) => [pkgName, { run: changed, reason }])
+  )
+
+  for (const [pkgName, { changed, reason }] of decisions) {
+    log(`   ${changed ? '▶ run ' : '⏭ skip'}  ${pkgName}${colors.gray} — ${reason}${colors.reset}`, changed ? 'yellow' : 'gray')
+  }
+  log('')
+}
+
 // Load all baselines if they exist
 function loadBaselines() {
   const baselines = {
@@ -635,7 +1072,7 @@ function groupByRepo() {
 // Print JSON report for agents
 function printJsonReport(baselines, diff) {
   // Group by repo if filtering is active
-  const byRepo = (packageFilter || repoFilter || scopeFilter) ? groupByRepo() : null
+  const byRepo = (packageFilter || repoFilter || scopeFilter || affected) ? groupByRepo() : null
 
   const report = {
     status: (results.build.failed.length + results.lint.failed.length +
@@ -645,6 +1082,8 @@ function printJsonReport(baselines, diff) {
       package: packageFilter || null,
       repo: repoFilter || null,
       scope: scopeFilter || null,
+      since: affected?.ref ?? null,
+      affected: affected ? [...affected.affected].sort() : null,
     },
     summary: {
       build: {
@@ -687,6 +1126,19 @@ function printJsonReport(baselines, diff) {
       test: diff.test,
     } : null,
     byRepo: byRepo || null,
+    // Failures per test / lint rule / tsc code of the packages checked in this run
+    details: Object.fromEntries(Object.entries(ran).map(([check, pkgNames]) => [
+      check,
+      Object.fromEntries(pkgNames.map(pkgName => [pkgName, details[check][pkgName]])),
+    ])),
+  }
+
+  if (explainCache) {
+    report.cache = {
+      lint: results.lint.cache ?? null,
+      typeCheck: results.typeCheck.cache ?? null,
+      test: results.test.cache ?? null,
+    }
   }
 
   console.log(JSON.stringify(report, null, 2))
@@ -820,12 +1272,36 @@ async function main() {
       header += `\n${colors.yellow}🚫 Cache disabled (--no-cache)${colors.reset}`
     }
 
+    if (concurrency > 1) {
+      header += `\n${colors.yellow}⚡ Concurrency: ${concurrency}${colors.reset}`
+    }
+
     log(header + '\n')
+
+    if (affected) {
+      printAffected(affected, listWorkspacePackages().length, log)
+      log('')
+    }
+  }
+
+  if (affected && getWorkspacePackages().length === 0) {
+    if (jsonMode) {
+      console.log(JSON.stringify({
+        status: 'passed',
+        timestamp: new Date().toISOString(),
+        filter: { since: affected.ref, affected: [] },
+        message: 'No affected packages',
+      }, null, 2))
+    } else {
+      log('✅ No affected packages — nothing to run\n', 'green')
+    }
+    process.exit(0)
   }
 
   try {
     // NEW: Load cache at the start
     const cache = loadCache()
+    const cacheKeys = createCacheKeys(loadDependencyGraph())
 
     // 1. Build (in correct order)
     if (!skipBuild) {
@@ -836,21 +1312,21 @@ async function main() {
 
     // 2. Lint
     if (!skipLint) {
-      await runOnAllPackages('run lint', '🔍 Running linter', 'lint', cache)
+      await runOnAllPackages('run lint', '🔍 Running linter', 'lint', cache, cacheKeys)
     } else {
       log('⏭️  Skipping lint (--skip-lint)', 'yellow')
     }
 
     // 3. Type check
     if (!skipTypes) {
-      await runOnAllPackages('run type-check', '📘 Running type check', 'typeCheck', cache)
+      await runOnAllPackages('run type-check', '📘 Running type check', 'typeCheck', cache, cacheKeys)
     } else {
       log('⏭️  Skipping type-check (--skip-types)', 'yellow')
     }
 
     // 4. Tests
     if (!skipTests) {
-      await runOnAllPackages('run test', '🧪 Running tests', 'test', cache)
+      await runOnAllPackages('run test', '🧪 Running tests', 'test', cache, cacheKeys)
     } else {
       log('⏭️  Skipping tests (--skip-tests)', 'yellow')
     }
@@ -860,6 +1336,15 @@ async function main() {
       saveCache(cache)
     }
 
+    // Details of packages that left the workspace go with them
+    const workspaceNames = new Set(listWorkspacePackages().map(p => p.name))
+    for (const checkDetails of Object.values(details)) {
+      for (const pkgName of Object.keys(checkDetails)) {
+        if (!workspaceNames.has(pkgName)) {delete checkDetails[pkgName]}
+      }
+    }
+    saveDetails(details)
+
     // Save last run results so core:gate can read fresh data without re-running
     try {
       const lastRunPath = join(CACHE_DIR, 'last-run.json')
@@ -876,7 +1361,10 @@ async function main() {
           lint: results.lint.failed,
           typeCheck: results.typeCheck.failed,
           test: results.test.failed,
-        }
+        },
+        // Per test / rule / code, for kb-devkit-qa-history
+        details,
+        ran,
       }, null, 2))
     } catch { /* non-critical */ }
 
@@ -0,0 +1,235 @@
+/**
+ * Affected-package selection shared by the checkers, kb-devkit-ci and kb-devkit-qa.
+ *
+ * `--since=<ref>` limits a run to the packages touched since `ref` plus
+ * everything that depends on them; `--affected` does the same against the
+ * default branch (origin/HEAD, then origin/main, then main):
+ *
+ * 1. changed files = `git diff --name-only $(git merge-base <ref> HEAD)` plus
+ *    untracked files, in the workspace repo and in every nested repo with its
+ *    own .git
+ * 2. each file maps to the innermost package containing it; workspace-wide
+ *    files (lockfiles, root package.json, tsconfig*.json, kb-labs.config.json,
+ *    .devkitignore) outside any package affect every package below them
+ * 3. the set is expanded to transitive dependents through the workspace graph
+ *
+ * Like `changedFixturesSince` in scripts/fixtures.js, a repo where git is
+ * missing or the ref cannot be resolved counts as fully changed.
+ */
+
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { buildDependencyGraph, getTransitiveDependents } from '../../graph/index.mjs';
+
+const DEFAULT_BASE_REFS = ['origin/main', 'main'];
+
+// Outside a package, these change how every package below them builds or is checked
+const WORKSPACE_FILE_PATTERN = /^(package\.json|pnpm-workspace\.yaml|pnpm-lock\.yaml|package-lock\.json|yarn\.lock|kb-labs\.config\.json|tsconfig(\..+)?\.json|\.devkitignore)$/;
+
+function git(cwd, gitArgs) {
+  return execFileSync('git', gitArgs, { cwd, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+}
+
+function tryGit(cwd, gitArgs) {
+  try {
+    return git(cwd, gitArgs);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read `--since=<ref>` / `--affected` from CLI arguments.
+ *
+ * @param {string[]} args - process.argv.slice(2)
+ * @returns {{ since: string|null, affected: boolean }|null} null when neither flag is given
+ */
+export function parseAffectedArgs(args) {
+  const since = args.find((arg) => arg.startsWith('--since='))?.split('=')[1] || null;
+  const affected = args.includes('--affected');
+  return since || affected ? { since, affected } : null;
+}
+
+/**
+ * Ref `--affected` compares against: the remote default branch, else origin/main, else main.
+ *
+ * @param {string} cwd - Directory inside the git repo
+ * @returns {string|null} null when none of them exists
+ */
+export function resolveDefaultBaseRef(cwd) {
+  const remoteHead = tryGit(cwd, ['rev-parse', '--abbrev-ref', 'origin/HEAD']);
+  if (remoteHead && remoteHead !== 'origin/HEAD') {return remoteHead;}
+
+  return DEFAULT_BASE_REFS.find((ref) => tryGit(cwd, ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`])) ?? null;
+}
+
+/**
+ * Files changed in one git repo since `ref` (committed, staged, unstaged and untracked).
+ *
+ * @param {string} repoDir - Git top-level directory
+ * @param {string} ref - Base ref
+ * @returns {string[]|null} Absolute paths, or null when the ref cannot be diffed
+ */
+export function getChangedFiles(repoDir, ref) {
+  if (!tryGit(repoDir, ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`])) {return null;}
+
+  // Compare against the fork point, so upstream commits don't count as local changes
+  const base = tryGit(repoDir, ['merge-base', ref, 'HEAD']) || ref;
+  const diff = tryGit(repoDir, ['diff', '--name-only', base]);
+  const untracked = tryGit(repoDir, ['ls-files', '--others', '--exclude-standard']);
+  if (diff === null || untracked === null) {return null;}
+
+  const files = new Set([...diff.split('\n'), ...untracked.split('\n')].filter(Boolean));
+  return [...files].map((file) => path.join(repoDir, file));
+}
+
+/**
+ * Git repos the workspace spans: the workspace root's, plus nested repos with their own .git.
+ */
+function findGitRoots(workspace) {
+  const roots = new Set();
+  const candidates = [workspace.root, ...workspace.repos.map((repo) => repo.dir)];
+  for (const dir of candidates) {
+    if (dir !== workspace.root && !fs.existsSync(path.join(dir, '.git'))) {continue;}
+    const topLevel = tryGit(dir, ['rev-parse', '--show-toplevel']);
+    if (topLevel) {roots.add(path.resolve(topLevel));}
+  }
+  return [...roots];
+}
+
+function isInside(dir, filePath) {
+  return filePath === dir || filePath.startsWith(dir + path.sep);
+}
+
+/**
+ * Compute the affected packages of a workspace.
+ *
+ * @param {object} workspace - Result of loadWorkspace()
+ * @param {object} [options]
+ * @param {string|null} [options.since] - Base ref; resolved with resolveDefaultBaseRef() when omitted
+ * @returns {{
+ *   root: string,
+ *   ref: string|null,
+ *   changedFiles: string[],
+ *   changed: Set<string>,
+ *   affected: Set<string>,
+ *   dependencies: Set<string>,
+ *   fallbacks: Array<{ repoDir: string, reason: string }>,
+ *   has: (packageName: string) => boolean,
+ *   filter: <T>(items: T[], options?: { packageJsonPath?: (item: T) => string, withDependencies?: boolean }) => T[],
+ * }} `changed` holds the packages with changed files, `affected` adds their dependents,
+ *   `dependencies` the direct workspace dependencies of changed packages outside `affected`
+ */
+export function computeAffected(workspace, { since = null } = {}) {
+  const packages = workspace.packages;
+  const gitRoots = findGitRoots(workspace);
+  const ref = since ?? (gitRoots.length > 0 ? resolveDefaultBaseRef(gitRoots[0]) : null);
+
+  const changedFiles = [];
+  const changed = new Set();
+  const fallbacks = [];
+
+  const markAllBelow = (dir) => {
+    for (const pkg of packages) {
+      if (isInside(dir, pkg.dir)) {changed.add(pkg.name);}
+    }
+  };
+
+  if (gitRoots.length === 0) {
+    fallbacks.push({ repoDir: workspace.root, reason: 'not a git repository' });
+    markAllBelow(workspace.root);
+  }
+
+  for (const repoDir of gitRoots) {
+    const files = ref ? getChangedFiles(repoDir, ref) : null;
+    if (!files) {
+      fallbacks.push({ repoDir, reason: ref ? `cannot diff against ${ref}` : 'no base ref (origin/main or main)' });
+      markAllBelow(repoDir);
+      continue;
+    }
+
+    // A nested repo's files show up as its own diff, not the parent's
+    const nestedRoots = gitRoots.filter((other) => other !== repoDir && isInside(repoDir, other));
+
+    for (const file of files) {
+      if (nestedRoots.some((nested) => isInside(nested, file))) {continue;}
+      changedFiles.push(file);
+
+      let owner = null;
+      for (const pkg of packages) {
+        if (isInside(pkg.dir, file) && (!owner || pkg.dir.length > owner.dir.length)) {owner = pkg;}
+      }
+
+      if (owner) {
+        changed.add(owner.name);
+      } else if (WORKSPACE_FILE_PATTERN.test(path.basename(file))) {
+        markAllBelow(path.dirname(file));
+      }
+    }
+  }
+
+  const graph = buildDependencyGraph(workspace.packageJsonPaths, { scope: workspace.config.scopePrefix });
+  const affected = new Set([...changed, ...getTransitiveDependents(graph, changed)]);
+
+  // Packages a change may have stopped using (unused-export style checks need them too)
+  const dependencies = new Set();
+  for (const name of changed) {
+    for (const dep of graph.get(name)?.deps ?? []) {
+      if (!affected.has(dep)) {dependencies.add(dep);}
+    }
+  }
+
+  const pathsOf = (names) => new Set(packages.filter((pkg) => names.has(pkg.name)).map((pkg) => pkg.packageJsonPath));
+  const affectedPaths = pathsOf(affected);
+  const dependencyPaths = pathsOf(dependencies);
+
+  function filter(items, { packageJsonPath = (item) => item, withDependencies = false } = {}) {
+    return items.filter((item) => {
+      const file = path.resolve(packageJsonPath(item));
+      return affectedPaths.has(file) || (withDependencies && dependencyPaths.has(file));
+    });
+  }
+
+  return {
+    root: workspace.root,
+    ref,
+    changedFiles: changedFiles.sort(),
+    changed,
+    affected,
+    fallbacks,
+    dependencies,
+    has: (packageName) => affected.has(packageName),
+    filter,
+  };
+}
+
+/**
+ * Parse the flags and compute the affected set in one step.
+ *
+ * @param {object} workspace - Result of loadWorkspace()
+ * @param {string[]} args - process.argv.slice(2)
+ * @returns {ReturnType<typeof computeAffected>|null} null when neither flag is given
+ */
+export function loadAffected(workspace, args) {
+  const flags = parseAffectedArgs(args);
+  return flags ? computeAffected(workspace, { since: flags.since }) : null;
+}
+
+/**
+ * Print the affected-set header of a run
+ * (`🎯 Affected since origin/main: 3 changed, 5 with dependents (of 42 packages)`)
+ * and the repos that fell back to "everything changed".
+ *
+ * @param {ReturnType<typeof computeAffected>} affected
+ * @param {number} total - Package count of a full run
+ * @param {(message: string, color?: string) => void} log
+ */
+export function printAffected(affected, total, log) {
+  const since = affected.ref ? ` since ${affected.ref}` : '';
+  log(`🎯 Affected${since}: ${affected.changed.size} changed, ${affected.affected.size} with dependents (of ${total} packages)`, 'cyan');
+  for (const { repoDir, reason } of affected.fallbacks) {
+    log(`   ⚠️  ${path.relative(affected.root, repoDir) || '.'}: ${reason} — all its packages count as changed`, 'yellow');
+  }
+}
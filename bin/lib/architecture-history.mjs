@@ -0,0 +1,309 @@
+/**
+ * Architecture history for kb-devkit-architecture.
+ *
+ * Every audit that writes its reports appends one snapshot line to
+ * `.kb/architecture/history.jsonl`. A snapshot keeps only what diffs need —
+ * per-package metrics and dependencies, anomaly identities and the health
+ * score — so a line is a few bytes per package and the file stays cheap to
+ * scan after hundreds of runs. Lines are never rewritten; each starts with
+ * `generatedAt` and `commit` so lookups can pick a line without parsing the
+ * others.
+ *
+ * Snapshots are referenced as:
+ * - `latest`, `latest~N`          — last recorded run, N runs before it
+ * - `2026-10-01`, ISO timestamps  — last run before that moment
+ * - git refs (`main`, `v1.2.0`)   — the run recorded at that commit, else the
+ *                                   last run before the commit date
+ * - a path to an `architecture-<date>.json` report
+ *
+ * Reports written before the history existed (`architecture-*.json`) are read
+ * as snapshots too.
+ */
+
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs';
+import path from 'node:path';
+
+export const HISTORY_FILE = 'history.jsonl';
+
+const SNAPSHOT_VERSION = 1;
+const LINE_HEADER_PATTERN = /^\{"generatedAt":"([^"]+)","commit":(?:null|"([^"]*)")/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/;
+const RELATIVE_PATTERN = /^latest(?:~(\d+))?$/;
+
+function tryGit(cwd, gitArgs) {
+  try {
+    return execFileSync('git', gitArgs, { cwd, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Current commit of the workspace repo, or null outside git.
+ *
+ * @param {string} root - Workspace root
+ * @returns {string|null}
+ */
+export function currentCommit(root) {
+  return tryGit(root, ['rev-parse', '--verify', '--quiet', 'HEAD']);
+}
+
+const anomalyPackages = (anomaly) => anomaly.packages ?? (anomaly.package ? [anomaly.package] : []);
+
+/**
+ * Identity of an anomaly across runs
+ */
+export function anomalyKey(anomaly) {
+  return `${anomaly.type}:${[...anomalyPackages(anomaly)].sort().join(',')}`;
+}
+
+/**
+ * Compact snapshot of an audit result.
+ *
+ * @param {object} jsonData - Result of generateJSON(), before --layer/--threshold filtering
+ * @param {string|null} commit - Workspace commit the audit ran on
+ * @returns {object}
+ */
+export function toSnapshot(jsonData, commit) {
+  const packages = {};
+  for (const pkg of jsonData.packages) {
+    packages[pkg.name] = {
+      layer: pkg.layer,
+      loc: pkg.metrics.linesOfCode,
+      files: pkg.metrics.fileCount,
+      ca: pkg.metrics.afferentCoupling,
+      ce: pkg.metrics.efferentCoupling,
+      instability: pkg.metrics.instability,
+      depth: pkg.metrics.depth,
+      deps: pkg.dependencies,
+    };
+  }
+
+  // Key order matters: LINE_HEADER_PATTERN reads the first two fields
+  return {
+    generatedAt: jsonData.metadata.generatedAt,
+    commit,
+    v: SNAPSHOT_VERSION,
+    healthScore: jsonData.metadata.healthScore,
+    healthGrade: jsonData.metadata.healthGrade,
+    packages,
+    anomalies: jsonData.anomalies.map((anomaly) => ({
+      type: anomaly.type,
+      packages: anomalyPackages(anomaly),
+      severity: anomaly.severity,
+      score: anomaly.score,
+    })),
+    ...(jsonData.rules ? { ruleViolations: jsonData.rules.violations.length } : {}),
+  };
+}
+
+// An interrupted append leaves a line without its newline; the next one must not join it
+function endsTorn(filePath) {
+  let fd;
+  try {
+    fd = fs.openSync(filePath, 'r');
+    const { size } = fs.fstatSync(fd);
+    if (size === 0) {return false;}
+    const last = Buffer.alloc(1);
+    fs.readSync(fd, last, 0, 1, size - 1);
+    return last[0] !== 0x0a;
+  } catch {
+    return false;
+  } finally {
+    if (fd !== undefined) {fs.closeSync(fd);}
+  }
+}
+
+/**
+ * Append a snapshot to the history of `archDir`.
+ *
+ * @param {string} archDir - `.kb/architecture`
+ * @param {object} snapshot - Result of toSnapshot
+ * @returns {string} History file path
+ */
+export function appendSnapshot(archDir, snapshot) {
+  fs.mkdirSync(archDir, { recursive: true });
+  const filePath = path.join(archDir, HISTORY_FILE);
+  fs.appendFileSync(filePath, `${endsTorn(filePath) ? '\n' : ''}${JSON.stringify(snapshot)}\n`, 'utf-8');
+  return filePath;
+}
+
+/**
+ * Index of recorded runs, oldest first. Snapshots are parsed on demand.
+ *
+ * @param {string} archDir - `.kb/architecture`
+ * @returns {Array<{ generatedAt: string, commit: string|null, source: string, load: () => object|null }>}
+ */
+export function readHistory(archDir) {
+  const entries = [];
+  if (!fs.existsSync(archDir)) {return entries;}
+
+  const historyPath = path.join(archDir, HISTORY_FILE);
+  if (fs.existsSync(historyPath)) {
+    for (const line of fs.readFileSync(historyPath, 'utf-8').split('\n')) {
+      const header = line.match(LINE_HEADER_PATTERN);
+      // Torn or foreign lines (an interrupted append) are skipped
+      if (!header) {continue;}
+      entries.push({
+        generatedAt: header[1],
+        commit: header[2] ?? null,
+        source: historyPath,
+        load: () => {
+          try {
+            return JSON.parse(line);
+          } catch {
+            return null;
+          }
+        },
+      });
+    }
+  }
+
+  // Reports from before the history file; same-day reruns overwrote each other
+  const recorded = new Set(entries.map((entry) => entry.generatedAt));
+  for (const file of fs.readdirSync(archDir).filter((f) => /^architecture-.+\.json$/.test(f))) {
+    const snapshot = loadReportSnapshot(path.join(archDir, file));
+    if (!snapshot || recorded.has(snapshot.generatedAt)) {continue;}
+    entries.push({ generatedAt: snapshot.generatedAt, commit: null, source: path.join(archDir, file), load: () => snapshot });
+  }
+
+  return entries.sort((a, b) => new Date(a.generatedAt) - new Date(b.generatedAt));
+}
+
+/**
+ * Snapshot of an `architecture-<date>.json` report, or null if it can't be read.
+ */
+export function loadReportSnapshot(filePath) {
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    return data?.metadata && Array.isArray(data.packages) ? toSnapshot(data, null) : null;
+  } catch {
+    return null;
+  }
+}
+
+function lastBefore(history, time) {
+  return history.filter((entry) => new Date(entry.generatedAt) < time).at(-1) ?? null;
+}
+
+/**
+ * Find the snapshot a reference points to.
+ *
+ * @param {string} ref - See the module header
+ * @param {{ history: ReturnType<typeof readHistory>, root: string }} context
+ * @returns {{ snapshot: object, label: string }}
+ * @throws {Error} When nothing matches
+ */
+export function resolveSnapshot(ref, { history, root }) {
+  const found = (entry, label) => {
+    const snapshot = entry?.load();
+    if (!snapshot) {throw new Error(`No readable snapshot for "${ref}"`);}
+    return { snapshot, label };
+  };
+  const describe = (entry) => `${entry.generatedAt}${entry.commit ? ` (${entry.commit.slice(0, 7)})` : ''}`;
+
+  const relative = ref.match(RELATIVE_PATTERN);
+  if (relative) {
+    const entry = history.at(-1 - Number(relative[1] ?? 0));
+    if (!entry) {throw new Error(`"${ref}": only ${history.length} run(s) recorded`);}
+    return found(entry, `${ref}, ${describe(entry)}`);
+  }
+
+  if (DATE_PATTERN.test(ref)) {
+    const time = new Date(ref);
+    if (Number.isNaN(time.getTime())) {throw new Error(`Invalid date "${ref}"`);}
+    const entry = lastBefore(history, time);
+    if (!entry) {throw new Error(`No run recorded before ${ref}`);}
+    return found(entry, `${ref}, ${describe(entry)}`);
+  }
+
+  if (ref.endsWith('.json') && fs.existsSync(path.resolve(ref))) {
+    const snapshot = loadReportSnapshot(path.resolve(ref));
+    if (!snapshot) {throw new Error(`${ref} is not an architecture report`);}
+    return { snapshot, label: ref };
+  }
+
+  const commit = tryGit(root, ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]);
+  if (!commit) {
+    throw new Error(`"${ref}" is not a recorded run, date, report file or git ref`);
+  }
+  const atCommit = history.filter((entry) => entry.commit === commit).at(-1);
+  if (atCommit) {return found(atCommit, `${ref}, ${describe(atCommit)}`);}
+
+  const committedAt = new Date(tryGit(root, ['show', '-s', '--format=%cI', commit]));
+  const entry = lastBefore(history, new Date(committedAt.getTime() + 1));
+  if (!entry) {throw new Error(`No run recorded at or before ${ref} (${commit.slice(0, 7)})`);}
+  return found(entry, `${ref}, nearest run ${describe(entry)}`);
+}
+
+const METRIC_FIELDS = {
+  loc: 'linesOfCode',
+  files: 'fileCount',
+  ca: 'afferentCoupling',
+  ce: 'efferentCoupling',
+  instability: 'instability',
+  depth: 'depth',
+};
+
+/**
+ * Differences between two snapshots.
+ *
+ * @param {object} from - Older snapshot
+ * @param {object} to - Newer snapshot
+ * @returns {{
+ *   from: { generatedAt: string, commit: string|null }, to: { generatedAt: string, commit: string|null },
+ *   healthScore: { from: number, to: number, delta: number },
+ *   packages: { added: string[], removed: string[] },
+ *   edges: { added: Array<[string, string]>, removed: Array<[string, string]> },
+ *   anomalies: { introduced: object[], resolved: object[] },
+ *   metrics: Array<{ name: string, layer?: { from: string, to: string }, changes: Record<string, { from: number, to: number, delta: number }> }>,
+ * }} `metrics` covers packages present in both, changed ones only
+ */
+export function diffSnapshots(from, to) {
+  const fromNames = Object.keys(from.packages);
+  const toNames = Object.keys(to.packages);
+
+  const edgesOf = (snapshot) => new Set(
+    Object.entries(snapshot.packages).flatMap(([name, pkg]) => pkg.deps.map((dep) => `${name}\0${dep}`))
+  );
+  const fromEdges = edgesOf(from);
+  const toEdges = edgesOf(to);
+  const onlyIn = (a, b) => [...a].filter((edge) => !b.has(edge)).sort().map((edge) => edge.split('\0'));
+
+  const fromAnomalies = new Map(from.anomalies.map((anomaly) => [anomalyKey(anomaly), anomaly]));
+  const toAnomalies = new Map(to.anomalies.map((anomaly) => [anomalyKey(anomaly), anomaly]));
+  const bySeverity = (a, b) => b.score - a.score;
+
+  const metrics = [];
+  for (const name of toNames.filter((n) => from.packages[n]).sort()) {
+    const before = from.packages[name];
+    const after = to.packages[name];
+    const changes = {};
+    for (const [key, label] of Object.entries(METRIC_FIELDS)) {
+      if (before[key] !== after[key]) {
+        changes[label] = { from: before[key], to: after[key], delta: parseFloat((after[key] - before[key]).toFixed(3)) };
+      }
+    }
+    const layerChanged = before.layer !== after.layer;
+    if (layerChanged || Object.keys(changes).length > 0) {
+      metrics.push({ name, ...(layerChanged ? { layer: { from: before.layer, to: after.layer } } : {}), changes });
+    }
+  }
+
+  return {
+    from: { generatedAt: from.generatedAt, commit: from.commit },
+    to: { generatedAt: to.generatedAt, commit: to.commit },
+    healthScore: { from: from.healthScore, to: to.healthScore, delta: to.healthScore - from.healthScore },
+    packages: {
+      added: toNames.filter((name) => !from.packages[name]).sort(),
+      removed: fromNames.filter((name) => !to.packages[name]).sort(),
+    },
+    edges: { added: onlyIn(toEdges, fromEdges), removed: onlyIn(fromEdges, toEdges) },
+    anomalies: {
+      introduced: [...toAnomalies].filter(([key]) => !fromAnomalies.has(key)).map(([, a]) => a).sort(bySeverity),
+      resolved: [...fromAnomalies].filter(([key]) => !toAnomalies.has(key)).map(([, a]) => a).sort(bySeverity),
+    },
+    metrics,
+  };
+}
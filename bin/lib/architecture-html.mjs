@@ -0,0 +1,522 @@
+/**
+ * Interactive HTML graph for kb-devkit-architecture.
+ *
+ * Renders the `generateJSON()` output as one self-contained file — styles,
+ * script and data are inlined, nothing is fetched, so it works offline and can
+ * be attached to CI runs. Packages are placed in build-order columns
+ * (dependencies left of their dependents, cycles after them by depth) and colored
+ * by layer. The page offers:
+ *
+ * - anomaly badges (count, colored by the worst severity)
+ * - click-to-inspect metrics (Ca, Ce, instability, LOC, depth, anomalies)
+ * - a search box (Enter jumps to the first match)
+ * - cycle highlighting
+ * - impact mode: everything that depends on a package, directly or not
+ */
+
+import { computeLayers } from '../../graph/index.mjs';
+
+const LAYER_COLORS = ['#60a5fa', '#34d399', '#fbbf24', '#f472b6', '#a78bfa', '#f87171', '#2dd4bf', '#fb923c', '#a3e635', '#e879f9'];
+const UNKNOWN_COLOR = '#d1d5db';
+
+const COLUMN_WIDTH = 280;
+const ROW_HEIGHT = 56;
+const MARGIN = 40;
+
+/**
+ * Place packages in build-order columns, ordering each column by the average
+ * row of its neighbours (a few barycenter sweeps) to cut edge crossings.
+ *
+ * @param {Array<{ name: string, layer: string, dependencies: string[], metrics: { depth: number } }>} packages
+ * @param {string[]} layerOrder - Layer names, bottom-up
+ * @returns {Map<string, { x: number, y: number }>}
+ */
+export function layoutGraph(packages, layerOrder) {
+  const names = new Set(packages.map((pkg) => pkg.name));
+  const graph = new Map(packages.map((pkg) => [pkg.name, { deps: new Set(pkg.dependencies.filter((dep) => names.has(dep))) }]));
+  const { layers, circular } = computeLayers(graph);
+
+  const layerRank = (pkg) => {
+    const index = layerOrder.indexOf(pkg.layer);
+    return index === -1 ? layerOrder.length : index;
+  };
+  const byName = new Map(packages.map((pkg) => [pkg.name, pkg]));
+
+  // Cycle members and everything above them have no build order: spread them by depth
+  const cyclicDepths = [...new Set(circular.map((name) => byName.get(name).metrics.depth))].sort((a, b) => a - b);
+  const cyclicColumns = cyclicDepths.map((depth) => circular.filter((name) => byName.get(name).metrics.depth === depth));
+
+  const columns = [...layers, ...cyclicColumns].map((column) =>
+    [...column].sort((a, b) => layerRank(byName.get(a)) - layerRank(byName.get(b)) || a.localeCompare(b)));
+
+  const dependents = new Map(packages.map((pkg) => [pkg.name, []]));
+  for (const [name, node] of graph) {
+    for (const dep of node.deps) {dependents.get(dep).push(name);}
+  }
+
+  const row = new Map();
+  const indexRows = () => columns.forEach((column) => column.forEach((name, i) => row.set(name, i)));
+  const barycenter = (neighbours, fallback) => {
+    const placed = neighbours.filter((name) => row.has(name));
+    return placed.length > 0 ? placed.reduce((sum, name) => sum + row.get(name), 0) / placed.length : fallback;
+  };
+
+  indexRows();
+  for (let sweep = 0; sweep < 4; sweep++) {
+    const order = sweep % 2 === 0 ? columns.slice(1) : columns.slice(0, -1).reverse();
+    for (const column of order) {
+      const keys = new Map(column.map((name, i) => [
+        name,
+        barycenter(sweep % 2 === 0 ? [...graph.get(name).deps] : dependents.get(name), i),
+      ]));
+      column.sort((a, b) => keys.get(a) - keys.get(b));
+      indexRows();
+    }
+  }
+
+  const tallest = Math.max(1, ...columns.map((column) => column.length));
+  const positions = new Map();
+  columns.forEach((column, c) => {
+    const offset = ((tallest - column.length) * ROW_HEIGHT) / 2;
+    column.forEach((name, i) => {
+      positions.set(name, { x: MARGIN + c * COLUMN_WIDTH, y: MARGIN + offset + i * ROW_HEIGHT });
+    });
+  });
+  return positions;
+}
+
+/**
+ * Data embedded in the page: only what the client renders
+ */
+function buildPageData(jsonData) {
+  const layerOrder = (jsonData.model?.layers ?? []).map((layer) => layer.name);
+  const present = new Set(jsonData.packages.map((pkg) => pkg.layer));
+  const layers = [...layerOrder, ...[...present].filter((name) => !layerOrder.includes(name)).sort()]
+    .filter((name) => present.has(name))
+    .map((name) => {
+      const index = layerOrder.indexOf(name);
+      return { name, color: index === -1 ? UNKNOWN_COLOR : LAYER_COLORS[index % LAYER_COLORS.length] };
+    });
+
+  const positions = layoutGraph(jsonData.packages, layerOrder);
+  const names = new Set(jsonData.packages.map((pkg) => pkg.name));
+
+  return {
+    generatedAt: jsonData.metadata.generatedAt,
+    healthScore: jsonData.metadata.healthScore,
+    healthGrade: jsonData.metadata.healthGrade,
+    layers,
+    nodes: jsonData.packages.map((pkg) => ({
+      id: pkg.name,
+      layer: pkg.layer,
+      repository: pkg.repository,
+      version: pkg.version,
+      description: pkg.description,
+      ...positions.get(pkg.name),
+      metrics: pkg.metrics,
+      dependencies: pkg.dependencies.filter((dep) => names.has(dep)),
+      dependents: pkg.dependents.filter((dep) => names.has(dep)),
+      anomalies: pkg.anomalies,
+    })),
+    cycles: jsonData.anomalies.filter((anomaly) => anomaly.type === 'circular-dependency').map((anomaly) => anomaly.cycle),
+  };
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+const STYLES = `
+  * { box-sizing: border-box; }
+  body { margin: 0; font: 13px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #111827; background: #f9fafb; display: flex; flex-direction: column; height: 100vh; }
+  header { display: flex; align-items: center; gap: 16px; padding: 10px 16px; background: #fff; border-bottom: 1px solid #e5e7eb; flex-wrap: wrap; }
+  header h1 { font-size: 15px; margin: 0; }
+  header .score { color: #6b7280; }
+  header input[type=search] { padding: 5px 8px; border: 1px solid #d1d5db; border-radius: 6px; width: 220px; }
+  header label { display: flex; align-items: center; gap: 4px; cursor: pointer; user-select: none; }
+  header button { padding: 4px 10px; border: 1px solid #d1d5db; border-radius: 6px; background: #fff; cursor: pointer; }
+  main { flex: 1; display: flex; min-height: 0; }
+  #canvas { flex: 1; position: relative; overflow: hidden; cursor: grab; }
+  #canvas.panning { cursor: grabbing; }
+  svg { width: 100%; height: 100%; display: block; }
+  aside { width: 340px; overflow-y: auto; background: #fff; border-left: 1px solid #e5e7eb; padding: 14px 16px; }
+  aside h2 { font-size: 14px; margin: 0 0 4px; word-break: break-all; }
+  aside h3 { font-size: 12px; text-transform: uppercase; color: #6b7280; margin: 16px 0 6px; }
+  aside table { border-collapse: collapse; width: 100%; }
+  aside td { padding: 3px 0; border-bottom: 1px solid #f3f4f6; }
+  aside td:last-child { text-align: right; font-variant-numeric: tabular-nums; }
+  aside ul { margin: 0; padding-left: 18px; }
+  aside li { margin: 2px 0; }
+  aside a { color: #2563eb; cursor: pointer; text-decoration: none; }
+  .muted { color: #6b7280; }
+  .legend { display: flex; gap: 10px; flex-wrap: wrap; }
+  .legend span { display: inline-flex; align-items: center; gap: 4px; }
+  .swatch { width: 12px; height: 12px; border-radius: 3px; display: inline-block; }
+  .anomaly { margin: 6px 0; padding: 6px 8px; border-radius: 6px; background: #f9fafb; border-left: 3px solid #9ca3af; }
+  .anomaly.critical { border-color: #dc2626; } .anomaly.high { border-color: #ea580c; } .anomaly.medium { border-color: #ca8a04; }
+  .node rect { stroke: #374151; stroke-width: 1; cursor: pointer; }
+  .node text { font-size: 11px; pointer-events: none; fill: #111827; }
+  .node .badge text { font-size: 9px; fill: #fff; font-weight: 600; }
+  .edge { fill: none; stroke: #9ca3af; stroke-width: 1; opacity: 0.6; }
+  .dimmed { opacity: 0.12; }
+  .edge.highlight { stroke: #2563eb; stroke-width: 2; opacity: 1; }
+  .node.selected rect { stroke: #2563eb; stroke-width: 3; }
+  .node.match rect { stroke: #7c3aed; stroke-width: 3; }
+  .node.impacted rect { stroke: #dc2626; stroke-width: 2; }
+  .cycles .node.in-cycle rect { stroke: #dc2626; stroke-width: 3; stroke-dasharray: 4 2; }
+  .cycles .edge.in-cycle { stroke: #dc2626; stroke-width: 2.5; opacity: 1; }
+`;
+
+// Browser code: plain ES5-style functions and string concatenation, no dependencies
+const SCRIPT = `
+(function () {
+  var data = JSON.parse(document.getElementById('graph-data').textContent);
+  var SVG_NS = 'http://www.w3.org/2000/svg';
+  var NODE_WIDTH = 210, NODE_HEIGHT = 34;
+  var SEVERITY_COLORS = { critical: '#dc2626', high: '#ea580c', medium: '#ca8a04', low: '#6b7280' };
+  var SEVERITY_RANK = { critical: 3, high: 2, medium: 1, low: 0 };
+
+  var nodes = {};
+  data.nodes.forEach(function (node) { nodes[node.id] = node; });
+  var layerColors = {};
+  data.layers.forEach(function (layer) { layerColors[layer.name] = layer.color; });
+
+  var svg = document.getElementById('graph');
+  var viewport = document.getElementById('viewport');
+  var canvas = document.getElementById('canvas');
+  var panel = document.getElementById('panel');
+  var emptyPanel = panel.innerHTML;
+
+  function el(name, attrs, parent) {
+    var element = document.createElementNS(SVG_NS, name);
+    Object.keys(attrs || {}).forEach(function (key) { element.setAttribute(key, attrs[key]); });
+    if (parent) { parent.appendChild(element); }
+    return element;
+  }
+
+  function escapeText(text) {
+    var div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
+  }
+
+  function shortName(id) {
+    return id.length > 30 ? id.slice(0, 29) + '…' : id;
+  }
+
+  // Edges: from a package (left side) to its dependency (right side)
+  var defs = el('defs', {}, viewport);
+  var marker = el('marker', { id: 'arrow', viewBox: '0 0 10 10', refX: '10', refY: '5', markerWidth: '6', markerHeight: '6', orient: 'auto-start-reverse' }, defs);
+  el('path', { d: 'M 0 0 L 10 5 L 0 10 z', fill: '#9ca3af' }, marker);
+
+  var edgeLayer = el('g', {}, viewport);
+  var nodeLayer = el('g', {}, viewport);
+  var edgeElements = [];
+
+  data.nodes.forEach(function (node) {
+    node.dependencies.forEach(function (depId) {
+      var dep = nodes[depId];
+      var x1 = node.x, y1 = node.y + NODE_HEIGHT / 2;
+      var x2 = dep.x + NODE_WIDTH, y2 = dep.y + NODE_HEIGHT / 2;
+      var bend = Math.max(40, Math.abs(x1 - x2) / 2);
+      var path = el('path', {
+        class: 'edge',
+        d: 'M ' + x1 + ' ' + y1 + ' C ' + (x1 - bend) + ' ' + y1 + ', ' + (x2 + bend) + ' ' + y2 + ', ' + x2 + ' ' + y2,
+        'marker-end': 'url(#arrow)',
+      }, edgeLayer);
+      edgeElements.push({ from: node.id, to: depId, element: path });
+    });
+  });
+
+  data.nodes.forEach(function (node) {
+    var group = el('g', { class: 'node', transform: 'translate(' + node.x + ',' + node.y + ')' }, nodeLayer);
+    el('rect', { width: NODE_WIDTH, height: NODE_HEIGHT, rx: 6, fill: layerColors[node.layer] || '#d1d5db' }, group);
+    var label = el('text', { x: 8, y: 21 }, group);
+    label.textContent = shortName(node.id);
+    el('title', {}, group).textContent = node.id + ' (' + node.layer + ')';
+
+    if (node.anomalies.length > 0) {
+      var worst = node.anomalies.reduce(function (a, b) { return SEVERITY_RANK[b.severity] > SEVERITY_RANK[a.severity] ? b : a; });
+      var badge = el('g', { class: 'badge', transform: 'translate(' + NODE_WIDTH + ',0)' }, group);
+      el('circle', { r: 9, fill: SEVERITY_COLORS[worst.severity] || '#6b7280', stroke: '#fff', 'stroke-width': 1.5 }, badge);
+      var count = el('text', { 'text-anchor': 'middle', y: 3 }, badge);
+      count.textContent = node.anomalies.length;
+    }
+
+    group.addEventListener('click', function (event) {
+      event.stopPropagation();
+      select(node.id);
+    });
+    node.element = group;
+  });
+
+  // Cycle membership: consecutive pairs of each closed cycle
+  var cycleEdges = {};
+  data.cycles.forEach(function (cycle) {
+    for (var i = 0; i < cycle.length - 1; i++) {
+      cycleEdges[cycle[i] + '>' + cycle[i + 1]] = true;
+      if (nodes[cycle[i]]) { nodes[cycle[i]].element.classList.add('in-cycle'); }
+    }
+  });
+  edgeElements.forEach(function (edge) {
+    if (cycleEdges[edge.from + '>' + edge.to]) { edge.element.classList.add('in-cycle'); }
+  });
+
+  // Pan & zoom
+  var view = { x: 0, y: 0, scale: 1 };
+  function applyView() {
+    viewport.setAttribute('transform', 'translate(' + view.x + ',' + view.y + ') scale(' + view.scale + ')');
+  }
+  function fit() {
+    var box = nodeLayer.getBBox();
+    var width = canvas.clientWidth, height = canvas.clientHeight;
+    if (!box.width || !box.height) { return; }
+    view.scale = Math.min(1.5, Math.min(width / (box.width + 80), height / (box.height + 80)));
+    view.x = (width - box.width * view.scale) / 2 - box.x * view.scale;
+    view.y = (height - box.height * view.scale) / 2 - box.y * view.scale;
+    applyView();
+  }
+  function centerOn(node) {
+    view.scale = Math.max(view.scale, 1);
+    view.x = canvas.clientWidth / 2 - (node.x + NODE_WIDTH / 2) * view.scale;
+    view.y = canvas.clientHeight / 2 - (node.y + NODE_HEIGHT / 2) * view.scale;
+    applyView();
+  }
+
+  svg.addEventListener('wheel', function (event) {
+    event.preventDefault();
+    var rect = svg.getBoundingClientRect();
+    var mx = event.clientX - rect.left, my = event.clientY - rect.top;
+    var factor = event.deltaY < 0 ? 1.1 : 1 / 1.1;
+    var scale = Math.min(4, Math.max(0.1, view.scale * factor));
+    view.x = mx - (mx - view.x) * (scale / view.scale);
+    view.y = my - (my - view.y) * (scale / view.scale);
+    view.scale = scale;
+    applyView();
+  }, { passive: false });
+
+  var drag = null;
+  svg.addEventListener('mousedown', function (event) {
+    drag = { x: event.clientX, y: event.clientY, viewX: view.x, viewY: view.y, moved: false };
+    canvas.classList.add('panning');
+  });
+  window.addEventListener('mousemove', function (event) {
+    if (!drag) { return; }
+    var dx = event.clientX - drag.x, dy = event.clientY - drag.y;
+    if (Math.abs(dx) + Math.abs(dy) > 3) { drag.moved = true; }
+    view.x = drag.viewX + dx;
+    view.y = drag.viewY + dy;
+    applyView();
+  });
+  window.addEventListener('mouseup', function () {
+    canvas.classList.remove('panning');
+    setTimeout(function () { drag = null; }, 0);
+  });
+  svg.addEventListener('click', function () {
+    if (!drag || !drag.moved) { clearSelection(); }
+  });
+
+  // Highlighting
+  var impactMode = document.getElementById('impact-mode');
+  var selected = null;
+
+  function transitiveDependents(id) {
+    var seen = {}, queue = [id], result = [];
+    while (queue.length > 0) {
+      var current = queue.shift();
+      nodes[current].dependents.forEach(function (dependent) {
+        if (seen[dependent] || dependent === id) { return; }
+        seen[dependent] = true;
+        result.push(dependent);
+        queue.push(dependent);
+      });
+    }
+    return result;
+  }
+
+  function resetClasses() {
+    data.nodes.forEach(function (node) { node.element.classList.remove('selected', 'impacted', 'dimmed', 'match'); });
+    edgeElements.forEach(function (edge) { edge.element.classList.remove('highlight', 'dimmed'); });
+  }
+
+  function clearSelection() {
+    selected = null;
+    resetClasses();
+    panel.innerHTML = emptyPanel;
+    applySearch();
+  }
+
+  function select(id) {
+    selected = id;
+    resetClasses();
+    var node = nodes[id];
+    var related = {};
+    related[id] = true;
+
+    if (impactMode.checked) {
+      var impacted = transitiveDependents(id);
+      impacted.forEach(function (other) { related[other] = true; nodes[other].element.classList.add('impacted'); });
+      edgeElements.forEach(function (edge) {
+        var inImpact = related[edge.from] && related[edge.to];
+        edge.element.classList.add(inImpact ? 'highlight' : 'dimmed');
+      });
+      renderImpact(node, impacted);
+    } else {
+      node.dependencies.concat(node.dependents).forEach(function (other) { related[other] = true; });
+      edgeElements.forEach(function (edge) {
+        var touches = edge.from === id || edge.to === id;
+        edge.element.classList.add(touches ? 'highlight' : 'dimmed');
+      });
+      renderDetails(node);
+    }
+
+    data.nodes.forEach(function (other) {
+      if (!related[other.id]) { other.element.classList.add('dimmed'); }
+    });
+    node.element.classList.add('selected');
+  }
+
+  function packageLinks(ids) {
+    if (ids.length === 0) { return '<span class="muted">none</span>'; }
+    return '<ul>' + ids.map(function (id) { return '<li><a data-id="' + escapeText(id) + '">' + escapeText(id) + '</a></li>'; }).join('') + '</ul>';
+  }
+
+  function renderDetails(node) {
+    var m = node.metrics;
+    var rows = [
+      ['Layer', node.layer],
+      ['Repository', node.repository],
+      ['Version', node.version],
+      ['Afferent coupling (Ca)', m.afferentCoupling],
+      ['Efferent coupling (Ce)', m.efferentCoupling],
+      ['Instability', m.instability],
+      ['Centrality', m.centrality],
+      ['Depth', m.depth],
+      ['Lines of code', m.linesOfCode.toLocaleString()],
+      ['Files', m.fileCount],
+    ];
+    var html = '<h2>' + escapeText(node.id) + '</h2>';
+    if (node.description) { html += '<div class="muted">' + escapeText(node.description) + '</div>'; }
+    html += '<h3>Metrics</h3><table>' + rows.map(function (row) {
+      return '<tr><td>' + row[0] + '</td><td>' + escapeText(row[1]) + '</td></tr>';
+    }).join('') + '</table>';
+    html += '<h3>Anomalies (' + node.anomalies.length + ')</h3>';
+    html += node.anomalies.length === 0 ? '<span class="muted">none</span>' : node.anomalies.map(function (anomaly) {
+      return '<div class="anomaly ' + anomaly.severity + '"><strong>' + escapeText(anomaly.type) + '</strong> (' + anomaly.score + ')<br>' +
+        escapeText(anomaly.message) + '<br><span class="muted">' + escapeText(anomaly.recommendation) + '</span></div>';
+    }).join('');
+    html += '<h3>Dependencies (' + node.dependencies.length + ')</h3>' + packageLinks(node.dependencies);
+    html += '<h3>Dependents (' + node.dependents.length + ')</h3>' + packageLinks(node.dependents);
+    panel.innerHTML = html;
+  }
+
+  function renderImpact(node, impacted) {
+    var html = '<h2>Impact of changing ' + escapeText(node.id) + '</h2>';
+    html += '<div class="muted">' + impacted.length + ' of ' + (data.nodes.length - 1) + ' other packages depend on it, directly or transitively.</div>';
+    html += '<h3>Affected packages</h3>' + packageLinks(impacted);
+    panel.innerHTML = html;
+  }
+
+  panel.addEventListener('click', function (event) {
+    var id = event.target.getAttribute && event.target.getAttribute('data-id');
+    if (id && nodes[id]) {
+      select(id);
+      centerOn(nodes[id]);
+    }
+  });
+
+  // Search
+  var search = document.getElementById('search');
+  function matches() {
+    var query = search.value.trim().toLowerCase();
+    if (!query) { return null; }
+    return data.nodes.filter(function (node) { return node.id.toLowerCase().indexOf(query) !== -1; });
+  }
+  function applySearch() {
+    if (selected) { return; }
+    var found = matches();
+    data.nodes.forEach(function (node) {
+      node.element.classList.remove('match', 'dimmed');
+      if (found) { node.element.classList.add(found.indexOf(node) !== -1 ? 'match' : 'dimmed'); }
+    });
+    edgeElements.forEach(function (edge) { edge.element.classList.toggle('dimmed', Boolean(found)); });
+    document.getElementById('match-count').textContent = found ? found.length + ' match(es)' : '';
+  }
+  search.addEventListener('input', function () {
+    selected = null;
+    resetClasses();
+    panel.innerHTML = emptyPanel;
+    applySearch();
+  });
+  search.addEventListener('keydown', function (event) {
+    var found = matches();
+    if (event.key === 'Enter' && found && found.length > 0) {
+      select(found[0].id);
+      centerOn(found[0]);
+    }
+  });
+
+  document.getElementById('show-cycles').addEventListener('change', function (event) {
+    svg.classList.toggle('cycles', event.target.checked);
+  });
+  impactMode.addEventListener('change', function () {
+    if (selected) { select(selected); }
+  });
+  document.getElementById('fit').addEventListener('click', fit);
+  window.addEventListener('keydown', function (event) {
+    if (event.key === 'Escape') { clearSelection(); }
+  });
+
+  fit();
+})();
+`;
+
+/**
+ * Render the graph page.
+ *
+ * @param {object} jsonData - Result of generateJSON() (after --layer / --threshold filtering)
+ * @returns {string} Complete HTML document
+ */
+export function renderArchitectureHtml(jsonData) {
+  const data = buildPageData(jsonData);
+  // Keep `</script>` and friends inside the JSON from closing the data block
+  const embedded = JSON.stringify(data).replace(/</g, '\\u003c');
+
+  const legend = data.layers
+    .map((layer) => `<span><i class="swatch" style="background:${layer.color}"></i>${escapeHtml(layer.name)}</span>`)
+    .join('');
+  const cycleCount = data.cycles.length;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Architecture graph — ${data.nodes.length} packages</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+  <h1>🏗️ Architecture graph</h1>
+  <span class="score">Health ${data.healthScore}/100 (${escapeHtml(data.healthGrade)}) · ${data.nodes.length} packages · ${escapeHtml(data.generatedAt)}</span>
+  <input id="search" type="search" placeholder="Search packages… (Enter to jump)">
+  <span id="match-count" class="muted"></span>
+  <label><input id="show-cycles" type="checkbox"> Highlight cycles (${cycleCount})</label>
+  <label title="Click a package to see everything that depends on it"><input id="impact-mode" type="checkbox"> Show impact of changing…</label>
+  <button id="fit" type="button">Fit</button>
+  <div class="legend">${legend}</div>
+</header>
+<main>
+  <div id="canvas"><svg id="graph"><g id="viewport"></g></svg></div>
+  <aside id="panel">
+    <h2>Select a package</h2>
+    <p class="muted">Click a package for its metrics, anomalies, dependencies and dependents. Turn on <em>Show impact of changing…</em> and click a package to see everything that would need a rebuild.</p>
+    <p class="muted">Scroll to zoom, drag to pan, Esc to clear.</p>
+  </aside>
+</main>
+<script type="application/json" id="graph-data">${embedded}</script>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
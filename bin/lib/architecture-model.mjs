@@ -0,0 +1,192 @@
+/**
+ * Layer model for kb-devkit-architecture.
+ *
+ * Layers, the dependencies allowed between them, packages that are expected
+ * to have no dependents and the anomaly thresholds come from the
+ * `devkit.architecture` section of kb-labs.config.json. Anything left out
+ * falls back to the KB Labs defaults (DEFAULT_ARCHITECTURE_MODEL):
+ *
+ *   {
+ *     "devkit": {
+ *       "architecture": {
+ *         "layers": [
+ *           { "name": "infrastructure", "packages": ["core-*", "shared-*"] },
+ *           { "name": "core", "packages": ["plugin-*", "cli-*"] },
+ *           { "name": "billing", "packages": ["billing-*"], "allow": ["infrastructure"] }
+ *         ],
+ *         "stableLayers": ["infrastructure", "core"],
+ *         "expectedOrphans": ["*-cli", "*-bin", "playbooks-*"],
+ *         "thresholds": { "godPackage": 15, "largePackage": 10000, "instability": 0.7 }
+ *       }
+ *     }
+ *   }
+ *
+ * Layers are listed bottom-up. A layer may always depend on itself; without
+ * `allow` it may also depend on every layer listed before it. Package patterns
+ * are globs (`*`, `?`, `{a,b}`) matched against the name without the scope,
+ * or against the full name when they start with `@`. The first matching layer
+ * wins; packages matching none are `unknown`, and their edges are not checked.
+ */
+
+import path from 'node:path';
+
+import { globToRegExp } from './devkit-ignore.mjs';
+import { CONFIG_FILE, readJsonCached, stripScope } from './workspace.mjs';
+
+export const UNKNOWN_LAYER = 'unknown';
+
+export const DEFAULT_ARCHITECTURE_MODEL = Object.freeze({
+  layers: [
+    { name: 'infrastructure', packages: ['core-*', 'shared-*'] },
+    { name: 'core', packages: ['plugin-*', 'cli-*', 'workflow-*'] },
+    { name: 'plugin', packages: ['mind-*', 'knowledge-*', 'analytics-*'] },
+    { name: 'feature', packages: ['ai-*', 'audit-*', 'devlink-*'] },
+    { name: 'ui', packages: ['studio-*', 'rest-api-*'] },
+  ],
+  stableLayers: ['infrastructure', 'core'],
+  expectedOrphans: ['*-cli', '*-plugin', '*-bin', 'rest-api-*', 'studio-*', 'playbooks-*'],
+  thresholds: {
+    godPackage: 15, // dependents
+    largePackage: 10000, // lines of code
+    instability: 0.7, // of stable layers
+    manyDependencies: 10,
+    deepChain: 7, // dependency depth
+  },
+});
+
+function compilePatterns(patterns) {
+  return patterns.map((pattern) => ({ scoped: pattern.startsWith('@'), regExp: globToRegExp(pattern) }));
+}
+
+function matchesAny(compiled, packageName, config) {
+  const bareName = stripScope(packageName, config);
+  return compiled.some(({ scoped, regExp }) => regExp.test(scoped ? packageName : bareName));
+}
+
+const isStringList = (value) => Array.isArray(value) && value.every((item) => typeof item === 'string' && item);
+
+/**
+ * Load the architecture model of a workspace.
+ *
+ * @param {string} root - Workspace root
+ * @param {{ scopePrefix: string }} config - Result of loadDevkitConfig
+ * @returns {{
+ *   source: string|null,
+ *   layers: Array<{ name: string, packages: string[], allow: string[] }>,
+ *   stableLayers: string[],
+ *   expectedOrphans: string[],
+ *   thresholds: { godPackage: number, largePackage: number, instability: number, manyDependencies: number, deepChain: number },
+ *   errors: string[],
+ *   layerOf: (packageName: string) => string,
+ *   isExpectedOrphan: (packageName: string) => boolean,
+ *   isAllowed: (fromLayer: string, toLayer: string) => boolean,
+ * }} `errors` lists invalid entries (they are left out of the model); `source` is null without a config section
+ */
+export function loadArchitectureModel(root, config) {
+  const configPath = path.join(root, CONFIG_FILE);
+  const raw = readJsonCached(configPath)?.devkit?.architecture;
+  const section = raw && typeof raw === 'object' ? raw : {};
+  const defaults = DEFAULT_ARCHITECTURE_MODEL;
+  const errors = [];
+
+  // Layers: declared bottom-up, each allowed to use itself plus `allow` (default: all below)
+  let rawLayers = defaults.layers;
+  if (section.layers !== undefined) {
+    if (Array.isArray(section.layers)) {
+      rawLayers = section.layers;
+    } else {
+      errors.push('layers must be an array');
+    }
+  }
+
+  const layers = [];
+  for (const [index, layer] of rawLayers.entries()) {
+    if (typeof layer?.name !== 'string' || !layer.name || layer.name === UNKNOWN_LAYER) {
+      errors.push(`layers[${index}]: needs a name other than "${UNKNOWN_LAYER}"`);
+      continue;
+    }
+    if (layers.some((other) => other.name === layer.name)) {
+      errors.push(`layers[${index}]: duplicate layer "${layer.name}"`);
+      continue;
+    }
+    if (!isStringList(layer.packages)) {
+      errors.push(`layers[${index}] (${layer.name}): packages must be a list of globs`);
+      continue;
+    }
+    if (layer.allow !== undefined && !isStringList(layer.allow)) {
+      errors.push(`layers[${index}] (${layer.name}): allow must be a list of layer names`);
+      continue;
+    }
+    layers.push({
+      name: layer.name,
+      packages: layer.packages,
+      allow: layer.allow ?? layers.map((below) => below.name),
+    });
+  }
+
+  const layerNames = new Set(layers.map((layer) => layer.name));
+  for (const layer of layers) {
+    for (const target of layer.allow) {
+      if (!layerNames.has(target)) {errors.push(`layer ${layer.name}: allow references unknown layer "${target}"`);}
+    }
+  }
+
+  let stableLayers = defaults.stableLayers.filter((name) => layerNames.has(name));
+  if (section.stableLayers !== undefined) {
+    if (isStringList(section.stableLayers)) {
+      stableLayers = section.stableLayers.filter((name) => {
+        if (layerNames.has(name)) {return true;}
+        errors.push(`stableLayers: unknown layer "${name}"`);
+        return false;
+      });
+    } else {
+      errors.push('stableLayers must be a list of layer names');
+    }
+  }
+
+  let expectedOrphans = defaults.expectedOrphans;
+  if (section.expectedOrphans !== undefined) {
+    if (isStringList(section.expectedOrphans)) {
+      expectedOrphans = section.expectedOrphans;
+    } else {
+      errors.push('expectedOrphans must be a list of globs');
+    }
+  }
+
+  const thresholds = { ...defaults.thresholds };
+  for (const [key, value] of Object.entries(section.thresholds ?? {})) {
+    if (!(key in thresholds)) {
+      errors.push(`thresholds.${key}: unknown threshold (known: ${Object.keys(thresholds).join(', ')})`);
+    } else if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      errors.push(`thresholds.${key}: must be a non-negative number`);
+    } else {
+      thresholds[key] = value;
+    }
+  }
+
+  const layerMatchers = layers.map((layer) => ({ name: layer.name, compiled: compilePatterns(layer.packages) }));
+  const orphanMatchers = compilePatterns(expectedOrphans);
+  const allowed = new Map(layers.map((layer) => [layer.name, new Set([layer.name, ...layer.allow])]));
+
+  return {
+    source: raw ? configPath : null,
+    layers,
+    stableLayers,
+    expectedOrphans,
+    thresholds,
+    errors,
+
+    layerOf(packageName) {
+      return layerMatchers.find(({ compiled }) => matchesAny(compiled, packageName, config))?.name ?? UNKNOWN_LAYER;
+    },
+
+    isExpectedOrphan(packageName) {
+      return matchesAny(orphanMatchers, packageName, config);
+    },
+
+    isAllowed(fromLayer, toLayer) {
+      if (fromLayer === UNKNOWN_LAYER || toLayer === UNKNOWN_LAYER) {return true;}
+      return allowed.get(fromLayer)?.has(toLayer) ?? true;
+    },
+  };
+}
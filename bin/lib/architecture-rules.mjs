@@ -0,0 +1,345 @@
+/**
+ * Architecture rules as code for kb-devkit-architecture.
+ *
+ * Where anomalies are scored heuristics, rules are deterministic: every rule
+ * describes a forbidden dependency edge, and any edge it matches is a
+ * violation. Rules live in `architecture.rules.json` at the workspace root
+ * (JSON with comments; `--rules=<file>` points elsewhere):
+ *
+ *   {
+ *     "rules": [
+ *       {
+ *         "name": "ui-no-infra-internals",
+ *         "comment": "UI reaches infrastructure through its public entry points only",
+ *         "from": { "layer": "ui" },
+ *         "to": { "layer": "infrastructure", "internal": true }
+ *       },
+ *       {
+ *         "name": "only-sdk-uses-core",
+ *         "from": { "notPackage": "@kb-labs/sdk" },
+ *         "to": { "package": "core-*" },
+ *         "allowTypeOnly": true
+ *       },
+ *       { "name": "no-deprecated", "severity": "warn", "to": { "deprecated": true } }
+ *     ]
+ *   }
+ *
+ * Edges come from two graphs of workspace packages: dependencies declared in
+ * package.json (the site is the manifest entry) and imports found in src/
+ * (the site is file:line:column of the specifier). Selectors:
+ *
+ * - `from` / `to`: `package`, `notPackage` (globs, as in the layer model),
+ *   `layer`, `notLayer` (layer names)
+ * - `from.path`, `from.notPath`: globs of the importing file relative to its
+ *   package (`src/legacy/*`); import sites only
+ * - `to.subpath`: glob of the specifier after the package name (`internal/*`);
+ *   `to.internal: true` matches subpaths the target's `exports` don't expose.
+ *   Import sites only
+ * - `to.deprecated`: the target's package.json has `deprecated` set
+ *
+ * A selector value may be a string or a list (any of). `allowTypeOnly` lets
+ * type-only imports through. `severity` is `error` (default, fails the run)
+ * or `warn`.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { globToRegExp } from './devkit-ignore.mjs';
+import { findSourceFiles, getPackageName, isLocalImport, scanFileImports } from './imports.mjs';
+import { stripJsonComments, stripScope } from './workspace.mjs';
+import { UNKNOWN_LAYER } from './architecture-model.mjs';
+
+export const RULES_FILE = 'architecture.rules.json';
+
+const SEVERITIES = ['error', 'warn'];
+const FROM_KEYS = ['package', 'notPackage', 'layer', 'notLayer', 'path', 'notPath'];
+const TO_KEYS = ['package', 'notPackage', 'layer', 'notLayer', 'subpath', 'internal', 'deprecated'];
+const DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'];
+
+const toList = (value) => (Array.isArray(value) ? value : [value]);
+const isGlobList = (value) => toList(value).every((item) => typeof item === 'string' && item);
+
+/**
+ * Validate and compile one selector into a predicate.
+ *
+ * Conditions on fields a site doesn't have (`path` of a manifest entry) never match.
+ */
+function compileSelector(selector, allowedKeys, where, layerNames, config, errors) {
+  if (selector === undefined) {return () => true;}
+  if (!selector || typeof selector !== 'object' || Array.isArray(selector)) {
+    errors.push(`${where}: must be an object`);
+    return null;
+  }
+
+  const tests = [];
+  for (const [key, value] of Object.entries(selector)) {
+    if (!allowedKeys.includes(key)) {
+      errors.push(`${where}.${key}: unknown selector (known: ${allowedKeys.join(', ')})`);
+      continue;
+    }
+
+    if (key === 'internal' || key === 'deprecated') {
+      if (typeof value !== 'boolean') {
+        errors.push(`${where}.${key}: must be true or false`);
+        continue;
+      }
+      tests.push((site) => site[key] !== undefined && site[key] === value);
+      continue;
+    }
+
+    if (!isGlobList(value)) {
+      errors.push(`${where}.${key}: must be a string or a list of strings`);
+      continue;
+    }
+    const values = toList(value);
+    const negate = key.startsWith('not');
+
+    if (key === 'layer' || key === 'notLayer') {
+      for (const name of values) {
+        if (!layerNames.has(name)) {errors.push(`${where}.${key}: unknown layer "${name}"`);}
+      }
+      tests.push((site) => values.includes(site.layer) !== negate);
+      continue;
+    }
+
+    const patterns = values.map((glob) => ({ scoped: glob.startsWith('@'), regExp: globToRegExp(glob) }));
+    if (key === 'package' || key === 'notPackage') {
+      tests.push((site) => {
+        const bareName = stripScope(site.name, config);
+        return patterns.some(({ scoped, regExp }) => regExp.test(scoped ? site.name : bareName)) !== negate;
+      });
+    } else {
+      // path / notPath / subpath
+      const field = key === 'subpath' ? 'subpath' : 'file';
+      tests.push((site) => site[field] !== undefined && patterns.some(({ regExp }) => regExp.test(site[field])) !== negate);
+    }
+  }
+
+  return (site) => tests.every((test) => test(site));
+}
+
+/**
+ * Load the rules file.
+ *
+ * @param {string} root - Workspace root
+ * @param {{ layers: Array<{ name: string }> }} model - Result of loadArchitectureModel
+ * @param {{ scopePrefix: string }} config - Result of loadDevkitConfig
+ * @param {string} [file] - Rules file (`--rules=`); defaults to RULES_FILE in the root
+ * @returns {{
+ *   source: string|null,
+ *   rules: Array<{ name: string, severity: 'error'|'warn', comment: string, allowTypeOnly: boolean, fileLevelOnly: boolean, from: Function, to: Function }>,
+ *   errors: string[],
+ * }} `source` is null when the default file doesn't exist; a missing explicit file is an error
+ */
+export function loadArchitectureRules(root, model, config, file) {
+  const filePath = path.resolve(root, file ?? RULES_FILE);
+  const errors = [];
+
+  if (!fs.existsSync(filePath)) {
+    if (file) {errors.push(`${file} not found`);}
+    return { source: file ? filePath : null, rules: [], errors };
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(stripJsonComments(fs.readFileSync(filePath, 'utf-8')));
+  } catch (error) {
+    errors.push(`cannot parse: ${error.message}`);
+    return { source: filePath, rules: [], errors };
+  }
+
+  if (!Array.isArray(raw?.rules)) {
+    errors.push('rules must be an array');
+    return { source: filePath, rules: [], errors };
+  }
+
+  const layerNames = new Set([...model.layers.map((layer) => layer.name), UNKNOWN_LAYER]);
+  const rules = [];
+
+  for (const [index, rule] of raw.rules.entries()) {
+    const where = `rules[${index}]${typeof rule?.name === 'string' ? ` (${rule.name})` : ''}`;
+    const errorCount = errors.length;
+
+    if (typeof rule?.name !== 'string' || !rule.name) {
+      errors.push(`${where}: needs a name`);
+      continue;
+    }
+    if (rules.some((other) => other.name === rule.name)) {
+      errors.push(`${where}: duplicate rule name`);
+    }
+    if (rule.severity !== undefined && !SEVERITIES.includes(rule.severity)) {
+      errors.push(`${where}.severity: must be one of ${SEVERITIES.join(', ')}`);
+    }
+    if (rule.to === undefined) {
+      errors.push(`${where}: needs a "to" selector`);
+    }
+    if (rule.allowTypeOnly !== undefined && typeof rule.allowTypeOnly !== 'boolean') {
+      errors.push(`${where}.allowTypeOnly: must be true or false`);
+    }
+
+    const from = compileSelector(rule.from, FROM_KEYS, `${where}.from`, layerNames, config, errors);
+    const to = compileSelector(rule.to, TO_KEYS, `${where}.to`, layerNames, config, errors);
+    if (errors.length > errorCount) {continue;}
+
+    rules.push({
+      name: rule.name,
+      severity: rule.severity ?? 'error',
+      comment: typeof rule.comment === 'string' ? rule.comment : '',
+      allowTypeOnly: rule.allowTypeOnly ?? false,
+      // Conditions on files or subpaths can't be judged from a manifest entry
+      fileLevelOnly: ['path', 'notPath'].some((key) => key in (rule.from ?? {})) ||
+        ['subpath', 'internal'].some((key) => key in rule.to),
+      from,
+      to,
+    });
+  }
+
+  return { source: filePath, rules, errors };
+}
+
+/**
+ * Whether `subpath` of a package is outside its `exports` map (a deep import).
+ * Without an `exports` map every subpath is internal.
+ */
+export function isInternalSubpath(packageJson, subpath) {
+  if (subpath === '.') {return false;}
+
+  const exportsField = packageJson.exports;
+  if (!exportsField || typeof exportsField !== 'object' || Array.isArray(exportsField)) {return true;}
+
+  const keys = Object.keys(exportsField);
+  // Conditions only (`{ "import": ..., "types": ... }`): just the root is exported
+  if (!keys.every((key) => key.startsWith('.'))) {return true;}
+
+  const request = `./${subpath}`;
+  return !keys.some((key) =>
+    key === request ||
+    (key.endsWith('/') && request.startsWith(key)) ||
+    (key.includes('*') && globToRegExp(key).test(request)));
+}
+
+function findLine(text, needle) {
+  const index = text.split('\n').findIndex((line) => line.includes(needle));
+  return index === -1 ? 1 : index + 1;
+}
+
+/**
+ * Collect dependency edges between workspace packages, each with its sites.
+ *
+ * @param {Array<{ name: string, dir: string, layer: string, packageJson: object }>} packages
+ * @param {string} root - Workspace root (site paths are relative to it)
+ * @returns {Array<{ from: object, to: object, sites: object[] }>}
+ */
+export function collectDependencyEdges(packages, root) {
+  const byName = new Map(packages.map((pkg) => [pkg.name, pkg]));
+  const edges = new Map(); // "from\0to" -> edge
+
+  const edgeFor = (from, to) => {
+    const key = `${from.name}\0${to.name}`;
+    if (!edges.has(key)) {edges.set(key, { from, to, sites: [] });}
+    return edges.get(key);
+  };
+
+  for (const pkg of packages) {
+    // Package-level: manifest entries
+    const manifestPath = path.join(pkg.dir, 'package.json');
+    const manifestText = fs.readFileSync(manifestPath, 'utf-8');
+    for (const field of DEPENDENCY_FIELDS) {
+      for (const dep of Object.keys(pkg.packageJson[field] ?? {})) {
+        const target = byName.get(dep);
+        if (!target || target === pkg) {continue;}
+        edgeFor(pkg, target).sites.push({
+          kind: 'declared',
+          field,
+          file: path.relative(root, manifestPath),
+          line: findLine(manifestText, `"${dep}"`),
+          specifier: dep,
+        });
+      }
+    }
+
+    // File-level: imports in src/
+    for (const file of findSourceFiles(pkg.dir)) {
+      for (const usage of scanFileImports(file)) {
+        if (isLocalImport(usage.specifier)) {continue;}
+        const target = byName.get(getPackageName(usage.specifier));
+        if (!target || target === pkg) {continue;}
+
+        const subpath = usage.specifier.slice(target.name.length + 1) || '.';
+        edgeFor(pkg, target).sites.push({
+          kind: usage.kind,
+          file: path.relative(root, file),
+          packageFile: path.relative(pkg.dir, file).split(path.sep).join('/'),
+          line: usage.line,
+          column: usage.column,
+          specifier: usage.specifier,
+          subpath,
+          internal: isInternalSubpath(target.packageJson, subpath),
+        });
+      }
+    }
+  }
+
+  return [...edges.values()];
+}
+
+/**
+ * Evaluate rules against the dependency edges.
+ *
+ * @param {ReturnType<typeof loadArchitectureRules>['rules']} rules
+ * @param {ReturnType<typeof collectDependencyEdges>} edges
+ * @returns {Array<{ rule: string, severity: 'error'|'warn', comment: string, from: string, to: string, sites: object[] }>}
+ *   One entry per rule and edge, errors first
+ */
+export function evaluateArchitectureRules(rules, edges) {
+  const violations = [];
+
+  for (const edge of edges) {
+    const describe = (pkg) => ({ name: pkg.name, layer: pkg.layer, deprecated: Boolean(pkg.packageJson.deprecated) });
+    const from = describe(edge.from);
+    const to = describe(edge.to);
+
+    for (const rule of rules) {
+      const sites = edge.sites.filter((site) => {
+        if (site.kind === 'declared') {
+          if (rule.fileLevelOnly) {return false;}
+          // A declaration only used for types is fine when type-only imports are
+          if (rule.allowTypeOnly) {
+            const imports = edge.sites.filter((other) => other.kind !== 'declared');
+            if (imports.length > 0 && imports.every((other) => other.kind === 'type-only')) {return false;}
+          }
+          return rule.from(from) && rule.to(to);
+        }
+        if (rule.allowTypeOnly && site.kind === 'type-only') {return false;}
+        return rule.from({ ...from, file: site.packageFile }) &&
+          rule.to({ ...to, subpath: site.subpath, internal: site.internal });
+      });
+
+      if (sites.length === 0) {continue;}
+      violations.push({
+        rule: rule.name,
+        severity: rule.severity,
+        comment: rule.comment,
+        from: edge.from.name,
+        to: edge.to.name,
+        sites: sites.map(({ packageFile, subpath, internal, ...site }) => site),
+      });
+    }
+  }
+
+  return violations.sort((a, b) =>
+    SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) ||
+    a.rule.localeCompare(b.rule) ||
+    a.from.localeCompare(b.from) ||
+    a.to.localeCompare(b.to));
+}
+
+/**
+ * `file:line[:column]` of a site, plus what it is
+ */
+export function formatSite(site) {
+  const location = `${site.file}:${site.line}${site.column ? `:${site.column}` : ''}`;
+  if (site.kind === 'declared') {return `${location}  ${site.field}`;}
+  return `${location}  ${site.kind === 'runtime' ? 'import' : `${site.kind} import`} '${site.specifier}'`;
+}
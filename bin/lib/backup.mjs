@@ -0,0 +1,107 @@
+/**
+ * File backups for devkit auto-fixers.
+ *
+ * Before a fixer writes anything it snapshots the original files into
+ * `.kb/devkit/backups/<id>/` together with a `manifest.json`, so the whole
+ * change can be reverted later with the tool's `--revert[=<id>]` flag.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+
+const BACKUP_DIR = path.join('.kb', 'devkit', 'backups');
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Snapshot files before they are modified.
+ *
+ * @param {string} rootDir - Workspace root; manifest paths are relative to it
+ * @param {string} tool - Tool that is about to write (e.g. 'check-imports')
+ * @param {string[]} files - Absolute paths that will be written (missing files are recorded as created)
+ * @returns {{ id: string, dir: string, manifestPath: string }}
+ */
+export function createBackup(rootDir, tool, files) {
+  const id = `${tool}-${new Date().toISOString().replace(/[-:]/g, '').replace(/\..+$/, '')}-${crypto.randomBytes(3).toString('hex')}`;
+  const dir = path.join(rootDir, BACKUP_DIR, id);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const entries = files.map((file, index) => {
+    const relativePath = path.relative(rootDir, file);
+    if (!fs.existsSync(file)) {
+      return { path: relativePath, existed: false };
+    }
+    const content = fs.readFileSync(file);
+    const backup = `${String(index + 1).padStart(4, '0')}.bak`;
+    fs.writeFileSync(path.join(dir, backup), content);
+    return { path: relativePath, existed: true, backup, sha256: sha256(content) };
+  });
+
+  const manifest = { id, tool, createdAt: new Date().toISOString(), files: entries };
+  const manifestPath = path.join(dir, 'manifest.json');
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+
+  return { id, dir, manifestPath };
+}
+
+/**
+ * Backups written by a tool, newest first.
+ *
+ * @param {string} rootDir - Workspace root
+ * @param {string} [tool] - Only backups of this tool
+ * @returns {Array<{ id: string, tool: string, createdAt: string, files: object[], dir: string }>}
+ */
+export function listBackups(rootDir, tool) {
+  const baseDir = path.join(rootDir, BACKUP_DIR);
+  if (!fs.existsSync(baseDir)) {return [];}
+
+  const backups = [];
+  for (const entry of fs.readdirSync(baseDir, { withFileTypes: true })) {
+    if (!entry.isDirectory()) {continue;}
+    const manifestPath = path.join(baseDir, entry.name, 'manifest.json');
+    try {
+      const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+      if (tool && manifest.tool !== tool) {continue;}
+      backups.push({ ...manifest, dir: path.join(baseDir, entry.name) });
+    } catch {
+      // Not a backup directory (or a half-written one) — ignore
+    }
+  }
+
+  return backups.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Restore the files recorded in a backup. Files the fixer created are deleted.
+ *
+ * @param {string} rootDir - Workspace root
+ * @param {object} [options]
+ * @param {string} [options.id] - Backup id (defaults to the newest backup of `tool`)
+ * @param {string} [options.tool] - Restrict the lookup to this tool
+ * @returns {{ id: string, restored: string[], removed: string[] } | null} null if no backup matched
+ */
+export function restoreBackup(rootDir, { id, tool } = {}) {
+  const backups = listBackups(rootDir, tool);
+  const backup = id ? backups.find((b) => b.id === id) : backups[0];
+  if (!backup) {return null;}
+
+  const restored = [];
+  const removed = [];
+  for (const entry of backup.files) {
+    const target = path.join(rootDir, entry.path);
+    if (entry.existed) {
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.copyFileSync(path.join(backup.dir, entry.backup), target);
+      restored.push(entry.path);
+    } else if (fs.existsSync(target)) {
+      fs.rmSync(target);
+      removed.push(entry.path);
+    }
+  }
+
+  fs.rmSync(backup.dir, { recursive: true, force: true });
+  return { id: backup.id, restored, removed };
+}
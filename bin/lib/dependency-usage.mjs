@@ -0,0 +1,222 @@
+/**
+ * Package-wide dependency usage, shared by fix-deps and check-imports --fix.
+ *
+ * Unlike the src-only scan in check-imports, this looks at everything that can
+ * legitimately need a dependency — tests, scripts, bin entries, tool configs
+ * and package.json scripts — so fixers never remove something still in use.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { findSourceFiles, getPackageName, scanFileImports } from './imports.mjs';
+
+// Directories to scan
+const SOURCE_DIRS = ['src', 'test', 'tests', '__tests__', 'scripts', 'bin'];
+
+// Config files in the package root
+const CONFIG_FILES = [
+  'tsup.config.ts',
+  'tsup.config.js',
+  'vitest.config.ts',
+  'vitest.config.js',
+  'vite.config.ts',
+  'vite.config.js',
+  'eslint.config.js',
+  'eslint.config.mjs',
+  'jest.config.ts',
+  'jest.config.js',
+  'rollup.config.ts',
+  'rollup.config.js',
+];
+
+// Build tools that should not be removed (used via bin/cli, not imports)
+const KEEP_DEPENDENCIES = new Set([
+  // TypeScript & build
+  'typescript',
+  'tsup',
+  'esbuild',
+  'rollup',
+  'vite',
+  'rimraf',
+  'concurrently',
+  'cross-env',
+  'tsx',
+  'ts-node',
+  'npm-run-all',
+  'npm-run-all2',
+  'wait-on',
+  'nodemon',
+  'chokidar-cli',
+
+  // Linting & formatting
+  'eslint',
+  'prettier',
+  'oxlint',
+
+  // Testing
+  'vitest',
+  'jest',
+  'mocha',
+  'nyc',
+  'c8',
+  '@vitest/coverage-v8',
+  '@vitest/ui',
+  'playwright',
+  '@playwright/test',
+  'happy-dom',
+  'jsdom',
+
+  // KB Labs devkit
+  '@kb-labs/devkit',
+
+  // Node types (used implicitly)
+  '@types/node',
+
+  // Package managers & publish tools
+  'changesets',
+  '@changesets/cli',
+  'turbo',
+  'lerna',
+]);
+
+// Patterns for packages that shouldn't be removed
+const KEEP_PATTERNS = [
+  /^@types\//,           // Type definitions
+  /^eslint-/,            // ESLint plugins/configs
+  /^@eslint\//,          // ESLint scoped packages
+  /^@vitest\//,          // Vitest plugins
+  /^@testing-library\//, // Testing library
+  /^@typescript-eslint/, // TS ESLint
+  /^@vitejs\//,          // Vite plugins
+  /^vite-plugin-/,       // Vite plugins
+  /^rollup-plugin-/,     // Rollup plugins
+  /^@rollup\//,          // Rollup scoped
+  /^prettier-plugin-/,   // Prettier plugins
+];
+
+function readManifest(packageDir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(packageDir, 'package.json'), 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+function addImports(filePath, used) {
+  for (const { specifier } of scanFileImports(filePath)) {
+    const packageName = getPackageName(specifier);
+    if (packageName) {
+      used.add(packageName);
+    }
+  }
+}
+
+/**
+ * Find all packages referenced by a package: imports in source, test, script
+ * and bin files, tool config files, and commands in package.json scripts.
+ *
+ * @param {string} packageDir - Package root
+ * @param {object} [packageJson] - Parsed package.json (read from packageDir if omitted)
+ * @returns {Set<string>} Package names
+ */
+export function findUsedDependencies(packageDir, packageJson) {
+  const used = new Set();
+  const manifest = packageJson ?? readManifest(packageDir);
+
+  for (const file of findSourceFiles(packageDir, SOURCE_DIRS)) {
+    addImports(file, used);
+  }
+
+  for (const configFile of CONFIG_FILES) {
+    const configPath = path.join(packageDir, configFile);
+    if (fs.existsSync(configPath)) {
+      addImports(configPath, used);
+    }
+  }
+
+  // Bin entries can live outside bin/ (e.g. ./cli.js)
+  if (manifest?.bin) {
+    const binScripts = typeof manifest.bin === 'string' ? [manifest.bin] : Object.values(manifest.bin);
+    for (const binPath of binScripts) {
+      const fullBinPath = path.join(packageDir, binPath);
+      if (fs.existsSync(fullBinPath)) {
+        addImports(fullBinPath, used);
+      }
+    }
+  }
+
+  // Scan package.json scripts for CLI tool usage
+  for (const script of Object.values(manifest?.scripts ?? {})) {
+    // Extract command names from scripts (first word before space or flags)
+    const commands = script.match(/\b([a-z0-9@\-_/.]+)/gi) || [];
+    for (const cmd of commands) {
+      // Extract package name from command (e.g., "tsx" from "tsx src/index.ts")
+      // Handle scoped packages (e.g., "@vitest/ui")
+      if (cmd.startsWith('@')) {
+        const scopedMatch = cmd.match(/^(@[^/]+\/[^/\s]+)/);
+        if (scopedMatch) {
+          used.add(scopedMatch[1]);
+        }
+      } else {
+        const pkgMatch = cmd.match(/^([a-z0-9\-_]+)/);
+        if (pkgMatch) {
+          used.add(pkgMatch[1]);
+        }
+      }
+    }
+  }
+
+  return used;
+}
+
+/**
+ * Decide which declared dependencies can be removed safely.
+ *
+ * @param {string} packageDir - Package root
+ * @param {object} packageJson - Parsed package.json
+ * @param {object} [options]
+ * @param {boolean} [options.keepWorkspaceDeps=true] - Never remove `workspace:`/`link:` deps
+ * @returns {{ removable: string[], kept: Array<{ dep: string, reason: string }> }}
+ */
+export function findRemovableDependencies(packageDir, packageJson, { keepWorkspaceDeps = true } = {}) {
+  const used = findUsedDependencies(packageDir, packageJson);
+  const allDeps = { ...packageJson.dependencies, ...packageJson.devDependencies };
+  const peerDeps = packageJson.peerDependencies || {};
+  const removable = [];
+  const kept = [];
+
+  for (const [dep, depValue] of Object.entries(allDeps)) {
+    // Workspace dependencies define the architecture
+    if (keepWorkspaceDeps && typeof depValue === 'string' && (depValue.startsWith('workspace:') || depValue.startsWith('link:'))) {
+      kept.push({ dep, reason: 'workspace/link dependency' });
+      continue;
+    }
+
+    if (used.has(dep)) {
+      kept.push({ dep, reason: 'used in code' });
+      continue;
+    }
+
+    // Consumers might need peer dependencies
+    if (peerDeps[dep]) {
+      kept.push({ dep, reason: 'peer dependency' });
+      continue;
+    }
+
+    if (KEEP_DEPENDENCIES.has(dep)) {
+      kept.push({ dep, reason: 'build tool' });
+      continue;
+    }
+
+    const matchedPattern = KEEP_PATTERNS.find((pattern) => pattern.test(dep));
+    if (matchedPattern) {
+      kept.push({ dep, reason: `pattern: ${matchedPattern.source}` });
+      continue;
+    }
+
+    removable.push(dep);
+  }
+
+  return { removable, kept };
+}
@@ -0,0 +1,302 @@
+/**
+ * Shared `.devkitignore` suppressions for every devkit checker.
+ *
+ * File format — one rule per line, optional indented metadata below it:
+ *
+ *   # rule-type: <package glob> -> <target glob>   # reason
+ *   unused-dep: @kb-labs/cli-* -> lodash            # kept for the plugin API
+ *     owner: @kb-labs/platform
+ *     expires: 2026-03-31
+ *
+ * `*` matches any run of characters (including `/`), `?` one character and
+ * `{a,b}` either alternative. Without `-> target` a rule covers every target.
+ * Once `expires` has passed the rule stops suppressing, so the finding is an
+ * error again until the rule is renewed or removed.
+ *
+ * Each checker records which rules matched in `.kb/devkit/ignore-usage.json`;
+ * `kb-devkit-ignore list/prune` uses that ledger to find unused rules.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+export const IGNORE_FILE = '.devkitignore';
+
+const USAGE_FILE = path.join('.kb', 'devkit', 'ignore-usage.json');
+
+/**
+ * Rule types and the checker that reports them. The target is what the rule's
+ * right-hand side is matched against.
+ */
+export const RULE_TYPES = {
+  'missing-dep': { tool: 'check-imports', target: 'dependency name' },
+  'unused-dep': { tool: 'check-imports', target: 'dependency name' },
+  'broken-import': { tool: 'check-imports', target: 'import specifier' },
+  'circular-dep': { tool: 'check-imports', target: 'next package in the cycle' },
+  'unused-export': { tool: 'check-exports', target: 'export name' },
+  'missing-barrel': { tool: 'check-exports', target: 'file relative to src/' },
+  'inconsistent-export': { tool: 'check-exports', target: 'package.json exports key' },
+  'duplicate-dep': { tool: 'check-duplicates', target: 'dependency name' },
+  'outdated-dep': { tool: 'check-duplicates', target: 'dependency name' },
+  'similar-file': { tool: 'check-duplicates', target: 'file name' },
+  'missing-file': { tool: 'check-structure', target: 'file name' },
+  'missing-field': { tool: 'check-structure', target: 'package.json field' },
+  'structure': { tool: 'check-structure', target: 'issue type (missing-index, readme-too-short, ...)' },
+  'path': { tool: 'check-paths', target: 'package.json / tsconfig path (exports../x, main, tsconfig.extends, ...)' },
+  'types': { tool: 'check-types', target: 'issue type (dts_false, no_types_field, ...)' },
+  'naming': { tool: 'validate-naming', target: 'package-name or folder-name' },
+  'architecture': { tool: 'architecture', target: 'anomaly type (orphan-package, layer-violation, ...) or rule name' },
+};
+
+const RULE_PATTERN = /^([a-z-]+):\s*(.+?)(?:\s+#\s*(.*))?$/;
+const META_PATTERN = /^\s+(owner|expires|reason):\s*(.*?)\s*$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Compile a glob into an anchored RegExp (`*`, `?`, `{a,b}`).
+ */
+export function globToRegExp(glob) {
+  let source = '';
+  let inGroup = false;
+  for (const char of glob) {
+    if (char === '*') {source += '.*';}
+    else if (char === '?') {source += '.';}
+    else if (char === '{') {source += '(?:'; inGroup = true;}
+    else if (char === '}' && inGroup) {source += ')'; inGroup = false;}
+    else if (char === ',' && inGroup) {source += '|';}
+    else {source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');}
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Stable identity of a rule, used in the usage ledger.
+ */
+function ruleKey(type, packagePattern, targetPattern) {
+  return `${type}: ${packagePattern} -> ${targetPattern}`;
+}
+
+/**
+ * Parse `.devkitignore` content.
+ *
+ * @param {string} content - File contents
+ * @returns {{
+ *   rules: Array<{ key: string, type: string, package: string, target: string, reason: string|null,
+ *     owner: string|null, expires: string|null, line: number, endLine: number }>,
+ *   errors: Array<{ line: number, message: string }>
+ * }} `line`/`endLine` are 1-based and span the rule plus its metadata lines
+ */
+export function parseIgnoreFile(content) {
+  const rules = [];
+  const errors = [];
+  let current = null;
+
+  const lines = content.split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    const raw = lines[i];
+    const lineNumber = i + 1;
+    const trimmed = raw.trim();
+
+    // Skip empty lines and comments
+    if (!trimmed || trimmed.startsWith('#')) {continue;}
+
+    // Indented `key: value` lines belong to the rule above
+    const meta = raw.match(META_PATTERN);
+    if (meta && /^\s/.test(raw)) {
+      if (!current) {
+        errors.push({ line: lineNumber, message: `"${meta[1]}:" without a rule above it` });
+        continue;
+      }
+      const [, key, value] = meta;
+      if (key === 'expires' && !DATE_PATTERN.test(value)) {
+        errors.push({ line: lineNumber, message: `expires must be YYYY-MM-DD, got "${value}"` });
+        current.invalid = true;
+      }
+      current[key] = value || null;
+      current.endLine = lineNumber;
+      continue;
+    }
+
+    current = null;
+
+    // Parse rule: "rule-type: package -> target # reason"
+    const match = trimmed.match(RULE_PATTERN);
+    if (!match) {
+      errors.push({ line: lineNumber, message: `cannot parse "${trimmed}"` });
+      continue;
+    }
+
+    const [, type, pattern, reason] = match;
+    if (!RULE_TYPES[type]) {
+      errors.push({ line: lineNumber, message: `unknown rule type "${type}"` });
+      continue;
+    }
+
+    const [packagePattern, targetPattern = '*'] = pattern.split('->').map((part) => part.trim());
+    if (!packagePattern) {
+      errors.push({ line: lineNumber, message: 'missing package pattern' });
+      continue;
+    }
+
+    current = {
+      key: ruleKey(type, packagePattern, targetPattern),
+      type,
+      package: packagePattern,
+      target: targetPattern,
+      reason: reason?.trim() || null,
+      owner: null,
+      expires: null,
+      line: lineNumber,
+      endLine: lineNumber,
+    };
+    rules.push(current);
+  }
+
+  return {
+    rules: rules.filter((rule) => !rule.invalid).map(({ invalid, ...rule }) => rule),
+    errors,
+  };
+}
+
+/**
+ * Whether a rule's expiry date has passed.
+ *
+ * @param {{ expires: string|null }} rule
+ * @param {string} [today] - YYYY-MM-DD (defaults to the current date)
+ * @returns {boolean}
+ */
+export function isExpired(rule, today = new Date().toISOString().slice(0, 10)) {
+  return Boolean(rule.expires) && rule.expires < today;
+}
+
+/**
+ * Read the usage ledger written by the checkers.
+ *
+ * @param {string} rootDir - Workspace root
+ * @returns {{ version: number, tools: Record<string, { lastFullRun: string|null, matched: Record<string, string> }> }}
+ */
+export function readIgnoreUsage(rootDir) {
+  try {
+    const usage = JSON.parse(fs.readFileSync(path.join(rootDir, USAGE_FILE), 'utf-8'));
+    if (usage?.version === 1) {return usage;}
+  } catch {
+    // Missing or unreadable ledger — start fresh
+  }
+  return { version: 1, tools: {} };
+}
+
+/**
+ * Load the suppressions that apply to one checker.
+ *
+ * @param {string} rootDir - Workspace root containing `.devkitignore`
+ * @param {string} tool - Checker name as used in RULE_TYPES (e.g. 'check-exports')
+ * @returns {{
+ *   exists: boolean,
+ *   rules: object[],
+ *   errors: Array<{ line: number, message: string }>,
+ *   match: (type: string, packageNames: string|string[], target: string) => object|null,
+ *   filter: <T>(type: string, packageName: string, items: T[], toTarget?: (item: T) => string) => T[],
+ *   ignoredCount: () => number,
+ *   expired: () => Array<{ rule: object, count: number }>,
+ *   printSummary: (log: (message: string, color?: string) => void) => void,
+ *   recordUsage: (options?: { partial?: boolean }) => void,
+ * }}
+ */
+export function loadIgnoreRules(rootDir, tool) {
+  const filePath = path.join(rootDir, IGNORE_FILE);
+  const exists = fs.existsSync(filePath);
+  const parsed = exists ? parseIgnoreFile(fs.readFileSync(filePath, 'utf-8')) : { rules: [], errors: [] };
+
+  const today = new Date().toISOString().slice(0, 10);
+  const rules = parsed.rules
+    .filter((rule) => RULE_TYPES[rule.type].tool === tool)
+    .map((rule) => ({
+      ...rule,
+      packageRegExp: globToRegExp(rule.package),
+      targetRegExp: globToRegExp(rule.target),
+      expired: isExpired(rule, today),
+    }));
+
+  const hits = new Map(); // rule key -> suppressed issue count
+  const expiredHits = new Map(); // rule key -> { rule, count }
+
+  function match(type, packageNames, target) {
+    const names = Array.isArray(packageNames) ? packageNames : [packageNames];
+    for (const rule of rules) {
+      if (rule.type !== type) {continue;}
+      if (!names.some((name) => rule.packageRegExp.test(name)) || !rule.targetRegExp.test(String(target))) {continue;}
+
+      if (rule.expired) {
+        const entry = expiredHits.get(rule.key) ?? { rule, count: 0 };
+        entry.count++;
+        expiredHits.set(rule.key, entry);
+        continue;
+      }
+
+      hits.set(rule.key, (hits.get(rule.key) ?? 0) + 1);
+      return rule;
+    }
+    return null;
+  }
+
+  return {
+    exists,
+    rules,
+    errors: parsed.errors,
+    match,
+
+    filter(type, packageName, items, toTarget = (item) => item) {
+      return items.filter((item) => !match(type, packageName, toTarget(item)));
+    },
+
+    ignoredCount() {
+      return [...hits.values()].reduce((sum, count) => sum + count, 0);
+    },
+
+    expired() {
+      return [...expiredHits.values()];
+    },
+
+    printSummary(log) {
+      for (const error of parsed.errors) {
+        log(`   ⚠️  ${IGNORE_FILE}:${error.line}: ${error.message}`, 'yellow');
+      }
+      for (const { rule, count } of expiredHits.values()) {
+        const owner = rule.owner ? `, owner ${rule.owner}` : '';
+        log(`   ⏰ ${IGNORE_FILE}:${rule.line} expired ${rule.expires}${owner} — ${count} finding(s) reported again: ${rule.key}`, 'red');
+      }
+      const ignored = this.ignoredCount();
+      if (ignored > 0) {
+        log(`   ℹ️  ${ignored} issue(s) ignored via ${IGNORE_FILE}`, 'gray');
+      }
+    },
+
+    /**
+     * Record which rules matched in this run. Partial runs (e.g. --package)
+     * only add matches; a full run also marks every other rule as unmatched.
+     */
+    recordUsage({ partial = false } = {}) {
+      if (rules.length === 0) {return;}
+
+      const usage = readIgnoreUsage(rootDir);
+      const now = new Date().toISOString();
+      const entry = usage.tools[tool] ?? { lastFullRun: null, matched: {} };
+
+      for (const key of [...hits.keys(), ...expiredHits.keys()]) {
+        entry.matched[key] = now;
+      }
+      if (!partial) {
+        entry.lastFullRun = now;
+      }
+      usage.tools[tool] = entry;
+
+      try {
+        const usagePath = path.join(rootDir, USAGE_FILE);
+        fs.mkdirSync(path.dirname(usagePath), { recursive: true });
+        fs.writeFileSync(usagePath, JSON.stringify(usage, null, 2) + '\n');
+      } catch {
+        // Read-only checkouts still get the check result
+      }
+    },
+  };
+}
@@ -0,0 +1,115 @@
+/**
+ * Minimal unified diff for dry-run previews.
+ *
+ * Edits made by devkit fixers are small and local, so the common prefix and
+ * suffix are trimmed first and a plain LCS table is built for the rest.
+ */
+
+function splitLines(text) {
+  if (text === '') {return [];}
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') {lines.pop();}
+  return lines;
+}
+
+/**
+ * Line-level edit script between two texts.
+ *
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @returns {Array<{ op: ' '|'-'|'+', line: string }>}
+ */
+function diffLines(a, b) {
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {prefix++;}
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix && suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) {suffix++;}
+
+  const midA = a.slice(prefix, a.length - suffix);
+  const midB = b.slice(prefix, b.length - suffix);
+  const n = midA.length;
+  const m = midB.length;
+
+  // lcs[i * (m + 1) + j] = LCS length of midA[i..] and midB[j..]
+  const lcs = new Uint32Array((n + 1) * (m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * (m + 1) + j] = midA[i] === midB[j]
+        ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+        : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+    }
+  }
+
+  const ops = a.slice(0, prefix).map((line) => ({ op: ' ', line }));
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && midA[i] === midB[j]) {
+      ops.push({ op: ' ', line: midA[i] });
+      i++;
+      j++;
+    } else if (j < m && (i === n || lcs[i * (m + 1) + j + 1] > lcs[(i + 1) * (m + 1) + j])) {
+      ops.push({ op: '+', line: midB[j++] });
+    } else {
+      ops.push({ op: '-', line: midA[i++] });
+    }
+  }
+  for (const line of a.slice(a.length - suffix)) {ops.push({ op: ' ', line });}
+
+  return ops;
+}
+
+/**
+ * Render a unified diff (`diff -u` / `git diff` style) between two texts.
+ *
+ * @param {string} oldText - Original contents ('' for a new file)
+ * @param {string} newText - Updated contents
+ * @param {object} [options]
+ * @param {string} [options.fromFile='a'] - Label for the `---` header
+ * @param {string} [options.toFile='b'] - Label for the `+++` header
+ * @param {number} [options.context=3] - Unchanged lines around each change
+ * @returns {string} Diff text, or '' when the texts are equal
+ */
+export function unifiedDiff(oldText, newText, { fromFile = 'a', toFile = 'b', context = 3 } = {}) {
+  if (oldText === newText) {return '';}
+
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+  const changed = ops.map((entry, index) => (entry.op === ' ' ? -1 : index)).filter((index) => index >= 0);
+  if (changed.length === 0) {return '';}
+
+  // Group changes whose context windows touch into hunks
+  const hunks = [];
+  let start = Math.max(0, changed[0] - context);
+  let end = Math.min(ops.length, changed[0] + context + 1);
+  for (const index of changed.slice(1)) {
+    if (index - context <= end) {
+      end = Math.min(ops.length, index + context + 1);
+    } else {
+      hunks.push([start, end]);
+      start = Math.max(0, index - context);
+      end = Math.min(ops.length, index + context + 1);
+    }
+  }
+  hunks.push([start, end]);
+
+  const out = [`--- ${fromFile}`, `+++ ${toFile}`];
+  for (const [from, to] of hunks) {
+    // 1-based line numbers of the hunk start in the old and new file
+    let oldLine = 1;
+    let newLine = 1;
+    for (const entry of ops.slice(0, from)) {
+      if (entry.op !== '+') {oldLine++;}
+      if (entry.op !== '-') {newLine++;}
+    }
+    const slice = ops.slice(from, to);
+    const oldCount = slice.filter((entry) => entry.op !== '+').length;
+    const newCount = slice.filter((entry) => entry.op !== '-').length;
+    out.push(`@@ -${oldCount === 0 ? oldLine - 1 : oldLine},${oldCount} +${newCount === 0 ? newLine - 1 : newLine},${newCount} @@`);
+    for (const entry of slice) {out.push(`${entry.op}${entry.line}`);}
+  }
+
+  return out.join('\n') + '\n';
+}
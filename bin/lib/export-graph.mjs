@@ -0,0 +1,371 @@
+/**
+ * Cross-package export graph for check-exports.
+ *
+ * Loads the sources of every workspace package (src, tests, bin) into one
+ * TypeScript language service and resolves imports through the type checker,
+ * so aliases and re-export chains — `export *`, `export { x } from`, renames,
+ * default exports — lead back to the declaration. Workspace package
+ * specifiers resolve to the source behind their package.json `exports`
+ * (`./dist/index.js` → `src/index.ts`): an export is public when a chain
+ * reaches it from one of those entry points, and used when it is reached by
+ *
+ * - another package's sources, tests or bins
+ * - the package's own tests and bins
+ *
+ * Every kind of import counts: named, default and renamed imports, type-only
+ * imports, `import('pkg').Type`, `import x = require()`, namespace imports
+ * (`ns.member`; passing `ns` itself uses every export), re-exports from
+ * another package, and dynamic `import()` / `require()` (every export).
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import ts from 'typescript';
+
+import { findSourceFiles, getPackageName, isLocalImport } from './imports.mjs';
+import { readJsonCached } from './workspace.mjs';
+
+const CONSUMER_DIRS = ['src', 'test', 'tests', '__tests__', 'bin'];
+const SOURCE_EXTENSIONS = ['.ts', '.tsx', '.mts', '.cts', '.js', '.jsx', '.mjs', '.cjs'];
+const BUILD_OUTPUT_PATTERN = /^(dist|lib|build|out)\//;
+const TEST_FILE_PATTERN = /(\.(test|spec)\.[cm]?[jt]sx?$)|(\/(__tests__|__mocks__|tests?)\/)/;
+
+const COMPILER_OPTIONS = {
+  allowJs: true,
+  noEmit: true,
+  noLib: true, // Only symbols are needed, not lib types
+  types: [],
+  target: ts.ScriptTarget.Latest,
+  module: ts.ModuleKind.ESNext,
+  moduleResolution: ts.ModuleResolutionKind.Bundler,
+  jsx: ts.JsxEmit.Preserve,
+  esModuleInterop: true,
+};
+
+const toPosix = (filePath) => filePath.split(path.sep).join('/');
+
+/**
+ * Source file a package.json target is built from: the target itself when it
+ * is a source file, otherwise the same path under `src/` for build output
+ * (`./dist/cli/index.js` → `src/cli/index.ts`, or `src/cli.ts`).
+ *
+ * @param {string} packageDir
+ * @param {string} target - e.g. `./dist/index.js`
+ * @returns {string|null} Absolute path
+ */
+function sourceForTarget(packageDir, target) {
+  const relative = target.replace(/^\.\//, '').replace(/(\.d)?\.[cm]?[jt]sx?$/, '');
+  const base = BUILD_OUTPUT_PATTERN.test(relative) ? `src/${relative.replace(BUILD_OUTPUT_PATTERN, '')}` : relative;
+
+  for (const candidate of [base, `${base}/index`]) {
+    for (const extension of SOURCE_EXTENSIONS) {
+      const filePath = path.join(packageDir, `${candidate}${extension}`);
+      if (fs.existsSync(filePath)) {return filePath;}
+    }
+  }
+  return null;
+}
+
+// Every string target below a package.json exports value (conditions, arrays, nesting)
+function collectTargets(value, targets = []) {
+  if (typeof value === 'string') {
+    targets.push(value);
+  } else if (Array.isArray(value)) {
+    for (const item of value) {collectTargets(item, targets);}
+  } else if (value && typeof value === 'object') {
+    for (const item of Object.values(value)) {collectTargets(item, targets);}
+  }
+  return targets;
+}
+
+/**
+ * Entry points of a package: subpaths of its `exports` (or `main`, `module`,
+ * `types`) mapped to source files. Pattern subpaths (`./utils/*`) expose
+ * every source file below the matching source directory. Without any
+ * resolvable entry the package's `src/index` is its entry point.
+ *
+ * @param {string} packageDir
+ * @param {object} packageJson
+ * @returns {{ subpaths: Map<string, string>, patterns: Array<{ prefix: string, suffix: string, target: string }>, files: Set<string> }}
+ */
+export function packageEntryPoints(packageDir, packageJson) {
+  const subpaths = new Map();
+  const patterns = [];
+  const files = new Set();
+
+  let exportsField = packageJson.exports;
+  if (typeof exportsField === 'string' || Array.isArray(exportsField) ||
+    (exportsField && typeof exportsField === 'object' && !Object.keys(exportsField).some((key) => key.startsWith('.')))) {
+    exportsField = { '.': exportsField };
+  }
+
+  if (exportsField && typeof exportsField === 'object') {
+    for (const [subpath, value] of Object.entries(exportsField)) {
+      for (const target of collectTargets(value)) {
+        if (subpath.includes('*')) {
+          const [prefix, suffix] = subpath.split('*');
+          patterns.push({ prefix, suffix, target });
+          const sourceDir = sourceForTarget(packageDir, `${target.split('*')[0]}index`);
+          const dir = sourceDir ? path.dirname(sourceDir) : null;
+          for (const file of dir ? findSourceFiles(dir, ['.']) : []) {files.add(file);}
+          continue;
+        }
+        const file = sourceForTarget(packageDir, target);
+        if (file) {
+          if (!subpaths.has(subpath)) {subpaths.set(subpath, file);}
+          files.add(file);
+        }
+      }
+    }
+  } else {
+    for (const field of ['main', 'module', 'types', 'typings']) {
+      const file = typeof packageJson[field] === 'string' ? sourceForTarget(packageDir, packageJson[field]) : null;
+      if (file) {
+        if (!subpaths.has('.')) {subpaths.set('.', file);}
+        files.add(file);
+      }
+    }
+  }
+
+  if (files.size === 0) {
+    const index = sourceForTarget(packageDir, 'src/index');
+    if (index) {
+      subpaths.set('.', index);
+      files.add(index);
+    }
+  }
+
+  return { subpaths, patterns, files };
+}
+
+// Source files a package.json `bin` field points at
+function binFiles(packageDir, packageJson) {
+  const targets = typeof packageJson.bin === 'string' ? [packageJson.bin] : Object.values(packageJson.bin ?? {});
+  return targets
+    .filter((target) => typeof target === 'string')
+    .map((target) => {
+      const filePath = path.join(packageDir, target);
+      return fs.existsSync(filePath) && !BUILD_OUTPUT_PATTERN.test(toPosix(path.relative(packageDir, filePath)))
+        ? filePath
+        : sourceForTarget(packageDir, target);
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Role of a file within its package.
+ *
+ * @returns {'src'|'test'|'bin'}
+ */
+function fileRole(packageDir, filePath, bins) {
+  const relative = `/${toPosix(path.relative(packageDir, filePath))}`;
+  if (TEST_FILE_PATTERN.test(relative)) {return 'test';}
+  if (bins.has(filePath) || relative.startsWith('/bin/')) {return 'bin';}
+  return 'src';
+}
+
+/**
+ * Build the export graph of a workspace.
+ *
+ * @param {string} root - Workspace root
+ * @param {string[]} packageJsonPaths - All packages (every one is a consumer)
+ * @returns {Map<string, {
+ *   packageName: string,
+ *   packageDir: string,
+ *   entryPoints: string[],
+ *   exports: Array<{ file: string, line: number, name: string, type: 'named'|'default', isPublic: boolean, usedExternally: boolean, usedInternally: boolean, consumers: string[] }>,
+ * }>} Keyed by package name; `file` is absolute; `consumers` are package names (`<name> (tests)` / `(bin)` for the package itself)
+ */
+export function buildExportGraph(root, packageJsonPaths) {
+  const packages = new Map(); // name -> { name, dir, packageJson, entries, bins }
+  const owners = new Map(); // file -> { pkg, role }
+
+  for (const packageJsonPath of packageJsonPaths) {
+    const packageJson = readJsonCached(packageJsonPath);
+    if (!packageJson?.name) {continue;}
+    const dir = path.dirname(packageJsonPath);
+    const bins = new Set(binFiles(dir, packageJson));
+    const pkg = { name: packageJson.name, dir, packageJson, entries: packageEntryPoints(dir, packageJson), bins };
+    packages.set(pkg.name, pkg);
+
+    for (const file of new Set([...findSourceFiles(dir, CONSUMER_DIRS), ...bins])) {
+      owners.set(file, { pkg, role: fileRole(dir, file, bins) });
+    }
+  }
+
+  // Workspace packages resolve to their sources; anything outside the workspace stays unresolved
+  const resolveWorkspaceSpecifier = (specifier) => {
+    const pkg = packages.get(getPackageName(specifier));
+    if (!pkg) {return null;}
+    const subpath = `.${specifier.slice(pkg.name.length)}`;
+    if (pkg.entries.subpaths.has(subpath)) {return pkg.entries.subpaths.get(subpath);}
+    for (const { prefix, suffix, target } of pkg.entries.patterns) {
+      if (subpath.startsWith(prefix) && subpath.endsWith(suffix)) {
+        const file = sourceForTarget(pkg.dir, target.replace('*', subpath.slice(prefix.length, subpath.length - suffix.length)));
+        if (file) {return file;}
+      }
+    }
+    return null;
+  };
+
+  const moduleResolutionHost = { fileExists: ts.sys.fileExists, readFile: ts.sys.readFile };
+  const host = {
+    getCompilationSettings: () => COMPILER_OPTIONS,
+    getScriptFileNames: () => [...owners.keys()],
+    getScriptVersion: () => '1',
+    getScriptSnapshot: (fileName) => {
+      const text = ts.sys.readFile(fileName);
+      return text === undefined ? undefined : ts.ScriptSnapshot.fromString(text);
+    },
+    getCurrentDirectory: () => root,
+    getDefaultLibFileName: (options) => ts.getDefaultLibFilePath(options),
+    fileExists: ts.sys.fileExists,
+    readFile: ts.sys.readFile,
+    readDirectory: ts.sys.readDirectory,
+    directoryExists: ts.sys.directoryExists,
+    getDirectories: ts.sys.getDirectories,
+    resolveModuleNames: (moduleNames, containingFile) => moduleNames.map((specifier) => {
+      const resolvedFileName = isLocalImport(specifier)
+        ? ts.resolveModuleName(specifier, containingFile, COMPILER_OPTIONS, moduleResolutionHost).resolvedModule?.resolvedFileName
+        : resolveWorkspaceSpecifier(specifier);
+      if (!resolvedFileName || !owners.has(path.resolve(resolvedFileName))) {return undefined;}
+      return { resolvedFileName, extension: path.extname(resolvedFileName), isExternalLibraryImport: false };
+    }),
+  };
+
+  const service = ts.createLanguageService(host, ts.createDocumentRegistry());
+  const program = service.getProgram();
+  const checker = program.getTypeChecker();
+
+  const resolveAlias = (symbol) => (symbol && symbol.flags & ts.SymbolFlags.Alias ? checker.getAliasedSymbol(symbol) : symbol);
+  const ownerOf = (symbol) => owners.get(path.resolve(symbol?.declarations?.[0]?.getSourceFile().fileName ?? ''));
+
+  // Declaration symbol -> consumers ({ pkg, role }) that reach it
+  const uses = new Map();
+  const markUsed = (symbol, consumer) => {
+    const target = resolveAlias(symbol);
+    if (!target?.declarations?.length) {return;}
+    if (!uses.has(target)) {uses.set(target, []);}
+    uses.get(target).push(consumer);
+  };
+  const markModule = (moduleSymbol, consumer) => {
+    if (!moduleSymbol) {return;}
+    for (const symbol of checker.getExportsOfModule(moduleSymbol)) {markUsed(symbol, consumer);}
+  };
+  const symbolOf = (node) => checker.getSymbolAtLocation(node);
+
+  for (const sourceFile of program.getSourceFiles()) {
+    const consumer = owners.get(path.resolve(sourceFile.fileName));
+    if (!consumer) {continue;}
+
+    // Namespace bindings (`import * as ns`, `import ns = require()`) -> module symbol
+    const namespaces = new Map();
+
+    for (const statement of sourceFile.statements) {
+      if (ts.isImportDeclaration(statement)) {
+        const moduleSymbol = symbolOf(statement.moduleSpecifier);
+        const clause = statement.importClause;
+        if (!moduleSymbol || !clause) {continue;}
+        if (clause.name) {markUsed(symbolOf(clause.name), consumer);}
+        const bindings = clause.namedBindings;
+        if (bindings && ts.isNamedImports(bindings)) {
+          for (const element of bindings.elements) {markUsed(symbolOf(element.name), consumer);}
+        } else if (bindings && ts.isNamespaceImport(bindings)) {
+          namespaces.set(symbolOf(bindings.name), moduleSymbol);
+        }
+      } else if (ts.isImportEqualsDeclaration(statement) && ts.isExternalModuleReference(statement.moduleReference)) {
+        const moduleSymbol = symbolOf(statement.moduleReference.expression);
+        if (moduleSymbol) {namespaces.set(symbolOf(statement.name), moduleSymbol);}
+      } else if (ts.isExportDeclaration(statement) && statement.moduleSpecifier) {
+        const moduleSymbol = symbolOf(statement.moduleSpecifier);
+        if (!moduleSymbol) {continue;}
+        // Re-exports inside a package are the chain to its entry points, not uses
+        const target = ownerOf(moduleSymbol);
+        if (target?.pkg === consumer.pkg && consumer.role === 'src') {continue;}
+        const clause = statement.exportClause;
+        if (clause && ts.isNamedExports(clause)) {
+          for (const element of clause.elements) {markUsed(checker.getExportSpecifierLocalTargetSymbol(element), consumer);}
+        } else {
+          markModule(moduleSymbol, consumer);
+        }
+      }
+    }
+
+    const visit = (node) => {
+      if (ts.isCallExpression(node) && node.arguments.length === 1 && ts.isStringLiteralLike(node.arguments[0]) &&
+        (node.expression.kind === ts.SyntaxKind.ImportKeyword || (ts.isIdentifier(node.expression) && node.expression.text === 'require'))) {
+        markModule(symbolOf(node.arguments[0]), consumer);
+      } else if (ts.isImportTypeNode(node)) {
+        if (node.qualifier) {
+          let first = node.qualifier;
+          while (ts.isQualifiedName(first)) {first = first.left;}
+          markUsed(symbolOf(first), consumer);
+        } else if (ts.isLiteralTypeNode(node.argument)) {
+          markModule(symbolOf(node.argument.literal), consumer);
+        }
+      } else if (namespaces.size > 0 && ts.isIdentifier(node)) {
+        const moduleSymbol = namespaces.get(symbolOf(node));
+        const parent = node.parent;
+        if (moduleSymbol && !ts.isNamespaceImport(parent) && !ts.isImportEqualsDeclaration(parent)) {
+          if (ts.isPropertyAccessExpression(parent) && parent.expression === node) {
+            markUsed(symbolOf(parent.name), consumer);
+          } else if (ts.isQualifiedName(parent) && parent.left === node) {
+            markUsed(symbolOf(parent.right), consumer);
+          } else {
+            markModule(moduleSymbol, consumer); // The namespace escapes: anything may be used
+          }
+        }
+      }
+      ts.forEachChild(node, visit);
+    };
+    visit(sourceFile);
+  }
+
+  // Exports declared by each package, public when an entry point re-exports them
+  const graph = new Map();
+  for (const pkg of packages.values()) {
+    const publicSymbols = new Set();
+    for (const entry of pkg.entries.files) {
+      const moduleSymbol = program.getSourceFile(entry) && symbolOf(program.getSourceFile(entry));
+      if (!moduleSymbol) {continue;}
+      for (const symbol of checker.getExportsOfModule(moduleSymbol)) {publicSymbols.add(resolveAlias(symbol));}
+    }
+
+    const exports = [];
+    for (const [file, owner] of owners) {
+      if (owner.pkg !== pkg || owner.role !== 'src' || file.endsWith('.d.ts')) {continue;}
+      const sourceFile = program.getSourceFile(file);
+      const moduleSymbol = sourceFile && symbolOf(sourceFile);
+      if (!moduleSymbol) {continue;}
+
+      for (const symbol of checker.getExportsOfModule(moduleSymbol)) {
+        const target = resolveAlias(symbol);
+        // Re-exported symbols are reported where they are declared
+        if (symbol.name === 'export=' || target?.declarations?.[0]?.getSourceFile() !== sourceFile) {continue;}
+
+        const consumers = uses.get(target) ?? [];
+        const declaration = symbol.declarations?.[0] ?? target.declarations[0];
+        const external = consumers.filter((use) => use.pkg !== pkg || use.role !== 'src');
+        exports.push({
+          file,
+          line: sourceFile.getLineAndCharacterOfPosition(declaration.getStart(sourceFile)).line + 1,
+          name: symbol.name,
+          type: symbol.name === 'default' ? 'default' : 'named',
+          isPublic: publicSymbols.has(target),
+          usedExternally: external.length > 0,
+          usedInternally: consumers.length > external.length,
+          consumers: [...new Set(external.map((use) => (use.pkg === pkg ? `${pkg.name} (${use.role === 'test' ? 'tests' : 'bin'})` : use.pkg.name)))].sort(),
+        });
+      }
+    }
+
+    graph.set(pkg.name, {
+      packageName: pkg.name,
+      packageDir: pkg.dir,
+      entryPoints: [...pkg.entries.files],
+      exports: exports.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line),
+    });
+  }
+
+  return graph;
+}
@@ -0,0 +1,172 @@
+/**
+ * Normalized findings for devkit checkers and kb-devkit-ci.
+ *
+ * A checker started with `--findings=<file>` records every reported issue as
+ * `{ ruleId, severity, file, line, column, message, package }` and writes
+ * them as JSON when the process exits. kb-devkit-ci collects those files and
+ * turns them into SARIF 2.1.0 and GitHub workflow annotations.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+export const SEVERITIES = ['error', 'warning', 'note'];
+
+const ANNOTATION_COMMANDS = { error: 'error', warning: 'warning', note: 'notice' };
+
+/**
+ * Line of the first `"key":` in a JSON file (1 if missing), so package.json
+ * findings point at the offending field.
+ *
+ * @param {string} filePath - Absolute path
+ * @param {string} [key] - Property name
+ * @returns {number} 1-based line
+ */
+export function findJsonKeyLine(filePath, key) {
+  if (!key) {return 1;}
+  try {
+    const lines = fs.readFileSync(filePath, 'utf-8').split('\n');
+    const index = lines.findIndex((line) => line.includes(`${JSON.stringify(key)}:`));
+    return index >= 0 ? index + 1 : 1;
+  } catch {
+    return 1;
+  }
+}
+
+/**
+ * Collect findings for one checker.
+ *
+ * @param {string} rootDir - Workspace root; file paths are stored relative to it
+ * @param {string} tool - Check id (e.g. 'imports'), used as the rule id prefix
+ * @param {string} [outputPath] - Write findings here on process exit (the `--findings=` value)
+ * @returns {{
+ *   add: (finding: { rule: string, severity?: string, file: string, line?: number, column?: number, message: string, package?: string }) => void,
+ *   list: () => object[],
+ * }}
+ */
+export function createFindings(rootDir, tool, outputPath) {
+  const findings = [];
+
+  if (outputPath) {
+    process.once('exit', () => {
+      fs.mkdirSync(path.dirname(path.resolve(outputPath)), { recursive: true });
+      fs.writeFileSync(path.resolve(outputPath), JSON.stringify({ tool, findings }, null, 2) + '\n');
+    });
+  }
+
+  return {
+    add({ rule, severity = 'error', file, line = 1, column, message, package: packageName }) {
+      const relativeFile = path.isAbsolute(file) ? path.relative(rootDir, file) : file;
+      findings.push({
+        ruleId: `${tool}/${rule}`,
+        severity: SEVERITIES.includes(severity) ? severity : 'warning',
+        file: relativeFile.split(path.sep).join('/'),
+        line: Math.max(1, line),
+        ...(column ? { column } : {}),
+        message,
+        ...(packageName ? { package: packageName } : {}),
+      });
+    },
+
+    list() {
+      return findings;
+    },
+  };
+}
+
+/**
+ * Read a findings file written by a checker.
+ *
+ * @param {string} filePath
+ * @returns {object[]} Findings (empty when the file is missing or invalid)
+ */
+export function readFindings(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8')).findings ?? [];
+  } catch {
+    return [];
+  }
+}
+
+function escapeData(value) {
+  return String(value).replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+}
+
+function escapeProperty(value) {
+  return escapeData(value).replace(/:/g, '%3A').replace(/,/g, '%2C');
+}
+
+/**
+ * GitHub Actions workflow command for a finding
+ * (`::error file=src/a.ts,line=3,col=5,title=imports/broken-import::message`).
+ *
+ * @param {object} finding
+ * @returns {string}
+ */
+export function toAnnotation(finding) {
+  const properties = [
+    `file=${escapeProperty(finding.file)}`,
+    `line=${finding.line}`,
+    finding.column && `col=${finding.column}`,
+    `title=${escapeProperty(finding.ruleId)}`,
+  ].filter(Boolean);
+  return `::${ANNOTATION_COMMANDS[finding.severity] ?? 'warning'} ${properties.join(',')}::${escapeData(finding.message)}`;
+}
+
+/**
+ * SARIF 2.1.0 log with one run, for GitHub code scanning (`upload-sarif`).
+ *
+ * @param {object[]} findings - Normalized findings
+ * @param {object} driver
+ * @param {string} driver.name - Tool name
+ * @param {string} [driver.version] - Tool version
+ * @param {string} [driver.informationUri] - Tool homepage
+ * @returns {object}
+ */
+export function toSarif(findings, { name, version, informationUri }) {
+  const rules = [];
+  const ruleIndex = new Map();
+
+  for (const finding of findings) {
+    if (ruleIndex.has(finding.ruleId)) {continue;}
+    ruleIndex.set(finding.ruleId, rules.length);
+    rules.push({
+      id: finding.ruleId,
+      name: finding.ruleId.replace(/[^a-zA-Z0-9]+(.)?/g, (_, char) => (char ?? '').toUpperCase()),
+      shortDescription: { text: finding.ruleId },
+      defaultConfiguration: { level: finding.severity },
+    });
+  }
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name,
+            ...(version ? { version, semanticVersion: version } : {}),
+            ...(informationUri ? { informationUri } : {}),
+            rules,
+          },
+        },
+        results: findings.map((finding) => ({
+          ruleId: finding.ruleId,
+          ruleIndex: ruleIndex.get(finding.ruleId),
+          level: finding.severity,
+          message: { text: finding.message },
+          locations: [
+            {
+              physicalLocation: {
+                artifactLocation: { uri: finding.file, uriBaseId: '%SRCROOT%' },
+                region: { startLine: finding.line, ...(finding.column ? { startColumn: finding.column } : {}) },
+              },
+            },
+          ],
+        })),
+        columnKind: 'unicodeCodePoints',
+      },
+    ],
+  };
+}
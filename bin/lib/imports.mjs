@@ -0,0 +1,324 @@
+/**
+ * Import scanner shared by check-imports, fix-deps and build-readiness.
+ *
+ * Parses sources with the TypeScript compiler instead of regexes, so
+ * specifiers inside comments and strings are ignored, re-exports are seen,
+ * and every specifier carries the kind of dependency it creates:
+ *
+ * - `runtime`     — `import x from`, `export * from`, `require()`, `import x = require()`
+ * - `type-only`   — `import type`, `export type`, `import { type A }`, `typeof import('x')`
+ * - `dynamic`     — `import('x')` with a static specifier
+ * - `side-effect` — `import 'x'`
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { builtinModules } from 'node:module';
+import ts from 'typescript';
+
+const SOURCE_FILE_PATTERN = /\.(ts|tsx|mts|cts|js|jsx|mjs|cjs)$/;
+
+// Specifiers written with a JS extension that point at TS sources (`./foo.js` → `./foo.ts`)
+const EXTENSION_ALIASES = {
+  '.js': ['.ts', '.tsx'],
+  '.jsx': ['.tsx'],
+  '.mjs': ['.mts'],
+  '.cjs': ['.cts'],
+};
+
+const RESOLVE_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs', '.json'];
+
+// Extension a specifier needs to reach each source file once compiled
+const EMITTED_EXTENSIONS = {
+  '.ts': '.js',
+  '.tsx': '.js',
+  '.mts': '.mjs',
+  '.cts': '.cjs',
+};
+
+const EXPLICIT_EXTENSION_PATTERN = /\.(ts|tsx|mts|cts|js|jsx|mjs|cjs|json)$/;
+
+const builtins = new Set(builtinModules);
+
+function scriptKindFor(fileName) {
+  switch (path.extname(fileName)) {
+    case '.tsx': return ts.ScriptKind.TSX;
+    case '.jsx': return ts.ScriptKind.JSX;
+    case '.js':
+    case '.mjs':
+    case '.cjs': return ts.ScriptKind.JS;
+    default: return ts.ScriptKind.TS;
+  }
+}
+
+function isStaticSpecifier(node) {
+  return node && (ts.isStringLiteral(node) || ts.isNoSubstitutionTemplateLiteral(node));
+}
+
+/**
+ * Kind of an import/export declaration: a clause whose bindings are all
+ * `type`-qualified is erased from the emitted JS just like `import type`.
+ */
+function declarationKind(node) {
+  if (ts.isImportDeclaration(node)) {
+    const clause = node.importClause;
+    if (!clause) {return 'side-effect';}
+    if (clause.isTypeOnly) {return 'type-only';}
+    const bindings = clause.namedBindings;
+    if (!clause.name && bindings && ts.isNamedImports(bindings) && bindings.elements.length > 0 &&
+      bindings.elements.every((element) => element.isTypeOnly)) {
+      return 'type-only';
+    }
+    return 'runtime';
+  }
+
+  // ExportDeclaration
+  if (node.isTypeOnly) {return 'type-only';}
+  const clause = node.exportClause;
+  if (clause && ts.isNamedExports(clause) && clause.elements.length > 0 &&
+    clause.elements.every((element) => element.isTypeOnly)) {
+    return 'type-only';
+  }
+  return 'runtime';
+}
+
+/**
+ * Scan source text for module specifiers.
+ *
+ * @param {string} content - File contents
+ * @param {string} [fileName='module.ts'] - Used to pick the parser (TS/TSX/JS/JSX)
+ * @returns {Array<{ specifier: string, kind: 'runtime'|'type-only'|'dynamic'|'side-effect', line: number, column: number, start: number, end: number }>}
+ *   `line` and `column` are 1-based and point at the opening quote of the specifier;
+ *   `start`/`end` are the offsets of the quoted literal in `content`.
+ */
+export function scanImports(content, fileName = 'module.ts') {
+  const sourceFile = ts.createSourceFile(fileName, content, ts.ScriptTarget.Latest, false, scriptKindFor(fileName));
+  const imports = [];
+
+  function add(specifierNode, kind) {
+    const start = specifierNode.getStart(sourceFile);
+    const { line, character } = sourceFile.getLineAndCharacterOfPosition(start);
+    imports.push({ specifier: specifierNode.text, kind, line: line + 1, column: character + 1, start, end: specifierNode.getEnd() });
+  }
+
+  function visit(node) {
+    if ((ts.isImportDeclaration(node) || ts.isExportDeclaration(node)) && isStaticSpecifier(node.moduleSpecifier)) {
+      add(node.moduleSpecifier, declarationKind(node));
+    } else if (ts.isImportEqualsDeclaration(node) && ts.isExternalModuleReference(node.moduleReference)) {
+      const expression = node.moduleReference.expression;
+      if (isStaticSpecifier(expression)) {
+        add(expression, node.isTypeOnly ? 'type-only' : 'runtime');
+      }
+    } else if (ts.isCallExpression(node)) {
+      const [first] = node.arguments;
+      if (node.expression.kind === ts.SyntaxKind.ImportKeyword && isStaticSpecifier(first)) {
+        add(first, 'dynamic');
+      } else if (ts.isIdentifier(node.expression) && node.expression.text === 'require' &&
+        node.arguments.length === 1 && isStaticSpecifier(first)) {
+        add(first, 'runtime');
+      }
+    } else if (ts.isImportTypeNode(node)) {
+      const literal = ts.isLiteralTypeNode(node.argument) ? node.argument.literal : null;
+      if (isStaticSpecifier(literal)) {
+        add(literal, 'type-only');
+      }
+    }
+
+    ts.forEachChild(node, visit);
+  }
+
+  visit(sourceFile);
+  return imports;
+}
+
+/**
+ * Read and scan one file. Unreadable files yield no imports.
+ *
+ * @param {string} filePath - Absolute path to a source file
+ * @returns {ReturnType<typeof scanImports>}
+ */
+export function scanFileImports(filePath) {
+  let content;
+  try {
+    content = fs.readFileSync(filePath, 'utf-8');
+  } catch {
+    return [];
+  }
+  return scanImports(content, filePath);
+}
+
+/**
+ * Check if import path is a local file import
+ *
+ * @param {string} specifier
+ * @returns {boolean}
+ */
+export function isLocalImport(specifier) {
+  return specifier.startsWith('.') || specifier.startsWith('/');
+}
+
+/**
+ * Check if import path is a Node.js built-in (`fs`, `node:fs`, `fs/promises`)
+ *
+ * @param {string} specifier
+ * @returns {boolean}
+ */
+export function isNodeBuiltin(specifier) {
+  if (specifier.startsWith('node:')) {return true;}
+  return builtins.has(specifier) || builtins.has(specifier.split('/')[0]);
+}
+
+/**
+ * Package name of a bare specifier (`@scope/pkg/sub` → `@scope/pkg`, `pkg/sub` → `pkg`).
+ *
+ * Bare built-in names (`events`, `buffer`) are returned as-is because they
+ * may also be installed as npm polyfills; use isNodeBuiltin() to skip them.
+ *
+ * @param {string} specifier
+ * @returns {string|null} null for local paths and `node:` specifiers
+ */
+export function getPackageName(specifier) {
+  if (isLocalImport(specifier) || specifier.startsWith('node:')) {return null;}
+  const match = specifier.match(/^(@[^/]+\/[^/]+|[^/]+)/);
+  return match ? match[1] : specifier;
+}
+
+/**
+ * Whether relative imports of a package must spell out the file extension.
+ *
+ * True under `moduleResolution: node16/nodenext` (TS2835), and for plain
+ * `"type": "module"` packages without a tsconfig, where Node's ESM loader
+ * rejects extensionless and directory imports.
+ *
+ * @param {string} packageDir - Package root
+ * @returns {boolean}
+ */
+export function requiresExplicitExtensions(packageDir) {
+  const tsconfigPath = path.join(packageDir, 'tsconfig.json');
+
+  if (fs.existsSync(tsconfigPath)) {
+    const { config, error } = ts.readConfigFile(tsconfigPath, ts.sys.readFile);
+    if (error) {return false;}
+    const { options } = ts.parseJsonConfigFileContent(config, ts.sys, packageDir, undefined, tsconfigPath);
+    const resolution = options.moduleResolution ?? (
+      options.module === ts.ModuleKind.Node16 || options.module === ts.ModuleKind.NodeNext
+        ? ts.ModuleResolutionKind.NodeNext
+        : undefined
+    );
+    return resolution === ts.ModuleResolutionKind.Node16 || resolution === ts.ModuleResolutionKind.NodeNext;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(path.join(packageDir, 'package.json'), 'utf-8')).type === 'module';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Resolve a relative specifier to a file on disk.
+ *
+ * Tries the exact path, the path with a known extension, a TS source behind a
+ * `.js`-style extension, and a directory index file.
+ *
+ * @param {string} specifier - Local import specifier
+ * @param {string} sourceFile - File containing the import
+ * @param {object} [options]
+ * @param {boolean} [options.requireExtension=false] - Treat extensionless specifiers as unresolvable
+ *   (see requiresExplicitExtensions)
+ * @returns {string|null} Absolute path of the target, or null if it can't be resolved
+ */
+export function resolveLocalImport(specifier, sourceFile, { requireExtension = false } = {}) {
+  if (!isLocalImport(specifier)) {return null;}
+  if (requireExtension && !EXPLICIT_EXTENSION_PATTERN.test(specifier)) {return null;}
+
+  const resolved = path.resolve(path.dirname(sourceFile), specifier);
+  const isFile = (candidate) => fs.existsSync(candidate) && fs.statSync(candidate).isFile();
+
+  if (isFile(resolved)) {return resolved;}
+
+  for (const ext of RESOLVE_EXTENSIONS) {
+    if (isFile(resolved + ext)) {return resolved + ext;}
+  }
+
+  const ext = path.extname(resolved);
+  for (const alias of EXTENSION_ALIASES[ext] ?? []) {
+    const candidate = resolved.slice(0, -ext.length) + alias;
+    if (isFile(candidate)) {return candidate;}
+  }
+
+  if (fs.existsSync(resolved) && fs.statSync(resolved).isDirectory()) {
+    for (const indexExt of RESOLVE_EXTENSIONS) {
+      const indexFile = path.join(resolved, `index${indexExt}`);
+      if (isFile(indexFile)) {return indexFile;}
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Relative specifier that reaches `targetFile` from `sourceFile`.
+ *
+ * @param {string} sourceFile - Importing file
+ * @param {string} targetFile - Imported file
+ * @param {object} [options]
+ * @param {boolean} [options.withExtension=true] - Spell out the compiled extension
+ *   (`./util.ts` → `./util.js`); otherwise drop it and collapse `dir/index` to `dir`
+ * @returns {string}
+ */
+export function toImportSpecifier(sourceFile, targetFile, { withExtension = true } = {}) {
+  let specifier = path.relative(path.dirname(sourceFile), targetFile).split(path.sep).join('/');
+  const ext = path.extname(specifier);
+
+  if (withExtension) {
+    specifier = specifier.slice(0, specifier.length - ext.length) + (EMITTED_EXTENSIONS[ext] ?? ext);
+  } else if (ext !== '.json') {
+    specifier = specifier.slice(0, specifier.length - ext.length);
+    if (specifier.endsWith('/index')) {specifier = specifier.slice(0, -'/index'.length);}
+  }
+
+  return specifier.startsWith('.') ? specifier : `./${specifier}`;
+}
+
+/**
+ * Find source files below the given package subdirectories.
+ * `node_modules` and `dist` are never entered.
+ *
+ * @param {string} packageDir - Package root
+ * @param {string[]} [dirs=['src']] - Subdirectories to walk
+ * @returns {string[]} Absolute file paths
+ */
+export function findSourceFiles(packageDir, dirs = ['src']) {
+  const files = [];
+
+  function walk(dir) {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (entry.name !== 'node_modules' && entry.name !== 'dist') {walk(fullPath);}
+      } else if (entry.isFile() && SOURCE_FILE_PATTERN.test(entry.name)) {
+        files.push(fullPath);
+      }
+    }
+  }
+
+  for (const dir of dirs) {
+    const dirPath = path.join(packageDir, dir);
+    if (fs.existsSync(dirPath) && fs.statSync(dirPath).isDirectory()) {
+      walk(dirPath);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Whether every usage is erased at compile time.
+ *
+ * @param {Array<{ kind: string }>} usages
+ * @returns {boolean}
+ */
+export function isTypeOnlyUsage(usages) {
+  return usages.length > 0 && usages.every((usage) => usage.kind === 'type-only');
+}
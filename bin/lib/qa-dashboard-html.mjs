@@ -0,0 +1,330 @@
+/**
+ * HTML dashboard for kb-devkit-qa-history.
+ *
+ * Renders the saved QA history as one self-contained file — styles and the
+ * few lines of script are inlined and the charts are plain SVG, so nothing is
+ * fetched: it works offline and can be attached to CI runs. The page shows:
+ *
+ * - failures over time, one chart per check type (points of runs that
+ *   introduced a regression are red and link to it)
+ * - heatmaps of failing checks per repo and per package across runs
+ * - every regression next to the commit that introduced it: the new failing
+ *   packages, tests, lint rules and TS error codes
+ * - flaky tests and the list of runs with their git info
+ */
+
+const CHECKS = [
+  { key: 'build', label: 'Build', icon: '🔨', short: 'B' },
+  { key: 'lint', label: 'Lint', icon: '🔍', short: 'L' },
+  { key: 'typeCheck', label: 'Type Check', icon: '📘', short: 'TS' },
+  { key: 'test', label: 'Tests', icon: '🧪', short: 'T' },
+];
+
+const CHART_WIDTH = 560;
+const CHART_HEIGHT = 180;
+const CHART_PADDING = { top: 14, right: 14, bottom: 28, left: 36 };
+const OTHER_REPO = '(other)';
+
+function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+const shortDate = (timestamp) => new Date(timestamp).toISOString().slice(0, 10);
+const dateTime = (timestamp) => new Date(timestamp).toISOString().slice(0, 16).replace('T', ' ');
+const firstLine = (text) => String(text ?? '').split('\n')[0];
+
+/**
+ * Whether a run introduced a regression in one check (or in any, without `check`).
+ */
+function hasRegression(run, check) {
+  const keys = check ? [check] : CHECKS.map(({ key }) => key);
+  return keys.some((key) => run.regressions.packages[key].length > 0 || (run.regressions.details[key]?.length ?? 0) > 0);
+}
+
+const runAnchor = (run) => (hasRegression(run) ? `regression-${run.index}` : `run-${run.index}`);
+
+function renderChart(runs, check) {
+  const innerWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+  const innerHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+  const values = runs.map((run) => run.failures[check.key] ?? 0);
+  const max = Math.max(1, ...values);
+  const x = (i) => CHART_PADDING.left + (runs.length === 1 ? innerWidth / 2 : (i / (runs.length - 1)) * innerWidth);
+  const y = (value) => CHART_PADDING.top + innerHeight - (value / max) * innerHeight;
+
+  const yTicks = [...new Set([0, Math.round(max / 2), max])];
+  const grid = yTicks.map((value) =>
+    `<line class="grid" x1="${CHART_PADDING.left}" x2="${CHART_WIDTH - CHART_PADDING.right}" y1="${y(value)}" y2="${y(value)}"/>` +
+    `<text class="axis" x="${CHART_PADDING.left - 6}" y="${y(value) + 4}" text-anchor="end">${value}</text>`).join('');
+
+  const labelEvery = Math.max(1, Math.ceil(runs.length / 6));
+  const xLabels = runs
+    .map((run, i) => (i % labelEvery === 0 || i === runs.length - 1
+      ? `<text class="axis" x="${x(i)}" y="${CHART_HEIGHT - 8}" text-anchor="middle">${shortDate(run.timestamp).slice(5)}</text>`
+      : ''))
+    .join('');
+
+  const line = `<polyline class="series" points="${values.map((value, i) => `${x(i)},${y(value)}`).join(' ')}"/>`;
+  const points = runs.map((run, i) => {
+    const regressed = hasRegression(run, check.key);
+    const tooltip = `${dateTime(run.timestamp)} · ${run.git.commit} (${run.git.branch})\n${check.label}: ${values[i]} failing package(s)` +
+      (regressed ? '\nRegression introduced — click for details' : '') + `\n${firstLine(run.git.message)}`;
+    return `<a href="#${runAnchor(run)}"><circle class="point${regressed ? ' regressed' : ''}" cx="${x(i)}" cy="${y(values[i])}" r="${regressed ? 5 : 3.5}"><title>${escapeHtml(tooltip)}</title></circle></a>`;
+  }).join('');
+
+  const last = values.at(-1);
+  const delta = values.length > 1 ? last - values.at(-2) : 0;
+  const deltaText = delta > 0 ? `<span class="bad">+${delta}</span>` : delta < 0 ? `<span class="good">${delta}</span>` : '<span class="muted">±0</span>';
+
+  return `<div class="card chart">
+  <h3>${check.icon} ${check.label} <span class="value">${last}</span> ${deltaText}</h3>
+  <svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" aria-label="${check.label} failures over time">${grid}${xLabels}${line}${points}</svg>
+</div>`;
+}
+
+// Failing package × check pairs of one run
+function failingChecks(run) {
+  const failing = new Map();
+  for (const { key } of CHECKS) {
+    for (const pkg of run.failedPackages[key] ?? []) {
+      if (!failing.has(pkg)) {failing.set(pkg, []);}
+      failing.get(pkg).push(key);
+    }
+  }
+  return failing;
+}
+
+function heatColor(value, max) {
+  if (!value) {return '#ecfdf5';}
+  const alpha = 0.25 + 0.75 * Math.min(1, value / Math.max(1, max));
+  return `rgba(220, 38, 38, ${alpha.toFixed(2)})`;
+}
+
+function runHeaderCells(runs) {
+  return runs
+    .map((run) => `<th class="run"><a href="#${runAnchor(run)}" title="${escapeHtml(`${dateTime(run.timestamp)} · ${run.git.branch}\n${firstLine(run.git.message)}`)}">${escapeHtml(run.git.commit)}</a></th>`)
+    .join('');
+}
+
+function renderRepoHeatmap(runs, repoOf) {
+  const counts = runs.map((run) => {
+    const perRepo = new Map();
+    for (const [pkg, checks] of failingChecks(run)) {
+      const repo = repoOf[pkg] ?? OTHER_REPO;
+      perRepo.set(repo, (perRepo.get(repo) ?? 0) + checks.length);
+    }
+    return perRepo;
+  });
+
+  const repos = [...new Set([...Object.values(repoOf), ...counts.flatMap((perRepo) => [...perRepo.keys()])])].sort((a, b) =>
+    (a === OTHER_REPO) - (b === OTHER_REPO) || a.localeCompare(b));
+  if (repos.length === 0) {return '<p class="muted">No repos found.</p>';}
+
+  const max = Math.max(1, ...counts.flatMap((perRepo) => [...perRepo.values()]));
+  const rows = repos.map((repo) => {
+    const cells = runs.map((run, i) => {
+      const value = counts[i].get(repo) ?? 0;
+      return `<td style="background:${heatColor(value, max)}" title="${escapeHtml(`${repo} @ ${run.git.commit}: ${value} failing check(s)`)}">${value || ''}</td>`;
+    }).join('');
+    return `<tr><th>${escapeHtml(repo)}</th>${cells}</tr>`;
+  }).join('\n');
+
+  return `<div class="heatmap"><table><thead><tr><th></th>${runHeaderCells(runs)}</tr></thead><tbody>\n${rows}\n</tbody></table></div>`;
+}
+
+function renderPackageHeatmap(runs, repoOf) {
+  const perRun = runs.map(failingChecks);
+  const failingRuns = new Map();
+  for (const failing of perRun) {
+    for (const pkg of failing.keys()) {failingRuns.set(pkg, (failingRuns.get(pkg) ?? 0) + 1);}
+  }
+  if (failingRuns.size === 0) {return '<p class="good">No package failed in any saved run.</p>';}
+
+  const packages = [...failingRuns.keys()].sort((a, b) => failingRuns.get(b) - failingRuns.get(a) || a.localeCompare(b));
+  const rows = packages.map((pkg) => {
+    const cells = perRun.map((failing, i) => {
+      const checks = failing.get(pkg) ?? [];
+      const labels = checks.map((key) => CHECKS.find((check) => check.key === key).short);
+      const title = checks.length > 0
+        ? `${pkg} @ ${runs[i].git.commit}: ${checks.map((key) => CHECKS.find((check) => check.key === key).label).join(', ')} failing`
+        : `${pkg} @ ${runs[i].git.commit}: passing`;
+      return `<td style="background:${heatColor(checks.length, CHECKS.length)}" title="${escapeHtml(title)}">${labels.join(' ')}</td>`;
+    }).join('');
+    return `<tr data-package="${escapeHtml(pkg.toLowerCase())}"><th title="${escapeHtml(repoOf[pkg] ?? OTHER_REPO)}">${escapeHtml(pkg)}</th>${cells}</tr>`;
+  }).join('\n');
+
+  return `<input id="package-filter" type="search" placeholder="Filter packages…">
+<div class="heatmap"><table id="package-heatmap"><thead><tr><th></th>${runHeaderCells(runs)}</tr></thead><tbody>\n${rows}\n</tbody></table></div>
+<p class="muted">${CHECKS.map((check) => `${check.short} = ${check.label}`).join(' · ')}</p>`;
+}
+
+function renderDetailItem(check, item) {
+  if (check === 'test') {
+    return `<li><code>${escapeHtml(item.key)}</code> <span class="muted">${escapeHtml(item.pkg)}</span>${item.flaky ? ' <span class="tag">flaky</span>' : ''}` +
+      `${item.message ? `<div class="muted">${escapeHtml(item.message)}</div>` : ''}</li>`;
+  }
+  if (check === 'lint') {
+    return `<li><code>${escapeHtml(item.key)}</code> <span class="muted">${escapeHtml(item.pkg)}</span> errors ${item.from.errors} → ${item.to.errors}, warnings ${item.from.warnings} → ${item.to.warnings} <span class="muted">${escapeHtml(item.at)}</span></li>`;
+  }
+  return `<li><code>${escapeHtml(item.key)}</code> <span class="muted">${escapeHtml(item.pkg)}</span> ${item.from} → ${item.to} <span class="muted">${escapeHtml(item.at)}</span><div class="muted">${escapeHtml(item.message)}</div></li>`;
+}
+
+function renderRegressions(runs) {
+  const regressed = runs.filter((run) => hasRegression(run)).reverse();
+  if (regressed.length === 0) {return '<p class="good">No regressions in the saved history.</p>';}
+
+  return regressed.map((run) => {
+    const previous = runs[runs.indexOf(run) - 1];
+    const previousLink = `<a href="#run-${previous.index}"><code>${escapeHtml(previous.git.commit)}</code></a> (${dateTime(previous.timestamp)})`;
+    // Same commit twice: the code didn't change, the environment or a flaky test did
+    const origin = previous.git.commit === run.git.commit
+      ? `Same commit as the previous run, ${previousLink} — not caused by a code change`
+      : `Introduced after ${previousLink} — see <code>git log ${escapeHtml(previous.git.commit)}..${escapeHtml(run.git.commit)}</code>`;
+    const sections = CHECKS.map((check) => {
+      const packages = run.regressions.packages[check.key];
+      const details = run.regressions.details[check.key] ?? [];
+      if (packages.length === 0 && details.length === 0) {return '';}
+      return `<div class="check"><h4>${check.icon} ${check.label}</h4>` +
+        (packages.length > 0 ? `<p>New failing packages: ${packages.map((pkg) => `<code>${escapeHtml(pkg)}</code>`).join(', ')}</p>` : '') +
+        (details.length > 0 ? `<ul>${details.map((item) => renderDetailItem(check.key, item)).join('')}</ul>` : '') +
+        '</div>';
+    }).join('');
+
+    return `<article class="card regression" id="regression-${run.index}">
+  <h3><code>${escapeHtml(run.git.commit)}</code> on <code>${escapeHtml(run.git.branch)}</code> <span class="muted">${dateTime(run.timestamp)}</span></h3>
+  <p class="message">${escapeHtml(firstLine(run.git.message))}</p>
+  <p class="muted">${origin}</p>
+  ${sections}
+</article>`;
+  }).join('\n');
+}
+
+function renderFlaky(flaky) {
+  if (flaky.length === 0) {return '<p class="good">No flaky tests detected.</p>';}
+  const rows = flaky.map((test) => `<tr><td><code>${escapeHtml(test.id)}</code><div class="muted">${escapeHtml(test.lastMessage)}</div></td>` +
+    `<td>${escapeHtml(test.pkg)}</td><td class="num">${test.flips}</td><td class="num">${test.failures}/${test.runs}</td>` +
+    `<td>${test.sameCommit ? 'yes' : ''}</td><td class="${test.lastStatus === 'failed' ? 'bad' : 'good'}">${test.lastStatus}</td></tr>`).join('\n');
+  return `<table class="list"><thead><tr><th>Test</th><th>Package</th><th>Flips</th><th>Failed runs</th><th>Same commit</th><th>Now</th></tr></thead><tbody>\n${rows}\n</tbody></table>`;
+}
+
+function renderRuns(runs) {
+  const rows = [...runs].reverse().map((run) => {
+    const counts = CHECKS.map(({ key }) => `<td class="num${run.failures[key] > 0 ? ' bad' : ''}">${run.failures[key] ?? 0}</td>`).join('');
+    const filter = run.filter && (run.filter.package || run.filter.repo || run.filter.scope);
+    return `<tr id="run-${run.index}"><td>${dateTime(run.timestamp)}</td><td><code>${escapeHtml(run.git.commit)}</code></td><td>${escapeHtml(run.git.branch)}</td>` +
+      `<td>${escapeHtml(firstLine(run.git.message))}${filter ? ` <span class="tag">${escapeHtml(filter)}</span>` : ''}</td>` +
+      `<td class="${run.status === 'passed' ? 'good' : 'bad'}">${escapeHtml(run.status)}</td>${counts}` +
+      `<td>${hasRegression(run) ? `<a href="#regression-${run.index}">regression</a>` : ''}</td></tr>`;
+  }).join('\n');
+  return `<table class="list"><thead><tr><th>Date</th><th>Commit</th><th>Branch</th><th>Message</th><th>Status</th>${CHECKS.map((check) => `<th>${check.label}</th>`).join('')}<th></th></tr></thead><tbody>\n${rows}\n</tbody></table>`;
+}
+
+const STYLES = `
+  * { box-sizing: border-box; }
+  body { margin: 0; font: 13px/1.45 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #111827; background: #f9fafb; }
+  header { padding: 14px 24px; background: #fff; border-bottom: 1px solid #e5e7eb; }
+  header h1 { font-size: 17px; margin: 0 0 2px; }
+  main { padding: 8px 24px 40px; max-width: 1400px; }
+  h2 { font-size: 15px; margin: 28px 0 10px; }
+  h3 { font-size: 13px; margin: 0 0 8px; }
+  h4 { font-size: 12px; margin: 10px 0 4px; }
+  a { color: #2563eb; text-decoration: none; }
+  code { font: 12px ui-monospace, SFMono-Regular, Menlo, monospace; }
+  .muted { color: #6b7280; } .good { color: #059669; } .bad { color: #dc2626; }
+  .card { background: #fff; border: 1px solid #e5e7eb; border-radius: 8px; padding: 12px 14px; }
+  .charts { display: grid; grid-template-columns: repeat(auto-fill, minmax(420px, 1fr)); gap: 12px; }
+  .chart .value { font-size: 16px; margin-left: 6px; }
+  .chart svg { width: 100%; height: auto; display: block; }
+  .grid { stroke: #f3f4f6; } .axis { font-size: 10px; fill: #6b7280; }
+  .series { fill: none; stroke: #2563eb; stroke-width: 2; }
+  .point { fill: #2563eb; cursor: pointer; } .point.regressed { fill: #dc2626; }
+  .heatmap { overflow-x: auto; background: #fff; border: 1px solid #e5e7eb; border-radius: 8px; }
+  .heatmap table { border-collapse: collapse; font-size: 11px; }
+  .heatmap th { text-align: left; font-weight: 500; white-space: nowrap; padding: 2px 8px; position: sticky; left: 0; background: #fff; }
+  .heatmap th.run { position: static; writing-mode: vertical-rl; transform: rotate(180deg); padding: 6px 2px; font-weight: 400; }
+  .heatmap td { min-width: 22px; height: 20px; text-align: center; border: 1px solid #fff; color: #fff; font-weight: 600; }
+  #package-filter { padding: 5px 8px; border: 1px solid #d1d5db; border-radius: 6px; width: 260px; margin-bottom: 8px; }
+  .regression { margin-bottom: 10px; border-left: 4px solid #dc2626; }
+  .regression:target { box-shadow: 0 0 0 3px #fecaca; }
+  .regression .message { margin: 0 0 4px; }
+  .regression ul { margin: 0; padding-left: 18px; } .regression li { margin: 3px 0; }
+  .tag { display: inline-block; padding: 0 6px; border-radius: 9px; background: #fef3c7; color: #92400e; font-size: 11px; }
+  table.list { border-collapse: collapse; width: 100%; background: #fff; border: 1px solid #e5e7eb; }
+  table.list th, table.list td { padding: 5px 8px; border-bottom: 1px solid #f3f4f6; text-align: left; vertical-align: top; }
+  table.list th { font-size: 11px; text-transform: uppercase; color: #6b7280; }
+  table.list .num { text-align: right; font-variant-numeric: tabular-nums; }
+  tr:target { background: #eff6ff; }
+`;
+
+// Browser code: the package filter is the only interactive part
+const SCRIPT = `
+(function () {
+  var input = document.getElementById('package-filter');
+  if (!input) { return; }
+  input.addEventListener('input', function () {
+    var query = input.value.trim().toLowerCase();
+    var rows = document.querySelectorAll('#package-heatmap tbody tr');
+    for (var i = 0; i < rows.length; i++) {
+      rows[i].style.display = !query || rows[i].getAttribute('data-package').indexOf(query) !== -1 ? '' : 'none';
+    }
+  });
+})();
+`;
+
+/**
+ * Render the dashboard.
+ *
+ * @param {{
+ *   generatedAt: string,
+ *   runs: Array<{
+ *     index: number, timestamp: string, status: string, filter?: object,
+ *     git: { commit: string, branch: string, message: string },
+ *     failures: Record<string, number>,
+ *     failedPackages: Record<string, string[]>,
+ *     regressions: { packages: Record<string, string[]>, details: Record<string, object[]> },
+ *   }>,
+ *   repoOf: Record<string, string>,
+ *   flaky: Array<{ id: string, pkg: string, flips: number, runs: number, failures: number, sameCommit: boolean, lastStatus: string, lastMessage: string }>,
+ * }} data - History runs, oldest first, with the regressions each introduced
+ * @returns {string} A complete HTML document
+ */
+export function renderQaDashboardHtml(data) {
+  const { runs, repoOf, flaky } = data;
+  const last = runs.at(-1);
+  const period = `${dateTime(runs[0].timestamp)} → ${dateTime(last.timestamp)}`;
+  const regressionCount = runs.filter((run) => hasRegression(run)).length;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>QA dashboard — ${runs.length} runs</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+  <h1>📊 QA dashboard</h1>
+  <span class="muted">${runs.length} run(s) · ${period} · latest <code>${escapeHtml(last.git.commit)}</code> on <code>${escapeHtml(last.git.branch)}</code>:
+  <span class="${last.status === 'passed' ? 'good' : 'bad'}">${escapeHtml(last.status)}</span> · ${regressionCount} regression(s) · ${flaky.length} flaky test(s) · generated ${escapeHtml(data.generatedAt)}</span>
+</header>
+<main>
+<h2>Failing packages over time</h2>
+<div class="charts">
+${CHECKS.map((check) => renderChart(runs, check)).join('\n')}
+</div>
+<h2>Failing checks per repo</h2>
+${renderRepoHeatmap(runs, repoOf)}
+<h2>Failing checks per package</h2>
+${renderPackageHeatmap(runs, repoOf)}
+<h2>Regressions (${regressionCount})</h2>
+${renderRegressions(runs)}
+<h2>Flaky tests (${flaky.length})</h2>
+${renderFlaky(flaky)}
+<h2>Runs</h2>
+${renderRuns(runs)}
+</main>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
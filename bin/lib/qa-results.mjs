@@ -0,0 +1,190 @@
+/**
+ * Structured QA results shared by kb-devkit-qa and kb-devkit-qa-history.
+ *
+ * kb-devkit-qa runs each package's own `lint` / `type-check` / `test` script.
+ * When the script is a plain `eslint ...` or `vitest ...` command, it also
+ * asks the tool for a JSON report (ESLint's JSON formatter, vitest's JSON
+ * reporter) in `.qa-cache/results/`. Type-check diagnostics are parsed from
+ * tsc's own output. The reports are reduced to failures keyed the way the
+ * history compares them:
+ *
+ * - lint:      `{ rules: { [ruleId]: { errors, warnings, at } } }`
+ * - typeCheck: `{ codes: { [TS code]: { count, at, message } } }`
+ * - test:      `{ total, failed: { [test id]: { at, message } } }`
+ *
+ * `at` is the first location (relative to the package) and a test id is
+ * `<file> > <describe> > <test>`. Packages whose scripts do something else
+ * only get the pass/fail outcome.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+export const RESULTS_DIR = path.join('.qa-cache', 'results');
+export const DETAILS_FILE = path.join('.qa-cache', 'details.json');
+
+// Chained or piped scripts: extra arguments would land on the wrong command
+const SINGLE_COMMAND_PATTERN = /^[^&|;]+$/;
+const ANSI_PATTERN = /\x1b\[[0-9;]*m/g;
+
+const TSC_DIAGNOSTIC_PATTERNS = [
+  /^(?<file>.+?)\((?<line>\d+),(?<column>\d+)\): error (?<code>TS\d+): (?<message>.*)$/, // --pretty false
+  /^(?<file>.+?):(?<line>\d+):(?<column>\d+) - error (?<code>TS\d+): (?<message>.*)$/, // --pretty
+  /^error (?<code>TS\d+): (?<message>.*)$/, // no location (TS18003 "No inputs were found", ...)
+];
+
+/**
+ * Extra script arguments that make the tool write a JSON report.
+ *
+ * @param {'lint'|'typeCheck'|'test'} check
+ * @param {string|undefined} script - The package's script text
+ * @param {string} outputFile - Absolute path for the report
+ * @returns {string[]|null} null when the script isn't a single eslint/vitest call
+ *   (or already picks its own output format); type-check needs no arguments
+ */
+export function structuredArgs(check, script, outputFile) {
+  if (!script || !SINGLE_COMMAND_PATTERN.test(script)) {return null;}
+
+  if (check === 'lint' && /^\s*eslint\s/.test(script) && !/\s(--format|-f|--output-file|-o)[\s=]/.test(script)) {
+    return ['--format', 'json', '--output-file', outputFile];
+  }
+  if (check === 'test' && /^\s*vitest(\s|$)/.test(script) && !/\s--(reporter|outputFile)[\s=.]/.test(script)) {
+    return ['--reporter=default', '--reporter=json', `--outputFile=${outputFile}`];
+  }
+  return null;
+}
+
+const relativeTo = (pkgDir, file) => (path.isAbsolute(file) ? path.relative(pkgDir, file) : file).split(path.sep).join('/');
+
+/**
+ * Reduce an ESLint JSON report.
+ *
+ * @param {Array<{ filePath: string, messages: Array<{ ruleId: string|null, severity: number, line?: number, column?: number }> }>} report
+ * @param {string} pkgDir - Package root (locations are made relative to it)
+ * @returns {{ rules: Record<string, { errors: number, warnings: number, at: string }> }}
+ */
+export function parseEslintReport(report, pkgDir) {
+  const rules = {};
+  for (const file of report) {
+    for (const message of file.messages ?? []) {
+      // Parse errors and similar have no rule
+      const ruleId = message.ruleId ?? (message.fatal ? 'fatal' : 'unknown');
+      const entry = (rules[ruleId] ??= { errors: 0, warnings: 0, at: `${relativeTo(pkgDir, file.filePath)}:${message.line ?? 1}:${message.column ?? 1}` });
+      if (message.severity === 2) {
+        entry.errors++;
+      } else {
+        entry.warnings++;
+      }
+    }
+  }
+  return { rules };
+}
+
+/**
+ * Reduce a vitest (Jest-compatible) JSON report.
+ *
+ * A test file that fails before running its tests (import error, syntax
+ * error) counts as one failed test with the id `<file> > (file)`.
+ *
+ * @param {{ numTotalTests?: number, testResults: Array<object> }} report
+ * @param {string} pkgDir - Package root
+ * @returns {{ total: number, failed: Record<string, { at: string, message: string }> }}
+ */
+export function parseVitestReport(report, pkgDir) {
+  const failed = {};
+  const firstLine = (text) => String(text ?? '').replace(ANSI_PATTERN, '').trim().split('\n')[0].slice(0, 300);
+
+  for (const file of report.testResults ?? []) {
+    const at = relativeTo(pkgDir, file.name);
+    const assertions = file.assertionResults ?? [];
+
+    for (const assertion of assertions) {
+      if (assertion.status !== 'failed') {continue;}
+      const id = [at, ...(assertion.ancestorTitles ?? []), assertion.title].join(' > ');
+      failed[id] = { at, message: firstLine(assertion.failureMessages?.[0]) };
+    }
+
+    if (file.status === 'failed' && !assertions.some((assertion) => assertion.status === 'failed')) {
+      failed[`${at} > (file)`] = { at, message: firstLine(file.message) };
+    }
+  }
+
+  return { total: report.numTotalTests ?? 0, failed };
+}
+
+/**
+ * Collect tsc diagnostics from command output (pretty or plain).
+ *
+ * @param {string} output - stdout + stderr of the type-check script
+ * @returns {{ codes: Record<string, { count: number, at: string, message: string }> }}
+ */
+export function parseTscOutput(output) {
+  const codes = {};
+  for (const rawLine of output.replace(ANSI_PATTERN, '').split('\n')) {
+    const line = rawLine.trim();
+    const match = TSC_DIAGNOSTIC_PATTERNS.map((pattern) => line.match(pattern)).find(Boolean);
+    if (!match) {continue;}
+
+    const { file, line: lineNumber, column, code, message } = match.groups;
+    const entry = (codes[code] ??= { count: 0, at: file ? `${file.split(path.sep).join('/')}:${lineNumber}:${column}` : '', message: message.slice(0, 300) });
+    entry.count++;
+  }
+  return { codes };
+}
+
+/**
+ * Read and reduce the report a structured run wrote.
+ *
+ * @param {'lint'|'test'} check
+ * @param {string} reportFile
+ * @param {string} pkgDir
+ * @returns {object|null} null when the tool didn't write a readable report
+ */
+export function readReport(check, reportFile, pkgDir) {
+  let report;
+  try {
+    report = JSON.parse(fs.readFileSync(reportFile, 'utf-8'));
+  } catch {
+    return null;
+  }
+  return check === 'lint' ? parseEslintReport(report, pkgDir) : parseVitestReport(report, pkgDir);
+}
+
+/**
+ * Failures as printable lines (`<key>  <count / location / message>`).
+ *
+ * @param {'lint'|'typeCheck'|'test'} check
+ * @param {object} details
+ * @returns {string[]}
+ */
+export function describeFailures(check, details) {
+  if (!details) {return [];}
+  if (check === 'lint') {
+    return Object.entries(details.rules).map(([rule, { errors, warnings, at }]) =>
+      `${rule}  ${errors} error(s), ${warnings} warning(s), first at ${at}`);
+  }
+  if (check === 'typeCheck') {
+    return Object.entries(details.codes).map(([code, { count, at, message }]) =>
+      `${code}  ×${count}${at ? ` first at ${at}` : ''}: ${message}`);
+  }
+  return Object.entries(details.failed).map(([id, { message }]) => `${id}${message ? `: ${message}` : ''}`);
+}
+
+/**
+ * Load the per-package details kept between runs.
+ *
+ * @returns {{ lint: object, typeCheck: object, test: object }}
+ */
+export function loadDetails(file = DETAILS_FILE) {
+  const empty = { lint: {}, typeCheck: {}, test: {} };
+  try {
+    return { ...empty, ...JSON.parse(fs.readFileSync(file, 'utf-8')) };
+  } catch {
+    return empty;
+  }
+}
+
+export function saveDetails(details, file = DETAILS_FILE) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(details, null, 2));
+}
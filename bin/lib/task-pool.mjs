@@ -0,0 +1,119 @@
+/**
+ * Bounded-concurrency task runner for devkit tools.
+ *
+ * Provides a small worker pool plus an async shell runner that buffers
+ * stdout/stderr per task, so callers can run many `pnpm --filter` commands
+ * side by side and still report their output package by package.
+ */
+
+import { spawn } from 'node:child_process';
+
+/**
+ * Parse a `--concurrency=N` style value.
+ *
+ * @param {string|undefined} raw - Raw flag value
+ * @param {number} [fallback=1] - Value used when raw is missing or invalid
+ * @returns {number} Positive integer concurrency
+ */
+export function parseConcurrency(raw, fallback = 1) {
+  const n = Number.parseInt(raw, 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+/**
+ * Run `worker` over `items` with at most `concurrency` tasks in flight.
+ *
+ * Results are returned in the same order as `items`, regardless of the order
+ * in which tasks complete. A worker that throws does not stop the pool; its
+ * error is returned as `{ error }` in the corresponding slot.
+ *
+ * @template T, R
+ * @param {T[]} items - Work items
+ * @param {number} concurrency - Maximum number of tasks running at once
+ * @param {(item: T, index: number) => Promise<R>} worker - Async task
+ * @param {object} [hooks]
+ * @param {(item: T, index: number) => void} [hooks.onStart] - Called when a task starts
+ * @param {(item: T, result: R|{error: Error}, index: number) => void} [hooks.onDone] - Called when a task settles
+ * @returns {Promise<Array<R|{error: Error}>>} Results in input order
+ */
+export async function runPool(items, concurrency, worker, { onStart, onDone } = {}) {
+  const results = new Array(items.length);
+  let cursor = 0;
+
+  async function lane() {
+    while (cursor < items.length) {
+      const index = cursor++;
+      const item = items[index];
+      onStart?.(item, index);
+      let result;
+      try {
+        result = await worker(item, index);
+      } catch (error) {
+        result = { error };
+      }
+      results[index] = result;
+      onDone?.(item, result, index);
+    }
+  }
+
+  const lanes = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: lanes }, () => lane()));
+  return results;
+}
+
+/**
+ * Run a shell command asynchronously, buffering its output.
+ *
+ * Never rejects: spawn failures are reported as a non-zero exit code with the
+ * error message appended to stderr.
+ *
+ * @param {string} command - Shell command line
+ * @param {object} [options]
+ * @param {string} [options.cwd] - Working directory
+ * @param {Record<string, string>} [options.env] - Extra environment variables
+ * @param {AbortSignal} [options.signal] - Kills the command (its whole process group) when aborted
+ * @returns {Promise<{ code: number, stdout: string, stderr: string, durationMs: number }>}
+ */
+export function runCommand(command, { cwd, env, signal } = {}) {
+  const startedAt = Date.now();
+
+  return new Promise((resolve) => {
+    let stdout = '';
+    let stderr = '';
+
+    // Abortable commands get their own process group: killing only the shell
+    // would leave `pnpm` and the build it started running
+    const child = spawn(command, {
+      cwd,
+      env: { ...process.env, ...env },
+      shell: true,
+      stdio: ['ignore', 'pipe', 'pipe'],
+      detached: Boolean(signal),
+    });
+
+    const abort = () => {
+      try {
+        process.kill(-child.pid, 'SIGTERM');
+      } catch {
+        child.kill('SIGTERM');
+      }
+    };
+    if (signal?.aborted) {
+      abort();
+    } else {
+      signal?.addEventListener('abort', abort, { once: true });
+    }
+
+    child.stdout.on('data', (chunk) => { stdout += chunk; });
+    child.stderr.on('data', (chunk) => { stderr += chunk; });
+
+    child.on('error', (err) => {
+      signal?.removeEventListener('abort', abort);
+      resolve({ code: 1, stdout, stderr: stderr + err.message, durationMs: Date.now() - startedAt });
+    });
+    child.on('close', (code) => {
+      signal?.removeEventListener('abort', abort);
+      resolve({ code: code ?? 1, stdout, stderr, durationMs: Date.now() - startedAt });
+    });
+  });
+}
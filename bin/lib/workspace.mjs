@@ -0,0 +1,507 @@
+/**
+ * Workspace model shared by every kb-devkit-* tool.
+ *
+ * One place that answers "which packages are in this workspace?", so every
+ * CLI reports the same package set:
+ * - reads pnpm-workspace.yaml globs, or the `workspaces` field of the root
+ *   package.json for npm/yarn workspaces (the workspace root's, and those of
+ *   nested repos that are workspaces themselves)
+ * - falls back to the repo layout (repos matching `devkit.repos` at the root or
+ *   inside a category dir, with `packages/*` and `apps/*`) for repos without one
+ * - caches parsed package.json / tsconfig data for the lifetime of the process
+ * - exposes repo, category and build layer per package
+ *
+ * Scope, repo globs, categories and naming pattern come from the `devkit`
+ * section of kb-labs.config.json at the workspace root and default to the
+ * KB Labs layout:
+ *
+ *   {
+ *     "devkit": {
+ *       "scope": "@kb-labs",
+ *       "repos": ["kb-labs-*"],
+ *       "categories": ["platform", "plugins", "infra", "templates", "installer", "sites"],
+ *       "naming": "{scope}/{repo}-{name}",
+ *       "coreRepos": ["kb-labs-core", ...]
+ *     }
+ *   }
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { globSync } from 'glob';
+import { parse as parseYaml } from 'yaml';
+
+import { buildDependencyGraph, computeLayers } from '../../graph/index.mjs';
+
+export const CATEGORIES = ['platform', 'plugins', 'infra', 'templates', 'installer', 'sites'];
+
+export const DEFAULT_DEVKIT_CONFIG = Object.freeze({
+  scope: '@kb-labs',
+  repos: ['kb-labs-*'],
+  categories: CATEGORIES,
+  naming: '{scope}/{repo}-{name}',
+  coreRepos: ['kb-labs-cli', 'kb-labs-core', 'kb-labs-shared', 'kb-labs-sdk', 'kb-labs-rest-api', 'kb-labs-plugin'],
+});
+
+// Used for repos that are not workspaces of their own
+const DEFAULT_REPO_PATTERNS = ['packages/*', 'apps/*'];
+const IGNORE = ['**/node_modules/**', '**/dist/**', '**/.kb/**'];
+const WORKSPACE_FILE = 'pnpm-workspace.yaml';
+export const CONFIG_FILE = 'kb-labs.config.json';
+
+const jsonCache = new Map();
+const workspaceCache = new Map();
+
+/**
+ * Strip // and /* *\/ comments and trailing commas from JSONC text
+ * (tsconfig files allow both).
+ *
+ * @param {string} text - JSONC source
+ * @returns {string} Plain JSON source
+ */
+export function stripJsonComments(text) {
+  let out = '';
+  let inString = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    const next = text[i + 1];
+
+    if (inString) {
+      out += ch;
+      if (ch === '\\') {
+        out += next ?? '';
+        i++;
+      } else if (ch === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inString = true;
+      out += ch;
+    } else if (ch === '/' && next === '/') {
+      while (i < text.length && text[i] !== '\n') {i++;}
+      out += '\n';
+    } else if (ch === '/' && next === '*') {
+      i += 2;
+      while (i < text.length && !(text[i] === '*' && text[i + 1] === '/')) {i++;}
+      i++;
+    } else {
+      out += ch;
+    }
+  }
+
+  return out.replace(/,(\s*[}\]])/g, '$1');
+}
+
+/**
+ * Read and parse a JSON (or JSONC) file, cached per absolute path.
+ *
+ * @param {string} filePath - File to read
+ * @returns {object|null} Parsed content, or null if missing/unparsable
+ */
+export function readJsonCached(filePath) {
+  const abs = path.resolve(filePath);
+  if (jsonCache.has(abs)) {return jsonCache.get(abs);}
+
+  let data = null;
+  try {
+    const text = fs.readFileSync(abs, 'utf-8');
+    try {
+      data = JSON.parse(text);
+    } catch {
+      data = JSON.parse(stripJsonComments(text));
+    }
+  } catch {
+    data = null;
+  }
+
+  jsonCache.set(abs, data);
+  return data;
+}
+
+// `workspaces` of a package.json: npm/yarn array form or yarn's `{ packages }` form
+function getManifestWorkspaces(dir) {
+  const manifest = readJsonCached(path.join(dir, 'package.json'));
+  const workspaces = Array.isArray(manifest?.workspaces) ? manifest.workspaces : manifest?.workspaces?.packages;
+  return Array.isArray(workspaces) ? workspaces : null;
+}
+
+function isWorkspaceDir(dir) {
+  return fs.existsSync(path.join(dir, WORKSPACE_FILE)) || getManifestWorkspaces(dir) !== null;
+}
+
+function readWorkspacePatterns(dir) {
+  if (!fs.existsSync(path.join(dir, WORKSPACE_FILE))) {
+    return (getManifestWorkspaces(dir) ?? []).filter((p) => typeof p === 'string' && p);
+  }
+  try {
+    const data = parseYaml(fs.readFileSync(path.join(dir, WORKSPACE_FILE), 'utf-8'));
+    return Array.isArray(data?.packages) ? data.packages.filter((p) => typeof p === 'string' && p) : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Detect the package manager of a workspace root from its lockfile
+ * (or the `packageManager` field of package.json).
+ *
+ * @param {string} root - Workspace root
+ * @returns {'pnpm'|'yarn'|'npm'}
+ */
+export function detectPackageManager(root) {
+  const declared = readJsonCached(path.join(root, 'package.json'))?.packageManager;
+  if (typeof declared === 'string') {
+    const name = declared.split('@')[0];
+    if (name === 'pnpm' || name === 'yarn' || name === 'npm') {return name;}
+  }
+  if (fs.existsSync(path.join(root, 'pnpm-lock.yaml')) || fs.existsSync(path.join(root, WORKSPACE_FILE))) {return 'pnpm';}
+  if (fs.existsSync(path.join(root, 'yarn.lock'))) {return 'yarn';}
+  if (fs.existsSync(path.join(root, 'package-lock.json'))) {return 'npm';}
+  return 'pnpm';
+}
+
+/**
+ * Load the `devkit` section of kb-labs.config.json, merged over the defaults.
+ *
+ * `scope` is normalized to a package name prefix (`scopePrefix`, e.g.
+ * `@kb-labs/`); an empty scope means "every workspace package".
+ *
+ * @param {string} root - Workspace root
+ * @returns {{ scope: string, scopePrefix: string, repos: string[], categories: string[], naming: string|null, coreRepos: string[], source: string|null }}
+ */
+export function loadDevkitConfig(root) {
+  const configPath = path.join(root, CONFIG_FILE);
+  const raw = readJsonCached(configPath)?.devkit;
+  const section = raw && typeof raw === 'object' ? raw : {};
+
+  const stringList = (value, fallback) =>
+    Array.isArray(value) ? value.filter((v) => typeof v === 'string' && v) : fallback;
+
+  const scope = typeof section.scope === 'string'
+    ? section.scope.replace(/\/+$/, '')
+    : DEFAULT_DEVKIT_CONFIG.scope;
+
+  return {
+    scope,
+    scopePrefix: scope ? `${scope}/` : '',
+    repos: stringList(section.repos, DEFAULT_DEVKIT_CONFIG.repos),
+    categories: stringList(section.categories, DEFAULT_DEVKIT_CONFIG.categories),
+    naming: section.naming === null || section.naming === false
+      ? null
+      : (typeof section.naming === 'string' ? section.naming : DEFAULT_DEVKIT_CONFIG.naming),
+    coreRepos: stringList(section.coreRepos, DEFAULT_DEVKIT_CONFIG.coreRepos),
+    source: raw ? configPath : null,
+  };
+}
+
+/**
+ * Whether a package name belongs to the configured scope.
+ *
+ * @param {string} name - Package name
+ * @param {{ scopePrefix: string }} config - Result of loadDevkitConfig
+ * @returns {boolean}
+ */
+export function isInScope(name, config) {
+  return typeof name === 'string' && name.startsWith(config.scopePrefix);
+}
+
+/**
+ * Package name without the configured scope (`@kb-labs/core-sys` → `core-sys`).
+ *
+ * @param {string} name - Package name
+ * @param {{ scopePrefix: string }} config - Result of loadDevkitConfig
+ * @returns {string}
+ */
+export function stripScope(name, config) {
+  return config.scopePrefix && name.startsWith(config.scopePrefix) ? name.slice(config.scopePrefix.length) : name;
+}
+
+/**
+ * Full package name for a short one (`core-sys` → `@kb-labs/core-sys`);
+ * names that already carry a scope are returned unchanged.
+ *
+ * @param {string} name - Short or full package name
+ * @param {{ scopePrefix: string }} config - Result of loadDevkitConfig
+ * @returns {string}
+ */
+export function withScope(name, config) {
+  return name.startsWith('@') ? name : `${config.scopePrefix}${name}`;
+}
+
+/**
+ * Find the workspace root for `startDir`: the nearest directory (itself or an
+ * ancestor) with a pnpm-workspace.yaml or a package.json declaring
+ * `workspaces`. With `ancestors`, the outermost one. Falls back to `startDir`
+ * when there is none.
+ *
+ * @param {string} [startDir=process.cwd()]
+ * @param {object} [options]
+ * @param {boolean} [options.ancestors=false] - Return the outermost workspace root
+ * @returns {string}
+ */
+export function findWorkspaceRoot(startDir = process.cwd(), { ancestors = false } = {}) {
+  const found = findWorkspaceFilesUp(startDir);
+  if (found.length === 0) {return path.resolve(startDir);}
+  return ancestors ? found[found.length - 1] : found[0];
+}
+
+// Workspace root dirs from startDir upwards, nearest first
+function findWorkspaceFilesUp(startDir) {
+  const dirs = [];
+  let current = path.resolve(startDir);
+  let prev = null;
+  while (current !== prev) {
+    if (isWorkspaceDir(current)) {
+      dirs.push(current);
+    }
+    prev = current;
+    current = path.dirname(current);
+  }
+  return dirs;
+}
+
+// Literal part of a repo glob's last segment before the first wildcard ('kb-labs-*' -> 'kb-labs-')
+function repoPrefixOf(pattern) {
+  const base = pattern.split('/').pop();
+  const wildcard = base.search(/[*?[{]/);
+  return wildcard === -1 ? '' : base.slice(0, wildcard);
+}
+
+// Match a single path segment against a simple glob (`*`, `?`)
+function matchesSegment(name, pattern) {
+  const source = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${source}$`).test(name);
+}
+
+// Repos matching the configured globs, flat (root/<repo>) and categorized (root/<category>/<repo>)
+function scanRepos(root, config) {
+  const repos = [];
+  const seen = new Set();
+
+  const addRepo = (dir, pattern, category) => {
+    if (seen.has(dir)) {return;}
+    seen.add(dir);
+    const name = path.basename(dir);
+    const prefix = repoPrefixOf(pattern);
+    repos.push({
+      name,
+      shortName: prefix && name.startsWith(prefix) ? name.slice(prefix.length) : name,
+      dir,
+      category,
+    });
+  };
+
+  // The workspace root itself may be a single repo (running from inside kb-labs-core)
+  for (const pattern of config.repos) {
+    if (matchesSegment(path.basename(root), pattern.split('/').pop())) {
+      addRepo(root, pattern, null);
+    }
+  }
+
+  const bases = [
+    { dir: root, category: null },
+    ...config.categories.map((category) => ({ dir: path.join(root, category), category })),
+  ];
+
+  for (const base of bases) {
+    if (!fs.existsSync(base.dir)) {continue;}
+    for (const pattern of config.repos) {
+      let matches = [];
+      try {
+        matches = globSync(pattern, { cwd: base.dir, absolute: true, ignore: IGNORE });
+      } catch {
+        // Invalid glob or unreadable dir, skip
+      }
+      for (const dir of matches.sort()) {
+        if (!fs.statSync(dir).isDirectory()) {continue;}
+        const parent = path.basename(path.dirname(dir));
+        addRepo(dir, pattern, base.category ?? (config.categories.includes(parent) ? parent : null));
+      }
+    }
+  }
+
+  return repos;
+}
+
+// Expand workspace globs (with `!negations`) to package.json paths
+function expandPatterns(dir, patterns) {
+  const include = patterns.filter((p) => !p.startsWith('!'));
+  const exclude = patterns.filter((p) => p.startsWith('!')).map((p) => p.slice(1));
+  if (include.length === 0) {return [];}
+
+  const toManifestGlob = (pattern) => {
+    const clean = pattern.replace(/\/+$/, '');
+    return clean === '.' || clean === '' ? 'package.json' : `${clean}/package.json`;
+  };
+
+  return globSync(include.map(toManifestGlob), {
+    cwd: dir,
+    dot: false,
+    nodir: true,
+    absolute: true,
+    ignore: [...IGNORE, ...exclude.map(toManifestGlob)],
+  });
+}
+
+function createPackage(workspace, packageJsonPath, manifest, repo) {
+  const dir = path.dirname(packageJsonPath);
+  let tsconfig;
+
+  return {
+    name: manifest.name,
+    version: manifest.version ?? null,
+    private: manifest.private === true,
+    dir,
+    relativeDir: path.relative(workspace.root, dir).replaceAll('\\', '/'),
+    packageJsonPath,
+    manifest,
+    /** Whether the name is in the configured scope (devkit.scope) */
+    inScope: isInScope(manifest.name, workspace.config),
+    /** Name without the configured scope */
+    shortName: stripScope(manifest.name, workspace.config),
+    repo: repo?.name ?? null,
+    repoShortName: repo?.shortName ?? null,
+    repoDir: repo?.dir ?? null,
+    category: repo?.category ?? null,
+    /** Parsed tsconfig.json of the package (null if absent), loaded on first access */
+    get tsconfig() {
+      if (tsconfig === undefined) {
+        tsconfig = readJsonCached(path.join(dir, 'tsconfig.json'));
+      }
+      return tsconfig;
+    },
+    /** 1-based build layer (null when caught in a dependency cycle), computed on first access */
+    get layer() {
+      return workspace.getLayer(manifest.name);
+    },
+  };
+}
+
+/**
+ * Load (or return the cached) workspace model for `startDir`.
+ *
+ * @param {string} [startDir=process.cwd()] - Any directory inside the workspace
+ * @param {object} [options]
+ * @param {boolean} [options.ancestors=false] - Also include packages of every
+ *   enclosing workspace (used by tools that run inside a single repo but need
+ *   cross-repo links, e.g. kb-devkit-paths)
+ * @param {boolean} [options.refresh=false] - Ignore cached data and rescan
+ * @returns {{
+ *   root: string,
+ *   config: ReturnType<typeof loadDevkitConfig>,
+ *   packageManager: 'pnpm'|'yarn'|'npm',
+ *   configs: Array<{ dir: string, patterns: string[], source: 'pnpm-workspace'|'package.json'|'repo-layout' }>,
+ *   repos: Array<{ name: string, shortName: string, dir: string, category: string|null }>,
+ *   packages: object[],
+ *   scopedPackages: object[],
+ *   packageJsonPaths: string[],
+ *   inScope: (name: string) => boolean,
+ *   isInternal: (name: string) => boolean,
+ *   getPackage: (name: string) => object|undefined,
+ *   getRepo: (filePath: string) => { name: string, shortName: string, dir: string, category: string|null }|null,
+ *   getLayer: (name: string) => number|null,
+ * }} `scopedPackages` are the packages in the configured scope — what checkers
+ *   analyze; `packages` is every workspace package.
+ */
+export function loadWorkspace(startDir = process.cwd(), { ancestors = false, refresh = false } = {}) {
+  const root = findWorkspaceRoot(startDir, { ancestors });
+  const cacheKey = `${root}|${ancestors}`;
+
+  if (refresh) {
+    workspaceCache.delete(cacheKey);
+    jsonCache.clear();
+  }
+  if (workspaceCache.has(cacheKey)) {return workspaceCache.get(cacheKey);}
+
+  const config = loadDevkitConfig(root);
+  const workspaceSource = (dir) => (fs.existsSync(path.join(dir, WORKSPACE_FILE)) ? 'pnpm-workspace' : 'package.json');
+
+  // Workspace roots: the root, plus (with `ancestors`) the ones between startDir and root
+  const configs = [];
+  const workspaceDirs = ancestors ? findWorkspaceFilesUp(startDir) : [root].filter(isWorkspaceDir);
+  for (const dir of workspaceDirs) {
+    configs.push({ dir, patterns: readWorkspacePatterns(dir), source: workspaceSource(dir) });
+  }
+
+  // Nested repos: their own workspace globs, or the conventional layout
+  const repos = scanRepos(root, config);
+  for (const repo of repos) {
+    if (configs.some((c) => c.dir === repo.dir)) {continue;}
+    const isWorkspace = isWorkspaceDir(repo.dir);
+    configs.push({
+      dir: repo.dir,
+      patterns: isWorkspace ? readWorkspacePatterns(repo.dir) : DEFAULT_REPO_PATTERNS,
+      source: isWorkspace ? workspaceSource(repo.dir) : 'repo-layout',
+    });
+  }
+
+  const workspace = {
+    root,
+    config,
+    packageManager: detectPackageManager(root),
+    configs,
+    repos,
+    packages: [],
+    scopedPackages: [],
+    packageJsonPaths: [],
+    inScope: (name) => isInScope(name, config),
+    // A workspace package, or (with a scope configured) any name in the scope
+    isInternal: (name) => byName.has(name) || (config.scopePrefix !== '' && isInScope(name, config)),
+    getPackage: (name) => byName.get(name),
+    getRepo: (filePath) => findRepo(repos, path.resolve(filePath)),
+    getLayer: (name) => {
+      if (!layers) {
+        layers = new Map();
+        const graph = buildDependencyGraph(workspace.packageJsonPaths, { scope: config.scopePrefix });
+        computeLayers(graph).layers.forEach((layer, i) => {
+          for (const pkg of layer) {layers.set(pkg, i + 1);}
+        });
+      }
+      return layers.get(name) ?? null;
+    },
+  };
+  const byName = new Map();
+  let layers = null;
+
+  // Repo roots and workspace roots are not packages themselves
+  const containerDirs = new Set([...configs.map((c) => c.dir), ...repos.map((r) => r.dir)]);
+  const seen = new Set();
+
+  for (const { dir, patterns } of configs) {
+    for (const packageJsonPath of expandPatterns(dir, patterns)) {
+      if (seen.has(packageJsonPath) || containerDirs.has(path.dirname(packageJsonPath))) {continue;}
+      seen.add(packageJsonPath);
+
+      const manifest = readJsonCached(packageJsonPath);
+      if (!manifest?.name || typeof manifest.name !== 'string') {continue;}
+      // First occurrence wins if two dirs declare the same name
+      if (byName.has(manifest.name)) {continue;}
+
+      const repo = findRepo(repos, path.dirname(packageJsonPath));
+      const pkg = createPackage(workspace, packageJsonPath, manifest, repo);
+      byName.set(pkg.name, pkg);
+    }
+  }
+
+  workspace.packages = [...byName.values()].sort((a, b) => a.name.localeCompare(b.name));
+  workspace.scopedPackages = workspace.packages.filter((p) => p.inScope);
+  workspace.packageJsonPaths = workspace.packages.map((p) => p.packageJsonPath);
+
+  workspaceCache.set(cacheKey, workspace);
+  return workspace;
+}
+
+// Innermost repo containing `dir`
+function findRepo(repos, dir) {
+  let best = null;
+  for (const repo of repos) {
+    if (dir === repo.dir || dir.startsWith(repo.dir + path.sep)) {
+      if (!best || repo.dir.length > best.dir.length) {best = repo;}
+    }
+  }
+  return best;
+}
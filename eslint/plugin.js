@@ -17,6 +17,7 @@ const ALLOWED_EXTERNAL = [
 ]
 
 // Platform internals that plugins must NOT import directly
+// (workspace-wide edge rules with import sites: architecture.rules.json, see kb-devkit-architecture)
 const FORBIDDEN_PATTERNS = [
   '@kb-labs/core-*',
   '@kb-labs/cli-*',
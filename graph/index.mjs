@@ -0,0 +1,333 @@
+// Public API: workspace dependency graph used by devkit bins and by consumers via import('@kb-labs/devkit/graph')
+//
+// Everything here returns plain objects/arrays — no ANSI output, no process.exit —
+// so tools can share one topological layering instead of re-deriving it.
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { findWorkspaceRoot, loadDevkitConfig, loadWorkspace } from '../bin/lib/workspace.mjs';
+
+const SCOPE = '@kb-labs/';
+
+/**
+ * Whether a dependency spec points into the workspace.
+ * Supports: workspace:*, workspace:^1.0.0, link:../path, *
+ *
+ * @param {string} version - Version spec from package.json
+ * @returns {boolean}
+ */
+export function isWorkspaceSpec(version) {
+  return typeof version === 'string' && (
+    version.startsWith('workspace:') ||
+    version.startsWith('link:') ||
+    version === '*'
+  );
+}
+
+/**
+ * Build the package dependency graph from package.json paths.
+ *
+ * Only workspace packages of the scope (`@kb-labs/` unless given) become
+ * nodes; an edge is added for every dependency/devDependency that resolves to
+ * another node through a workspace protocol.
+ *
+ * @param {string[]} packageJsonPaths - Paths to package.json files
+ * @param {object} [options]
+ * @param {string} [options.scope='@kb-labs/'] - Package name prefix; '' accepts every package
+ * @returns {Map<string, { name: string, path: string, dir: string, version: string|null, deps: Set<string>, dependents: Set<string> }>}
+ */
+export function buildDependencyGraph(packageJsonPaths, { scope = SCOPE } = {}) {
+  const graph = new Map();
+  const manifests = new Map();
+
+  // First pass: collect all package names
+  for (const packagePath of packageJsonPaths) {
+    let packageJson;
+    try {
+      packageJson = JSON.parse(fs.readFileSync(packagePath, 'utf-8'));
+    } catch {
+      continue;
+    }
+    const packageName = packageJson.name;
+
+    if (!packageName || !packageName.startsWith(scope)) {continue;}
+
+    manifests.set(packageName, packageJson);
+    graph.set(packageName, {
+      name: packageName,
+      path: packagePath,
+      dir: path.dirname(packagePath),
+      version: packageJson.version ?? null,
+      deps: new Set(),
+      dependents: new Set(),
+    });
+  }
+
+  // Second pass: build dependency edges
+  for (const [packageName, packageJson] of manifests) {
+    const allDeps = {
+      ...packageJson.dependencies,
+      ...packageJson.devDependencies,
+    };
+
+    for (const [dep, version] of Object.entries(allDeps)) {
+      // Skip external dependencies
+      if (!dep.startsWith(scope) || dep === packageName) {continue;}
+
+      if (isWorkspaceSpec(version) && graph.has(dep)) {
+        graph.get(packageName).deps.add(dep);
+        graph.get(dep).dependents.add(packageName);
+      }
+    }
+  }
+
+  return graph;
+}
+
+const defaultGetDeps = (node) => node.deps;
+
+/**
+ * Topological sort using Kahn's algorithm.
+ * Returns layers of packages that can be built in parallel.
+ *
+ * @param {Map<string, object>} graph - Package graph
+ * @param {object} [options]
+ * @param {(node: object) => Iterable<string>} [options.getDeps] - Edge accessor (defaults to `node.deps`)
+ * @returns {{ layers: string[][], sorted: string[], circular: string[] }}
+ *   `circular` lists packages that could not be placed because they are on,
+ *   or depend on, a dependency cycle.
+ */
+export function computeLayers(graph, { getDeps = defaultGetDeps } = {}) {
+  // Calculate in-degree (number of dependencies) for each package
+  const inDegree = new Map();
+  const reverseDeps = new Map(); // who depends on me
+
+  for (const [pkg, node] of graph.entries()) {
+    if (!inDegree.has(pkg)) {
+      inDegree.set(pkg, 0);
+    }
+    if (!reverseDeps.has(pkg)) {
+      reverseDeps.set(pkg, new Set());
+    }
+
+    for (const dep of getDeps(node)) {
+      if (!graph.has(dep)) {continue;}
+      inDegree.set(pkg, (inDegree.get(pkg) || 0) + 1);
+
+      if (!reverseDeps.has(dep)) {
+        reverseDeps.set(dep, new Set());
+      }
+      reverseDeps.get(dep).add(pkg);
+    }
+  }
+
+  // Find packages with no dependencies (can be built first)
+  const queue = [];
+  for (const [pkg, degree] of inDegree.entries()) {
+    if (degree === 0) {
+      queue.push(pkg);
+    }
+  }
+
+  const layers = [];
+  const sorted = [];
+
+  while (queue.length > 0) {
+    // All packages in queue can be built in parallel (same layer)
+    const layer = [...queue];
+    layers.push(layer);
+    sorted.push(...layer);
+
+    queue.length = 0;
+
+    // Process all packages in current layer
+    for (const pkg of layer) {
+      // For each package that depends on this one
+      for (const dependent of reverseDeps.get(pkg) || []) {
+        inDegree.set(dependent, inDegree.get(dependent) - 1);
+
+        // If all dependencies are satisfied, add to queue
+        if (inDegree.get(dependent) === 0) {
+          queue.push(dependent);
+        }
+      }
+    }
+  }
+
+  // Check for circular dependencies
+  const placed = new Set(sorted);
+  const circular = Array.from(graph.keys()).filter((pkg) => !placed.has(pkg));
+
+  return { layers, sorted, circular };
+}
+
+/**
+ * Find circular dependency cycles using DFS.
+ *
+ * @param {Map<string, object>} graph - Package graph
+ * @param {string[]} circularPackages - Packages to search (usually `computeLayers().circular`)
+ * @param {object} [options]
+ * @param {(node: object) => Iterable<string>} [options.getDeps] - Edge accessor (defaults to `node.deps`)
+ * @returns {string[][]} Cycles, each closed (`[a, b, a]`); rotations are reported once
+ */
+export function findCycles(graph, circularPackages, { getDeps = defaultGetDeps } = {}) {
+  const cycles = [];
+  const keys = new Set();
+  const candidates = new Set(circularPackages);
+  const visited = new Set();
+  const recursionStack = new Set();
+  const stack = [];
+
+  function dfs(pkg) {
+    if (recursionStack.has(pkg)) {
+      // Found a cycle - extract it from the current path
+      const cycleStart = stack.indexOf(pkg);
+      const cycle = [...stack.slice(cycleStart), pkg];
+
+      // Check if this cycle is new (not a rotation of existing cycle)
+      const cycleKey = cycle.slice(0, -1).sort().join('→');
+      if (!keys.has(cycleKey)) {
+        keys.add(cycleKey);
+        cycles.push(cycle);
+      }
+      return;
+    }
+
+    if (visited.has(pkg)) {
+      return;
+    }
+
+    visited.add(pkg);
+    recursionStack.add(pkg);
+    stack.push(pkg);
+
+    const node = graph.get(pkg);
+    if (node) {
+      for (const dep of getDeps(node)) {
+        // Only follow dependencies that are in circular packages
+        if (candidates.has(dep)) {
+          dfs(dep);
+        }
+      }
+    }
+
+    stack.pop();
+    recursionStack.delete(pkg);
+  }
+
+  // Start DFS from each circular package
+  for (const pkg of circularPackages) {
+    if (!visited.has(pkg)) {
+      dfs(pkg);
+    }
+  }
+
+  return cycles;
+}
+
+/**
+ * Build order for one package: its transitive dependencies first, the package last.
+ *
+ * @param {Map<string, object>} graph - Package graph
+ * @param {string} packageName - Target package
+ * @param {object} [options]
+ * @param {(node: object) => Iterable<string>} [options.getDeps] - Edge accessor (defaults to `node.deps`)
+ * @returns {string[]}
+ */
+export function getBuildOrderForPackage(graph, packageName, { getDeps = defaultGetDeps } = {}) {
+  const visited = new Set();
+  const order = [];
+
+  function visit(pkg) {
+    if (visited.has(pkg)) {return;}
+    visited.add(pkg);
+
+    const node = graph.get(pkg);
+    if (!node) {return;}
+
+    // Visit dependencies first
+    for (const dep of getDeps(node)) {
+      visit(dep);
+    }
+
+    order.push(pkg);
+  }
+
+  visit(packageName);
+  return order;
+}
+
+/**
+ * All packages that (transitively) depend on the given packages.
+ *
+ * @param {Map<string, object>} graph - Package graph built by buildDependencyGraph
+ * @param {Iterable<string>} packageNames - Starting packages (not included in the result)
+ * @returns {Set<string>}
+ */
+export function getTransitiveDependents(graph, packageNames) {
+  const start = new Set(packageNames);
+  const result = new Set();
+  const queue = [...start];
+
+  while (queue.length > 0) {
+    const node = graph.get(queue.shift());
+    if (!node) {continue;}
+    for (const dependent of node.dependents) {
+      if (result.has(dependent) || start.has(dependent)) {continue;}
+      result.add(dependent);
+      queue.push(dependent);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Discover workspace packages under `rootDir` and compute the build graph.
+ *
+ * @param {string} [rootDir=process.cwd()] - Workspace root
+ * @param {object} [options]
+ * @param {string[]} [options.packageJsonPaths] - Use these package.json files instead of discovering them
+ * @param {string} [options.scope] - Package name prefix (defaults to `devkit.scope` from kb-labs.config.json)
+ * @returns {{
+ *   graph: Map<string, object>,
+ *   layers: string[][],
+ *   sorted: string[],
+ *   circular: string[],
+ *   cycles: string[][],
+ *   packages: Record<string, {
+ *     name: string, dir: string, packageJsonPath: string, version: string|null,
+ *     layer: number|null, dependencies: string[], dependents: string[]
+ *   }>
+ * }} `layer` is 1-based (matches "Layer N" in kb-devkit-build-order output)
+ *   and null for packages caught in a cycle.
+ */
+export function loadBuildGraph(rootDir = process.cwd(), { packageJsonPaths, scope } = {}) {
+  const graph = buildDependencyGraph(packageJsonPaths ?? loadWorkspace(rootDir).packageJsonPaths, {
+    scope: scope ?? loadDevkitConfig(findWorkspaceRoot(rootDir)).scopePrefix,
+  });
+  const { layers, sorted, circular } = computeLayers(graph);
+  const cycles = circular.length > 0 ? findCycles(graph, circular) : [];
+
+  const layerOf = new Map();
+  layers.forEach((layer, i) => {
+    for (const pkg of layer) {layerOf.set(pkg, i + 1);}
+  });
+
+  const packages = {};
+  for (const name of [...graph.keys()].sort()) {
+    const node = graph.get(name);
+    packages[name] = {
+      name,
+      dir: node.dir,
+      packageJsonPath: node.path,
+      version: node.version,
+      layer: layerOf.get(name) ?? null,
+      dependencies: [...node.deps].sort(),
+      dependents: [...node.dependents].sort(),
+    };
+  }
+
+  return { graph, layers, sorted, circular, cycles, packages };
+}
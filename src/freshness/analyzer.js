@@ -1,8 +1,17 @@
 /**
  * Staleness detection with 3 criteria:
  * 1. Version mismatch
- * 2. Time-based (src newer than dist)
+ * 2. Source changed since the build
  * 3. Dependency staleness (dependency rebuilt after package)
+ *
+ * Packages with a valid build stamp (see stamp.js) are judged by content
+ * hashes: source and tsup config hashes against the stamp, and each
+ * dependency's current dist hash against the one recorded at build time.
+ * Unstamped packages fall back to comparing modification times.
+ *
+ * A rebuilt dependency is told apart by its public API fingerprint (.d.ts):
+ * a changed API is `public-api-changed`; an unchanged one doesn't make
+ * packages that only import its types stale.
  */
 
 /**
@@ -22,8 +31,44 @@ export function analyzeStaleness(pkgName, meta, graph, allMetadata, options) {
     });
   }
 
-  // Criterion 2: Time-based Staleness
-  if (meta.distExists && meta.srcMtime && meta.distMtime) {
+  // Build stamp state: missing stamps and stamps of a since-rebuilt dist fall back to mtimes
+  if (meta.distExists && !meta.stamp) {
+    issues.push({
+      type: 'unstamped',
+      severity: 'info',
+      message: 'No build stamp, comparing modification times (run kb-devkit-freshness --stamp after building)',
+    });
+  } else if (meta.distExists && !meta.stamped) {
+    issues.push({
+      type: 'stamp-outdated',
+      severity: 'warning',
+      message: 'dist/ changed after its build stamp was written (rebuilt without --stamp?)',
+      stampedAt: meta.stamp.builtAt,
+    });
+  }
+
+  // Criterion 2: Source Changed
+  if (meta.stamped) {
+    if (meta.sourceHash !== meta.stamp.sourceHash) {
+      issues.push({
+        type: 'source-changed',
+        severity: 'warning',
+        message: 'Source changed since last build',
+        expected: meta.stamp.sourceHash,
+        actual: meta.sourceHash,
+      });
+    }
+
+    if (meta.tsupConfigHash !== meta.stamp.tsupConfigHash) {
+      issues.push({
+        type: 'config-changed',
+        severity: 'warning',
+        message: 'tsup config changed since last build',
+        expected: meta.stamp.tsupConfigHash,
+        actual: meta.tsupConfigHash,
+      });
+    }
+  } else if (meta.distExists && meta.srcMtime && meta.distMtime) {
     if (meta.srcMtime > meta.distMtime) {
       const ageMs = meta.srcMtime - meta.distMtime;
       const ageDays = ageMs / (1000 * 60 * 60 * 24);
@@ -45,7 +90,16 @@ export function analyzeStaleness(pkgName, meta, graph, allMetadata, options) {
     for (const [depName, depMeta] of node.dependencies) {
       if (!depMeta.distExists || !depMeta.distMtime) {continue;}
 
-      // Check if dependency was rebuilt AFTER this package
+      // Stamped: was this package built against the dependency's current dist?
+      const builtAgainst = meta.stamped ? meta.stamp.dependencies?.[depName] : undefined;
+      if (builtAgainst !== undefined) {
+        if (builtAgainst !== depMeta.distHash) {
+          issues.push(rebuiltDependencyIssue(depName, depMeta, meta, builtAgainst));
+        }
+        continue;
+      }
+
+      // Unstamped (or a dependency the stamp doesn't list): check if dependency was rebuilt AFTER this package
       if (depMeta.distMtime > meta.distMtime) {
         const ageMs = depMeta.distMtime - meta.distMtime;
         const ageDays = ageMs / (1000 * 60 * 60 * 24);
@@ -73,9 +127,9 @@ export function analyzeStaleness(pkgName, meta, graph, allMetadata, options) {
   }
 
   // Criterion 5: Age Detection (if --age-days specified)
-  if (options.ageDays && meta.distMtime) {
+  if (options.ageDays && meta.builtAt) {
     const now = Date.now();
-    const ageMs = now - meta.distMtime;
+    const ageMs = now - meta.builtAt;
     const ageDays = ageMs / (1000 * 60 * 60 * 24);
 
     if (ageDays > options.ageDays) {
@@ -106,6 +160,57 @@ export function analyzeStaleness(pkgName, meta, graph, allMetadata, options) {
   };
 }
 
+/**
+ * Issue for a stamped package whose dependency has different output than at
+ * build time, judged by the dependency's public API fingerprint
+ */
+function rebuiltDependencyIssue(depName, depMeta, meta, builtAgainst) {
+  const apiBuiltAgainst = meta.stamp.dependencyApis?.[depName];
+
+  // Old stamps and packages without declarations: no API to compare
+  if (!apiBuiltAgainst || !depMeta.apiHash) {
+    return {
+      type: 'dependency-stale',
+      severity: 'error',
+      message: `Depends on ${depName} which was rebuilt with different output since this build`,
+      dependency: depName,
+      expected: builtAgainst,
+      actual: depMeta.distHash,
+    };
+  }
+
+  if (apiBuiltAgainst !== depMeta.apiHash) {
+    return {
+      type: 'public-api-changed',
+      severity: 'error',
+      message: `Public API (.d.ts) of ${depName} changed since this build`,
+      dependency: depName,
+      expected: apiBuiltAgainst,
+      actual: depMeta.apiHash,
+    };
+  }
+
+  // Same API: only runtime consumers pick up the new implementation
+  if (meta.typeOnlyDependencies.includes(depName)) {
+    return {
+      type: 'dependency-implementation-changed',
+      severity: 'info',
+      message: `${depName} was rebuilt with the same public API (only its types are imported here)`,
+      dependency: depName,
+    };
+  }
+
+  return {
+    type: 'dependency-stale',
+    severity: 'error',
+    message: `Depends on ${depName} which was rebuilt with the same public API but different output`,
+    dependency: depName,
+    expected: builtAgainst,
+    actual: depMeta.distHash,
+    publicApi: 'unchanged',
+  };
+}
+
 /**
  * Determine overall status from issues
  */
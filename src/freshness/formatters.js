@@ -1,5 +1,5 @@
 /**
- * Output formatters: Table, JSON, Markdown, Tree
+ * Output formatters: Table, JSON, Markdown, Tree, Watch status
  */
 
 import { topologicalSort } from './graph.js';
@@ -24,11 +24,11 @@ function log(message, color = 'reset') {
 /**
  * Format age in human-readable format
  */
-function formatAge(distMtime) {
-  if (!distMtime) {return '-';}
+function formatAge(builtAt) {
+  if (!builtAt) {return '-';}
 
   const now = Date.now();
-  const ageMs = now - distMtime;
+  const ageMs = now - builtAt;
 
   const minutes = Math.floor(ageMs / (1000 * 60));
   const hours = Math.floor(ageMs / (1000 * 60 * 60));
@@ -52,6 +52,13 @@ function formatAge(distMtime) {
   return `${days}d`;
 }
 
+/**
+ * Format a build duration (`850ms`, `2.4s`)
+ */
+export function formatDuration(ms) {
+  return ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`;
+}
+
 /**
  * Get status icon
  */
@@ -71,7 +78,7 @@ function getStatusIcon(status) {
 /**
  * Get primary issue message
  */
-function getPrimaryIssue(result) {
+export function getPrimaryIssue(result) {
   if (result.issues.length === 0) {return '-';}
 
   // Prioritize errors, then warnings, then info
@@ -170,7 +177,7 @@ export function printTable(freshnessResults, graph, metadata, options) {
     const statusText = `${statusIcon} ${result.status.padEnd(7)}`;
     const impactText = result.impactScore.toString().padStart(4);
     const issue = getPrimaryIssue(result).substring(0, issueWidth);
-    const age = formatAge(result.meta.distMtime);
+    const age = formatAge(result.meta.builtAt);
 
     const color = result.status === 'fresh' ? 'green' : result.status === 'stale' ? 'yellow' : 'red';
 
@@ -217,6 +224,7 @@ export function printTable(freshnessResults, graph, metadata, options) {
       if (rebuildOrder.length > 10) {
         log(`   ... and ${rebuildOrder.length - 10} more`, 'gray');
       }
+      log('   Run kb-devkit-freshness --rebuild to build them (and their dependents)', 'gray');
       log('');
     }
   }
@@ -264,10 +272,17 @@ export function printJSON(freshnessResults, graph, metadata, options) {
         timestamps: {
           srcMtime: result.meta.srcMtime,
           distMtime: result.meta.distMtime,
-          ageDays: result.meta.distMtime
-            ? (Date.now() - result.meta.distMtime) / (1000 * 60 * 60 * 24)
+          ageDays: result.meta.builtAt
+            ? (Date.now() - result.meta.builtAt) / (1000 * 60 * 60 * 24)
             : null,
         },
+        build: {
+          stamped: result.meta.stamped,
+          builtAt: result.meta.stamped ? result.meta.stamp.builtAt : null,
+          sourceHash: result.meta.sourceHash,
+          distHash: result.meta.distHash,
+          apiHash: result.meta.apiHash,
+        },
         issues: result.issues,
         dependencies: {
           workspace: dependencies,
@@ -315,7 +330,7 @@ export function printMarkdown(freshnessResults, graph, metadata, options) {
     for (let i = 0; i < highImpact.length; i++) {
       const pkg = highImpact[i];
       const result = Array.from(freshnessResults.values()).find((r) => r.pkgName === pkg.name);
-      const age = formatAge(result?.meta.distMtime);
+      const age = formatAge(result?.meta.builtAt);
 
       console.log(`${i + 1}. **${pkg.name}** (${pkg.affectedCount} affected)`);
       console.log(`   - ${getStatusIcon(result.status)} ${pkg.reason}`);
@@ -331,7 +346,7 @@ export function printMarkdown(freshnessResults, graph, metadata, options) {
 
     for (const result of staleResults) {
       const issue = getPrimaryIssue(result);
-      const age = formatAge(result.meta.distMtime);
+      const age = formatAge(result.meta.builtAt);
       console.log(`| ${result.pkgName} | ${issue} | ${result.impactScore} | ${age} |`);
     }
     console.log('');
@@ -347,6 +362,7 @@ export function printMarkdown(freshnessResults, graph, metadata, options) {
       console.log(`pnpm --filter ${pkg} run build`);
     }
     console.log('```\n');
+    console.log('Or build them and their dependents in one go: `kb-devkit-freshness --rebuild`\n');
   }
 }
 
@@ -426,3 +442,77 @@ function printPackageTree(pkgName, graph, results, depth, visited) {
 
   visited.delete(pkgName);
 }
+
+const WATCH_STATUS = {
+  queued: { icon: '⏳', color: 'gray' },
+  building: { icon: '🔨', color: 'cyan' },
+  built: { icon: '✅', color: 'green' },
+  failed: { icon: '❌', color: 'red' },
+  skipped: { icon: '⏭️ ', color: 'yellow' },
+  cancelled: { icon: '🚫', color: 'gray' },
+};
+
+function watchRowNote(row) {
+  switch (row.status) {
+    case 'failed':
+      return (row.output ?? '').split('\n').filter(Boolean).pop() ?? '';
+    case 'cancelled':
+      return 'superseded by a newer change';
+    case 'queued':
+    case 'skipped':
+      return row.reason ?? '';
+    default:
+      return '';
+  }
+}
+
+/**
+ * Format the live status table of --watch (one string, redrawn on every update).
+ * Only packages of the current cycle get a row; the rest are counted as fresh.
+ */
+export function formatWatchStatus(state, { maxRows = 20 } = {}) {
+  const paint = (message, color) => `${colors[color]}${message}${colors.reset}`;
+  const lines = [];
+
+  const phase = {
+    starting: 'starting',
+    idle: 'idle',
+    debouncing: 'change detected',
+    building: `cycle ${state.cycle}`,
+  }[state.phase];
+  lines.push(paint(`👀 Watching ${state.total} package(s) · ${phase}`, 'blue'));
+
+  if (state.lastChange) {
+    const at = new Date(state.lastChange.at).toLocaleTimeString();
+    lines.push(paint(`   Last change: ${state.lastChange.name} (${state.lastChange.file}) at ${at}`, 'gray'));
+  }
+  lines.push('');
+
+  const rows = [...state.rows.values()];
+  if (rows.length > 0) {
+    const nameWidth = Math.min(45, Math.max(...rows.map((row) => row.name.length)));
+    for (const row of rows.slice(0, maxRows)) {
+      const { icon, color } = WATCH_STATUS[row.status];
+      const elapsed = row.status === 'building' ? Date.now() - row.startedAt : row.durationMs;
+      const time = elapsed ? formatDuration(elapsed) : '';
+      const note = watchRowNote(row);
+      lines.push(paint(`   ${icon} ${row.status.padEnd(9)} ${row.name.padEnd(nameWidth)} ${time.padStart(7)}  ${note.substring(0, 60)}`, color));
+    }
+    if (rows.length > maxRows) {
+      lines.push(paint(`   ... and ${rows.length - maxRows} more`, 'gray'));
+    }
+    lines.push('');
+  }
+
+  const count = (status) => rows.filter((row) => row.status === status).length;
+  const summary = [
+    `${state.fresh} fresh`,
+    count('building') > 0 && `${count('building')} building`,
+    count('queued') > 0 && `${count('queued')} queued`,
+    count('failed') > 0 && `${count('failed')} failed`,
+    count('cancelled') > 0 && `${count('cancelled')} cancelled`,
+  ].filter(Boolean);
+  lines.push(paint(`   ${summary.join(' · ')}    (Ctrl+C to stop)`, count('failed') > 0 ? 'red' : 'gray'));
+
+  return lines.join('\n');
+}
@@ -5,6 +5,8 @@
 import fs from 'node:fs';
 import path from 'node:path';
 
+import { computeLayers } from '../../graph/index.mjs';
+
 /**
  * Resolve workspace:* or link: dependency to actual package metadata
  */
@@ -72,8 +74,8 @@ export function buildDependencyGraph(packages, metadata) {
     const deps = { ...node.meta.dependencies, ...node.meta.devDependencies };
 
     for (const [depName, depSpec] of Object.entries(deps)) {
-      // Skip external dependencies
-      if (!depName.startsWith('@kb-labs/')) {continue;}
+      // Skip external dependencies (only workspace packages have metadata)
+      if (!metadata.has(depName) && !String(depSpec).startsWith('link:')) {continue;}
 
       // Resolve workspace:* and link: references
       const resolvedMeta = resolveDependency(
@@ -100,41 +102,21 @@ export function buildDependencyGraph(packages, metadata) {
 }
 
 /**
- * Topological sort for build order suggestion
+ * Topological sort for build order suggestion.
+ *
+ * Uses the shared Kahn layering from @kb-labs/devkit/graph, restricted to
+ * `packageNames`. Packages caught in a dependency cycle are appended last.
  */
 export function topologicalSort(packageNames, graph) {
-  const result = [];
-  const visited = new Set();
-  const temp = new Set();
-
-  function visit(pkgName) {
-    if (temp.has(pkgName)) {
-      // Circular dependency - skip this iteration
-      return;
-    }
-    if (visited.has(pkgName)) {return;}
-
-    temp.add(pkgName);
-
-    const node = graph.get(pkgName);
-    if (node) {
-      for (const [depName] of node.dependencies) {
-        if (packageNames.includes(depName)) {
-          visit(depName);
-        }
-      }
-    }
-
-    temp.delete(pkgName);
-    visited.add(pkgName);
-    result.push(pkgName);
+  const subset = new Set(packageNames);
+  const subgraph = new Map();
+  for (const pkgName of packageNames) {
+    subgraph.set(pkgName, graph.get(pkgName) ?? { dependencies: new Map() });
   }
 
-  for (const pkg of packageNames) {
-    if (!visited.has(pkg)) {
-      visit(pkg);
-    }
-  }
+  const { sorted, circular } = computeLayers(subgraph, {
+    getDeps: (node) => [...node.dependencies.keys()].filter((dep) => subset.has(dep)),
+  });
 
-  return result;
+  return [...sorted, ...circular];
 }
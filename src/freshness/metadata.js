@@ -5,23 +5,29 @@
 import fs from 'node:fs';
 import path from 'node:path';
 
+import { findPackages as findWorkspacePackages } from '../../bin/lib/find-packages.mjs';
+import {
+  findSourceFiles,
+  getPackageName,
+  isLocalImport,
+  isNodeBuiltin,
+  isTypeOnlyUsage,
+  scanFileImports,
+} from '../../bin/lib/imports.mjs';
+import { isInScope, loadWorkspace } from '../../bin/lib/workspace.mjs';
+import { computeHashes, readBuildStamp } from './stamp.js';
+
 /**
- * Recursively discovers all packages across every `kb-labs-*` sub-repository
- * found directly inside `rootDir`.
+ * Discovers all packages of the workspace containing `rootDir`.
  *
- * For each sub-repository directory whose name starts with `kb-labs-`, the
- * function looks for a `packages/` sub-directory and collects the absolute
- * path of every `package.json` found one level deeper. Directories that do
- * not contain a `packages/` folder, or package entries that lack a
- * `package.json`, are silently skipped.
+ * Delegates to the shared workspace model, so freshness sees the same package
+ * set as every other devkit tool (pnpm-workspace.yaml globs plus the flat and
+ * categorized `kb-labs-*` layouts).
  *
- * @param {string} rootDir - Absolute (or relative) path to the monorepo root
- *   directory whose immediate children are the individual `kb-labs-*` repos.
+ * @param {string} rootDir - Workspace root (or any directory inside it).
  * @param {string} [filterPackage] - Optional package directory name to limit
- *   results to a single package. When provided, only the package whose
- *   directory name matches this value exactly is included in the output.
- * @returns {string[]} An array of absolute paths to `package.json` files, one
- *   entry per discovered (and optionally filtered) package.
+ *   results to a single package.
+ * @returns {string[]} An array of absolute paths to `package.json` files.
  *
  * @example
  * // Discover every package in the monorepo
@@ -32,34 +38,7 @@ import path from 'node:path';
  * const one = findPackages('/workspace', 'my-package');
  */
 export function findPackages(rootDir, filterPackage) {
-  const packages = [];
-  const entries = fs.readdirSync(rootDir, { withFileTypes: true });
-
-  for (const entry of entries) {
-    if (!entry.isDirectory() || !entry.name.startsWith('kb-labs-')) {continue;}
-
-    const repoPath = path.join(rootDir, entry.name);
-    const packagesDir = path.join(repoPath, 'packages');
-
-    if (!fs.existsSync(packagesDir)) {continue;}
-
-    const packageDirs = fs.readdirSync(packagesDir, { withFileTypes: true });
-
-    for (const pkgDir of packageDirs) {
-      if (!pkgDir.isDirectory()) {continue;}
-
-      // Filter by package name if specified
-      if (filterPackage && pkgDir.name !== filterPackage) {continue;}
-
-      const packageJsonPath = path.join(packagesDir, pkgDir.name, 'package.json');
-
-      if (fs.existsSync(packageJsonPath)) {
-        packages.push(packageJsonPath);
-      }
-    }
-  }
-
-  return packages;
+  return findWorkspacePackages(rootDir, filterPackage);
 }
 
 /**
@@ -103,14 +82,43 @@ function getLatestMtime(dir) {
   return latestMtime > 0 ? latestMtime : null;
 }
 
+/**
+ * Declared dependencies that src/ only imports for their types
+ * (`import type`, `export type`, `import { type A }`). Those consumers depend
+ * on a dependency's public API, not on its implementation.
+ */
+function findTypeOnlyDependencies(packageDir, declared) {
+  const usages = new Map();
+
+  for (const sourceFile of findSourceFiles(packageDir)) {
+    for (const { specifier, kind } of scanFileImports(sourceFile)) {
+      if (isLocalImport(specifier) || isNodeBuiltin(specifier)) {continue;}
+
+      const depName = getPackageName(specifier);
+      if (!declared.has(depName)) {continue;}
+      if (!usages.has(depName)) {usages.set(depName, []);}
+      usages.get(depName).push({ kind });
+    }
+  }
+
+  return [...usages.keys()].filter((depName) => isTypeOnlyUsage(usages.get(depName))).sort();
+}
+
 /**
  * Collect metadata for a single package
+ *
+ * @param {string} packageJsonPath
+ * @param {object} [config] - Devkit config of the workspace being analyzed
+ *   (`loadWorkspace(rootDir).config`). A package's nearest workspace can be its
+ *   own repo, whose root doesn't hold kb-labs.config.json, so it is not looked
+ *   up per package.
  */
-export function collectMetadata(packageJsonPath) {
+export function collectMetadata(packageJsonPath, config = loadWorkspace(process.cwd()).config) {
   const packageDir = path.dirname(packageJsonPath);
   const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf-8'));
 
-  if (!packageJson.name || !packageJson.name.startsWith('@kb-labs/')) {
+  // Only packages in the configured scope (devkit.scope in kb-labs.config.json)
+  if (!packageJson.name || !isInScope(packageJson.name, config)) {
     return null;
   }
 
@@ -123,6 +131,12 @@ export function collectMetadata(packageJsonPath) {
   const distExists = fs.existsSync(distDir);
   const distMtime = distExists ? getLatestMtime(distDir) : null;
 
+  // Content hashes and the build stamp written by the last stamped build
+  const { sourceHash, tsupConfigHash, distHash, apiHash } = computeHashes(packageDir);
+  const stamp = distExists ? readBuildStamp(packageDir) : null;
+  // A stamp only describes dist/ as long as dist/ wasn't rebuilt without stamping
+  const stamped = Boolean(stamp) && stamp.distHash === distHash;
+
   // Extract built version from dist/package.json if exists
   const distPackageJsonPath = path.join(distDir, 'package.json');
   let builtVersion = null;
@@ -161,20 +175,34 @@ export function collectMetadata(packageJsonPath) {
     distMtime,
     distExists,
     builtVersion,
+    sourceHash,
+    tsupConfigHash,
+    distHash,
+    apiHash,
+    stamp,
+    stamped,
+    builtAt: stamped ? Date.parse(stamp.builtAt) : distMtime,
     dependencies: packageJson.dependencies || {},
     devDependencies: packageJson.devDependencies || {},
+    typeOnlyDependencies: findTypeOnlyDependencies(
+      packageDir,
+      new Set(Object.keys({ ...packageJson.dependencies, ...packageJson.devDependencies })),
+    ),
     hasDts,
   };
 }
 
 /**
  * Collect metadata for all packages
+ *
+ * @param {string[]} packages - package.json paths
+ * @param {object} [config] - Devkit config of the workspace (see collectMetadata)
  */
-export async function collectAllMetadata(packages) {
+export async function collectAllMetadata(packages, config = loadWorkspace(process.cwd()).config) {
   const metadata = new Map();
 
   for (const packagePath of packages) {
-    const meta = collectMetadata(packagePath);
+    const meta = collectMetadata(packagePath, config);
     if (meta) {
       metadata.set(meta.name, meta);
     }
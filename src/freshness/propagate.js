@@ -1,7 +1,27 @@
 /**
  * Staleness propagation and impact score calculation
+ *
+ * Staleness flows to every dependent, except to packages that only import a
+ * stale package's types when rebuilding it cannot change its public API.
  */
 
+/**
+ * Whether rebuilding a stale package leaves its public API as it is: all of
+ * its problems are dependencies rebuilt with an unchanged API.
+ */
+export function isApiNeutral(result) {
+  const problems = result?.issues.filter((i) => i.severity === 'error' || i.severity === 'warning') ?? [];
+  return problems.length > 0 && problems.every((i) => i.publicApi === 'unchanged');
+}
+
+/**
+ * Whether staleness of `pkgName` reaches `dependent`
+ */
+export function propagatesTo(pkgName, dependent, graph, freshnessResults) {
+  const typeOnly = graph.get(dependent)?.meta.typeOnlyDependencies?.includes(pkgName);
+  return !(typeOnly && isApiNeutral(freshnessResults.get(pkgName)));
+}
+
 /**
  * Propagate staleness transitively through dependency graph
  */
@@ -29,9 +49,13 @@ function propagateStaleFlag(pkgName, graph, results, visited) {
   const node = graph.get(pkgName);
   if (!node) {return 0;}
 
-  let count = node.dependents.size;
+  let count = 0;
+  const apiNeutral = isApiNeutral(results.get(pkgName));
 
   for (const dependent of node.dependents) {
+    if (!propagatesTo(pkgName, dependent, graph, results)) {continue;}
+    count++;
+
     const depResult = results.get(dependent);
 
     // Mark dependent as transitively stale (if it's currently fresh)
@@ -41,6 +65,7 @@ function propagateStaleFlag(pkgName, graph, results, visited) {
         severity: 'warning',
         message: `Depends on stale package ${pkgName}`,
         staleDependency: pkgName,
+        ...(apiNeutral ? { publicApi: 'unchanged' } : {}),
       });
       depResult.status = 'stale';
     }
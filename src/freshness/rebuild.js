@@ -0,0 +1,119 @@
+/**
+ * Rebuild the stale set in dependency order
+ *
+ * The plan is every stale or never-built package plus the dependents its
+ * staleness propagates to (see propagate.js), ordered with topologicalSort. Builds run with bounded
+ * concurrency: a package starts once the dependencies before it in the plan
+ * have finished, and is skipped when one of them failed.
+ */
+
+import { runCommand, runPool } from '../../bin/lib/task-pool.mjs';
+import { getPrimaryIssue } from './formatters.js';
+import { topologicalSort } from './graph.js';
+import { propagatesTo } from './propagate.js';
+import { writeBuildStamp } from './stamp.js';
+
+/**
+ * Packages to rebuild, in build order.
+ *
+ * @param {Map<string, object>} freshnessResults - Results of analyzeStaleness (after propagation)
+ * @param {Map<string, object>} graph - Graph from buildDependencyGraph
+ * @returns {Array<{ name: string, reason: string }>} `reason` is the primary issue, or the stale
+ *   dependency that pulled a dependent into the plan
+ */
+export function planRebuild(freshnessResults, graph) {
+  const stale = [...freshnessResults.values()]
+    .filter((r) => r.status === 'stale' || r.status === 'never-built')
+    .map((r) => r.pkgName);
+
+  const planned = new Set(stale);
+  const queue = [...stale];
+  while (queue.length > 0) {
+    const name = queue.shift();
+    for (const dependent of graph.get(name)?.dependents ?? []) {
+      if (planned.has(dependent) || !propagatesTo(name, dependent, graph, freshnessResults)) {continue;}
+      planned.add(dependent);
+      queue.push(dependent);
+    }
+  }
+
+  return topologicalSort([...planned], graph).map((name) => {
+    const result = freshnessResults.get(name);
+    if (result && result.status !== 'fresh' && result.issues.length > 0) {
+      return { name, reason: getPrimaryIssue(result) };
+    }
+    const plannedDep = [...(graph.get(name)?.dependencies.keys() ?? [])].find((dep) => planned.has(dep));
+    return { name, reason: `Depends on ${plannedDep ?? 'a stale package'}, which is rebuilt first` };
+  });
+}
+
+/**
+ * Build the planned packages and stamp each successful build.
+ *
+ * @param {Array<{ name: string }>} plan - Result of planRebuild
+ * @param {Map<string, object>} graph - Graph from buildDependencyGraph
+ * @param {object} options
+ * @param {string} options.cwd - Workspace root (where `pnpm --filter` runs)
+ * @param {number} [options.concurrency=1] - Maximum builds at once
+ * @param {(name: string) => AbortSignal|undefined} [options.signalFor] - Cancels the build of one
+ *   package (before it starts or while it runs)
+ * @param {(name: string) => void} [options.onStart]
+ * @param {(name: string, result: object) => void} [options.onDone]
+ * @returns {Promise<Array<{ name: string, status: 'built'|'failed'|'skipped'|'cancelled', durationMs: number, output?: string, reason?: string }>>}
+ *   In plan order
+ */
+export async function runRebuild(plan, graph, { cwd, concurrency = 1, signalFor, onStart, onDone }) {
+  const names = plan.map((entry) => entry.name);
+  const position = new Map(names.map((name, i) => [name, i]));
+
+  // Settled per package, so dependents can wait on their dependencies
+  const settled = new Map();
+  const resolvers = new Map();
+  for (const name of names) {
+    settled.set(name, new Promise((resolve) => {
+      resolvers.set(name, resolve);
+    }));
+  }
+
+  async function build(name, index) {
+    // Only dependencies earlier in the plan: cycle members are appended last in any order
+    const deps = [...(graph.get(name)?.dependencies.keys() ?? [])]
+      .filter((dep) => position.has(dep) && position.get(dep) < index);
+    const depResults = await Promise.all(deps.map((dep) => settled.get(dep)));
+    const signal = signalFor?.(name);
+    if (signal?.aborted) {
+      return { name, status: 'cancelled', durationMs: 0 };
+    }
+
+    const failedDep = deps.find((dep, i) => depResults[i].status !== 'built');
+    if (failedDep) {
+      return { name, status: 'skipped', durationMs: 0, reason: `${failedDep} did not build` };
+    }
+
+    onStart?.(name);
+    const run = await runCommand(`pnpm --filter "${name}" run build`, { cwd, signal });
+    if (signal?.aborted) {
+      return { name, status: 'cancelled', durationMs: run.durationMs };
+    }
+    if (run.code !== 0) {
+      return { name, status: 'failed', durationMs: run.durationMs, output: (run.stderr || run.stdout).trim() };
+    }
+
+    const node = graph.get(name);
+    writeBuildStamp(node.meta, [...node.dependencies.values()]);
+    return { name, status: 'built', durationMs: run.durationMs };
+  }
+
+  return runPool(names, concurrency, async (name, index) => {
+    let result;
+    try {
+      result = await build(name, index);
+    } catch (error) {
+      result = { name, status: 'failed', durationMs: 0, output: error.message };
+    }
+    // Always settle, or dependents would wait forever
+    resolvers.get(name)(result);
+    onDone?.(name, result);
+    return result;
+  });
+}
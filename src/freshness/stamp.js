@@ -0,0 +1,191 @@
+/**
+ * Content-hash build stamps
+ *
+ * A stamp in dist/ records what a build was made from: the hash of src/, the
+ * tsup config hash and the dist hash of every workspace dependency at build
+ * time. Comparing stamps instead of mtimes is exact and gives the same answer
+ * on every machine (git checkouts, `touch`, CI caches and clock skew don't
+ * change content hashes).
+ *
+ * Stamps also carry the public API fingerprint (the emitted .d.ts surface) of
+ * the package and of each dependency, so a dependency rebuilt with the same
+ * API can be told apart from one whose API changed.
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import ts from 'typescript';
+
+export const STAMP_FILE = '.kb-build-stamp.json';
+
+const STAMP_SCHEMA = 1;
+
+const TSUP_CONFIG_FILES = ['tsup.config.ts', 'tsup.config.mts', 'tsup.config.js', 'tsup.config.mjs', 'tsup.config.cjs'];
+
+const DECLARATION_FILE_PATTERN = /\.d\.(ts|mts|cts)$/;
+
+/**
+ * Files below `dir` as sorted posix paths relative to it
+ */
+function listFiles(dir) {
+  const files = [];
+
+  function walk(currentDir) {
+    let entries;
+    try {
+      entries = fs.readdirSync(currentDir, { withFileTypes: true });
+    } catch {
+      // Skip directories we can't access
+      return;
+    }
+
+    for (const entry of entries) {
+      const fullPath = path.join(currentDir, entry.name);
+      if (entry.isDirectory()) {
+        if (entry.name !== 'node_modules') {walk(fullPath);}
+      } else if (entry.isFile()) {
+        files.push(path.relative(dir, fullPath).split(path.sep).join('/'));
+      }
+    }
+  }
+
+  walk(dir);
+  return files.sort();
+}
+
+/**
+ * Hash the contents of a directory (relative paths and file contents).
+ *
+ * @param {string} dir - Directory to hash
+ * @param {object} [options]
+ * @param {string[]} [options.exclude] - Relative paths to leave out
+ * @returns {string|null} `sha256:<hex>`, or null when the directory doesn't exist
+ */
+export function hashDirectory(dir, { exclude = [] } = {}) {
+  if (!fs.existsSync(dir)) {return null;}
+
+  const hash = crypto.createHash('sha256');
+  for (const file of listFiles(dir)) {
+    if (exclude.includes(file)) {continue;}
+    try {
+      const content = fs.readFileSync(path.join(dir, file));
+      hash.update(file).update('\0').update(content).update('\0');
+    } catch {
+      // Skip files we can't read
+    }
+  }
+  return `sha256:${hash.digest('hex')}`;
+}
+
+/**
+ * Hash of the package's tsup config file.
+ *
+ * @param {string} packageDir - Package root
+ * @returns {string|null} `sha256:<hex>`, or null when the package has no tsup config
+ */
+export function hashTsupConfig(packageDir) {
+  const configFile = TSUP_CONFIG_FILES.find((file) => fs.existsSync(path.join(packageDir, file)));
+  if (!configFile) {return null;}
+
+  const content = fs.readFileSync(path.join(packageDir, configFile));
+  return `sha256:${crypto.createHash('sha256').update(content).digest('hex')}`;
+}
+
+/**
+ * Public API fingerprint: the declaration files in dist/, reprinted without
+ * comments so doc-comment and formatting changes don't count.
+ *
+ * @param {string} distDir - Package dist/ directory
+ * @returns {string|null} `sha256:<hex>`, or null when dist/ has no declaration files
+ */
+export function hashPublicApi(distDir) {
+  if (!fs.existsSync(distDir)) {return null;}
+
+  const files = listFiles(distDir).filter((file) => DECLARATION_FILE_PATTERN.test(file));
+  if (files.length === 0) {return null;}
+
+  const printer = ts.createPrinter({ removeComments: true });
+  const hash = crypto.createHash('sha256');
+  for (const file of files) {
+    try {
+      const content = fs.readFileSync(path.join(distDir, file), 'utf-8');
+      const sourceFile = ts.createSourceFile(file, content, ts.ScriptTarget.Latest, false, ts.ScriptKind.TS);
+      hash.update(file).update('\0').update(printer.printFile(sourceFile)).update('\0');
+    } catch {
+      // Skip files we can't read
+    }
+  }
+  return `sha256:${hash.digest('hex')}`;
+}
+
+/**
+ * Content hashes of a package as it is on disk now.
+ *
+ * @param {string} packageDir - Package root
+ * @returns {{ sourceHash: string|null, tsupConfigHash: string|null, distHash: string|null, apiHash: string|null }}
+ *   `distHash` leaves out the stamp itself
+ */
+export function computeHashes(packageDir) {
+  const distDir = path.join(packageDir, 'dist');
+  return {
+    sourceHash: hashDirectory(path.join(packageDir, 'src')),
+    tsupConfigHash: hashTsupConfig(packageDir),
+    distHash: hashDirectory(distDir, { exclude: [STAMP_FILE] }),
+    apiHash: hashPublicApi(distDir),
+  };
+}
+
+/**
+ * Read the build stamp of a package.
+ *
+ * @param {string} packageDir - Package root
+ * @returns {object|null} The stamp, or null when missing, unreadable or of an unknown schema
+ */
+export function readBuildStamp(packageDir) {
+  try {
+    const stamp = JSON.parse(fs.readFileSync(path.join(packageDir, 'dist', STAMP_FILE), 'utf-8'));
+    return stamp?.schema === STAMP_SCHEMA ? stamp : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Write a build stamp into dist/. Call it right after building the package:
+ * the stamp declares that the current dist was built from the current sources
+ * against the current dists (and public APIs) of `dependencies`.
+ *
+ * @param {{ name: string, version: string, dir: string }} meta - Package metadata (see collectMetadata)
+ * @param {Array<{ name: string, dir: string }>} dependencies - Workspace dependencies of the package
+ * @returns {object|null} The stamp written, or null when the package has no dist/
+ */
+export function writeBuildStamp(meta, dependencies) {
+  const distDir = path.join(meta.dir, 'dist');
+  if (!fs.existsSync(distDir)) {return null;}
+
+  const { sourceHash, tsupConfigHash, distHash, apiHash } = computeHashes(meta.dir);
+  const dependencyHashes = {};
+  const dependencyApis = {};
+  for (const dep of [...dependencies].sort((a, b) => a.name.localeCompare(b.name))) {
+    const depDist = path.join(dep.dir, 'dist');
+    dependencyHashes[dep.name] = hashDirectory(depDist, { exclude: [STAMP_FILE] });
+    dependencyApis[dep.name] = hashPublicApi(depDist);
+  }
+
+  const stamp = {
+    schema: STAMP_SCHEMA,
+    name: meta.name,
+    version: meta.version,
+    builtAt: new Date().toISOString(),
+    sourceHash,
+    tsupConfigHash,
+    distHash,
+    apiHash,
+    dependencies: dependencyHashes,
+    dependencyApis,
+  };
+
+  fs.writeFileSync(path.join(distDir, STAMP_FILE), JSON.stringify(stamp, null, 2) + '\n');
+  return stamp;
+}
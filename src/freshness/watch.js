@@ -0,0 +1,189 @@
+/**
+ * Watch mode: keep the workspace continuously built
+ *
+ * Watches src/ of every package. Changes are debounced into a cycle that
+ * re-analyzes freshness and rebuilds the stale set plus its dependents in
+ * layer order (see rebuild.js). A change that arrives while a cycle runs
+ * cancels the builds it makes obsolete — the changed package and everything
+ * depending on it — and the next cycle picks them up again.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { getTransitiveDependents } from '../../graph/index.mjs';
+import { planRebuild, runRebuild } from './rebuild.js';
+
+// Editor swap/backup files and similar noise
+const IGNORED_FILE_PATTERN = /(^|[\\/])(\.#|#)|(~|\.swp|\.swx|\.tmp)$/;
+
+/**
+ * Start watching.
+ *
+ * @param {object} options
+ * @param {Array<{ name: string, dir: string }>} options.packages - Packages to watch
+ * @param {() => Promise<{ graph: Map, freshnessResults: Map }>} options.analyze - Fresh analysis
+ *   of the workspace (metadata, graph, analyzeStaleness, propagateStaleness)
+ * @param {string} options.cwd - Workspace root (where builds run)
+ * @param {number} [options.concurrency=4] - Maximum builds at once
+ * @param {number} [options.debounceMs=300] - Quiet period before a cycle starts
+ * @param {(event: object, state: object) => void} [options.onEvent] - Called on every state change
+ *   (`watching`, `change`, `cycle-start`, `build-start`, `build-done`, `cycle-end`, `idle`, `error`)
+ * @returns {{ state: object, stop: () => Promise<void> }}
+ */
+export function watchWorkspace({ packages, analyze, cwd, concurrency = 4, debounceMs = 300, onEvent }) {
+  const state = {
+    phase: 'starting', // starting | idle | debouncing | building
+    cycle: 0,
+    total: packages.length,
+    fresh: 0,
+    lastChange: null, // { name, file, at }
+    rows: new Map(), // name -> { name, status, startedAt, durationMs, reason, output }
+  };
+
+  const emit = (event) => onEvent?.(event, state);
+
+  let graph = null;
+  let timer = null;
+  let running = null; // Promise of the current cycle
+  let controllers = new Map(); // name -> AbortController of the current cycle
+  let stopped = false;
+  const pending = new Set();
+
+  /**
+   * One cycle: analyze, plan, build; repeats while changes came in meanwhile
+   */
+  async function runCycles() {
+    while (!stopped) {
+      pending.clear();
+      state.cycle++;
+      state.phase = 'building';
+
+      const analysis = await analyze();
+      graph = analysis.graph;
+      const plan = planRebuild(analysis.freshnessResults, graph);
+      const planned = new Set(plan.map((entry) => entry.name));
+      state.fresh = [...analysis.freshnessResults.keys()].filter((name) => !planned.has(name)).length;
+
+      // Rows of the previous cycle that are fresh now drop out of the table
+      state.rows = new Map(plan.map((entry) => [entry.name, { name: entry.name, status: 'queued', reason: entry.reason }]));
+      controllers = new Map(plan.map((entry) => [entry.name, new AbortController()]));
+      emit({ type: 'cycle-start', plan });
+
+      if (plan.length > 0) {
+        await runRebuild(plan, graph, {
+          cwd,
+          concurrency,
+          signalFor: (name) => controllers.get(name)?.signal,
+          onStart: (name) => {
+            Object.assign(state.rows.get(name), { status: 'building', startedAt: Date.now() });
+            emit({ type: 'build-start', name });
+          },
+          onDone: (name, result) => {
+            Object.assign(state.rows.get(name), {
+              status: result.status,
+              durationMs: result.durationMs,
+              output: result.output,
+              ...(result.reason ? { reason: result.reason } : {}),
+            });
+            if (result.status === 'built') {state.fresh++;}
+            emit({ type: 'build-done', name, result });
+          },
+        });
+      }
+
+      emit({ type: 'cycle-end', rows: [...state.rows.values()] });
+
+      // Changes during the cycle: run again once they've settled
+      if (pending.size === 0 || timer) {break;}
+    }
+
+    running = null;
+    if (stopped) {return;}
+    if (timer) {
+      state.phase = 'debouncing';
+    } else {
+      state.phase = 'idle';
+      emit({ type: 'idle' });
+    }
+  }
+
+  function startCycles() {
+    running = runCycles().catch((error) => {
+      running = null;
+      state.phase = 'idle';
+      emit({ type: 'error', error });
+    });
+  }
+
+  /**
+   * Cancel builds that a change to `name` makes obsolete
+   */
+  function cancelObsolete(name) {
+    if (!running || !graph) {return;}
+
+    const obsolete = [name, ...getTransitiveDependents(graph, [name])];
+    for (const pkgName of obsolete) {
+      const controller = controllers.get(pkgName);
+      const row = state.rows.get(pkgName);
+      if (controller && !controller.signal.aborted && (row?.status === 'queued' || row?.status === 'building')) {
+        controller.abort();
+      }
+    }
+  }
+
+  function onChange(pkg, file) {
+    if (stopped || (file && IGNORED_FILE_PATTERN.test(file))) {return;}
+
+    pending.add(pkg.name);
+    state.lastChange = { name: pkg.name, file: file ? path.join('src', file) : 'src', at: Date.now() };
+    cancelObsolete(pkg.name);
+
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timer = null;
+      // A running cycle loops again by itself
+      if (running) {return;}
+      startCycles();
+    }, debounceMs);
+
+    if (!running) {state.phase = 'debouncing';}
+    emit({ type: 'change', name: pkg.name, file: state.lastChange.file });
+  }
+
+  const watchers = [];
+  for (const pkg of packages) {
+    const srcDir = path.join(pkg.dir, 'src');
+    if (!fs.existsSync(srcDir)) {continue;}
+
+    let watcher;
+    try {
+      watcher = fs.watch(srcDir, { recursive: true }, (_, file) => onChange(pkg, file));
+    } catch {
+      // No recursive watching on this platform: top-level src/ files only
+      watcher = fs.watch(srcDir, (_, file) => onChange(pkg, file));
+    }
+    watcher.on('error', (error) => emit({ type: 'error', error }));
+    watchers.push(watcher);
+  }
+
+  emit({ type: 'watching', watched: watchers.length });
+
+  // Bring the workspace up to date first
+  startCycles();
+
+  return {
+    state,
+    async stop() {
+      stopped = true;
+      clearTimeout(timer);
+      for (const watcher of watchers) {
+        watcher.close();
+      }
+      for (const controller of controllers.values()) {
+        controller.abort();
+      }
+      await running;
+    },
+  };
+}
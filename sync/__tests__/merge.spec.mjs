@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import { hasConflictMarkers, mergeFile, mergeJson, mergeText } from '../merge.mjs';
+
+const lines = (...l) => `${l.join('\n')}\n`;
+
+describe('mergeText', () => {
+  const base = lines('a', 'b', 'c', 'd', 'e');
+
+  it('takes the side that changed a region', () => {
+    const local = lines('a', 'B', 'c', 'd', 'e');
+    const upstream = lines('a', 'b', 'c', 'd', 'E');
+    expect(mergeText(base, local, upstream)).toEqual({ text: lines('a', 'B', 'c', 'd', 'E'), conflicts: 0 });
+    expect(mergeText(base, base, upstream)).toEqual({ text: upstream, conflicts: 0 });
+    expect(mergeText(base, local, base)).toEqual({ text: local, conflicts: 0 });
+  });
+
+  it('keeps lines one side added or removed', () => {
+    const local = lines('a', 'b', 'local', 'c', 'd', 'e');
+    const upstream = lines('a', 'b', 'c', 'e');
+    expect(mergeText(base, local, upstream).text).toBe(lines('a', 'b', 'local', 'c', 'e'));
+  });
+
+  it('accepts the same change made on both sides', () => {
+    const both = lines('a', 'X', 'c', 'd', 'e');
+    expect(mergeText(base, both, both)).toEqual({ text: both, conflicts: 0 });
+  });
+
+  it('marks regions both sides changed differently', () => {
+    const local = lines('a', 'local', 'c', 'd', 'e');
+    const upstream = lines('a', 'devkit', 'c', 'd', 'E');
+    const merged = mergeText(base, local, upstream);
+    expect(merged.conflicts).toBe(1);
+    expect(merged.text).toBe(lines('a', '<<<<<<< local', 'local', '=======', 'devkit', '>>>>>>> devkit', 'c', 'd', 'E'));
+    expect(hasConflictMarkers(merged.text)).toBe(true);
+  });
+
+  it('conflicts on every differing region without a base', () => {
+    const merged = mergeText(null, lines('a', 'b'), lines('a', 'c'));
+    expect(merged.conflicts).toBe(1);
+    expect(merged.text).toBe(lines('<<<<<<< local', 'a', 'b', '=======', 'a', 'c', '>>>>>>> devkit'));
+    expect(mergeText(null, lines('a'), lines('a'))).toEqual({ text: lines('a'), conflicts: 0 });
+  });
+});
+
+describe('mergeJson', () => {
+  const json = (v) => `${JSON.stringify(v, null, 2)}\n`;
+
+  it('merges keys changed on one side', () => {
+    const base = json({ a: 1, b: 1, nested: { x: 1, y: 1 } });
+    const local = json({ a: 2, b: 1, nested: { x: 1, y: 1 }, mine: true });
+    const upstream = json({ a: 1, b: 3, nested: { x: 1, y: 4 }, theirs: true });
+    expect(mergeJson(base, local, upstream)).toEqual({
+      text: json({ a: 2, b: 3, nested: { x: 1, y: 4 }, mine: true, theirs: true }),
+      conflicts: [],
+    });
+  });
+
+  it('keeps the local value of keys both sides changed and reports them', () => {
+    const base = json({ a: 1, nested: { x: 1, y: 1 }, list: [1] });
+    const local = json({ a: 2, nested: { x: 2, y: 1 }, list: [1, 2] });
+    const upstream = json({ a: 3, nested: { x: 3, y: 3 }, list: [1, 3] });
+    const merged = mergeJson(base, local, upstream);
+    expect(JSON.parse(merged.text)).toEqual({ a: 2, nested: { x: 2, y: 3 }, list: [1, 2] });
+    expect(merged.conflicts).toEqual(['a', 'nested.x', 'list']);
+  });
+
+  it('drops keys removed on one side', () => {
+    const merged = mergeJson(json({ a: 1, b: 1 }), json({ a: 1, b: 1 }), json({ a: 1 }));
+    expect(merged).toEqual({ text: json({ a: 1 }), conflicts: [] });
+  });
+
+  it('returns null for JSONC, and mergeFile falls back to lines', () => {
+    const local = '{\n  // comment\n  "a": 1\n}\n';
+    expect(mergeJson(local, local, '{ "a": 2 }\n')).toBeNull();
+    expect(mergeFile('settings.json', local, local, '{\n  // comment\n  "a": 2\n}\n')).toMatchObject({ strategy: 'text', conflicts: 0 });
+  });
+
+  it('reports key paths through mergeFile', () => {
+    const merged = mergeFile('settings.json', json({ a: 1 }), json({ a: 2 }), json({ a: 3 }));
+    expect(merged).toMatchObject({ strategy: 'json', conflicts: 1, conflictPaths: ['a'] });
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import { isTemplate, renderTemplate, TemplateError } from '../template.mjs';
+
+const vars = {
+  repoName: 'kb-labs-core',
+  nodeVersion: '20',
+  repo: { owner: 'kb-labs' },
+  packages: [{ name: '@kb-labs/a', path: 'packages/a' }, { name: '@kb-labs/b', path: 'packages/b' }],
+  packageNames: ['@kb-labs/a', '@kb-labs/b'],
+  empty: [],
+};
+
+describe('renderTemplate', () => {
+  it('renders variables, dotted paths, loops and conditionals', () => {
+    const text = [
+      'name: {{ repoName }} ({{repo.owner}})',
+      '{{#each packages}}- {{ @index }}: {{ name }} in {{ path }}\n{{/each}}',
+      '{{#each packageNames}}{{ this }};{{/each}}',
+      '{{#if empty}}some{{else}}none{{/if}} {{#if nodeVersion}}node {{ nodeVersion }}{{/if}}',
+      'all: {{ packageNames }}',
+    ].join('\n');
+    expect(renderTemplate(text, vars)).toEqual({
+      text: [
+        'name: kb-labs-core (kb-labs)',
+        '- 0: @kb-labs/a in packages/a\n- 1: @kb-labs/b in packages/b\n',
+        '@kb-labs/a;@kb-labs/b;',
+        'none node 20',
+        'all: @kb-labs/a, @kb-labs/b',
+      ].join('\n'),
+      used: ['empty', 'nodeVersion', 'packageNames', 'packages', 'repo', 'repoName'],
+      missing: [],
+    });
+  });
+
+  it('leaves GitHub expressions alone', () => {
+    const text = 'ref: ${{ github.ref }} node: ${{ matrix.node }} repo: {{ repoName }}';
+    expect(renderTemplate(text, vars).text).toBe('ref: ${{ github.ref }} node: ${{ matrix.node }} repo: kb-labs-core');
+  });
+
+  it('renders escaped tags literally', () => {
+    expect(renderTemplate('\\{{ repoName }} {{ repoName }} \\{{#if x}}', vars).text).toBe('{{ repoName }} kb-labs-core {{#if x}}');
+  });
+
+  it('keeps text that is not a variable reference', () => {
+    expect(renderTemplate('{{ }} {{ a + b }}', vars).text).toBe('{{ }} {{ a + b }}');
+  });
+
+  it('keeps missing variables verbatim and reports them', () => {
+    const rendered = renderTemplate('{{ repoName }} {{ teamName }} {{ repo.slack }}{{#each owners}}x{{/each}}', vars);
+    expect(rendered.text).toBe('kb-labs-core {{ teamName }} {{ repo.slack }}');
+    expect(rendered.missing).toEqual(['owners', 'repo.slack', 'teamName']);
+  });
+
+  it('throws TemplateError on unbalanced or malformed blocks', () => {
+    const error = (text) => {
+      try {
+        renderTemplate(text, vars);
+      } catch (e) {
+        return e;
+      }
+      return null;
+    };
+    expect(error('a\n{{#each packages}}{{ name }}')).toMatchObject({ name: 'TemplateError', line: 2 });
+    expect(error('{{/if}}')).toBeInstanceOf(TemplateError);
+    expect(error('{{#if a}}{{/each}}').message).toBe('line 1: expected {{/if}}, found {{/each}}');
+    expect(error('{{else}}').message).toBe('line 1: {{else}} outside {{#if}}');
+    expect(error('{{#if a}}{{else}}{{else}}{{/if}}')).toBeInstanceOf(TemplateError);
+    expect(error('{{#with repo}}{{/with}}')).toBeInstanceOf(TemplateError);
+  });
+});
+
+describe('isTemplate', () => {
+  it('is true for text with a tag only', () => {
+    expect(isTemplate(Buffer.from('name: {{ repoName }}'))).toBe(true);
+    expect(isTemplate(Buffer.from('plain text'))).toBe(false);
+    expect(isTemplate(Buffer.from([0x7b, 0x7b, 0x00]))).toBe(false);
+  });
+});
@@ -0,0 +1,109 @@
+import { afterEach, beforeEach, describe, it, expect } from 'vitest';
+import { existsSync } from 'node:fs';
+import { chmod, mkdir, mkdtemp, readFile, rm, stat, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { dirname, join } from 'node:path';
+import { createTransaction, listTransactions, rollbackTransactions } from '../transactions.mjs';
+
+let root;
+const abs = (rel) => join(root, rel);
+const read = (rel) => readFile(abs(rel), 'utf8');
+
+async function write(rel, content) {
+  await mkdir(dirname(abs(rel)), { recursive: true });
+  await writeFile(abs(rel), content);
+}
+
+// One sync: track, then write each file
+async function sync(files, { bookkeeping = {} } = {}) {
+  const tx = createTransaction(root, { devkit: '1.0.0', targets: ['test'] });
+  for (const [rel, content] of Object.entries({ ...files, ...bookkeeping })) {
+    await tx.track(abs(rel), { bookkeeping: rel in bookkeeping });
+    await write(rel, content);
+  }
+  return tx.commit();
+}
+
+beforeEach(async () => {
+  root = await mkdtemp(join(tmpdir(), 'devkit-tx-'));
+  await write('existing.txt', 'before\n');
+});
+
+afterEach(async () => {
+  await rm(root, { recursive: true, force: true });
+});
+
+describe('createTransaction', () => {
+  it('records created and modified files', async () => {
+    const tx = await sync({ 'existing.txt': 'after\n', 'new/dir/file.txt': 'new\n' });
+    expect(tx.id).toBe(1);
+    expect(tx.files.map((f) => [f.path, f.before !== null])).toEqual([['existing.txt', true], ['new/dir/file.txt', false]]);
+    expect(tx.createdDirs).toEqual(['new', 'new/dir']);
+    expect(await listTransactions(root)).toHaveLength(1);
+  });
+
+  it('stores nothing when only bookkeeping or nothing changed', async () => {
+    expect(await sync({ 'existing.txt': 'before\n' }, { bookkeeping: { 'state.json': '{}' } })).toBeNull();
+    expect(await listTransactions(root)).toEqual([]);
+  });
+});
+
+describe('rollbackTransactions', () => {
+  it('restores modified files, deletes created ones and their directories', async () => {
+    await write('new/keep.txt', 'unrelated\n');
+    await sync({ 'existing.txt': 'after\n', 'new/dir/file.txt': 'new\n' }, { bookkeeping: { 'state.json': '{}' } });
+
+    const { undone, modified } = await rollbackTransactions(root);
+    expect(undone.map((t) => t.id)).toEqual([1]);
+    expect(modified).toEqual([]);
+    expect(await read('existing.txt')).toBe('before\n');
+    expect(existsSync(abs('new/dir'))).toBe(false);
+    expect(existsSync(abs('state.json'))).toBe(false);
+    // A created directory that holds other files stays
+    expect(await read('new/keep.txt')).toBe('unrelated\n');
+    expect((await listTransactions(root))[0].rolledBack).toBeTruthy();
+  });
+
+  it('restores the file mode', async () => {
+    await chmod(abs('existing.txt'), 0o755);
+    const tx = createTransaction(root);
+    await tx.track(abs('existing.txt'));
+    await chmod(abs('existing.txt'), 0o644);
+    await tx.commit();
+
+    await rollbackTransactions(root);
+    expect((await stat(abs('existing.txt'))).mode & 0o777).toBe(0o755);
+  });
+
+  it('undoes later transactions first', async () => {
+    await sync({ 'existing.txt': 'one\n' });
+    await sync({ 'existing.txt': 'two\n', 'second.txt': 'x\n' });
+
+    const { undone } = await rollbackTransactions(root, 1);
+    expect(undone.map((t) => t.id)).toEqual([2, 1]);
+    expect(await read('existing.txt')).toBe('before\n');
+    expect(existsSync(abs('second.txt'))).toBe(false);
+    await expect(rollbackTransactions(root, 2)).rejects.toThrow('already rolled back');
+  });
+
+  it('refuses when a synced file was edited since, unless forced', async () => {
+    await sync({ 'existing.txt': 'after\n', 'created.txt': 'new\n' }, { bookkeeping: { 'state.json': '{}' } });
+    await write('existing.txt', 'edited\n');
+    // Bookkeeping files may change freely
+    await write('state.json', '{"changed":true}');
+
+    expect(await rollbackTransactions(root)).toEqual({ undone: [], modified: ['existing.txt'] });
+    expect(await read('existing.txt')).toBe('edited\n');
+    expect(await read('created.txt')).toBe('new\n');
+
+    const forced = await rollbackTransactions(root, undefined, { force: true });
+    expect(forced.undone.map((t) => t.id)).toEqual([1]);
+    expect(await read('existing.txt')).toBe('before\n');
+    expect(existsSync(abs('created.txt'))).toBe(false);
+  });
+
+  it('throws when there is nothing to roll back', async () => {
+    await expect(rollbackTransactions(root)).rejects.toThrow('no sync transactions to roll back');
+    await expect(rollbackTransactions(root, 7)).rejects.toThrow('no sync transaction 7');
+  });
+});
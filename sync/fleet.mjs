@@ -0,0 +1,84 @@
+// Fleet mode helpers: find sibling repos, commit what a sync changed, print the
+// repo × target matrix. The per-repo check/sync itself is run by index.mjs.
+import { execFileSync } from 'node:child_process';
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { loadWorkspace } from '../bin/lib/workspace.mjs';
+
+// Target status in the matrix
+export const FLEET_STATUSES = ['in sync', 'updated', 'drifted', 'conflict', 'skipped', 'error'];
+
+function git(dir, args) {
+  return execFileSync('git', args, { cwd: dir, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] }).trimEnd();
+}
+
+const matchesName = (pattern, name) =>
+  new RegExp(`^${pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`).test(name);
+
+/**
+ * Repos of the outermost workspace around `cwd`, in the layouts the workspace
+ * model knows (root/<repo>, root/<category>/<repo>). The devkit repo itself is
+ * the source, not a target. `filters` are repo names or shortNames, `*` allowed.
+ * @returns {Array<{ name: string, shortName: string, dir: string }>}
+ */
+export function discoverFleet(cwd, { devkitName, filters = [] } = {}) {
+  return loadWorkspace(cwd, { ancestors: true }).repos
+    .filter((repo) => {
+      try { return JSON.parse(readFileSync(join(repo.dir, 'package.json'), 'utf8')).name !== devkitName; } catch { return true; }
+    })
+    .filter((repo) => filters.length === 0 || filters.some((f) => matchesName(f, repo.name) || matchesName(f, repo.shortName)))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Sync's scratch state (reports, transactions) is never committed
+const SCRATCH_DIRS = ['.kb/devkit/tmp/', '.kb/devkit/transactions/'];
+// Merge bases are committed with the files synced against them
+const MERGE_BASE_PATHS = ['.kb/devkit/bases.json', '.kb/devkit/base/'];
+
+/**
+ * Why a repo can't take a sync commit (not a git repo, uncommitted changes
+ * other than sync's own state), or null. Pending merge-base changes don't
+ * count: the sync rewrites and commits them.
+ */
+export function commitBlocker(dir) {
+  const exclude = [...SCRATCH_DIRS, ...MERGE_BASE_PATHS].map((p) => `:(exclude)${p}`);
+  try {
+    return git(dir, ['status', '--porcelain', '--', '.', ...exclude]) ? 'uncommitted changes' : null;
+  } catch {
+    return 'not a git repository';
+  }
+}
+
+/**
+ * Commit the files a sync transaction wrote (ignored files and .git/ left
+ * out) together with all pending merge-base changes, on a new branch when
+ * `branch` is set.
+ * @returns {{ branch: string, commit: string } | null} null when git sees no change
+ */
+export function commitSyncChanges(dir, transaction, { branch = null, message }) {
+  const written = transaction.files.filter((f) => !f.bookkeeping && !f.path.startsWith('.git/')).map((f) => f.path);
+  if (written.length === 0) {return null;}
+  // "XY path" entries, NUL-separated; ignored files don't show up
+  const paths = git(dir, ['status', '--porcelain', '-z', '--untracked-files=all', '--', ...written, ...MERGE_BASE_PATHS])
+    .split('\0').filter(Boolean).map((entry) => entry.slice(3));
+  if (paths.length === 0) {return null;}
+
+  if (branch) {git(dir, ['checkout', '-b', branch]);}
+  git(dir, ['add', '-A', '--', ...paths]);
+  git(dir, ['commit', '-m', message, '--', ...paths]);
+  return { branch: git(dir, ['rev-parse', '--abbrev-ref', 'HEAD']), commit: git(dir, ['rev-parse', '--short', 'HEAD']) };
+}
+
+/**
+ * Repo × target table (every row has a status for every target).
+ * @param {Array<{ repo: string, targets: Record<string, string>, note?: string }>} rows
+ * @returns {string}
+ */
+export function formatMatrix(rows) {
+  const keys = [...new Set(rows.flatMap((r) => Object.keys(r.targets)))];
+  const header = ['repo', ...keys, ''];
+  const lines = rows.map((r) => [r.repo, ...keys.map((k) => r.targets[k]), r.note ?? '']);
+  const widths = header.map((h, i) => Math.max(h.length, ...lines.map((l) => l[i].length)));
+  const fmt = (cells) => cells.map((c, i) => c.padEnd(widths[i])).join('  ').trimEnd();
+  return [fmt(header), widths.map((w) => '-'.repeat(w)).join('  ').trimEnd(), ...lines.map(fmt)].join('\n');
+}
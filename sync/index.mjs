@@ -1,10 +1,16 @@
 // Public API: sync runner used by bin and by consumers via import('@kb-labs/devkit/sync')
+import { execFileSync } from 'node:child_process';
 import { createHash } from 'node:crypto';
 import { cp, mkdir, readFile, readdir, writeFile, access, chmod } from 'node:fs/promises';
 import { dirname, join, resolve, relative } from 'node:path';
 import { fileURLToPath } from 'node:url';
 import process from 'node:process';
 import { glob } from 'glob';
+import { hasConflictMarkers, mergeFile } from './merge.mjs';
+import { isTemplate, renderTemplate } from './template.mjs';
+import { commitBlocker, commitSyncChanges, discoverFleet, FLEET_STATUSES, formatMatrix } from './fleet.mjs';
+import { createTransaction, listTransactions, rollbackTransactions, TRANSACTIONS_DIR } from './transactions.mjs';
+import { loadTemplateVars } from './vars.mjs';
 
 // helpers
 async function readDevkitMeta() {
@@ -95,15 +101,126 @@ function buildEffectiveMap(projectCfg) {
   return map;
 }
 
-const log = (...a) => console.log('[devkit-sync]', ...a);
-const warn = (...a) => console.warn('[devkit-sync]', ...a);
+// Fleet mode silences per-repo output (unless --verbose) and prints a matrix instead
+let quiet = false;
+const log = (...a) => { if (!quiet) {console.log('[devkit-sync]', ...a);} };
+const warn = (...a) => { if (!quiet) {console.warn('[devkit-sync]', ...a);} };
 
 async function exists(p) { try { await access(p); return true; } catch { return false; } }
 async function ensureDirForFile(p) { await mkdir(dirname(p), { recursive: true }); }
 
+function sha256(buf) { return createHash('sha256').update(buf).digest('hex'); }
+
 async function sha256File(p) {
-  const buf = await readFile(p);
-  return createHash('sha256').update(buf).digest('hex');
+  return sha256(await readFile(p));
+}
+
+// Upstream content of every synced file as of its last sync, content-addressed by
+// hash, and which base each file has. Both are committed with the synced files,
+// so every clone of the repo merges against the same bases.
+const BASE_DIR = '.kb/devkit/base';
+const BASES_FILE = '.kb/devkit/bases.json';
+const SYNC_REPORT = '.kb/devkit/tmp/DEVKIT_SYNC.json';
+
+// toPath -> { fromPath, hash, conflict? } recorded by the last sync of each file
+// (syncs before bases.json kept them in DEVKIT_SYNC.json "bases")
+async function readSyncBases(root) {
+  try { return JSON.parse(await readFile(resolve(root, BASES_FILE), 'utf8')); } catch { }
+  try { return JSON.parse(await readFile(resolve(root, SYNC_REPORT), 'utf8')).bases ?? {}; } catch { return {}; }
+}
+
+async function writeSyncBases(root, bases, transaction) {
+  const p = resolve(root, BASES_FILE);
+  await transaction?.track(p, { bookkeeping: true });
+  await mkdir(dirname(p), { recursive: true });
+  // Sorted, so a commit only shows the files whose base changed
+  const sorted = Object.fromEntries(Object.entries(bases).sort(([a], [b]) => a.localeCompare(b)));
+  await writeFile(p, `${JSON.stringify(sorted, null, 2)}\n`);
+}
+
+// Bases git ignores exist in this clone only; every other clone sees the synced
+// files as untracked
+function warnIfBasesIgnored(root) {
+  try {
+    execFileSync('git', ['check-ignore', BASES_FILE, `${BASE_DIR}/x`], { cwd: root, stdio: 'ignore' });
+  } catch {
+    return; // nothing ignored, or not a git repo
+  }
+  warn(`${BASES_FILE} and ${BASE_DIR}/ are gitignored — commit them, or other clones can't merge synced files`);
+}
+
+async function storeBase(root, content, hash, transaction) {
+  const p = resolve(root, BASE_DIR, hash);
+  if (await exists(p)) {return;}
+  await transaction?.track(p, { bookkeeping: true });
+  await mkdir(dirname(p), { recursive: true });
+  await writeFile(p, content);
+}
+
+async function loadBase(root, hash) {
+  if (!hash) {return null;}
+  try { return await readFile(resolve(root, BASE_DIR, hash), 'utf8'); } catch { return null; }
+}
+
+/**
+ * Reads devkit files the way the repo should get them: templates rendered with
+ * the repo's variables (see template.mjs). `read(srcFile)` resolves to
+ * `{ content, vars }` where `vars` are the variables the file used; `used`
+ * collects them across all files read.
+ */
+function createUpstreamReader(vars) {
+  const cache = new Map();
+  const used = new Set();
+
+  async function render(srcFile) {
+    const raw = await readFile(srcFile);
+    if (!isTemplate(raw)) {return { content: raw, vars: [] };}
+    try {
+      const out = renderTemplate(raw.toString('utf8'), vars);
+      for (const name of out.used) {used.add(name);}
+      if (out.missing.length) {warn(`${relFromDevkit(srcFile)}: no value for ${out.missing.join(', ')} — left as is (set it in kb-labs.config.json → sync.vars)`);}
+      return { content: Buffer.from(out.text), vars: out.used };
+    } catch (e) {
+      warn(`${relFromDevkit(srcFile)}: ${e.message} — used without rendering`);
+      return { content: raw, vars: [] };
+    }
+  }
+
+  return {
+    used,
+    read(srcFile) {
+      if (!cache.has(srcFile)) {cache.set(srcFile, render(srcFile));}
+      return cache.get(srcFile);
+    },
+  };
+}
+
+/**
+ * Where a managed file stands against upstream and its last synced base:
+ * missing | ok | upstream-changed | locally-modified | mergeable | conflict | untracked.
+ * `untracked` files differ from upstream but were never synced with a base
+ * (older sync, or created by hand). Both-sides changes are merged right away
+ * to tell `mergeable` from `conflict`; an earlier conflict stays a conflict
+ * until the file is edited and its markers are gone.
+ */
+async function classifyFile(root, srcFile, dstFile, bases, upstreamReader) {
+  const toPath = relFromRepo(root, dstFile);
+  const { content: upstream, vars } = await upstreamReader.read(srcFile);
+  const local = await readFile(dstFile).catch(() => null);
+  const base = bases[toPath] ?? null;
+  const info = { srcFile, dstFile, toPath, upstream, vars, local, upstreamHash: sha256(upstream), localHash: local ? sha256(local) : null, baseHash: base?.hash ?? null };
+
+  if (!local) {return { ...info, state: 'missing' };}
+  if (base?.conflict && (info.localHash === base.conflict.hash || hasConflictMarkers(local.toString('utf8')))) {
+    return { ...info, state: 'conflict', conflicts: base.conflict.paths ?? [] };
+  }
+  if (info.localHash === info.upstreamHash) {return { ...info, state: 'ok' };}
+  if (!info.baseHash) {return { ...info, state: 'untracked' };}
+  if (info.localHash === info.baseHash) {return { ...info, state: 'upstream-changed' };}
+  if (info.upstreamHash === info.baseHash) {return { ...info, state: 'locally-modified' };}
+
+  const merged = mergeFile(dstFile, await loadBase(root, info.baseHash), local.toString('utf8'), upstream.toString('utf8'));
+  return { ...info, state: merged.conflicts > 0 ? 'conflict' : 'mergeable', merged, conflicts: merged.conflictPaths ?? [] };
 }
 
 async function listFilesRec(root) {
@@ -119,7 +236,8 @@ async function listFilesRec(root) {
   return out;
 }
 
-async function comparePaths(src, dst, type) {
+// hashSrc: hash of a devkit file as rendered for this repo
+async function comparePaths(src, dst, type, hashSrc) {
   const diffs = [];
   const onlySrc = [];
   const onlyDst = [];
@@ -130,7 +248,7 @@ async function comparePaths(src, dst, type) {
     if (!srcOk && !dstOk) {return { diffs, onlySrc, onlyDst };}
     if (srcOk && !dstOk) { onlySrc.push(dst); return { diffs, onlySrc, onlyDst }; }
     if (!srcOk && dstOk) { onlyDst.push(dst); return { diffs, onlySrc, onlyDst }; }
-    const [a, b] = await Promise.all([sha256File(src), sha256File(dst)]);
+    const [a, b] = await Promise.all([hashSrc(src), sha256File(dst)]);
     if (a !== b) {diffs.push(dst);}
     return { diffs, onlySrc, onlyDst };
   }
@@ -157,7 +275,7 @@ async function comparePaths(src, dst, type) {
   for (const [rel, pSrc] of srcRel) {
     const pDst = dstRel.get(rel);
     if (!pDst) { onlySrc.push(join(dst, rel)); continue; }
-    const [a, b] = await Promise.all([sha256File(pSrc), sha256File(pDst)]);
+    const [a, b] = await Promise.all([hashSrc(pSrc), sha256File(pDst)]);
     if (a !== b) {diffs.push(pDst);}
   }
   for (const [rel, pDst] of dstRel) {
@@ -175,9 +293,9 @@ function parseArgs(argv) {
   for (const a of args) {
     if (a === '--') {break;}
     if (a.startsWith('--')) {
-      const [k, v] = a.split('=', 2);
-      if (v === undefined) {flags.add(k);}
-      else {kv.set(k, v);}
+      const eq = a.indexOf('=');
+      if (eq === -1) {flags.add(a);}
+      else {kv.set(a.slice(0, eq), a.slice(eq + 1));}
     } else {
       positional.push(a);
     }
@@ -192,13 +310,22 @@ function parseArgs(argv) {
   const dryRun = flags.has('--dry-run');
   const ciOnly = flags.has('--ci-only');
   const list = flags.has('--list');
+  const showVars = flags.has('--vars');
+  const history = flags.has('--history');
+  // --rollback (latest) or --rollback=<id>
+  const rollback = kv.has('--rollback') ? kv.get('--rollback') : flags.has('--rollback') ? 'latest' : null;
+  const fleet = flags.has('--fleet');
+  const repoFilters = kv.get('--repos')?.split(',').map(s => s.trim()).filter(Boolean) ?? [];
+  const branch = kv.get('--branch') || null;
+  // '' = default message; null = no commit
+  const commitMessage = kv.get('--commit') ?? (flags.has('--commit') || branch ? '' : null);
   const timeoutMs = Number(kv.get('--timeout') ?? process.env.KB_DEVKIT_SYNC_TIMEOUT_MS ?? 30000);
   const onlyList = kv.get('--only')?.split(',').map(s => s.trim()).filter(Boolean) ?? [];
 
   const scopeRaw = (kv.get('--scope') ?? process.env.KB_DEVKIT_SYNC_SCOPE ?? '').toString();
   const scope = ['managed-only', 'strict', 'all'].includes(scopeRaw) ? scopeRaw : 'managed-only';
 
-  return { help, version, check, force, verbose, json, dryRun, ciOnly, list, timeoutMs, onlyList, positional, scope };
+  return { help, version, check, force, verbose, json, dryRun, ciOnly, list, showVars, history, rollback, fleet, repoFilters, branch, commitMessage, timeoutMs, onlyList, positional, scope };
 }
 
 async function readProjectConfig(root) {
@@ -213,8 +340,14 @@ function resolveTargets(effectiveMap, { onlyList, positional, disabledSet }) {
   return requested.filter(k => effectiveMap[k] && !disabledSet.has(k));
 }
 
-async function writeProvenance(root, { items = [], scope = 'managed-only', report = null, fileName = 'DEVKIT_SYNC.json' } = {}) {
+// name -> { value, source } for the template variables the synced files used
+function usedVarsRecord(upstreamReader, templateVars) {
+  return Object.fromEntries([...upstreamReader.used].sort().map(name => [name, { value: templateVars.vars[name], source: templateVars.sources[name] }]));
+}
+
+async function writeProvenance(root, { items = [], scope = 'managed-only', report = null, vars = null, fileName = 'DEVKIT_SYNC.json', transaction = null } = {}) {
   const meta = await readDevkitMeta();
+  await transaction?.track(resolve(root, `.kb/devkit/tmp/${fileName}`), { bookkeeping: true });
   await mkdir(resolve(root, '.kb/devkit/tmp'), { recursive: true });
   const payload = {
     source: meta.name,
@@ -223,20 +356,23 @@ async function writeProvenance(root, { items = [], scope = 'managed-only', repor
     scope,
     items,
   };
+  if (vars) {payload.vars = vars;}
   if (report) {payload.report = report;}
   await writeFile(resolve(root, `.kb/devkit/tmp/${fileName}`), JSON.stringify(payload, null, 2));
 }
 
-async function runCheck(root, effectiveMap, targets, { verbose, scope }) {
+async function runCheck(root, effectiveMap, targets, { verbose, scope, upstreamReader, templateVars }) {
   const details = [];
   const summary = { ok: 0, drift: 0 };
+  const states = {}; // file state -> count (drifted files only)
   const considerOnlyDst = scope !== 'managed-only';
   const checkTargets = [];
+  const bases = await readSyncBases(root);
 
   for (const key of targets) {
     const { from, to, type } = effectiveMap[key];
     const dst = to(root);
-    const res = await comparePaths(from, dst, type === 'hooks' ? 'dir' : type);
+    const res = await comparePaths(from, dst, type === 'hooks' ? 'dir' : type, async p => sha256((await upstreamReader.read(p)).content));
 
     const changed = (res.diffs.length + res.onlySrc.length + (considerOnlyDst ? res.onlyDst.length : 0)) > 0;
     const item = {
@@ -254,29 +390,48 @@ async function runCheck(root, effectiveMap, targets, { verbose, scope }) {
     const files = [];
     async function addChangedWithHashes(pDstAbs) {
       const rel = pDstAbs.startsWith(dst) ? pDstAbs.slice(dst.length + 1) : null;
-      const pSrcAbs = rel ? join(from, rel) : null;
-      let hashSrc = null, hashDst = null;
+      const pSrcAbs = type === 'file' ? from : rel ? join(from, rel) : null;
+      let hashSrc = null, hashDst = null, state = 'changed', conflicts = [], baseHash = null, vars = [];
       try { hashDst = await sha256File(pDstAbs); } catch { }
-      if (pSrcAbs) { try { hashSrc = await sha256File(pSrcAbs); } catch { } }
+      if (pSrcAbs) {
+        try {
+          const f = await classifyFile(root, pSrcAbs, pDstAbs, bases, upstreamReader);
+          ({ state, conflicts = [], baseHash, vars } = f);
+          hashSrc = f.upstreamHash;
+        } catch { }
+      }
       files.push({
-        fromPath: rel ? relFromDevkit(pSrcAbs) : null,
+        fromPath: pSrcAbs ? relFromDevkit(pSrcAbs) : null,
         toPath: relFromRepo(root, pDstAbs),
         action: 'changed',
+        state,
         hashBefore: hashDst,
-        hashAfter: hashSrc
+        hashAfter: hashSrc,
+        baseHash,
+        ...(vars.length ? { vars } : {}),
+        ...(conflicts.length ? { conflicts } : {})
       });
     }
     for (const p of res.diffs) { await addChangedWithHashes(p); }
     for (const p of res.onlySrc) {
       const rel = p.startsWith(dst) ? p.slice(dst.length + 1) : null;
-      const pSrcAbs = rel ? join(from, rel) : null;
-      let hashSrc = null; try { if (pSrcAbs) {hashSrc = await sha256File(pSrcAbs);} } catch { }
+      const pSrcAbs = type === 'file' ? from : rel ? join(from, rel) : null;
+      let hashSrc = null, vars = [];
+      try {
+        if (pSrcAbs) {
+          const upstream = await upstreamReader.read(pSrcAbs);
+          hashSrc = sha256(upstream.content);
+          vars = upstream.vars;
+        }
+      } catch { }
       files.push({
-        fromPath: rel ? relFromDevkit(pSrcAbs) : null,
+        fromPath: pSrcAbs ? relFromDevkit(pSrcAbs) : null,
         toPath: relFromRepo(root, p),
         action: 'missing-dst',
+        state: 'missing',
         hashBefore: null,
-        hashAfter: hashSrc
+        hashAfter: hashSrc,
+        ...(vars.length ? { vars } : {})
       });
     }
     if (considerOnlyDst) {
@@ -286,6 +441,7 @@ async function runCheck(root, effectiveMap, targets, { verbose, scope }) {
           fromPath: null,
           toPath: relFromRepo(root, p),
           action: 'foreign',
+          state: 'foreign',
           hashBefore: hashDst,
           hashAfter: null
         });
@@ -294,16 +450,21 @@ async function runCheck(root, effectiveMap, targets, { verbose, scope }) {
     const tStatus = (res.diffs.length || res.onlySrc.length || (considerOnlyDst ? res.onlyDst.length : 0)) ? 'drift' : 'ok';
     checkTargets.push({ id: key, status: tStatus, files });
 
+    // "locally modified", "upstream changed" and "conflict" call for different fixes
+    item.states = Object.fromEntries(files.map(f => [f.toPath, f.state]));
+    for (const f of files) { states[f.state] = (states[f.state] ?? 0) + 1; }
+
     details.push(item);
     if (changed) {
       summary.drift++;
       log(`drift ${key}:`, JSON.stringify(item, null, 2));
+      for (const f of files) {log(`  ${f.state.padEnd(16)} ${f.toPath}${f.conflicts?.length ? ` (${f.conflicts.join(', ')})` : ''}`);}
     } else {
       summary.ok++;
       if (verbose) {log(`ok ${key}: no drift`);}
     }
   }
-  log('check done', summary);
+  log('check done', summary, states);
 
   const meta = await readDevkitMeta();
   const report = {
@@ -311,21 +472,36 @@ async function runCheck(root, effectiveMap, targets, { verbose, scope }) {
     devkit: { version: meta.version, commit: meta.commit },
     repo: {},
     run: { id: cryptoRandomId(), startedAt: null, finishedAt: null },
-    summary: { filesChanged: summary.drift, kept: summary.ok, skipped: 0, conflicts: 0, mode: 'check', driftCount: summary.drift },
+    summary: { filesChanged: summary.drift, kept: summary.ok, skipped: 0, conflicts: states.conflict ?? 0, mode: 'check', driftCount: summary.drift, states },
     targets: checkTargets
   };
-  await writeProvenance(root, { items: checkTargets.map(t => t.id), scope, report, fileName: 'DEVKIT_CHECK.json' });
+  await writeProvenance(root, { items: checkTargets.map(t => t.id), scope, report, vars: usedVarsRecord(upstreamReader, templateVars), fileName: 'DEVKIT_CHECK.json' });
   log('check report written to', '.kb/devkit/tmp/DEVKIT_CHECK.json');
 
-  return { code: summary.drift > 0 ? 2 : 0, summary, details };
+  return { code: summary.drift > 0 ? 2 : 0, summary, states, details, targets: checkTargets };
 }
 
-async function runSync(root, effectiveMap, targets, { force, verbose, dryRun }) {
+// What sync does with a file in each state (without --force)
+const ACTION_BY_STATE = {
+  missing: 'create',
+  ok: 'keep',
+  'upstream-changed': 'update',
+  'locally-modified': 'keep-local',
+  mergeable: 'merge',
+  conflict: 'conflict',
+  untracked: 'untracked',
+};
+
+async function runSync(root, effectiveMap, targets, { force, verbose, dryRun, upstreamReader, transaction }) {
   const details = [];
   const startedAt = Date.now();
   const reportTargets = [];
-  let filesChanged = 0, keptCount = 0, skippedCount = 0;
-  const summary = { synced: 0, kept: 0, skipped: 0 };
+  let filesChanged = 0, keptCount = 0, conflictCount = 0;
+  const summary = { synced: 0, kept: 0, skipped: 0, conflicts: 0 };
+  // Files left with conflict markers (text) or local values for both-changed keys (JSON)
+  const conflictFiles = [];
+  const bases = await readSyncBases(root);
+  const syncedBases = {};
 
   for (const key of targets) {
     const { from, to, type } = effectiveMap[key];
@@ -341,33 +517,6 @@ async function runSync(root, effectiveMap, targets, { force, verbose, dryRun })
       reportTargets.push(tReport);
       continue;
     }
-    if (!force && await exists(dst)) {
-      summary.kept++;
-      details.push({ key, action: 'keep', from, dst });
-      tReport.status = 'kept';
-      if (type === 'file') {
-        const h = await sha256File(dst).catch(() => null);
-        tReport.files.push({
-          fromPath: relFromDevkit(from),
-          toPath: relFromRepo(root, dst),
-          action: 'keep',
-          hashBefore: h,
-          hashAfter: h
-        });
-      }
-      keptCount++;
-      reportTargets.push(tReport);
-      if (verbose) {log(`keep ${key} — exists: ${dst}`);}
-      continue;
-    }
-    if (dryRun) {
-      summary.synced++;
-      details.push({ key, action: 'plan-sync', from, dst, type });
-      tReport.status = 'planned';
-      reportTargets.push(tReport);
-      log(`[dry-run] ${key} -> ${dst}`);
-      continue;
-    }
     let filePairs = [];
     if (type === 'file') {
       filePairs = [[from, dst]];
@@ -379,47 +528,88 @@ async function runSync(root, effectiveMap, targets, { force, verbose, dryRun })
       });
     }
     const isHooks = type === 'hooks';
-    const beforeState = await Promise.all(filePairs.map(async ([srcFile, dstFile]) => {
-      const existed = await exists(dstFile);
-      const hb = existed ? await sha256File(dstFile).catch(() => null) : null;
-      return { srcFile, dstFile, existed, hashBefore: hb };
-    }));
-
-    if (type === 'file') {await ensureDirForFile(dst);} else {await mkdir(dst, { recursive: true });}
-    await cp(from, dst, { recursive: true, force: true });
-
-    const afterState = await Promise.all(beforeState.map(async (s) => {
-      const ha = await sha256File(s.dstFile).catch(() => null);
-      const action = s.existed ? ((s.hashBefore && ha && s.hashBefore === ha) ? 'keep' : 'update') : 'create';
-      if (action !== 'keep') {filesChanged++;}
+    const counts = { create: 0, update: 0, merge: 0, conflict: 0, keep: 0, 'keep-local': 0, untracked: 0 };
+    const installable = [];
+    let writes = 0;
+
+    for (const [srcFile, dstFile] of filePairs) {
+      const f = await classifyFile(root, srcFile, dstFile, bases, upstreamReader);
+      const action = force
+        ? (f.state === 'missing' ? 'create' : f.state === 'ok' ? 'keep' : 'update')
+        : ACTION_BY_STATE[f.state];
+      const written = action === 'create' || action === 'update' ? f.upstream : f.merged && !force ? f.merged.text : null;
+      const hashAfter = written !== null ? sha256(written) : f.localHash;
+      const conflicts = action === 'conflict' ? f.conflicts : [];
+
+      if (!dryRun && written !== null) {
+        await transaction?.track(dstFile);
+        await ensureDirForFile(dstFile);
+        await writeFile(dstFile, written);
+      }
+      if (written !== null) {writes++;}
+      if (written !== null && hashAfter !== f.localHash) {filesChanged++;}
+      counts[action]++;
+
+      // Remember the upstream version the file is now based on; an unresolved
+      // conflict keeps its entry, untracked files get none until they match
+      if (!dryRun && action !== 'untracked' && (action !== 'conflict' || f.merged)) {
+        await storeBase(root, f.upstream, f.upstreamHash, transaction);
+        syncedBases[f.toPath] = {
+          fromPath: relFromDevkit(srcFile),
+          hash: f.upstreamHash,
+          ...(action === 'conflict' ? { conflict: { hash: hashAfter, paths: conflicts } } : {})
+        };
+      }
+      if (action !== 'conflict') {installable.push(dstFile);}
+
       tReport.files.push({
-        fromPath: relFromDevkit(s.srcFile),
-        toPath: relFromRepo(root, s.dstFile),
+        fromPath: relFromDevkit(srcFile),
+        toPath: f.toPath,
         action,
-        hashBefore: s.hashBefore ?? null,
-        hashAfter: ha ?? null
+        state: f.state,
+        hashBefore: f.localHash,
+        hashAfter,
+        baseHash: f.baseHash,
+        upstreamHash: f.upstreamHash,
+        ...(f.vars.length ? { vars: f.vars } : {}),
+        ...(conflicts.length ? { conflicts } : {})
       });
-      return { ...s, hashAfter: ha, action };
-    }));
-    const created = afterState.filter(s => s.action === 'create').length;
-    const updated = afterState.filter(s => s.action === 'update').length;
-    const keptF = afterState.filter(s => s.action === 'keep').length;
-    tReport.status = 'applied';
+
+      if (action === 'conflict') {
+        conflictFiles.push({ target: key, path: f.toPath, ...(conflicts.length ? { keys: conflicts } : {}) });
+        warn(`conflict ${f.toPath} — ${conflicts.length ? `kept local value for ${conflicts.join(', ')}` : 'resolve the <<<<<<< local / >>>>>>> devkit blocks'}`);
+      } else if (action === 'untracked') {
+        log(`untracked ${f.toPath} — differs from devkit and was never synced; kept (--force takes devkit's version)`);
+      } else if (verbose && action !== 'keep') {
+        log(`${action} ${f.toPath}`);
+      }
+    }
+    conflictCount += counts.conflict;
+
+    const wrote = writes > 0;
+    if (dryRun) {
+      tReport.status = 'planned';
+      details.push({ key, action: 'plan-sync', from, dst, type, counts });
+    } else {
+      tReport.status = wrote ? 'applied' : 'kept';
+      details.push({ key, action: wrote ? 'synced' : 'keep', from, dst, type, counts });
+    }
+    if (wrote) {summary.synced++;} else {summary.kept++; keptCount++;}
     reportTargets.push(tReport);
-    summary.synced++;
-    details.push({ key, action: 'synced', from, dst, type });
-    log(`→ ${key}: ${created} created, ${updated} updated, ${keptF} kept`);
-    log(`synced ${key} -> ${dst}`);
+    log(`${dryRun ? '[dry-run] ' : ''}→ ${key}: ${counts.create} created, ${counts.update} updated, ${counts.merge} merged, ${counts.conflict} conflict(s), ${counts.keep} unchanged, ${counts['keep-local']} local edit(s) kept, ${counts.untracked} untracked`);
+    if (wrote && !dryRun) {log(`synced ${key} -> ${dst}`);}
 
     // For hooks: also install into .git/hooks/ and chmod +x
-    if (isHooks) {
+    if (isHooks && !dryRun) {
       const gitHooksDir = resolve(root, '.git', 'hooks');
       const gitDirExists = await exists(resolve(root, '.git'));
       if (gitDirExists) {
-        await mkdir(gitHooksDir, { recursive: true });
-        for (const [, dstFile] of filePairs) {
+        for (const dstFile of installable) {
+          if (!await exists(dstFile)) {continue;}
           const hookName = dstFile.slice(dst.length + 1);
           const gitHookDst = join(gitHooksDir, hookName);
+          await transaction?.track(gitHookDst);
+          await mkdir(dirname(gitHookDst), { recursive: true });
           await cp(dstFile, gitHookDst, { force: true });
           await chmod(gitHookDst, 0o755);
         }
@@ -430,16 +620,19 @@ async function runSync(root, effectiveMap, targets, { force, verbose, dryRun })
     }
   }
   const finishedAt = Date.now();
+  summary.conflicts = conflictCount;
   log('sync done', summary, `(force=${force}, dry-run=${!!dryRun})`);
   return {
-    code: 0,
+    code: conflictCount > 0 ? 2 : 0,
     summary,
+    conflicts: conflictFiles,
     details,
     _report: {
       targets: reportTargets,
       filesChanged,
       keptCount,
-      skippedCount,
+      conflictCount,
+      bases: { ...bases, ...syncedBases },
       startedAt,
       finishedAt
     }
@@ -450,7 +643,7 @@ async function runSync(root, effectiveMap, targets, { force, verbose, dryRun })
  * Generates tsconfig.build.json for all packages with tsup.config.ts
  * This ensures tsup uses a tsconfig without paths to prevent bundling workspace packages
  */
-async function generateTsconfigBuild(root, { dryRun, verbose }) {
+async function generateTsconfigBuild(root, { dryRun, verbose, transaction }) {
   const tsupConfigs = await glob('**/tsup.config.ts', {
     cwd: root,
     ignore: ['**/node_modules/**', '**/dist/**', '**/.kb/**'],
@@ -574,6 +767,7 @@ async function generateTsconfigBuild(root, { dryRun, verbose }) {
 
     // Write tsconfig.build.json
     try {
+      await transaction?.track(tsconfigBuildPath);
       await writeFile(tsconfigBuildPath, JSON.stringify(buildConfig, null, 2) + '\n');
       log(`Generated ${tsconfigBuildPath}`);
       generated++;
@@ -593,17 +787,41 @@ Synchronize DevKit assets into a consumer repository.
 
 Usage:
   kb-devkit-sync [--check] [--force] [--dry-run] [--verbose] [--json] [--timeout=ms] [--scope=managed-only|strict|all] [--only=a,b] [targets...]
+  kb-devkit-sync --fleet [--check|--dry-run] [--repos=a,b] [--branch=name] [--commit[=message]] [--json]
 
 Targets:
   ${keys}
   (Override/add via kb-labs.config.json → { "sync": { "overrides": {..}, "targets": {..}, "only": ["ci"], "disabled": ["sbom"], "scope": "managed-only" } })
 
+Existing files are three-way merged: base = the devkit version last synced (kept in .kb/devkit/base,
+listed in .kb/devkit/bases.json; commit both), local = the repo's file, upstream = devkit today.
+JSON files merge key by key (both-changed keys keep the local value); other files merge by line and
+get <<<<<<< local / ======= / >>>>>>> devkit blocks on conflict. A sync that leaves conflicts exits 2
+and lists them in the --json result's "conflicts".
+
+Devkit files are templates: {{ name }}, {{#each list}}..{{/each}} and {{#if name}}..{{else}}..{{/if}}
+are rendered with detected variables (repoName, repoOwner, defaultBranch, nodeVersion, scope, packages,
+packageNames) and kb-labs.config.json → sync.vars before comparing, merging or writing. GitHub
+expressions (\${{ ... }}) are left alone. The variables used are recorded in DEVKIT_SYNC.json "vars".
+
 Flags:
   --help, -h        Show this help and exit
   --version, -v     Print devkit version and exit
   --list            Print available target keys and exit
-  --check           Compare and exit with 0 (no drift) or 2 (drift found)
-  --force           Overwrite destination files/directories
+  --vars            Print template variables (with --json: as JSON) and exit
+  --history         List applied syncs (transactions in ${TRANSACTIONS_DIR}) and exit
+  --rollback[=id]   Restore the repo to its state before sync <id> (default: the latest), undoing
+                    later syncs too; refuses if a synced file was edited since, unless --force
+  --fleet           Check or sync every repo of the workspace around the current directory (kb-labs-*
+                    repos, flat or in category dirs) and print a repo × target matrix:
+                    in sync, updated, drifted, conflict or skipped
+  --repos=a,b       Fleet: only these repos (name or short name, * wildcards)
+  --branch=name     Fleet: commit each repo's sync changes on a new local branch
+  --commit[=msg]    Fleet: commit each repo's sync changes (repos with uncommitted changes are skipped,
+                    repos left with conflicts are synced but not committed)
+  --check           Compare and exit with 0 (no drift) or 2 (drift found); each drifted file is
+                    missing, upstream-changed, locally-modified, mergeable, conflict or untracked
+  --force           Overwrite destination files with devkit's version (no merge)
   --dry-run         Do not write files; print planned actions
   --ci-only         Limit scope to CI templates (alias for --only=ci)
   --scope=...       Set drift scope: 'managed-only' (ignore foreign files, default), 'strict' (flag foreign files), 'all'
@@ -614,6 +832,42 @@ Flags:
 `);
 }
 
+async function printHistory(root, { json }) {
+  const txs = await listTransactions(root);
+  if (json) { console.log(JSON.stringify(txs, null, 2)); return 0; }
+  if (txs.length === 0) { log('no sync transactions yet'); return 0; }
+  for (const tx of txs) {
+    const files = tx.files.filter(f => !f.bookkeeping);
+    const created = files.filter(f => !f.before).length;
+    const status = tx.rolledBack ? `rolled back ${tx.rolledBack.when}` : 'applied';
+    console.log(`${String(tx.id).padStart(4)}  ${tx.when}  devkit ${tx.devkit ?? '?'}  ${tx.mode.padEnd(5)}  ${created} created, ${files.length - created} changed  [${tx.targets.join(', ')}]  ${status}`);
+  }
+  return 0;
+}
+
+async function runRollback(root, rollback, { force, json }) {
+  const id = rollback === 'latest' ? undefined : Number(rollback);
+  if (id !== undefined && !Number.isInteger(id)) {
+    warn(`invalid transaction id: ${rollback}`);
+    return 1;
+  }
+  let res;
+  try {
+    res = await rollbackTransactions(root, id, { force });
+  } catch (e) {
+    warn(e.message);
+    return 1;
+  }
+  if (json) {console.log(JSON.stringify({ mode: 'rollback', undone: res.undone.map(t => t.id), modified: res.modified }, null, 2));}
+  if (res.undone.length === 0) {
+    warn(`not rolling back — changed since the sync: ${res.modified.join(', ')} (--force to discard those changes)`);
+    return 1;
+  }
+  for (const tx of res.undone) {log(`rolled back transaction ${tx.id} (${tx.files.filter(f => !f.bookkeeping).length} file(s) restored)`);}
+  if (res.modified.length) {warn(`discarded changes made after the sync: ${res.modified.join(', ')}`);}
+  return 0;
+}
+
 async function printVersion() {
   try {
     const pkgJson = JSON.parse(await readFile(resolve(DEVKIT_ROOT, 'package.json'), 'utf8'));
@@ -623,26 +877,9 @@ async function printVersion() {
   }
 }
 
-export async function run({ args = [] } = {}) {
-  const { help, version, check, force, verbose, json, dryRun, ciOnly, list, timeoutMs, onlyList, positional, scope: scopeFromCli } = parseArgs(args);
-  const devkitMeta = await readDevkitMeta();
-  log(`DevKit ${devkitMeta.version ?? 'unknown'} — scope=${(process.env.KB_DEVKIT_SYNC_SCOPE || '').toString() || 'managed-only'}`);
-  const root = process.cwd();
-  const cfg = await readProjectConfig(root);
-
-  if (cfg?.sync?.enabled === false) {
-    log('sync disabled by kb-labs.config.json');
-    return 0;
-  }
-
+// Targets for a repo: CLI selection, else kb-labs.config.json `sync.only`, minus `sync.disabled`
+function selectTargets(cfg, map, { onlyList, positional, ciOnly }) {
   const disabledSet = new Set(cfg?.sync?.disabled ?? []);
-  const map = buildEffectiveMap(cfg);
-
-  if (list) {
-    console.log('[devkit-sync] available targets:', Object.keys(map).join(', '));
-    return 0;
-  }
-
   const cfgOnly = Array.isArray(cfg?.sync?.only) ? cfg.sync.only.filter(s => typeof s === 'string' && s.length > 0) : [];
   let select = onlyList.length ? onlyList.slice() : cfgOnly.slice();
 
@@ -658,59 +895,202 @@ export async function run({ args = [] } = {}) {
   select = select.filter(k => (k && !seen.has(k) && seen.add(k)));
 
   const pos = positional.filter(Boolean);
-  const targets = resolveTargets(map, { onlyList: select, positional: pos, disabledSet });
+  return resolveTargets(map, { onlyList: select, positional: pos, disabledSet });
+}
+
+// Fleet matrix status of each target: in sync | updated | drifted | conflict | skipped
+function checkStatuses(res) {
+  return Object.fromEntries(res.targets.map(t => [
+    t.id,
+    t.files.some(f => f.state === 'conflict') ? 'conflict' : t.status === 'drift' ? 'drifted' : 'in sync',
+  ]));
+}
+
+function syncStatuses(res, { dryRun }) {
+  return Object.fromEntries(res._report.targets.map(t => {
+    const actions = new Set(t.files.map(f => f.action));
+    if (t.status === 'skipped') {return [t.id, 'skipped'];}
+    if (actions.has('conflict')) {return [t.id, 'conflict'];}
+    if (['create', 'update', 'merge'].some(a => actions.has(a))) {return [t.id, dryRun ? 'drifted' : 'updated'];}
+    return [t.id, actions.has('untracked') ? 'drifted' : 'in sync'];
+  }));
+}
+
+/**
+ * Check or sync the repo at `root` with its own kb-labs.config.json.
+ * @returns {Promise<{ code: number, mode: 'check'|'sync'|'disabled', result?: object, statuses: Record<string, string>, transaction?: object|null }>}
+ */
+async function syncRepo(root, { check, force, verbose, dryRun, onlyList, positional, ciOnly, scope: scopeFromCli }, devkitMeta) {
+  const cfg = await readProjectConfig(root);
+  if (cfg?.sync?.enabled === false) {
+    log('sync disabled by kb-labs.config.json');
+    return { code: 0, mode: 'disabled', statuses: {} };
+  }
 
+  const map = buildEffectiveMap(cfg);
+  const targets = selectTargets(cfg, map, { onlyList, positional, ciOnly });
   log(`Targets: [${targets.join(', ')}]`);
 
   let scope = scopeFromCli || cfg?.sync?.scope || 'managed-only';
   if (!['managed-only', 'strict', 'all'].includes(scope)) {scope = 'managed-only';}
 
+  const templateVars = loadTemplateVars(root, cfg);
+  const upstreamReader = createUpstreamReader(templateVars.vars);
+
+  log('Starting devkit sync...');
+  warnIfBasesIgnored(root);
+  if (check) {
+    const res = await runCheck(root, map, targets, { verbose, scope, upstreamReader, templateVars });
+    return { code: res.code, mode: 'check', result: res, statuses: checkStatuses(res) };
+  }
+
+  const effectiveForce = force || !!cfg?.sync?.force;
+  const transaction = dryRun ? null : createTransaction(root, { devkit: devkitMeta.version, mode: effectiveForce ? 'force' : 'sync', targets });
+  const res = await runSync(root, map, targets, { force: effectiveForce, verbose, dryRun, upstreamReader, transaction });
+  
+  // Generate tsconfig.build.json for all packages with tsup.config.ts
+  // This is done after sync to ensure proper bundling configuration
+  if (!dryRun || verbose) {
+    const buildResult = await generateTsconfigBuild(root, { dryRun, verbose, transaction });
+    if (buildResult.generated > 0 || buildResult.skipped > 0) {
+      log(`tsconfig.build.json: ${buildResult.generated} generated, ${buildResult.skipped} skipped`);
+    }
+  }
+  
+  const report = {
+    schemaVersion: '2-min',
+    devkit: { version: devkitMeta.version, commit: devkitMeta.commit },
+    repo: {},
+    run: {
+      id: cryptoRandomId(),
+      startedAt: new Date(res?._report?.startedAt ?? Date.now()).toISOString(),
+      finishedAt: new Date(res?._report?.finishedAt ?? Date.now()).toISOString()
+    },
+    summary: {
+      filesChanged: res?._report?.filesChanged ?? 0,
+      kept: res.summary.kept,
+      skipped: res.summary.skipped,
+      conflicts: res?._report?.conflictCount ?? 0,
+      mode: 'sync'
+    },
+    targets: (res?._report?.targets ?? [])
+  };
+  if (!dryRun) {await writeSyncBases(root, res._report.bases, transaction);}
+  await writeProvenance(root, { items: targets, scope, report, vars: usedVarsRecord(upstreamReader, templateVars), fileName: 'DEVKIT_SYNC.json', transaction });
+  const tx = await transaction?.commit();
+  if (tx) {log(`transaction ${tx.id}: ${tx.files.filter(f => !f.bookkeeping).length} file(s) changed — undo with --rollback=${tx.id}`);}
+  res.transaction = tx?.id ?? null;
+  return { code: res.code, mode: 'sync', result: res, statuses: syncStatuses(res, { dryRun }), transaction: tx ?? null };
+}
+
+/**
+ * Check or sync every sibling repo, optionally committing the changes per
+ * repo, and print the repo × target matrix.
+ */
+async function runFleet(cwd, opts, devkitMeta) {
+  const { check, dryRun, verbose, json, branch, commitMessage, repoFilters } = opts;
+  const repos = discoverFleet(cwd, { devkitName: devkitMeta.name, filters: repoFilters });
+  if (repos.length === 0) {
+    warn(`fleet: no repos found from ${cwd}${repoFilters.length ? ` matching ${repoFilters.join(', ')}` : ''}`);
+    return 1;
+  }
+  const committing = commitMessage !== null && !check && !dryRun;
+  const message = commitMessage || `chore: sync ${devkitMeta.name} ${devkitMeta.version ?? ''}`.trim();
+  if (!json) {log(`fleet: ${check ? 'check' : dryRun ? 'dry-run' : 'sync'} in ${repos.length} repo(s)${committing ? `, committing${branch ? ` on branch ${branch}` : ''}` : ''}`);}
+
+  const rows = [];
+  for (const repo of repos) {
+    const row = { repo: repo.name, dir: repo.dir, targets: {} };
+    rows.push(row);
+
+    const blocker = committing ? commitBlocker(repo.dir) : null;
+    if (blocker) {
+      row.blocked = blocker;
+      row.note = `skipped: ${blocker}`;
+      continue;
+    }
+    if (verbose) {log(`── ${repo.name}`);}
+    quiet = !verbose;
+    try {
+      const res = await syncRepo(repo.dir, opts, devkitMeta);
+      row.targets = res.statuses;
+      if (res.mode === 'disabled') {row.note = 'sync disabled';}
+      if (res.transaction) {row.transaction = res.transaction.id;}
+      // Conflicted files would be committed with their markers; the repo is left for review
+      const conflicted = Object.values(res.statuses).includes('conflict');
+      if (committing && conflicted) {
+        row.note = 'not committed: conflicts';
+      } else if (committing && res.transaction) {
+        const committed = commitSyncChanges(repo.dir, res.transaction, { branch, message });
+        if (committed) {
+          Object.assign(row, committed);
+          row.note = `committed ${committed.commit} on ${committed.branch}`;
+        }
+      }
+    } catch (e) {
+      row.error = e?.message || String(e);
+      row.note = `error: ${row.error.split('\n')[0]}`;
+    } finally {
+      quiet = false;
+    }
+  }
+
+  // Targets a repo didn't run (not selected there, disabled, skipped repo)
+  const keys = [...new Set(rows.flatMap(r => Object.keys(r.targets)))];
+  for (const row of rows) {row.targets = Object.fromEntries(keys.map(k => [k, row.targets[k] ?? 'skipped']));}
+
+  const statuses = rows.flatMap(r => Object.values(r.targets));
+  const count = (status) => statuses.filter(s => s === status).length;
+  const failed = rows.filter(r => r.error).length;
+  // Repos that couldn't take the requested commit count as failures
+  const blocked = rows.filter(r => r.blocked).length;
+  const code = failed || blocked ? 1 : count('conflict') || (check && count('drifted')) ? 2 : 0;
+
+  if (json) {
+    console.log(JSON.stringify({ mode: check ? 'fleet-check' : 'fleet-sync', dryRun: !!dryRun, repos: rows }, null, 2));
+  } else {
+    console.log(formatMatrix(rows));
+    const parts = FLEET_STATUSES.filter(count).map(s => `${count(s)} ${s}`);
+    if (blocked) {parts.push(`${blocked} repo(s) not synced (uncommitted changes or not a git repo)`);}
+    if (failed) {parts.push(`${failed} failed`);}
+    console.log(`\n${rows.length} repo(s): ${parts.join(', ') || 'no targets'}`);
+  }
+  return code;
+}
+
+export async function run({ args = [] } = {}) {
+  const opts = parseArgs(args);
+  const { help, version, json, force, list, showVars, history, rollback, fleet, timeoutMs } = opts;
+  const devkitMeta = await readDevkitMeta();
+  log(`DevKit ${devkitMeta.version ?? 'unknown'} — scope=${(process.env.KB_DEVKIT_SYNC_SCOPE || '').toString() || 'managed-only'}`);
+  const root = process.cwd();
+  const cfg = await readProjectConfig(root);
+  const map = buildEffectiveMap(cfg);
+
   if (help) { printHelp(map); return 0; }
   if (version) { await printVersion(); return 0; }
+  if (list) {
+    console.log('[devkit-sync] available targets:', Object.keys(map).join(', '));
+    return 0;
+  }
+  if (fleet) {return runFleet(root, opts, devkitMeta);}
+
+  if (history) {return printHistory(root, { json });}
+  if (rollback) {return runRollback(root, rollback, { force, json });}
+  if (showVars) {
+    const templateVars = loadTemplateVars(root, cfg);
+    if (json) {console.log(JSON.stringify(templateVars, null, 2));}
+    else {for (const [name, value] of Object.entries(templateVars.vars)) {console.log(`${name} (${templateVars.sources[name]}): ${JSON.stringify(value)}`);}}
+    return 0;
+  }
 
   const controller = new AbortController();
   const t = setTimeout(() => { controller.abort(); }, Math.max(0, timeoutMs));
 
   try {
-    log('Starting devkit sync...');
-    if (check) {
-      const res = await runCheck(root, map, targets, { verbose, scope });
-      if (json) {console.log(JSON.stringify({ mode: 'check', ...res }, null, 2));}
-      return res.code;
-    } else {
-      const res = await runSync(root, map, targets, { force: force || !!cfg?.sync?.force, verbose, dryRun });
-      
-      // Generate tsconfig.build.json for all packages with tsup.config.ts
-      // This is done after sync to ensure proper bundling configuration
-      if (!dryRun || verbose) {
-        const buildResult = await generateTsconfigBuild(root, { dryRun, verbose });
-        if (buildResult.generated > 0 || buildResult.skipped > 0) {
-          log(`tsconfig.build.json: ${buildResult.generated} generated, ${buildResult.skipped} skipped`);
-        }
-      }
-      
-      const report = {
-        schemaVersion: '2-min',
-        devkit: { version: devkitMeta.version, commit: devkitMeta.commit },
-        repo: {},
-        run: {
-          id: cryptoRandomId(),
-          startedAt: new Date(res?._report?.startedAt ?? Date.now()).toISOString(),
-          finishedAt: new Date(res?._report?.finishedAt ?? Date.now()).toISOString()
-        },
-        summary: {
-          filesChanged: res?._report?.filesChanged ?? 0,
-          kept: res.summary.kept,
-          skipped: res.summary.skipped,
-          conflicts: 0,
-          mode: 'sync'
-        },
-        targets: (res?._report?.targets ?? [])
-      };
-      await writeProvenance(root, { items: targets, scope, report, fileName: 'DEVKIT_SYNC.json' });
-      if (json) {console.log(JSON.stringify({ mode: 'sync', ...res }, null, 2));}
-      return res.code;
-    }
+    const res = await syncRepo(root, opts, devkitMeta);
+    if (json && res.result) {console.log(JSON.stringify({ mode: res.mode, ...res.result }, null, 2));}
+    return res.code;
   } finally {
     clearTimeout(t);
   }
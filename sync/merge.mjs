@@ -0,0 +1,154 @@
+// Three-way merge used by sync: base = upstream content at the last sync,
+// local = what the repo has now, upstream = what devkit ships today.
+
+export const CONFLICT_START = '<<<<<<< local';
+export const CONFLICT_SEPARATOR = '=======';
+export const CONFLICT_END = '>>>>>>> devkit';
+
+const CONFLICT_MARKER_RE = /^(<<<<<<< local|>>>>>>> devkit)$/m;
+
+// Above this many base×side line pairs the LCS table gets too big — treat as a conflict
+const MAX_LCS_CELLS = 25_000_000;
+
+export function hasConflictMarkers(text) {
+  return CONFLICT_MARKER_RE.test(text);
+}
+
+function splitLines(text) {
+  if (text === '') {return { lines: [], eol: false };}
+  const lines = text.split('\n');
+  const eol = lines.length > 1 && lines[lines.length - 1] === '';
+  if (eol) {lines.pop();}
+  return { lines, eol };
+}
+
+// base line index -> side line index for the lines of a longest common subsequence
+function lcsMatches(base, side) {
+  const n = base.length, m = side.length;
+  const matches = new Map();
+  if (n * m > MAX_LCS_CELLS) {return null;}
+
+  const width = m + 1;
+  const table = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      table[i * width + j] = base[i] === side[j]
+        ? table[(i + 1) * width + j + 1] + 1
+        : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+    }
+  }
+  for (let i = 0, j = 0; i < n && j < m;) {
+    if (base[i] === side[j]) { matches.set(i, j); i++; j++; }
+    else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {i++;}
+    else {j++;}
+  }
+  return matches;
+}
+
+const sameLines = (a, b) => a.length === b.length && a.every((line, i) => line === b[i]);
+
+/**
+ * Line-based diff3. Regions changed on one side only take that side; regions
+ * changed on both sides (differently) become conflict blocks:
+ *
+ *   <<<<<<< local
+ *   ...local lines
+ *   =======
+ *   ...devkit lines
+ *   >>>>>>> devkit
+ *
+ * A missing base (`null`) makes every differing region a conflict.
+ * @returns {{ text: string, conflicts: number }}
+ */
+export function mergeText(base, local, upstream) {
+  const L = splitLines(local), U = splitLines(upstream);
+  const B = splitLines(base ?? '');
+  const matchL = base === null ? new Map() : lcsMatches(B.lines, L.lines);
+  const matchU = base === null ? new Map() : lcsMatches(B.lines, U.lines);
+  if (!matchL || !matchU) {
+    return sameLines(L.lines, U.lines)
+      ? { text: local, conflicts: 0 }
+      : { text: [CONFLICT_START, ...L.lines, CONFLICT_SEPARATOR, ...U.lines, CONFLICT_END, ''].join('\n'), conflicts: 1 };
+  }
+
+  const out = [];
+  let conflicts = 0;
+  let o = 0, a = 0, b = 0;
+
+  const resolveRegion = (oEnd, aEnd, bEnd) => {
+    const basePart = B.lines.slice(o, oEnd), localPart = L.lines.slice(a, aEnd), upPart = U.lines.slice(b, bEnd);
+    if (sameLines(localPart, basePart)) {out.push(...upPart);}
+    else if (sameLines(upPart, basePart) || sameLines(localPart, upPart)) {out.push(...localPart);}
+    else {
+      conflicts++;
+      out.push(CONFLICT_START, ...localPart, CONFLICT_SEPARATOR, ...upPart, CONFLICT_END);
+    }
+  };
+
+  // Walk the base lines both sides kept; everything between them is a changed region
+  for (let i = 0; i < B.lines.length; i++) {
+    if (!matchL.has(i) || !matchU.has(i)) {continue;}
+    resolveRegion(i, matchL.get(i), matchU.get(i));
+    out.push(B.lines[i]);
+    o = i + 1; a = matchL.get(i) + 1; b = matchU.get(i) + 1;
+  }
+  resolveRegion(B.lines.length, L.lines.length, U.lines.length);
+
+  return { text: out.join('\n') + (L.eol || U.eol ? '\n' : ''), conflicts };
+}
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const jsonEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+function mergeValues(base, local, upstream, path, conflicts) {
+  if (jsonEqual(local, upstream)) {return local;}
+  if (jsonEqual(local, base)) {return upstream;}
+  if (jsonEqual(upstream, base)) {return local;}
+  if (isPlainObject(local) && isPlainObject(upstream)) {
+    const b = isPlainObject(base) ? base : {};
+    const merged = {};
+    // Local key order first, then keys devkit added
+    for (const key of [...new Set([...Object.keys(local), ...Object.keys(upstream)])]) {
+      const value = mergeValues(b[key], local[key], upstream[key], [...path, key], conflicts);
+      if (value !== undefined) {merged[key] = value;}
+    }
+    return merged;
+  }
+  // Both changed the same value: the repo's choice wins, the conflict is reported
+  conflicts.push(path.join('.') || '(root)');
+  return local;
+}
+
+/**
+ * Key-wise merge of JSON documents (arrays and scalars are merged as a whole).
+ * Keys changed on both sides keep the local value and are listed in
+ * `conflicts`. Returns null when a side isn't plain JSON (e.g. JSONC with
+ * comments), so the caller can fall back to mergeText.
+ * @returns {{ text: string, conflicts: string[] } | null}
+ */
+export function mergeJson(base, local, upstream) {
+  let b, l, u;
+  try {
+    l = JSON.parse(local);
+    u = JSON.parse(upstream);
+    b = base === null ? undefined : JSON.parse(base);
+  } catch {
+    return null;
+  }
+  const conflicts = [];
+  const merged = mergeValues(b, l, u, [], conflicts);
+  const indent = local.match(/^[ \t]+(?=")/m)?.[0] ?? 2;
+  return { text: JSON.stringify(merged, null, indent) + (local.endsWith('\n') ? '\n' : ''), conflicts };
+}
+
+/**
+ * Merge one synced file: JSON-aware for .json files, line-based otherwise.
+ * @returns {{ text: string, conflicts: number, conflictPaths?: string[], strategy: 'json'|'text' }}
+ */
+export function mergeFile(fileName, base, local, upstream) {
+  if (fileName.endsWith('.json')) {
+    const merged = mergeJson(base, local, upstream);
+    if (merged) {return { text: merged.text, conflicts: merged.conflicts.length, conflictPaths: merged.conflicts, strategy: 'json' };}
+  }
+  return { ...mergeText(base, local, upstream), strategy: 'text' };
+}
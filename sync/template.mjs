@@ -0,0 +1,144 @@
+// Template engine for synced files. Devkit assets are rendered with per-repo
+// variables before they are compared with, merged into or written to a repo.
+//
+//   {{ repoName }}                        variable (dotted paths: {{ repo.owner }})
+//   {{#each packages}}- {{ name }}{{/each}}  loop; {{ this }} is the item, {{ @index }} its index
+//   {{#if var}}...{{else}}...{{/if}}      truthy test (empty arrays are false)
+//   \{{ literal }}                        escaped, rendered as {{ literal }}
+//
+// GitHub Actions expressions (${{ github.ref }}) are left alone. Unknown
+// variables are kept verbatim and reported in `missing`.
+
+const TAG_RE = /(\\?)(\$?)\{\{\s*([#/]?)\s*([^{}]*?)\s*\}\}/g;
+const PATH_RE = /^(@index|this|[A-Za-z_][\w-]*)(\.[A-Za-z_][\w-]*)*$/;
+
+export class TemplateError extends Error {
+  constructor(message, line) {
+    super(`line ${line}: ${message}`);
+    this.name = 'TemplateError';
+    this.line = line;
+  }
+}
+
+const lineAt = (text, index) => text.slice(0, index).split('\n').length;
+
+function parse(text) {
+  const root = { type: 'root', body: [] };
+  const stack = [root];
+  const current = () => {
+    const block = stack[stack.length - 1];
+    return block.inElse ? block.alt : block.body;
+  };
+  let last = 0;
+
+  for (const match of text.matchAll(TAG_RE)) {
+    const [raw, escaped, dollar, sigil, expr] = match;
+    const line = lineAt(text, match.index);
+    if (match.index > last) {current().push({ type: 'text', value: text.slice(last, match.index) });}
+    last = match.index + raw.length;
+
+    if (escaped) { current().push({ type: 'text', value: raw.slice(1) }); continue; }
+    if (dollar) { current().push({ type: 'text', value: raw }); continue; }
+
+    if (sigil === '#') {
+      const [kind, path, ...rest] = expr.split(/\s+/);
+      if (!['each', 'if'].includes(kind) || !path || rest.length || !PATH_RE.test(path)) {
+        throw new TemplateError(`invalid block {{#${expr}}}`, line);
+      }
+      const block = { type: kind, path, body: [], alt: [], line };
+      current().push(block);
+      stack.push(block);
+    } else if (sigil === '/') {
+      const open = stack[stack.length - 1];
+      if (open.type !== expr) {
+        throw new TemplateError(open.type === 'root' ? `{{/${expr}}} without a matching block` : `expected {{/${open.type}}}, found {{/${expr}}}`, line);
+      }
+      stack.pop();
+    } else if (expr === 'else') {
+      const open = stack[stack.length - 1];
+      if (open.type !== 'if' || open.inElse) {throw new TemplateError('{{else}} outside {{#if}}', line);}
+      open.inElse = true;
+    } else if (PATH_RE.test(expr)) {
+      current().push({ type: 'var', path: expr, raw });
+    } else {
+      // Not a variable reference (e.g. "{{ }}" in a code sample) — keep as text
+      current().push({ type: 'text', value: raw });
+    }
+  }
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw new TemplateError(`unclosed {{#${open.type} ${open.path}}}`, open.line);
+  }
+  if (last < text.length) {root.body.push({ type: 'text', value: text.slice(last) });}
+  return root;
+}
+
+function formatValue(value) {
+  if (Array.isArray(value)) {return value.map(formatValue).join(', ');}
+  if (value !== null && typeof value === 'object') {return JSON.stringify(value);}
+  return String(value);
+}
+
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Render a template.
+ *
+ * @param {string} text
+ * @param {Record<string, unknown>} vars
+ * @returns {{ text: string, used: string[], missing: string[] }} `used` and
+ *   `missing` list top-level variable names / unresolved paths
+ * @throws {TemplateError} On unbalanced or malformed blocks
+ */
+export function renderTemplate(text, vars) {
+  const used = new Set();
+  const missing = new Set();
+
+  // scopes: innermost first; each is { item, index } for loops, { vars } for the root
+  const lookup = (path, scopes) => {
+    const [head, ...rest] = path.split('.');
+    let value;
+    if (head === '@index' || head === 'this') {
+      const loop = scopes.find((s) => 'item' in s);
+      if (!loop) {return undefined;}
+      value = head === '@index' ? loop.index : loop.item;
+    } else {
+      const scope = scopes.find((s) => ('item' in s ? s.item !== null && typeof s.item === 'object' && head in s.item : Object.hasOwn(s.vars, head)));
+      if (!scope) {return undefined;}
+      if (!('item' in scope)) {used.add(head);}
+      value = 'item' in scope ? scope.item[head] : scope.vars[head];
+    }
+    for (const key of rest) {
+      value = value !== null && typeof value === 'object' ? value[key] : undefined;
+    }
+    return value;
+  };
+
+  const renderNodes = (nodes, scopes) => nodes.map((node) => {
+    if (node.type === 'text') {return node.value;}
+    if (node.type === 'var') {
+      const value = lookup(node.path, scopes);
+      if (value === undefined || value === null) { missing.add(node.path); return node.raw; }
+      return formatValue(value);
+    }
+    const value = lookup(node.path, scopes);
+    if (node.type === 'if') {return renderNodes(isTruthy(value) ? node.body : node.alt, scopes);}
+    if (value === undefined) { missing.add(node.path); return ''; }
+    const items = Array.isArray(value) ? value : [value];
+    return items.map((item, index) => renderNodes(node.body, [{ item, index }, ...scopes])).join('');
+  }).join('');
+
+  const rendered = renderNodes(parse(text).body, [{ vars }]);
+  return { text: rendered, used: [...used].sort(), missing: [...missing].sort() };
+}
+
+/**
+ * Whether a file should go through the engine: text content that has at least
+ * one tag (binary files and plain files are copied as is).
+ * @param {Buffer} buf
+ */
+export function isTemplate(buf) {
+  return !buf.includes(0) && buf.includes('{{');
+}
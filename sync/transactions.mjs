@@ -0,0 +1,144 @@
+// Sync transactions: every applied sync is stored under .kb/devkit/transactions/<id>/
+// with the content, mode and hash each touched file had before the sync, so
+// it can be listed (--history) and undone (--rollback).
+//
+//   transaction.json  { id, when, devkit, mode, targets, files: [{ path, before, after }], createdDirs, rolledBack }
+//   files/<sha256>    previous file contents
+import { createHash } from 'node:crypto';
+import { chmod, mkdir, readFile, readdir, rmdir, stat, unlink, writeFile } from 'node:fs/promises';
+import { dirname, relative, resolve } from 'node:path';
+
+export const TRANSACTIONS_DIR = '.kb/devkit/transactions';
+
+function sha256(buf) { return createHash('sha256').update(buf).digest('hex'); }
+const toRel = (root, p) => relative(root, p).replaceAll('\\', '/');
+const txDir = (root, id) => resolve(root, TRANSACTIONS_DIR, String(id).padStart(4, '0'));
+
+async function snapshot(p) {
+  try {
+    const [content, st] = await Promise.all([readFile(p), stat(p)]);
+    return { content, hash: sha256(content), mode: st.mode & 0o777 };
+  } catch {
+    return null;
+  }
+}
+
+export async function listTransactions(root) {
+  let names = [];
+  try { names = await readdir(resolve(root, TRANSACTIONS_DIR)); } catch { return []; }
+  const txs = [];
+  for (const name of names.filter(n => /^\d+$/.test(n))) {
+    try { txs.push(JSON.parse(await readFile(resolve(root, TRANSACTIONS_DIR, name, 'transaction.json'), 'utf8'))); } catch { }
+  }
+  return txs.sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Records a sync as it happens. Call `track(path)` before each write; files
+ * written as bookkeeping (provenance, merge bases) are restored too, but alone
+ * don't make a transaction. `commit()` stores the transaction if the sync
+ * changed anything and resolves to it (or null).
+ */
+export function createTransaction(root, { devkit = null, mode = 'sync', targets = [] } = {}) {
+  const entries = new Map(); // rel path -> { abs, before, bookkeeping }
+  const createdDirs = new Set();
+
+  async function track(absPath, { bookkeeping = false } = {}) {
+    const rel = toRel(root, absPath);
+    if (entries.has(rel)) {return;}
+    const before = await snapshot(absPath);
+    entries.set(rel, { abs: absPath, before, bookkeeping });
+    if (before) {return;}
+    // Directories the write will create, removed again on rollback
+    for (let dir = dirname(absPath); dir.startsWith(root) && dir !== root; dir = dirname(dir)) {
+      try { await stat(dir); break; } catch { createdDirs.add(toRel(root, dir)); }
+    }
+  }
+
+  async function commit() {
+    const files = [];
+    for (const [path, { abs, before, bookkeeping }] of entries) {
+      const after = await snapshot(abs);
+      if (before?.hash === after?.hash && before?.mode === after?.mode) {continue;}
+      files.push({ path, bookkeeping, before, after });
+    }
+    if (!files.some(f => !f.bookkeeping)) {return null;}
+
+    const id = ((await listTransactions(root)).at(-1)?.id ?? 0) + 1;
+    const dir = txDir(root, id);
+    await mkdir(resolve(dir, 'files'), { recursive: true });
+    for (const { before } of files) {
+      if (before) {await writeFile(resolve(dir, 'files', before.hash), before.content);}
+    }
+    const tx = {
+      id,
+      when: new Date().toISOString(),
+      devkit,
+      mode,
+      targets,
+      files: files.map(({ path, bookkeeping, before, after }) => ({
+        path,
+        ...(bookkeeping ? { bookkeeping } : {}),
+        before: before && { hash: before.hash, mode: before.mode },
+        after: after && { hash: after.hash, mode: after.mode },
+      })),
+      createdDirs: [...createdDirs].sort(),
+      rolledBack: null,
+    };
+    await writeFile(resolve(dir, 'transaction.json'), JSON.stringify(tx, null, 2));
+    return tx;
+  }
+
+  return { track, commit };
+}
+
+/**
+ * Undo transaction `id` (default: the latest applied one) and every applied
+ * transaction after it, newest first. Refuses when a file was changed since
+ * the sync that last wrote it, unless `force`.
+ * @returns {Promise<{ undone: object[], modified: string[] }>} `undone` is empty when refused
+ */
+export async function rollbackTransactions(root, id, { force = false } = {}) {
+  const txs = await listTransactions(root);
+  const applied = txs.filter(t => !t.rolledBack);
+  const targetId = id ?? applied.at(-1)?.id;
+  const target = txs.find(t => t.id === targetId);
+  if (!target) {throw new Error(targetId === undefined ? 'no sync transactions to roll back' : `no sync transaction ${targetId}`);}
+  if (target.rolledBack) {throw new Error(`transaction ${targetId} was already rolled back at ${target.rolledBack.when}`);}
+
+  const undo = applied.filter(t => t.id >= targetId).reverse();
+
+  // Each file must still be as the newest sync that touched it left it
+  const modified = [];
+  const seen = new Set();
+  for (const tx of undo) {
+    for (const f of tx.files) {
+      if (seen.has(f.path)) {continue;}
+      seen.add(f.path);
+      const current = await snapshot(resolve(root, f.path));
+      if (!f.bookkeeping && current?.hash !== f.after?.hash) {modified.push(f.path);}
+    }
+  }
+  if (modified.length && !force) {return { undone: [], modified };}
+
+  for (const tx of undo) {
+    const dir = txDir(root, tx.id);
+    for (const f of tx.files) {
+      const abs = resolve(root, f.path);
+      if (!f.before) {
+        await unlink(abs).catch(() => {});
+        continue;
+      }
+      await mkdir(dirname(abs), { recursive: true });
+      await writeFile(abs, await readFile(resolve(dir, 'files', f.before.hash)));
+      await chmod(abs, f.before.mode);
+    }
+    // Deepest first; a directory that still has other files stays
+    for (const rel of [...tx.createdDirs].sort((a, b) => b.length - a.length)) {
+      await rmdir(resolve(root, rel)).catch(() => {});
+    }
+    tx.rolledBack = { when: new Date().toISOString() };
+    await writeFile(resolve(dir, 'transaction.json'), JSON.stringify(tx, null, 2));
+  }
+  return { undone: undo, modified };
+}
@@ -0,0 +1,95 @@
+// Template variables for a repo: facts detected from git and the workspace,
+// overridden by `sync.vars` in kb-labs.config.json.
+import { execFileSync } from 'node:child_process';
+import { existsSync, readFileSync } from 'node:fs';
+import { basename, relative, resolve } from 'node:path';
+import { loadWorkspace } from '../bin/lib/workspace.mjs';
+
+// What devkit's own templates assume when a repo doesn't pin one
+const DEFAULT_NODE_VERSION = '20';
+const DEFAULT_BRANCH = 'main';
+
+function git(root, args) {
+  try {
+    return execFileSync('git', args, { cwd: root, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+function readJson(p) {
+  try { return JSON.parse(readFileSync(p, 'utf8')); } catch { return null; }
+}
+
+// git@github.com:owner/name.git, https://github.com/owner/name -> { owner, name }
+function parseRemote(url) {
+  const m = url?.match(/[:/]([^/:]+)\/([^/]+?)(?:\.git)?\/?$/);
+  return m ? { owner: m[1], name: m[2] } : null;
+}
+
+function detectNodeVersion(root, manifest) {
+  for (const file of ['.nvmrc', '.node-version']) {
+    const p = resolve(root, file);
+    if (existsSync(p)) {
+      const v = readFileSync(p, 'utf8').trim().replace(/^v/, '');
+      if (v) {return v;}
+    }
+  }
+  return manifest?.engines?.node?.match(/\d+/)?.[0] ?? DEFAULT_NODE_VERSION;
+}
+
+function detectPackages(root, manifest) {
+  let packages = [];
+  try {
+    packages = loadWorkspace(root).packages
+      .filter((pkg) => !relative(root, pkg.dir).startsWith('..'))
+      .map((pkg) => ({
+        name: pkg.name,
+        shortName: pkg.name.replace(/^@[^/]+\//, ''),
+        path: relative(root, pkg.dir).replaceAll('\\', '/'),
+        private: pkg.private,
+      }))
+      .sort((a, b) => a.path.localeCompare(b.path));
+  } catch { /* not a workspace */ }
+  if (packages.length === 0 && manifest?.name) {
+    packages = [{ name: manifest.name, shortName: manifest.name.replace(/^@[^/]+\//, ''), path: '.', private: manifest.private === true }];
+  }
+  return packages;
+}
+
+/**
+ * Detected facts about the repo at `root`.
+ * @returns {{ repoName: string, repoOwner?: string, defaultBranch: string, nodeVersion: string, scope?: string, packages: object[], packageNames: string[] }}
+ */
+export function detectRepoVars(root) {
+  const manifest = readJson(resolve(root, 'package.json'));
+  const remote = parseRemote(git(root, ['remote', 'get-url', 'origin']));
+  const originHead = git(root, ['symbolic-ref', '--short', 'refs/remotes/origin/HEAD']);
+  const packages = detectPackages(root, manifest);
+  const scope = [manifest?.name, ...packages.map((p) => p.name)].map((n) => n?.match(/^(@[^/]+)\//)?.[1]).find(Boolean);
+
+  return {
+    repoName: remote?.name ?? basename(root),
+    ...(remote ? { repoOwner: remote.owner } : {}),
+    defaultBranch: originHead?.replace(/^origin\//, '') ?? DEFAULT_BRANCH,
+    nodeVersion: detectNodeVersion(root, manifest),
+    ...(scope ? { scope } : {}),
+    packages,
+    packageNames: packages.map((p) => p.name),
+  };
+}
+
+/**
+ * Variables for rendering sync templates: detected facts, then `sync.vars`.
+ * @returns {{ vars: Record<string, unknown>, sources: Record<string, 'config'|'detected'> }}
+ */
+export function loadTemplateVars(root, projectCfg) {
+  const detected = detectRepoVars(root);
+  const configured = projectCfg?.sync?.vars;
+  const fromConfig = configured && typeof configured === 'object' && !Array.isArray(configured) ? configured : {};
+  const sources = Object.fromEntries([
+    ...Object.keys(detected).map((k) => [k, 'detected']),
+    ...Object.keys(fromConfig).map((k) => [k, 'config']),
+  ]);
+  return { vars: { ...detected, ...fromConfig }, sources };
+}